@@ -0,0 +1,158 @@
+/**
+ * Painel de atividade da área de trabalho
+ * Mostra aos donos e administradores o registo de atividade (quem alterou o quê e quando),
+ * com filtros por categoria, por pessoa e por texto
+ */
+
+import { loadWorkspaceActivity } from './database.js';
+import { getCurrentWorkspace } from './workspaces.js';
+import { can } from './permissions.js';
+import { showError } from './ui.js';
+import { escapeHtml } from './records/fieldFormat.js';
+import { AUDIT_CATEGORIES, describeAuditAction, filterAuditEntries, getAuditCategory } from './auditLog.js';
+
+// Entradas da última leitura
+let entries = [];
+
+const CATEGORY_ICONS = {
+    module: 'fa-folder',
+    entity: 'fa-table',
+    structure: 'fa-sitemap',
+    record: 'fa-file-lines',
+    invitation: 'fa-user-plus',
+    workspace: 'fa-briefcase'
+};
+
+/**
+ * Inicializa o painel de atividade
+ */
+export function initActivityLog() {
+    const modal = document.getElementById('activity-log-modal');
+    const openButton = document.getElementById('activity-log-btn');
+    if (!modal || !openButton) return;
+
+    const categorySelect = document.getElementById('activity-filter-category');
+    categorySelect.innerHTML += AUDIT_CATEGORIES
+        .map(category => `<option value="${category.value}">${escapeHtml(category.label)}</option>`).join('');
+
+    openButton.addEventListener('click', openActivityLog);
+    document.getElementById('refresh-activity-log').addEventListener('click', loadActivity);
+    document.getElementById('close-activity-log-modal').addEventListener('click', closeActivityLog);
+    modal.addEventListener('click', (event) => {
+        if (event.target === modal) closeActivityLog();
+    });
+
+    categorySelect.addEventListener('change', renderActivity);
+    document.getElementById('activity-filter-actor').addEventListener('change', renderActivity);
+    document.getElementById('activity-filter-query').addEventListener('input', renderActivity);
+}
+
+/**
+ * Abre o painel com a atividade da área de trabalho atual
+ * @returns {Promise<void>}
+ */
+export async function openActivityLog() {
+    if (!can('audit')) {
+        showError('Sem Permissão', 'Só o dono e os administradores podem consultar a atividade da área de trabalho.');
+        return;
+    }
+
+    const modal = document.getElementById('activity-log-modal');
+    modal.classList.remove('hidden');
+    setTimeout(() => {
+        modal.querySelector('.bg-white').classList.remove('scale-95', 'opacity-0');
+    }, 10);
+
+    await loadActivity();
+}
+
+function closeActivityLog() {
+    const modal = document.getElementById('activity-log-modal');
+    modal.querySelector('.bg-white').classList.add('scale-95', 'opacity-0');
+    setTimeout(() => {
+        modal.classList.add('hidden');
+    }, 300);
+}
+
+/**
+ * Lê as entradas mais recentes e atualiza o filtro de pessoas
+ */
+async function loadActivity() {
+    const currentWorkspace = getCurrentWorkspace();
+    const workspaceId = currentWorkspace ? currentWorkspace.id : 'default';
+    const ownerId = currentWorkspace && !currentWorkspace.isOwner ? currentWorkspace.ownerId : null;
+    const list = document.getElementById('activity-log-list');
+
+    list.innerHTML = '<p class="py-8 text-center text-sm text-slate-400">A carregar atividade...</p>';
+    try {
+        entries = await loadWorkspaceActivity(workspaceId, ownerId);
+    } catch (error) {
+        // O erro já foi mostrado pelo módulo de banco de dados
+        entries = [];
+    }
+
+    const actorSelect = document.getElementById('activity-filter-actor');
+    const selectedActor = actorSelect.value;
+    const actors = new Map(entries.map(entry => [entry.actorId, entry.actorName]));
+    actorSelect.innerHTML = '<option value="">Todas as pessoas</option>' + Array.from(actors)
+        .sort((a, b) => String(a[1]).localeCompare(String(b[1]), 'pt-BR'))
+        .map(([id, name]) => `<option value="${escapeHtml(id)}">${escapeHtml(name)}</option>`).join('');
+    actorSelect.value = actors.has(selectedActor) ? selectedActor : '';
+
+    renderActivity();
+}
+
+/**
+ * Desenha as entradas que passam nos filtros
+ */
+function renderActivity() {
+    const list = document.getElementById('activity-log-list');
+    const filtered = filterAuditEntries(entries, {
+        category: document.getElementById('activity-filter-category').value,
+        actorId: document.getElementById('activity-filter-actor').value,
+        query: document.getElementById('activity-filter-query').value
+    });
+
+    if (filtered.length === 0) {
+        list.innerHTML = `<div class="bg-slate-50 rounded-lg p-4 text-center text-slate-500">
+            ${entries.length === 0 ? 'Ainda não há atividade registada nesta área de trabalho.' : 'Nenhuma atividade corresponde aos filtros.'}
+        </div>`;
+        return;
+    }
+
+    list.innerHTML = filtered.map(entry => `
+        <div class="flex gap-3 p-3 rounded-lg border border-slate-100 hover:bg-slate-50">
+            <i class="fa-solid ${CATEGORY_ICONS[getAuditCategory(entry.action)] || 'fa-circle-info'} h-4 w-4 mt-1 flex-shrink-0 text-indigo-500"></i>
+            <div class="flex-1 min-w-0">
+                <p class="text-sm text-slate-700">
+                    <span class="font-medium">${escapeHtml(entry.actorName || 'Usuário')}</span>
+                    ${escapeHtml(describeAuditAction(entry.action).toLowerCase())}
+                    ${entry.targetName ? `<span class="font-medium">"${escapeHtml(entry.targetName)}"</span>` : ''}
+                </p>
+                ${entry.summary ? `<p class="text-sm text-slate-500">${escapeHtml(entry.summary)}</p>` : ''}
+                ${renderChanges(entry.before || {}, entry.after || {})}
+                <p class="text-xs text-slate-400 mt-1">${escapeHtml(formatEntryDate(entry.createdAt))}</p>
+            </div>
+        </div>`).join('');
+}
+
+// Lista "campo: antes → depois" dos valores guardados na entrada
+function renderChanges(before, after) {
+    const labels = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+    if (labels.length === 0) return '';
+
+    return `<ul class="mt-1 space-y-0.5 text-xs text-slate-600">${labels.map(label => `
+        <li><span class="text-slate-400">${escapeHtml(label)}:</span>
+            ${label in before ? `<span class="line-through text-red-600">${escapeHtml(before[label])}</span>` : ''}
+            ${label in before && label in after ? '→' : ''}
+            ${label in after ? `<span class="text-green-700">${escapeHtml(after[label])}</span>` : ''}
+        </li>`).join('')}
+    </ul>`;
+}
+
+function formatEntryDate(timestamp) {
+    if (!timestamp) return '';
+    const date = typeof timestamp.toDate === 'function' ? timestamp.toDate() : new Date(timestamp);
+    if (isNaN(date)) return '';
+    return date.toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
@@ -0,0 +1,138 @@
+/**
+ * Registo de atividade das áreas de trabalho
+ * Nomes das ações, resumos do antes/depois de cada alteração e filtros do painel de atividade.
+ * As entradas são gravadas pelo módulo de banco de dados e nunca são alteradas depois.
+ * Não depende do Firebase nem do DOM.
+ */
+
+import { formatFieldValue } from './records/fieldFormat.js';
+import { summarizeStructureChanges } from './records/structureMerge.js';
+
+// Categorias mostradas no filtro do painel
+export const AUDIT_CATEGORIES = [
+    { value: 'module', label: 'Módulos' },
+    { value: 'entity', label: 'Entidades' },
+    { value: 'structure', label: 'Estruturas' },
+    { value: 'record', label: 'Registos' },
+    { value: 'invitation', label: 'Convites' },
+    { value: 'workspace', label: 'Área de trabalho' }
+];
+
+// Ações registadas: a categoria é a parte antes do ponto
+export const AUDIT_ACTIONS = {
+    'module.create': 'Criou o módulo',
+    'module.delete': 'Eliminou o módulo',
+    'module.reorder': 'Reordenou os módulos',
+    'entity.create': 'Criou a entidade',
+    'entity.add-to-module': 'Adicionou a entidade a um módulo',
+    'entity.copy': 'Copiou a entidade',
+    'entity.move': 'Moveu a entidade',
+    'entity.remove-from-module': 'Retirou a entidade do módulo',
+    'entity.delete': 'Eliminou a entidade',
+    'structure.save': 'Alterou a estrutura',
+    'structure.save-sub-entity': 'Alterou a estrutura da sub-entidade',
+    'structure.migrate-records': 'Atualizou os registos existentes',
+    'record.create': 'Criou o registo',
+    'record.import': 'Importou registos',
+    'record.update': 'Alterou o registo',
+    'record.delete': 'Eliminou o registo',
+    'invitation.send': 'Convidou',
+    'invitation.cancel': 'Cancelou o convite',
+    'invitation.accept': 'Aceitou o convite',
+    'invitation.revoke': 'Revogou o acesso',
+    'invitation.role': 'Alterou o papel',
+    'workspace.import': 'Importou conteúdo para a área de trabalho'
+};
+
+// Campos de sistema dos registos que não entram no resumo das alterações
+const RECORD_META_FIELDS = ['created_at', 'updated_at', 'created_by', 'updated_by'];
+
+// Tamanho máximo de cada valor guardado no resumo
+const MAX_VALUE_LENGTH = 120;
+
+/**
+ * Categoria de uma ação
+ * @param {string} action - Ação (ex.: 'record.update')
+ * @returns {string}
+ */
+export function getAuditCategory(action) {
+    return String(action || '').split('.')[0];
+}
+
+/**
+ * Texto de uma ação para o painel
+ * @param {string} action - Ação
+ * @returns {string}
+ */
+export function describeAuditAction(action) {
+    return AUDIT_ACTIONS[action] || action;
+}
+
+/**
+ * Resumo das alterações de um registo: só os campos que mudaram, com os valores formatados
+ * @param {Array} attributes - Atributos da entidade
+ * @param {Object} before - Valores antes ({} num registo novo)
+ * @param {Object} after - Valores alterados ({} num registo eliminado)
+ * @returns {{before: Object, after: Object}} - { rótulo do campo: valor em texto }
+ */
+export function summarizeRecordChanges(attributes = [], before = {}, after = {}) {
+    const summary = { before: {}, after: {} };
+    const deleted = Object.keys(after).length === 0;
+    const fieldIds = deleted ? Object.keys(before) : Object.keys(after);
+
+    fieldIds.filter(fieldId => !RECORD_META_FIELDS.includes(fieldId)).forEach(fieldId => {
+        const attribute = attributes.find(attr => attr.id === fieldId);
+        // Campos de sistema (criado por, editado por...) mudam em cada gravação
+        if (!attribute || ['created-time', 'created-by', 'last-edited-by'].includes(attribute.type)) return;
+
+        const previous = summarizeValue(attribute, before[fieldId]);
+        const current = deleted ? '' : summarizeValue(attribute, after[fieldId]);
+        if (previous === current) return;
+
+        if (previous !== '') summary.before[attribute.label] = previous;
+        if (current !== '') summary.after[attribute.label] = current;
+    });
+    return summary;
+}
+
+/**
+ * Resumo de uma alteração de estrutura para o registo de atividade
+ * @param {Array} previousAttributes - Atributos antes
+ * @param {Array} attributes - Atributos depois
+ * @returns {{summary: string, before: Object, after: Object}}
+ */
+export function summarizeStructureEdit(previousAttributes = [], attributes = []) {
+    const lines = summarizeStructureChanges(previousAttributes, attributes);
+    return {
+        summary: lines.length > 0 ? lines.join(' ') : 'Configuração dos campos guardada sem alterações.',
+        before: { Campos: previousAttributes.map(attr => attr.label).join(', ') },
+        after: { Campos: attributes.map(attr => attr.label).join(', ') }
+    };
+}
+
+/**
+ * Filtra as entradas do registo de atividade
+ * @param {Array} entries - Entradas (mais recentes primeiro)
+ * @param {Object} filters - { category, actorId, query }
+ * @returns {Array}
+ */
+export function filterAuditEntries(entries = [], filters = {}) {
+    const query = normalizeText(filters.query);
+    return entries.filter(entry => {
+        if (filters.category && getAuditCategory(entry.action) !== filters.category) return false;
+        if (filters.actorId && entry.actorId !== filters.actorId) return false;
+        if (!query) return true;
+        const text = [entry.actorName, describeAuditAction(entry.action), entry.targetName, entry.summary,
+            ...Object.entries(entry.before || {}).flat(), ...Object.entries(entry.after || {}).flat()].join(' ');
+        return normalizeText(text).includes(query);
+    });
+}
+
+function summarizeValue(attribute, value) {
+    const text = formatFieldValue(attribute, value);
+    return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+function normalizeText(text) {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
@@ -13,7 +13,31 @@ const fileStructure = {
     'js/code-view.js': { path: '../js/code-view.js', type: 'javascript' },
     'js/dark-mode.js': { path: '../js/dark-mode.js', type: 'javascript' },
     'js/ui-enhancements.js': { path: '../js/ui-enhancements.js', type: 'javascript' },
+    'js/permissions.js': { path: '../js/permissions.js', type: 'javascript' },
+    'js/workspaceBundle.js': { path: '../js/workspaceBundle.js', type: 'javascript' },
+    'js/auditLog.js': { path: '../js/auditLog.js', type: 'javascript' },
+    'js/activityLog.js': { path: '../js/activityLog.js', type: 'javascript' },
+    'js/records/fieldFormat.js': { path: '../js/records/fieldFormat.js', type: 'javascript' },
+    'js/records/validation.js': { path: '../js/records/validation.js', type: 'javascript' },
+    'js/records/formula.js': { path: '../js/records/formula.js', type: 'javascript' },
+    'js/records/linkedFields.js': { path: '../js/records/linkedFields.js', type: 'javascript' },
+    'js/records/relatedRecords.js': { path: '../js/records/relatedRecords.js', type: 'javascript' },
+    'js/records/fileStorage.js': { path: '../js/records/fileStorage.js', type: 'javascript' },
+    'js/records/relationships.js': { path: '../js/records/relationships.js', type: 'javascript' },
+    'js/records/recordPicker.js': { path: '../js/records/recordPicker.js', type: 'javascript' },
+    'js/records/personPicker.js': { path: '../js/records/personPicker.js', type: 'javascript' },
+    'js/records/schemaMigration.js': { path: '../js/records/schemaMigration.js', type: 'javascript' },
+    'js/records/structureMerge.js': { path: '../js/records/structureMerge.js', type: 'javascript' },
+    'js/records/recordForm.js': { path: '../js/records/recordForm.js', type: 'javascript' },
+    'js/records/recordGrid.js': { path: '../js/records/recordGrid.js', type: 'javascript' },
+    'js/records/csv.js': { path: '../js/records/csv.js', type: 'javascript' },
+    'js/records/csvImport.js': { path: '../js/records/csvImport.js', type: 'javascript' },
+    'js/records/recordImport.js': { path: '../js/records/recordImport.js', type: 'javascript' },
+    'js/records/tableExport.js': { path: '../js/records/tableExport.js', type: 'javascript' },
+    'js/records/xlsx.js': { path: '../js/records/xlsx.js', type: 'javascript' },
+    'js/records/recordExport.js': { path: '../js/records/recordExport.js', type: 'javascript' },
     'js/user/userProfile.js': { path: '../js/user/userProfile.js', type: 'javascript' },
+    'js/user/notifications.js': { path: '../js/user/notifications.js', type: 'javascript' },
     'js/user/invitations.js': { path: '../js/user/invitations.js', type: 'javascript' },
     'pages/login.html': { path: '../pages/login.html', type: 'html' },
     'pages/code-view.html': { path: 'code-view.html', type: 'html' },
@@ -16,6 +16,9 @@ export const TIPS_STATE = {
     MODULES_TIP: 'modulesTipClosed'
 };
 
+// Limite de operações por batch do Firestore é 500; usamos uma margem
+export const BATCH_SIZE = 400;
+
 // Dados de configuração inicial
 export const availableEntityIcons = ['user-round', 'file-text', 'package', 'phone', 'building', 'truck', 'dollar-sign', 'tag', 'shopping-cart', 'receipt', 'landmark', 'briefcase'];
 
@@ -35,6 +38,9 @@ export const fieldTypes = [
     { type: 'created-by', name: 'Criado por', icon: 'user-plus', category: 'system' },
     { type: 'last-edited-by', name: 'Editado por último', icon: 'user-check', category: 'system' },
     { type: 'button', name: 'Botão', icon: 'play-circle', category: 'automation' },
+    { type: 'formula', name: 'Fórmula', icon: 'sigma', category: 'advanced' },
+    { type: 'lookup', name: 'Valor Relacionado', icon: 'link', category: 'advanced' },
+    { type: 'rollup', name: 'Agregação', icon: 'calculator', category: 'advanced' },
 ];
 
 // Configurações padrão para tipos de campos
@@ -131,5 +137,29 @@ export const defaultFieldConfigs = {
         confirmMessage: 'Tem certeza que deseja executar esta ação?',
         successMessage: 'Ação executada com sucesso!',
         showProgressIndicator: true // mostrar indicador de progresso durante execução
+    },
+    formula: {
+        expression: '',           // ex.: {Quantidade} * {Preço}
+        resultFormat: 'auto',     // auto, decimal, currency, percentage, date, text
+        precision: 2,             // casas decimais para resultados numéricos
+        symbol: 'R$',             // símbolo de moeda (para formato currency)
+        readonly: true            // calculado a partir dos outros campos, nunca guardado
+    },
+    lookup: {
+        relationFieldId: '',      // campo de relação (sub-entity relationship) desta entidade
+        targetFieldId: '',        // campo da entidade relacionada a mostrar
+        targetFieldLabel: '',     // nome do campo mostrado (apenas para exibição no construtor)
+        readonly: true
+    },
+    rollup: {
+        relationSource: 'current', // current (relação desta entidade), target (relação de outra entidade que aponta para esta)
+        relationFieldId: '',      // campo de relação usado
+        sourceEntityId: null,     // entidade que tem o campo de relação (quando relationSource = target)
+        aggregation: 'sum',       // count, sum, avg, min, max
+        targetFieldId: '',        // campo numérico agregado (ignorado na contagem)
+        format: 'plain',          // plain, thousands, decimal, currency, percentage
+        precision: 2,
+        symbol: 'R$',
+        readonly: true
     }
 };
\ No newline at end of file
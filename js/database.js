@@ -1,6 +1,15 @@
-import { getUsuarioId, getUsuarioEmail } from './autenticacao.js';
+import { getUsuarioId, getUsuarioEmail, getUsuarioNome, getUsuarioFoto } from './autenticacao.js';
 import { showError, showLoading, hideLoading } from './ui.js';
-import { TIPS_STATE } from './config.js';
+import { TIPS_STATE, defaultFieldConfigs, BATCH_SIZE } from './config.js';
+import { validateRecord, createValidationError } from './records/validation.js';
+import { migrateRecord, DROP_VALUE } from './records/schemaMigration.js';
+import { getRecordLabel } from './records/fieldFormat.js';
+import { assertPermission } from './permissions.js';
+import { remapWorkspaceBundle } from './workspaceBundle.js';
+import { planInverseFieldChanges, planInverseLinkUpdates, allowsMultipleLinks, toLinkIds, toLinkValue } from './records/relationships.js';
+import { getRecordFilePaths, deleteStoredFiles, deleteEntityFiles, filterWorkspaceFilePaths } from './records/fileStorage.js';
+import { notifyUsers } from './user/notifications.js';
+import { summarizeRecordChanges, summarizeStructureEdit } from './auditLog.js';
 
 // Variáveis do módulo
 let db;
@@ -9,6 +18,9 @@ let modulesOrder = []; // Armazena a ordem dos módulos
 let userPreferences = {}; // Armazena preferências do usuário
 let sharedResources = []; // Armazena recursos compartilhados com o usuário
 
+// Registos lidos, no máximo, para mostrar uma contagem (ver countEntityRecords)
+export const RECORD_COUNT_LIMIT = 1000;
+
 // Função auxiliar para determinar o caminho do banco de dados
 function getDbPath(workspaceId, ownerId, path = '') {
     const currentUserId = getUsuarioId();
@@ -25,6 +37,226 @@ function getDbPath(workspaceId, ownerId, path = '') {
     return basePath;
 }
 
+// Recusa escritas numa área de trabalho partilhada quando o papel do usuário não as permite.
+// Os controlos já ficam escondidos na interface; isto protege as chamadas feitas por outros caminhos.
+function assertCanWrite(ownerId, action = 'edit') {
+    if (!ownerId || ownerId === getUsuarioId()) return;
+    try {
+        assertPermission(action);
+    } catch (error) {
+        console.warn(`Operação recusada (${action}):`, error.message);
+        showError('Sem Permissão', error.message);
+        throw error;
+    }
+}
+
+// Valida os dados de um registo contra os atributos da entidade carregada
+// Lança um erro com fieldErrors quando algum campo não passa na validação
+function assertValidRecordData(entityId, data, partial) {
+    const entity = allEntities.find(e => e.id === entityId);
+    if (!entity || !entity.attributes) return;
+
+    const { valid, errors } = validateRecord(entity.attributes, data, { partial });
+    if (!valid) {
+        throw createValidationError(errors, entity.attributes);
+    }
+}
+
+// Gera um timestamp ISO no fuso configurado ('utc' ou 'local', com o deslocamento do usuário)
+function formatTimestampForZone(date, timezone) {
+    if (timezone === 'utc') {
+        return date.toISOString();
+    }
+    const pad = n => String(Math.floor(Math.abs(n))).padStart(2, '0');
+    const offset = -date.getTimezoneOffset();
+    const sign = offset >= 0 ? '+' : '-';
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+        `${sign}${pad(offset / 60)}:${pad(offset % 60)}`;
+}
+
+// Monta a referência ao usuário atual para os campos "Criado por" / "Editado por último"
+function buildUserStamp(config = {}) {
+    const name = getUsuarioNome() || getUsuarioEmail() || 'Usuário';
+    const email = getUsuarioEmail() || '';
+    const display = {
+        name: name,
+        email: email || name,
+        both: email ? `${name} (${email})` : name
+    }[config.displayFormat || 'name'] || name;
+
+    return {
+        id: getUsuarioId(),
+        name: name,
+        email: email,
+        photoURL: config.showAvatar === false ? null : (getUsuarioFoto() || null),
+        display: display
+    };
+}
+
+// Preenche os atributos de sistema (created-time, created-by, last-edited-by) da entidade
+// mode: 'create' para novos registos, 'update' para alterações
+function buildSystemFieldValues(entityId, mode) {
+    const entity = allEntities.find(e => e.id === entityId);
+    if (!entity || !entity.attributes) return {};
+
+    const now = new Date();
+    const values = {};
+
+    entity.attributes.forEach(attr => {
+        const config = attr.config || {};
+        if (attr.type === 'created-time' && mode === 'create') {
+            values[attr.id] = formatTimestampForZone(now, config.timezone);
+        } else if (attr.type === 'created-by' && mode === 'create') {
+            values[attr.id] = buildUserStamp(config);
+        } else if (attr.type === 'last-edited-by') {
+            const stamp = buildUserStamp(config);
+            if (config.showTimestamp !== false) {
+                stamp.editedAt = now.toISOString();
+            }
+            values[attr.id] = stamp;
+        }
+    });
+
+    return values;
+}
+
+// Dados de um novo registo com os metadados do sistema
+// (os campos de sistema não podem ser sobrescritos pelo payload)
+function buildNewRecordData(entityId, data) {
+    return {
+        ...data,
+        ...buildSystemFieldValues(entityId, 'create'),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+        created_by: getUsuarioId()
+    };
+}
+
+// Indica se a entidade tem relações com campo inverso (cujos registos ligados têm de ser acertados)
+function hasInverseRelationships(entityId) {
+    const entity = allEntities.find(e => e.id === entityId);
+    return !!entity && (entity.attributes || []).some(attr => attr.subType === 'relationship' && attr.inverseFieldId);
+}
+
+// Campos "Pessoa" que avisam as pessoas quando são atribuídas (config.defaultNotify)
+function getNotifyingPersonFields(entityId) {
+    const entity = allEntities.find(e => e.id === entityId);
+    return (entity?.attributes || []).filter(attr => attr.type === 'person' && attr.config?.defaultNotify);
+}
+
+// Avisa as pessoas acabadas de atribuir nos campos "Pessoa" com aviso; quem fez a alteração não é avisado
+async function notifyAssignedPeople(moduleId, entityId, recordId, before, after, workspaceId, ownerId) {
+    const entity = allEntities.find(e => e.id === entityId);
+    const record = { ...before, ...after };
+    const authorName = getUsuarioNome() || getUsuarioEmail() || 'Usuário';
+    
+    for (const field of getNotifyingPersonFields(entityId)) {
+        if (!Object.prototype.hasOwnProperty.call(after, field.id)) continue;
+        const previous = toLinkIds(before[field.id]);
+        const added = toLinkIds(after[field.id]).filter(uid => !previous.includes(uid));
+        if (added.length === 0) continue;
+        
+        await notifyUsers(added, {
+            type: 'assignment',
+            title: 'Nova atribuição',
+            message: `${authorName} atribuiu você a "${getRecordLabel(entity.attributes, record)}" (${entity.name} · ${field.label}).`,
+            link: { workspaceId, ownerId: ownerId || getUsuarioId(), moduleId, entityId, recordId }
+        });
+    }
+}
+
+// Caminho do registo de atividade: fora de users/{dono} para que nem o dono possa alterar ou apagar entradas
+function getAuditLogPath(workspaceId, ownerId) {
+    return `auditLogs/${ownerId || getUsuarioId()}/workspaces/${workspaceId}/entries`;
+}
+
+// Nome de uma entidade carregada (o ID quando já não está na lista)
+function getEntityName(entityId) {
+    const entity = allEntities.find(e => e.id === entityId);
+    return entity ? entity.name : entityId;
+}
+
+// Nome de um módulo para o registo de atividade (as entidades sem módulo estão na biblioteca)
+async function getModuleName(workspaceId, ownerId, moduleId, fallback = 'Biblioteca') {
+    if (!moduleId) return fallback;
+    try {
+        const snapshot = await db.doc(getDbPath(workspaceId, ownerId, `modules/${moduleId}`)).get();
+        return snapshot.exists ? snapshot.data().name : moduleId;
+    } catch (error) {
+        return moduleId;
+    }
+}
+
+// Regista a criação, alteração ou eliminação de um registo com os campos que mudaram
+async function logRecordActivity(action, entityId, recordId, before, after, workspaceId, ownerId) {
+    const entity = allEntities.find(e => e.id === entityId);
+    const attributes = entity ? entity.attributes || [] : [];
+    const changes = summarizeRecordChanges(attributes, before, after);
+    
+    // Uma gravação sem alterações visíveis (só campos de sistema) não fica no registo
+    if (action === 'record.update' && Object.keys(changes.before).length === 0 && Object.keys(changes.after).length === 0) return;
+    
+    await logWorkspaceActivity(workspaceId, ownerId, {
+        action,
+        targetType: 'record',
+        targetId: recordId,
+        targetName: `${String(getRecordLabel(attributes, { ...before, ...after }))} · ${entity ? entity.name : entityId}`,
+        ...changes
+    });
+}
+
+// Acerta os campos inversos dos registos ligados depois de um registo ser criado, alterado ou eliminado.
+// Num lado que guarda um só registo, o registo que lá estava perde a ligação ao registo ligado.
+async function syncInverseLinks(entityId, recordId, before, after, workspaceId, ownerId) {
+    const entity = allEntities.find(e => e.id === entityId);
+    const updates = planInverseLinkUpdates(entity ? entity.attributes : [], before, after);
+    const basePath = getDbPath(workspaceId, ownerId);
+    
+    for (const { field, targetRecordId, action } of updates) {
+        const targetEntity = allEntities.find(e => e.id === field.targetEntityId);
+        const inverseField = targetEntity && (targetEntity.attributes || []).find(attr => attr.id === field.inverseFieldId);
+        if (!inverseField) continue;
+        
+        const targetRef = db.doc(`${basePath}/entities/${field.targetEntityId}/records/${targetRecordId}`);
+        await db.runTransaction(async transaction => {
+            const targetSnap = await transaction.get(targetRef);
+            if (!targetSnap.exists) return;
+            
+            const linked = toLinkIds(targetSnap.data()[inverseField.id]);
+            let next = linked.filter(id => id !== recordId);
+            let replaced = [];
+            if (action === 'add') {
+                replaced = allowsMultipleLinks(inverseField) ? [] : next;
+                next = allowsMultipleLinks(inverseField) ? [...next, recordId] : [recordId];
+            }
+            
+            const replacedSnaps = [];
+            for (const replacedId of replaced) {
+                const snap = await transaction.get(db.doc(`${basePath}/entities/${entityId}/records/${replacedId}`));
+                if (snap.exists) replacedSnaps.push(snap);
+            }
+            
+            const updatedAt = new Date().toISOString();
+            transaction.update(targetRef, { [inverseField.id]: toLinkValue(inverseField, next), updated_at: updatedAt });
+            replacedSnaps.forEach(snap => {
+                const remaining = toLinkIds(snap.data()[field.id]).filter(id => id !== targetRecordId);
+                transaction.update(snap.ref, { [field.id]: toLinkValue(field, remaining), updated_at: updatedAt });
+            });
+        });
+    }
+}
+
+// O registo já foi gravado: uma falha ao acertar os registos ligados é mostrada, mas não desfaz a gravação
+async function syncInverseLinksSafely(entityId, recordId, before, after, workspaceId, ownerId) {
+    try {
+        await syncInverseLinks(entityId, recordId, before, after, workspaceId, ownerId);
+    } catch (error) {
+        console.error("Erro ao atualizar os registos ligados:", error);
+        showError('Relação Incompleta', 'O registo foi guardado, mas não foi possível atualizar todos os registos ligados.');
+    }
+}
+
 /**
  * Inicializa o módulo de banco de dados
  * @param {Object} firebase - Instância do Firebase
@@ -130,6 +362,78 @@ export async function loadAndRenderModules(renderCallback, workspaceId = 'defaul
     }
 }
 
+/**
+ * Observa em tempo real os módulos da área de trabalho
+ * @param {Function} onChanges - Recebe (alterações [{ type: 'added'|'modified'|'removed', module }], módulos ordenados)
+ * @param {string} workspaceId - ID da área de trabalho
+ * @param {string} ownerId - ID do dono da área de trabalho (opcional, para workspaces compartilhados)
+ * @param {Function} onError - Chamada se a observação falhar (opcional)
+ * @returns {Function} - Função que cancela a observação
+ */
+export function subscribeToModules(onChanges, workspaceId = 'default', ownerId = null, onError = null) {
+    const currentUserId = getUsuarioId();
+    const targetUserId = ownerId || currentUserId;
+    const collectionPath = `users/${targetUserId}/workspaces/${workspaceId}/modules`;
+    console.log(`[subscribeToModules] Observando: ${collectionPath}`);
+    
+    return db.collection(collectionPath).orderBy('order').onSnapshot(snapshot => {
+        const orderedModules = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        modulesOrder = orderedModules.map(m => m.id);
+        
+        const changes = snapshot.docChanges().map(change => ({
+            type: change.type,
+            module: { id: change.doc.id, ...change.doc.data() }
+        }));
+        onChanges(changes, orderedModules);
+    }, error => {
+        console.error(`[subscribeToModules] Erro ao observar módulos de ${collectionPath}:`, error);
+        showError('Erro de Dados', 'Não foi possível sincronizar os módulos.');
+        if (onError) onError(error);
+    });
+}
+
+/**
+ * Observa em tempo real as entidades da área de trabalho e mantém a lista local atualizada
+ * @param {Function} onChanges - Recebe as alterações [{ type: 'added'|'modified'|'removed', entity, previous }]
+ * @param {string} workspaceId - ID da área de trabalho
+ * @param {string} ownerId - ID do dono da área de trabalho (opcional, para workspaces compartilhados)
+ * @param {Function} onError - Chamada se a observação falhar (opcional)
+ * @returns {Function} - Função que cancela a observação
+ */
+export function subscribeToEntities(onChanges, workspaceId = 'default', ownerId = null, onError = null) {
+    const currentUserId = getUsuarioId();
+    const targetUserId = ownerId || currentUserId;
+    const collectionPath = `users/${targetUserId}/workspaces/${workspaceId}/entities`;
+    console.log(`[subscribeToEntities] Observando: ${collectionPath}`);
+    
+    allEntities = [];
+    
+    return db.collection(collectionPath).onSnapshot(snapshot => {
+        const changes = snapshot.docChanges().map(change => {
+            const entity = { id: change.doc.id, ...change.doc.data() };
+            const cached = allEntities.find(e => e.id === entity.id);
+            const previous = cached ? { ...cached } : null;
+            
+            if (change.type === 'removed') {
+                allEntities = allEntities.filter(e => e.id !== entity.id);
+            } else if (cached) {
+                // Mantém a mesma referência para quem já tem a entidade em mãos
+                Object.keys(cached).forEach(key => delete cached[key]);
+                Object.assign(cached, entity);
+            } else {
+                allEntities.push(entity);
+            }
+            
+            return { type: change.type, entity, previous };
+        });
+        onChanges(changes);
+    }, error => {
+        console.error(`[subscribeToEntities] Erro ao observar entidades de ${collectionPath}:`, error);
+        showError('Erro de Dados', 'Não foi possível sincronizar as entidades.');
+        if (onError) onError(error);
+    });
+}
+
 // FUNÇÃO ELIMINADA: loadDroppedEntitiesIntoModules
 // No novo modelo Firestore, as entidades já contêm o moduleId e attributes
 // A renderização será feita no main.js filtrando as entidades por moduleId
@@ -145,6 +449,8 @@ export async function loadAndRenderModules(renderCallback, workspaceId = 'defaul
  * @returns {Promise<string>} - ID da entidade criada
  */
 export async function createEntity(entityData, workspaceId = 'default', ownerId = null) {
+    assertCanWrite(ownerId);
+    
     try {
         showLoading('Criando entidade...');
         
@@ -162,10 +468,18 @@ export async function createEntity(entityData, workspaceId = 'default', ownerId
         const docRef = await db.collection(collectionPath).add(entityDataWithDefaults);
         
         // Atualiza a lista local apenas se for do usuário atual
-        if (!ownerId || ownerId === currentUserId) {
+        // A observação em tempo real pode já ter adicionado a entidade
+        if ((!ownerId || ownerId === currentUserId) && !allEntities.some(e => e.id === docRef.id)) {
             allEntities.push({ ...entityDataWithDefaults, id: docRef.id });
         }
         
+        await logWorkspaceActivity(workspaceId, ownerId, {
+            action: 'entity.create',
+            targetType: 'entity',
+            targetId: docRef.id,
+            targetName: entityDataWithDefaults.name
+        });
+        
         hideLoading();
         return docRef.id;
     } catch (error) {
@@ -184,6 +498,8 @@ export async function createEntity(entityData, workspaceId = 'default', ownerId
  * @returns {Promise<string>} - ID do módulo criado
  */
 export async function createModule(name, workspaceId = 'default', ownerId = null) {
+    assertCanWrite(ownerId);
+    
     try {
         showLoading('Criando módulo...');
         
@@ -203,10 +519,17 @@ export async function createModule(name, workspaceId = 'default', ownerId = null
         const docRef = await db.collection(collectionPath).add(newModuleData);
         
         // Atualiza a ordem local apenas se for do usuário atual
-        if (!ownerId || ownerId === currentUserId) {
+        if ((!ownerId || ownerId === currentUserId) && !modulesOrder.includes(docRef.id)) {
             modulesOrder.push(docRef.id);
         }
         
+        await logWorkspaceActivity(workspaceId, ownerId, {
+            action: 'module.create',
+            targetType: 'module',
+            targetId: docRef.id,
+            targetName: name
+        });
+        
         hideLoading();
         return docRef.id;
     } catch (error) {
@@ -227,6 +550,8 @@ export async function createModule(name, workspaceId = 'default', ownerId = null
  * @returns {Promise<void>}
  */
 export async function saveEntityToModule(moduleId, entityId, entityName, workspaceId = 'default', ownerId = null) {
+    assertCanWrite(ownerId);
+    
     try {
         const currentUserId = getUsuarioId();
         const targetUserId = ownerId || currentUserId;
@@ -235,6 +560,14 @@ export async function saveEntityToModule(moduleId, entityId, entityName, workspa
         // Atualiza o campo moduleId na entidade
         await db.doc(docPath).update({ moduleId: moduleId });
         
+        await logWorkspaceActivity(workspaceId, ownerId, {
+            action: 'entity.add-to-module',
+            targetType: 'entity',
+            targetId: entityId,
+            targetName: entityName,
+            summary: `Módulo: ${await getModuleName(workspaceId, ownerId, moduleId)}`
+        });
+        
         console.log(`Entidade ${entityId} associada ao módulo ${moduleId}`);
     } catch (error) {
         console.error("Erro ao salvar entidade no módulo:", error);
@@ -252,6 +585,8 @@ export async function saveEntityToModule(moduleId, entityId, entityName, workspa
  * @returns {Promise<string>} ID da nova entidade criada
  */
 export async function copyEntityToModule(sourceEntityId, targetModuleId, workspaceId = 'default', ownerId = null) {
+    assertCanWrite(ownerId);
+    
     try {
         showLoading('Copiando entidade e dados...');
         const currentUserId = getUsuarioId();
@@ -295,11 +630,20 @@ export async function copyEntityToModule(sourceEntityId, targetModuleId, workspa
 
         // 6. Atualizar a lista local de entidades
         if (!ownerId || ownerId === currentUserId) {
-            if (typeof allEntities !== 'undefined' && allEntities) {
+            if (typeof allEntities !== 'undefined' && allEntities && !allEntities.some(e => e.id === newEntityId)) {
                 allEntities.push({ ...newEntityData, id: newEntityId });
             }
         }
         
+        await logWorkspaceActivity(workspaceId, ownerId, {
+            action: 'entity.copy',
+            targetType: 'entity',
+            targetId: newEntityId,
+            targetName: newEntityData.name,
+            summary: `Cópia de "${sourceData.name}" com ${recordsSnapshot.size} registo${recordsSnapshot.size !== 1 ? 's' : ''}`,
+            after: { Módulo: await getModuleName(workspaceId, ownerId, targetModuleId) }
+        });
+        
         hideLoading();
         showSuccess('Copiado!', `A entidade e todos os seus dados foram copiados.`);
 
@@ -323,10 +667,13 @@ export async function copyEntityToModule(sourceEntityId, targetModuleId, workspa
  * @returns {Promise<void>}
  */
 export async function moveEntityToModule(entityId, targetModuleId, workspaceId = 'default', ownerId = null) {
+    assertCanWrite(ownerId);
+    
     try {
         const currentUserId = getUsuarioId();
         const targetUserId = ownerId || currentUserId;
         const entityPath = `users/${targetUserId}/workspaces/${workspaceId}/entities/${entityId}`;
+        const previousModuleId = allEntities.find(e => e.id === entityId)?.moduleId || null;
         
         // Atualiza o moduleId da entidade para o novo módulo
         await db.doc(entityPath).update({ 
@@ -334,6 +681,15 @@ export async function moveEntityToModule(entityId, targetModuleId, workspaceId =
             updatedAt: new Date().toISOString()
         });
         
+        await logWorkspaceActivity(workspaceId, ownerId, {
+            action: 'entity.move',
+            targetType: 'entity',
+            targetId: entityId,
+            targetName: getEntityName(entityId),
+            before: { Módulo: await getModuleName(workspaceId, ownerId, previousModuleId) },
+            after: { Módulo: await getModuleName(workspaceId, ownerId, targetModuleId) }
+        });
+        
         console.log(`Entidade ${entityId} movida para o módulo ${targetModuleId}`);
     } catch (error) {
         console.error("Erro ao mover entidade:", error);
@@ -351,6 +707,8 @@ export async function moveEntityToModule(entityId, targetModuleId, workspaceId =
  * @returns {Promise<void>}
  */
 export async function deleteEntityFromModule(moduleId, entityId, workspaceId = 'default', ownerId = null) {
+    assertCanWrite(ownerId);
+    
     try {
         const currentUserId = getUsuarioId();
         const targetUserId = ownerId || currentUserId;
@@ -359,6 +717,15 @@ export async function deleteEntityFromModule(moduleId, entityId, workspaceId = '
         // Remove a associação com o módulo (define moduleId como null)
         await db.doc(docPath).update({ moduleId: null });
         
+        await logWorkspaceActivity(workspaceId, ownerId, {
+            action: 'entity.remove-from-module',
+            targetType: 'entity',
+            targetId: entityId,
+            targetName: getEntityName(entityId),
+            before: { Módulo: await getModuleName(workspaceId, ownerId, moduleId) },
+            after: { Módulo: 'Biblioteca' }
+        });
+        
         console.log(`Entidade ${entityId} removida do módulo ${moduleId}`);
     } catch (error) {
         console.error("Erro ao remover entidade do módulo:", error);
@@ -368,37 +735,229 @@ export async function deleteEntityFromModule(moduleId, entityId, workspaceId = '
 }
 
 /**
- * Remove uma entidade permanentemente
+ * Calcula o impacto de eliminar entidades: registos que serão apagados e campos de
+ * relacionamento de outras entidades que apontam para elas
+ * @param {Array<string>} entityIds - IDs das entidades a eliminar
+ * @param {string} workspaceId - ID da área de trabalho
+ * @param {string} ownerId - ID do dono da área de trabalho (opcional)
+ * @returns {Promise<Object>} - { records: [{ entityId, entityName, count }], totalRecords, totalIsMinimum, references: [...] }
+ *                             (totalIsMinimum: alguma entidade tem mais de RECORD_COUNT_LIMIT registos e o total é um mínimo)
+ */
+export async function getEntityDeletionImpact(entityIds, workspaceId = 'default', ownerId = null) {
+    const records = [];
+    for (const entityId of entityIds) {
+        const entity = allEntities.find(e => e.id === entityId);
+        const count = await countEntityRecords(entityId, workspaceId, ownerId);
+        records.push({ entityId, entityName: entity ? entity.name : entityId, count });
+    }
+    
+    return {
+        records,
+        totalRecords: records.reduce((total, item) => total + Math.min(item.count, RECORD_COUNT_LIMIT), 0),
+        totalIsMinimum: records.some(item => item.count > RECORD_COUNT_LIMIT),
+        references: findReferencingFields(entityIds)
+    };
+}
+
+// Lista os campos de relacionamento (fora do conjunto a eliminar) que apontam para as entidades
+function findReferencingFields(entityIds) {
+    const references = [];
+    
+    allEntities.filter(entity => !entityIds.includes(entity.id)).forEach(entity => {
+        (entity.attributes || []).forEach(attr => {
+            if (attr.type === 'sub-entity' && attr.subType === 'relationship' && entityIds.includes(attr.targetEntityId)) {
+                references.push({
+                    entityId: entity.id,
+                    entityName: entity.name,
+                    fieldId: attr.id,
+                    fieldLabel: attr.label,
+                    targetEntityId: attr.targetEntityId,
+                    targetEntityName: attr.targetEntityName || (allEntities.find(e => e.id === attr.targetEntityId) || {}).name
+                });
+            }
+        });
+    });
+    
+    return references;
+}
+
+// Apaga os documentos de uma coleção em blocos de BATCH_SIZE
+async function deleteCollectionInChunks(collectionPath) {
+    let deleted = 0;
+    
+    while (true) {
+        const snapshot = await db.collection(collectionPath).limit(BATCH_SIZE).get();
+        if (snapshot.empty) break;
+        
+        const batch = db.batch();
+        snapshot.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+        deleted += snapshot.size;
+    }
+    
+    return deleted;
+}
+
+// Converte os campos de relacionamento que apontam para entidades que vão ser eliminadas.
+// mode 'text': o campo passa a texto e guarda o nome dos registos ligados;
+// mode 'remove': o campo e os seus valores são removidos.
+async function convertReferencingFields(references, mode, basePath) {
+    const byEntity = {};
+    references.forEach(ref => {
+        (byEntity[ref.entityId] = byEntity[ref.entityId] || []).push(ref);
+    });
+    
+    // Nomes dos registos ligados, lidos antes de as entidades de destino serem apagadas
+    const labelsByTarget = {};
+    if (mode === 'text') {
+        for (const targetEntityId of new Set(references.map(ref => ref.targetEntityId))) {
+            const targetEntity = allEntities.find(e => e.id === targetEntityId);
+            const snapshot = await db.collection(`${basePath}/entities/${targetEntityId}/records`).get();
+            labelsByTarget[targetEntityId] = {};
+            snapshot.forEach(doc => {
+                labelsByTarget[targetEntityId][doc.id] = String(getRecordLabel(targetEntity ? targetEntity.attributes : [], { id: doc.id, ...doc.data() }));
+            });
+        }
+    }
+    
+    for (const [entityId, entityRefs] of Object.entries(byEntity)) {
+        const entity = allEntities.find(e => e.id === entityId);
+        const fieldIds = entityRefs.map(ref => ref.fieldId);
+        const convertAttributes = (current = []) => (mode === 'text' ?
+            current.map(attr => (fieldIds.includes(attr.id) ?
+                { id: attr.id, type: 'text', label: attr.label, description: attr.description || '', config: { ...defaultFieldConfigs.text } } :
+                attr)) :
+            current.filter(attr => !fieldIds.includes(attr.id)));
+        
+        const snapshot = await db.collection(`${basePath}/entities/${entityId}/records`).get();
+        const pending = [];
+        snapshot.forEach(doc => {
+            const data = doc.data();
+            const updates = {};
+            entityRefs.forEach(ref => {
+                if (!Object.prototype.hasOwnProperty.call(data, ref.fieldId)) return;
+                if (mode === 'text') {
+                    const ids = Array.isArray(data[ref.fieldId]) ? data[ref.fieldId] : [data[ref.fieldId]];
+                    updates[ref.fieldId] = ids.filter(Boolean)
+                        .map(id => (labelsByTarget[ref.targetEntityId] || {})[id] || id)
+                        .join(', ');
+                } else {
+                    updates[ref.fieldId] = firebase.firestore.FieldValue.delete();
+                }
+            });
+            if (Object.keys(updates).length > 0) {
+                pending.push({ ref: doc.ref, updates });
+            }
+        });
+        
+        for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+            const batch = db.batch();
+            pending.slice(i, i + BATCH_SIZE).forEach(({ ref, updates }) => {
+                batch.update(ref, { ...updates, updated_at: new Date().toISOString() });
+            });
+            await batch.commit();
+        }
+        
+        // Mesma transação com revisão de saveEntityStructure: um construtor aberto nesta entidade
+        // recebe um conflito ao guardar, em vez de repor o campo de relacionamento eliminado
+        const docRef = db.doc(`${basePath}/entities/${entityId}`);
+        const updatedBy = { id: getUsuarioId(), name: getUsuarioNome() || getUsuarioEmail() || '' };
+        const updatedAt = new Date().toISOString();
+        const saved = await db.runTransaction(async transaction => {
+            const docSnap = await transaction.get(docRef);
+            if (!docSnap.exists) return null;
+            
+            const current = docSnap.data();
+            const attributes = convertAttributes(current.attributes || []);
+            const revision = (current.revision || 0) + 1;
+            transaction.update(docRef, { attributes, revision, updatedBy, updatedAt });
+            return { attributes, revision };
+        });
+        
+        if (saved && entity) {
+            entity.attributes = saved.attributes;
+            entity.revision = saved.revision;
+            entity.updatedBy = updatedBy;
+            entity.updatedAt = updatedAt;
+        }
+    }
+}
+
+// Elimina entidades em cascata: trata as referências, apaga os registos e depois os documentos
+async function cascadeDeleteEntities(entityIds, basePath, referenceMode) {
+    const references = findReferencingFields(entityIds);
+    
+    if (references.length > 0) {
+        if (!referenceMode) {
+            const error = new Error('Existem campos de relacionamento que apontam para esta entidade.');
+            error.name = 'ReferenceBlockedError';
+            error.references = references;
+            throw error;
+        }
+        await convertReferencingFields(references, referenceMode, basePath);
+    }
+    
+    let deletedRecords = 0;
+    for (const entityId of entityIds) {
+        // O Firestore não apaga subcoleções ao apagar o documento, por isso os registos vão primeiro
+        deletedRecords += await deleteCollectionInChunks(`${basePath}/entities/${entityId}/records`);
+        await db.doc(`${basePath}/entities/${entityId}`).delete();
+        // Um ficheiro que não se consiga apagar não impede a eliminação da entidade
+        try {
+            await deleteEntityFiles(basePath, entityId);
+        } catch (error) {
+            console.warn(`Não foi possível apagar os ficheiros da entidade ${entityId}:`, error);
+        }
+    }
+    
+    return deletedRecords;
+}
+
+/**
+ * Remove uma entidade permanentemente, incluindo os seus registos
  * @param {string} entityId - ID da entidade
  * @param {string} workspaceId - ID da área de trabalho
  * @param {string} ownerId - ID do dono da área de trabalho (opcional)
- * @returns {Promise<void>}
+ * @param {Object} options - { referenceMode: 'text' | 'remove' } para converter os campos que apontam
+ *                           para a entidade; sem referenceMode a eliminação é bloqueada se existirem
+ * @returns {Promise<number>} - Número de registos eliminados
  */
-export async function deleteEntity(entityId, workspaceId = 'default', ownerId = null) {
+export async function deleteEntity(entityId, workspaceId = 'default', ownerId = null, options = {}) {
+    assertCanWrite(ownerId, 'delete');
+    
     try {
         showLoading('Excluindo entidade...');
         
         const currentUserId = getUsuarioId();
         const targetUserId = ownerId || currentUserId;
-        const entityPath = `users/${targetUserId}/workspaces/${workspaceId}/entities/${entityId}`;
-        
-        // Exclui a entidade (isso NÃO exclui automaticamente a subcoleção records no Firestore)
-        await db.doc(entityPath).delete();
+        const basePath = `users/${targetUserId}/workspaces/${workspaceId}`;
         
-        // ATENÇÃO: A exclusão das subcoleções 'records' deve ser feita via Cloud Function
-        // pois o Firestore não exclui subcoleções automaticamente
-        console.warn('ATENÇÃO: Records da entidade devem ser excluídos via Cloud Function');
+        const entityName = getEntityName(entityId);
+        const deletedRecords = await cascadeDeleteEntities([entityId], basePath, options.referenceMode);
         
         // Atualiza a lista local apenas se a operação for no workspace do usuário atual
         if (!ownerId || ownerId === currentUserId) {
             allEntities = allEntities.filter(e => e.id !== entityId);
         }
         
+        await logWorkspaceActivity(workspaceId, ownerId, {
+            action: 'entity.delete',
+            targetType: 'entity',
+            targetId: entityId,
+            targetName: entityName,
+            summary: `${deletedRecords} registo${deletedRecords !== 1 ? 's' : ''} eliminado${deletedRecords !== 1 ? 's' : ''}`
+        });
+        
         hideLoading();
+        return deletedRecords;
     } catch (error) {
         hideLoading();
         console.error("Erro ao excluir entidade:", error);
-        showError('Erro ao Excluir', 'Não foi possível excluir a entidade.');
+        if (error.name === 'ReferenceBlockedError') {
+            showError('Eliminação Bloqueada', 'Outras entidades têm campos de relacionamento que apontam para esta entidade.');
+        } else {
+            showError('Erro ao Excluir', 'Não foi possível excluir a entidade.');
+        }
         throw error;
     }
 }
@@ -408,58 +967,97 @@ export async function deleteEntity(entityId, workspaceId = 'default', ownerId =
  * @param {string} moduleId - ID do módulo
  * @param {string} workspaceId - ID da área de trabalho
  * @param {string} ownerId - ID do dono da área de trabalho (opcional)
- * @returns {Promise<void>}
+ * @param {Object} options - { deleteEntities: true para eliminar também as entidades do módulo e os seus
+ *                           registos (caso contrário voltam à biblioteca), referenceMode: ver deleteEntity }
+ * @returns {Promise<number>} - Número de registos eliminados
  */
-export async function deleteModule(moduleId, workspaceId = 'default', ownerId = null) {
+export async function deleteModule(moduleId, workspaceId = 'default', ownerId = null, options = {}) {
+    assertCanWrite(ownerId, 'delete');
+    
     try {
         showLoading('Excluindo módulo...');
         
         const currentUserId = getUsuarioId();
         const targetUserId = ownerId || currentUserId;
-        const modulePath = `users/${targetUserId}/workspaces/${workspaceId}/modules/${moduleId}`;
+        const basePath = `users/${targetUserId}/workspaces/${workspaceId}`;
+        const modulePath = `${basePath}/modules/${moduleId}`;
         
-        // Exclui o módulo
-        await db.doc(modulePath).delete();
-        
-        // Remove a associação das entidades com este módulo (define moduleId como null)
-        const entitiesPath = `users/${targetUserId}/workspaces/${workspaceId}/entities`;
-        const entitiesSnapshot = await db.collection(entitiesPath)
+        const entitiesSnapshot = await db.collection(`${basePath}/entities`)
             .where('moduleId', '==', moduleId)
             .get();
-        
-        if (!entitiesSnapshot.empty) {
+        const entityIds = entitiesSnapshot.docs.map(doc => doc.id);
+        const moduleName = await getModuleName(workspaceId, ownerId, moduleId);
+        let deletedRecords = 0;
+        
+        if (options.deleteEntities) {
+            // Elimina primeiro as entidades: se a eliminação for bloqueada o módulo fica intacto
+            deletedRecords = await cascadeDeleteEntities(entityIds, basePath, options.referenceMode);
+            if (!ownerId || ownerId === currentUserId) {
+                allEntities = allEntities.filter(e => !entityIds.includes(e.id));
+            }
+        } else if (!entitiesSnapshot.empty) {
+            // Remove a associação das entidades com este módulo (define moduleId como null)
             const batch = db.batch();
             entitiesSnapshot.forEach(doc => {
                 batch.update(doc.ref, { moduleId: null });
             });
             await batch.commit();
+            allEntities.forEach(entity => {
+                if (entityIds.includes(entity.id)) entity.moduleId = null;
+            });
         }
         
+        // Exclui o módulo
+        await db.doc(modulePath).delete();
+        
         // Atualiza a ordem local apenas se for o workspace do usuário atual
         if (!ownerId || ownerId === currentUserId) {
             modulesOrder = modulesOrder.filter(id => id !== moduleId);
         }
         
+        const entityNames = entitiesSnapshot.docs.map(doc => doc.data().name).join(', ');
+        await logWorkspaceActivity(workspaceId, ownerId, {
+            action: 'module.delete',
+            targetType: 'module',
+            targetId: moduleId,
+            targetName: moduleName,
+            summary: options.deleteEntities ?
+                `${entityIds.length} entidade${entityIds.length !== 1 ? 's' : ''} e ${deletedRecords} registo${deletedRecords !== 1 ? 's' : ''} eliminados` :
+                `${entityIds.length} entidade${entityIds.length !== 1 ? 's' : ''} devolvida${entityIds.length !== 1 ? 's' : ''} à biblioteca`,
+            before: entityNames ? { Entidades: entityNames } : {}
+        });
+        
         hideLoading();
+        return deletedRecords;
     } catch (error) {
         hideLoading();
         console.error("Erro ao excluir módulo:", error);
-        showError('Erro ao Excluir', 'Não foi possível excluir o módulo.');
+        if (error.name === 'ReferenceBlockedError') {
+            showError('Eliminação Bloqueada', 'Outras entidades têm campos de relacionamento que apontam para entidades deste módulo.');
+        } else {
+            showError('Erro ao Excluir', 'Não foi possível excluir o módulo.');
+        }
         throw error;
     }
 }
 
 /**
- * Salva a estrutura de uma entidade
+ * Salva a estrutura de uma entidade.
+ * A gravação é feita numa transação que incrementa o número de revisão da entidade; se for indicada a
+ * revisão esperada e alguém tiver guardado entretanto, a gravação é rejeitada com um RevisionConflictError
+ * que traz a versão atual em error.current ({ revision, name, attributes, updatedBy, updatedAt }).
  * @param {string} moduleId - ID do módulo
  * @param {string} entityId - ID da entidade
  * @param {string} entityName - Nome da entidade
  * @param {Array} attributes - Atributos da entidade
  * @param {string} workspaceId - ID da área de trabalho
  * @param {string} ownerId - ID do dono da área de trabalho (opcional)
- * @returns {Promise<void>}
+ * @param {Object} options - { expectedRevision: revisão em que a edição começou (omitir para substituir sem verificar) }
+ * @returns {Promise<number>} - Nova revisão da entidade
  */
-export async function saveEntityStructure(moduleId, entityId, entityName, attributes, workspaceId = 'default', ownerId = null) {
+export async function saveEntityStructure(moduleId, entityId, entityName, attributes, workspaceId = 'default', ownerId = null, options = {}) {
+    assertCanWrite(ownerId);
+    
     try {
         showLoading('Salvando estrutura...');
         
@@ -474,25 +1072,220 @@ export async function saveEntityStructure(moduleId, entityId, entityName, attrib
             moduleId,
             entityId,
             ownerId,
+            expectedRevision: options.expectedRevision,
             attributesCount: attributes.length
         });
         
-        // Atualiza o campo attributes na entidade
-        await db.doc(docPath).update({ 
-            name: entityName,
-            attributes: attributes 
+        const docRef = db.doc(docPath);
+        const updatedBy = { id: currentUserId, name: getUsuarioNome() || getUsuarioEmail() || '' };
+        const updatedAt = new Date().toISOString();
+        let previous = {};
+        
+        const revision = await db.runTransaction(async transaction => {
+            const docSnap = await transaction.get(docRef);
+            const current = docSnap.exists ? docSnap.data() : {};
+            const currentRevision = current.revision || 0;
+            previous = current;
+            
+            if (options.expectedRevision !== undefined && options.expectedRevision !== null &&
+                currentRevision !== options.expectedRevision) {
+                const error = new Error('A estrutura foi alterada por outra pessoa desde que foi aberta.');
+                error.name = 'RevisionConflictError';
+                error.current = {
+                    revision: currentRevision,
+                    name: current.name,
+                    attributes: current.attributes || [],
+                    updatedBy: current.updatedBy || null,
+                    updatedAt: current.updatedAt || null
+                };
+                throw error;
+            }
+            
+            transaction.update(docRef, {
+                name: entityName,
+                attributes: attributes,
+                revision: currentRevision + 1,
+                updatedBy,
+                updatedAt
+            });
+            return currentRevision + 1;
+        });
+        
+        // Mantém a cache local coerente com o que foi guardado
+        const cachedEntity = allEntities.find(e => e.id === entityId);
+        if (cachedEntity) {
+            cachedEntity.name = entityName;
+            cachedEntity.attributes = attributes;
+            cachedEntity.revision = revision;
+            cachedEntity.updatedBy = updatedBy;
+            cachedEntity.updatedAt = updatedAt;
+        }
+        
+        const changes = summarizeStructureEdit(previous.attributes || [], attributes);
+        if (previous.name && previous.name !== entityName) {
+            changes.before.Nome = previous.name;
+            changes.after.Nome = entityName;
+        }
+        await logWorkspaceActivity(workspaceId, ownerId, {
+            action: 'structure.save',
+            targetType: 'entity',
+            targetId: entityId,
+            targetName: entityName,
+            ...changes
         });
         
         console.log("Estrutura salva com sucesso no Firestore");
         hideLoading();
+        return revision;
     } catch (error) {
         hideLoading();
+        if (error.name === 'RevisionConflictError') {
+            // O conflito é resolvido por quem chamou (diálogo de junção no construtor)
+            console.warn("Conflito de revisão ao salvar estrutura:", error.current);
+            throw error;
+        }
         console.error("Erro ao salvar estrutura:", error);
         showError('Erro ao Salvar', 'Não foi possível salvar a estrutura da entidade.');
         throw error;
     }
 }
 
+/**
+ * Cria ou acerta os campos inversos das relações de uma entidade nas entidades de destino
+ * e desliga os pares cujo campo foi removido
+ * @param {string} entityId - ID da entidade guardada
+ * @param {string} entityName - Nome da entidade guardada
+ * @param {Array} attributes - Atributos guardados
+ * @param {Array} previousAttributes - Atributos antes da gravação
+ * @param {string} workspaceId - ID da área de trabalho
+ * @param {string} ownerId - ID do dono da área de trabalho (opcional)
+ * @returns {Promise<Array<string>>} - Nomes das entidades alteradas
+ */
+export async function syncInverseRelationshipFields(entityId, entityName, attributes, previousAttributes, workspaceId = 'default', ownerId = null) {
+    assertCanWrite(ownerId);
+    
+    const entity = { id: entityId, name: entityName };
+    const planned = planInverseFieldChanges(entity, attributes, previousAttributes, allEntities);
+    if (Object.keys(planned).length === 0) return [];
+    
+    try {
+        showLoading('Atualizando campos inversos...');
+        
+        const updatedNames = [];
+        for (const targetEntityId of Object.keys(planned)) {
+            const docRef = db.doc(getDbPath(workspaceId, ownerId, `entities/${targetEntityId}`));
+            
+            // Recalcula sobre a versão guardada para não perder alterações feitas entretanto
+            const saved = await db.runTransaction(async transaction => {
+                const docSnap = await transaction.get(docRef);
+                if (!docSnap.exists) return null;
+                
+                const target = { id: targetEntityId, ...docSnap.data() };
+                const targetAttributes = planInverseFieldChanges(entity, attributes, previousAttributes, [target])[targetEntityId];
+                if (!targetAttributes) return null;
+                
+                const revision = (target.revision || 0) + 1;
+                transaction.update(docRef, { attributes: targetAttributes, revision });
+                return { name: target.name, attributes: targetAttributes, revision };
+            });
+            if (!saved) continue;
+            
+            const cachedEntity = allEntities.find(e => e.id === targetEntityId);
+            if (cachedEntity) {
+                cachedEntity.attributes = saved.attributes;
+                cachedEntity.revision = saved.revision;
+            }
+            updatedNames.push(saved.name);
+        }
+        
+        hideLoading();
+        return updatedNames;
+    } catch (error) {
+        hideLoading();
+        console.error("Erro ao atualizar campos inversos:", error);
+        showError('Erro ao Salvar', 'A estrutura foi guardada, mas não foi possível atualizar os campos inversos das relações.');
+        throw error;
+    }
+}
+
+/**
+ * Aplica a migração de esquema aos registos existentes de uma entidade
+ * @param {string} entityId - ID da entidade
+ * @param {Array} changes - Alterações calculadas por diffAttributes
+ * @param {string} workspaceId - ID da área de trabalho
+ * @param {string} ownerId - ID do dono da área de trabalho (opcional)
+ * @returns {Promise<number>} - Número de registos alterados
+ */
+export async function migrateEntityRecords(entityId, changes, workspaceId = 'default', ownerId = null) {
+    assertCanWrite(ownerId);
+    
+    try {
+        showLoading('Atualizando registos existentes...');
+        
+        const currentUserId = getUsuarioId();
+        const targetUserId = ownerId || currentUserId;
+        const recordsPath = `users/${targetUserId}/workspaces/${workspaceId}/entities/${entityId}/records`;
+        
+        const snapshot = await db.collection(recordsPath).get();
+        const pending = [];
+        
+        snapshot.forEach(doc => {
+            const updates = migrateRecord(doc.data(), changes);
+            if (updates) {
+                Object.keys(updates).forEach(key => {
+                    if (updates[key] === DROP_VALUE) {
+                        updates[key] = firebase.firestore.FieldValue.delete();
+                    }
+                });
+                pending.push({ ref: doc.ref, updates });
+            }
+        });
+        
+        // Grava em batches para respeitar o limite do Firestore
+        for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+            const batch = db.batch();
+            pending.slice(i, i + BATCH_SIZE).forEach(({ ref, updates }) => {
+                batch.update(ref, { ...updates, updated_at: new Date().toISOString() });
+            });
+            await batch.commit();
+        }
+        
+        if (pending.length > 0) {
+            await logWorkspaceActivity(workspaceId, ownerId, {
+                action: 'structure.migrate-records',
+                targetType: 'entity',
+                targetId: entityId,
+                targetName: getEntityName(entityId),
+                summary: `${pending.length} registo${pending.length !== 1 ? 's' : ''} atualizado${pending.length !== 1 ? 's' : ''}`
+            });
+        }
+        
+        hideLoading();
+        return pending.length;
+    } catch (error) {
+        hideLoading();
+        console.error("Erro ao migrar registos:", error);
+        showError('Erro na Migração', 'A estrutura foi guardada, mas não foi possível atualizar todos os registos existentes.');
+        throw error;
+    }
+}
+
+/**
+ * Conta os registos de uma entidade para os avisos de migração e de eliminação.
+ * O SDK compat não tem a agregação count(), por isso a leitura pára em RECORD_COUNT_LIMIT + 1
+ * registos: um resultado acima de RECORD_COUNT_LIMIT quer dizer "mais de RECORD_COUNT_LIMIT".
+ * @param {string} entityId - ID da entidade
+ * @param {string} workspaceId - ID da área de trabalho
+ * @param {string} ownerId - ID do dono da área de trabalho (opcional)
+ * @returns {Promise<number>} - Número de registos (no máximo RECORD_COUNT_LIMIT + 1)
+ */
+export async function countEntityRecords(entityId, workspaceId = 'default', ownerId = null) {
+    const snapshot = await db.collection(getDbPath(workspaceId, ownerId, `entities/${entityId}/records`))
+        .limit(RECORD_COUNT_LIMIT + 1)
+        .get();
+    return snapshot.size;
+}
+
 /**
  * Salva a estrutura de uma sub-entidade
  * @param {string} moduleId - ID do módulo
@@ -504,6 +1297,8 @@ export async function saveEntityStructure(moduleId, entityId, entityName, attrib
  * @returns {Promise<void>}
  */
 export async function saveSubEntityStructure(moduleId, entityId, parentFieldId, attributes, workspaceId = 'default', ownerId = null) {
+    assertCanWrite(ownerId);
+    
     try {
         showLoading('Salvando estrutura...');
         
@@ -512,23 +1307,45 @@ export async function saveSubEntityStructure(moduleId, entityId, parentFieldId,
         const docPath = `users/${targetUserId}/workspaces/${workspaceId}/entities/${entityId}`;
         
         // Migrado para Firestore: busca a entidade
+        // A transação lê a versão mais recente e incrementa a revisão, para que quem
+        // tenha a entidade aberta no construtor detete a alteração ao guardar
         const docRef = db.doc(docPath);
-        const docSnap = await docRef.get();
-        
-        if (docSnap.exists) {
+        let previousAttributes = [];
+        const saved = await db.runTransaction(async transaction => {
+            const docSnap = await transaction.get(docRef);
+            if (!docSnap.exists) return null;
+            
             const entityData = docSnap.data();
             const parentField = entityData.attributes?.find(attr => attr.id === parentFieldId);
+            if (!parentField) return null;
             
-            if (parentField) {
-                // Certifique-se de que subSchema existe
-                if (!parentField.subSchema) {
-                    parentField.subSchema = {};
-                }
-                parentField.subSchema.attributes = attributes;
-                
-                // Atualiza a entidade com a nova estrutura de sub-entidade
-                await docRef.update({ attributes: entityData.attributes });
+            // Certifique-se de que subSchema existe
+            if (!parentField.subSchema) {
+                parentField.subSchema = {};
             }
+            previousAttributes = parentField.subSchema.attributes || [];
+            parentField.subSchema.attributes = attributes;
+            
+            // Atualiza a entidade com a nova estrutura de sub-entidade
+            const revision = (entityData.revision || 0) + 1;
+            transaction.update(docRef, { attributes: entityData.attributes, revision });
+            return { name: entityData.name, parentLabel: parentField.label, attributes: entityData.attributes, revision };
+        });
+        
+        const cachedEntity = allEntities.find(e => e.id === entityId);
+        if (saved && cachedEntity) {
+            cachedEntity.attributes = saved.attributes;
+            cachedEntity.revision = saved.revision;
+        }
+        
+        if (saved) {
+            await logWorkspaceActivity(workspaceId, ownerId, {
+                action: 'structure.save-sub-entity',
+                targetType: 'entity',
+                targetId: entityId,
+                targetName: `${saved.name} · ${saved.parentLabel}`,
+                ...summarizeStructureEdit(previousAttributes, attributes)
+            });
         }
         
         hideLoading();
@@ -548,6 +1365,8 @@ export async function saveSubEntityStructure(moduleId, entityId, parentFieldId,
  * @returns {Promise<void>}
  */
 export async function saveModulesOrder(orderArray, workspaceId = 'default', ownerId = null) {
+    assertCanWrite(ownerId);
+    
     try {
         const currentUserId = getUsuarioId();
         const targetUserId = ownerId || currentUserId;
@@ -566,6 +1385,12 @@ export async function saveModulesOrder(orderArray, workspaceId = 'default', owne
         });
         await batch.commit();
         
+        await logWorkspaceActivity(workspaceId, ownerId, {
+            action: 'module.reorder',
+            targetType: 'module',
+            summary: `Nova ordem de ${orderArray.length} módulo${orderArray.length !== 1 ? 's' : ''}`
+        });
+        
         console.log("Ordem dos módulos salva com sucesso no Firestore");
     } catch (error) {
         console.error("Erro ao salvar ordem dos módulos:", error);
@@ -582,6 +1407,89 @@ export function getModulesOrder() {
     return modulesOrder;
 }
 
+/**
+ * Lê os módulos, as entidades e, opcionalmente, os registos de uma área de trabalho para exportação
+ * (as mesmas coleções usadas por loadAndRenderModules e loadAllEntities)
+ * @param {string} workspaceId - ID da área de trabalho
+ * @param {string} ownerId - ID do dono da área de trabalho (opcional, para workspaces compartilhados)
+ * @param {Object} options - { includeRecords: exportar também os registos }
+ * @returns {Promise<{modules: Array, entities: Array, records: Object|null}>}
+ */
+export async function loadWorkspaceExportData(workspaceId = 'default', ownerId = null, options = {}) {
+    try {
+        showLoading('Preparando exportação...');
+
+        const basePath = getDbPath(workspaceId, ownerId);
+        const modulesSnapshot = await db.collection(`${basePath}/modules`).orderBy('order').get();
+        const entitiesSnapshot = await db.collection(`${basePath}/entities`).get();
+
+        const modules = modulesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const entities = entitiesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+        let records = null;
+        if (options.includeRecords) {
+            records = {};
+            for (const entity of entities) {
+                const recordsSnapshot = await db.collection(`${basePath}/entities/${entity.id}/records`).get();
+                records[entity.id] = recordsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            }
+        }
+
+        hideLoading();
+        return { modules, entities, records };
+    } catch (error) {
+        hideLoading();
+        console.error("Erro ao ler a área de trabalho para exportação:", error);
+        showError('Erro na Exportação', 'Não foi possível ler os dados da área de trabalho.');
+        throw error;
+    }
+}
+
+/**
+ * Grava o conteúdo de um pacote exportado numa área de trabalho do usuário atual,
+ * com novos IDs para módulos e entidades (ver remapWorkspaceBundle)
+ * @param {Object} bundle - Pacote validado por parseWorkspaceBundle
+ * @param {string} workspaceId - ID da área de trabalho de destino
+ * @returns {Promise<{idMap: Object, warnings: Array<string>}>}
+ */
+export async function importWorkspaceBundle(bundle, workspaceId) {
+    try {
+        showLoading('Importando área de trabalho...');
+
+        const basePath = getDbPath(workspaceId, null);
+        const { modules, entities, records, idMap, warnings } = remapWorkspaceBundle(bundle, () => db.collection(`${basePath}/entities`).doc().id);
+
+        const writes = [];
+        modules.forEach(({ id, ...data }) => writes.push([`${basePath}/modules/${id}`, data]));
+        entities.forEach(({ id, ...data }) => writes.push([`${basePath}/entities/${id}`, data]));
+        Object.entries(records || {}).forEach(([entityId, list]) => {
+            list.forEach(({ id, ...data }) => writes.push([`${basePath}/entities/${entityId}/records/${id}`, data]));
+        });
+
+        for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+            const batch = db.batch();
+            writes.slice(i, i + BATCH_SIZE).forEach(([path, data]) => batch.set(db.doc(path), data));
+            await batch.commit();
+        }
+
+        const recordCount = Object.values(records || {}).reduce((total, list) => total + list.length, 0);
+        await logWorkspaceActivity(workspaceId, null, {
+            action: 'workspace.import',
+            targetType: 'workspace',
+            targetId: workspaceId,
+            summary: `${modules.length} módulo${modules.length !== 1 ? 's' : ''}, ${entities.length} entidade${entities.length !== 1 ? 's' : ''} e ${recordCount} registo${recordCount !== 1 ? 's' : ''}`
+        });
+
+        hideLoading();
+        return { idMap, warnings };
+    } catch (error) {
+        hideLoading();
+        console.error("Erro ao importar área de trabalho:", error);
+        showError('Erro na Importação', 'Não foi possível gravar o conteúdo importado.');
+        throw error;
+    }
+}
+
 /**
  * Carrega preferências do usuário do Firebase
  * @returns {Promise<Object>} - Objeto com as preferências do usuário
@@ -678,6 +1586,8 @@ export function getUserPreference(key, defaultValue = null) {
 // Por ora, mantendo a lógica original de usar getUsuarioId() para o caminho, pois 'data' está fora de 'workspaces'.
 // Se 'data' DEVE ser por workspace, esta função e as relacionadas (update, load, deleteEntityRecord) precisam de uma revisão maior.
 export async function saveEntityData(moduleId, entityId, data, workspaceId = 'default', ownerId = null) {
+    assertCanWrite(ownerId);
+    
     try {
         showLoading('Salvando dados...');
         
@@ -688,25 +1598,105 @@ export async function saveEntityData(moduleId, entityId, data, workspaceId = 'de
             throw new Error('Usuário não autenticado');
         }
         
-        // Dados com metadados do sistema
-        const recordData = {
-            ...data,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-            created_by: currentUserId
-        };
+        assertValidRecordData(entityId, data, false);
+        
+        const recordData = buildNewRecordData(entityId, data);
         
         // Nova estrutura: users/{userId}/workspaces/{workspaceId}/entities/{entityId}/records
         const recordsPath = `users/${targetUserId}/workspaces/${workspaceId}/entities/${entityId}/records`;
         
         const docRef = await db.collection(recordsPath).add(recordData);
         
+        if (hasInverseRelationships(entityId)) {
+            await syncInverseLinksSafely(entityId, docRef.id, {}, data, workspaceId, ownerId);
+        }
+        if (getNotifyingPersonFields(entityId).length > 0) {
+            await notifyAssignedPeople(moduleId, entityId, docRef.id, {}, data, workspaceId, ownerId);
+        }
+        await logRecordActivity('record.create', entityId, docRef.id, {}, data, workspaceId, ownerId);
+        
         hideLoading();
         return docRef.id;
     } catch (error) {
         hideLoading();
         console.error("Erro ao salvar dados:", error);
-        showError('Erro ao Salvar', 'Não foi possível salvar os dados.');
+        if (error.fieldErrors) {
+            showError('Dados Inválidos', error.message);
+        } else {
+            showError('Erro ao Salvar', 'Não foi possível salvar os dados.');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Salva vários registos novos em lotes (importações), pelo mesmo caminho e com os mesmos
+ * metadados de saveEntityData
+ * @param {string} moduleId - ID do módulo
+ * @param {string} entityId - ID da entidade
+ * @param {Array<Object>} dataList - Dados de cada registo (já convertidos)
+ * @param {string} workspaceId - ID da área de trabalho
+ * @param {string} ownerId - ID do dono da área de trabalho (opcional)
+ * @param {Function} onProgress - Recebe (gravados, total) após cada lote (opcional)
+ * @returns {Promise<number>} - Número de registos gravados; em caso de erro, error.savedCount indica quantos ficaram gravados
+ */
+export async function saveEntityRecordsInBatches(moduleId, entityId, dataList, workspaceId = 'default', ownerId = null, onProgress = null) {
+    assertCanWrite(ownerId);
+    
+    let savedCount = 0;
+    try {
+        showLoading(`Importando ${dataList.length} registos...`);
+        
+        if (!getUsuarioId()) {
+            throw new Error('Usuário não autenticado');
+        }
+        
+        // Valida tudo antes de gravar o primeiro lote
+        dataList.forEach(data => assertValidRecordData(entityId, data, false));
+        
+        const recordsPath = getDbPath(workspaceId, ownerId, `entities/${entityId}/records`);
+        const inverseSync = hasInverseRelationships(entityId);
+        const assignmentNotify = getNotifyingPersonFields(entityId).length > 0;
+        
+        for (let i = 0; i < dataList.length; i += BATCH_SIZE) {
+            const chunk = dataList.slice(i, i + BATCH_SIZE).map(data => ({ ref: db.collection(recordsPath).doc(), data }));
+            const batch = db.batch();
+            chunk.forEach(({ ref, data }) => batch.set(ref, buildNewRecordData(entityId, data)));
+            await batch.commit();
+            
+            // Os mesmos passos de saveEntityData: campos inversos dos registos ligados e avisos de atribuição
+            for (const { ref, data } of chunk) {
+                if (inverseSync) {
+                    await syncInverseLinksSafely(entityId, ref.id, {}, data, workspaceId, ownerId);
+                }
+                if (assignmentNotify) {
+                    await notifyAssignedPeople(moduleId, entityId, ref.id, {}, data, workspaceId, ownerId);
+                }
+            }
+            
+            savedCount += chunk.length;
+            if (onProgress) onProgress(savedCount, dataList.length);
+        }
+        
+        await logWorkspaceActivity(workspaceId, ownerId, {
+            action: 'record.import',
+            targetType: 'entity',
+            targetId: entityId,
+            targetName: getEntityName(entityId),
+            summary: `${savedCount} registo${savedCount !== 1 ? 's' : ''} importado${savedCount !== 1 ? 's' : ''}`
+        });
+        
+        hideLoading();
+        return savedCount;
+    } catch (error) {
+        hideLoading();
+        console.error("Erro ao salvar registos em lote:", error);
+        error.savedCount = savedCount;
+        if (error.fieldErrors) {
+            showError('Dados Inválidos', error.message);
+        } else {
+            showError('Erro ao Salvar', `Não foi possível salvar todos os registos (${savedCount} de ${dataList.length} gravados).`);
+        }
         throw error;
     }
 }
@@ -722,6 +1712,8 @@ export async function saveEntityData(moduleId, entityId, data, workspaceId = 'de
  * @returns {Promise<void>}
  */
 export async function updateEntityData(moduleId, entityId, recordId, data, workspaceId = 'default', ownerId = null) {
+    assertCanWrite(ownerId);
+    
     try {
         showLoading('Atualizando dados...');
         
@@ -732,22 +1724,44 @@ export async function updateEntityData(moduleId, entityId, recordId, data, works
             throw new Error('Usuário não autenticado');
         }
         
-        // Adiciona timestamp de atualização
+        assertValidRecordData(entityId, data, true);
+        
+        // Adiciona timestamp de atualização e quem editou
         const updateData = {
             ...data,
-            updated_at: new Date().toISOString()
+            ...buildSystemFieldValues(entityId, 'update'),
+            updated_at: new Date().toISOString(),
+            updated_by: currentUserId
         };
         
         // Nova estrutura: users/{userId}/workspaces/{workspaceId}/entities/{entityId}/records/{recordId}
         const recordPath = `users/${targetUserId}/workspaces/${workspaceId}/entities/${entityId}/records/${recordId}`;
         
+        // Os valores anteriores dizem que registos ligados ganham ou perdem a ligação,
+        // que pessoas foram acabadas de atribuir e o que mudou para o registo de atividade
+        const inverseSync = hasInverseRelationships(entityId);
+        const assignmentNotify = getNotifyingPersonFields(entityId).some(field => Object.prototype.hasOwnProperty.call(data, field.id));
+        const before = (await db.doc(recordPath).get()).data() || {};
+        
         await db.doc(recordPath).update(updateData);
         
+        if (inverseSync) {
+            await syncInverseLinksSafely(entityId, recordId, before, data, workspaceId, ownerId);
+        }
+        if (assignmentNotify) {
+            await notifyAssignedPeople(moduleId, entityId, recordId, before, data, workspaceId, ownerId);
+        }
+        await logRecordActivity('record.update', entityId, recordId, before, data, workspaceId, ownerId);
+        
         hideLoading();
     } catch (error) {
         hideLoading();
         console.error("Erro ao atualizar dados:", error);
-        showError('Erro ao Atualizar', 'Não foi possível atualizar os dados.');
+        if (error.fieldErrors) {
+            showError('Dados Inválidos', error.message);
+        } else {
+            showError('Erro ao Atualizar', 'Não foi possível atualizar os dados.');
+        }
         throw error;
     }
 }
@@ -803,6 +1817,8 @@ export async function loadEntityData(moduleId, entityId, workspaceId = 'default'
  * @returns {Promise<void>}
  */
 export async function deleteEntityRecord(moduleId, entityId, recordId, workspaceId = 'default', ownerId = null) {
+    assertCanWrite(ownerId);
+    
     try {
         showLoading('Excluindo registro...');
         
@@ -816,8 +1832,21 @@ export async function deleteEntityRecord(moduleId, entityId, recordId, workspace
         // Nova estrutura: users/{userId}/workspaces/{workspaceId}/entities/{entityId}/records/{recordId}
         const recordPath = `users/${targetUserId}/workspaces/${workspaceId}/entities/${entityId}/records/${recordId}`;
         
+        const inverseSync = hasInverseRelationships(entityId);
+        const attributes = allEntities.find(e => e.id === entityId)?.attributes || [];
+        const hasFiles = attributes.some(attr => attr.type === 'file');
+        const before = (await db.doc(recordPath).get()).data() || {};
+        
         await db.doc(recordPath).delete();
         
+        if (inverseSync) {
+            await syncInverseLinksSafely(entityId, recordId, before, {}, workspaceId, ownerId);
+        }
+        if (hasFiles) {
+            await deleteStoredFiles(filterWorkspaceFilePaths(getRecordFilePaths(attributes, before), entityId, workspaceId, ownerId));
+        }
+        await logRecordActivity('record.delete', entityId, recordId, before, {}, workspaceId, ownerId);
+        
         hideLoading();
     } catch (error) {
         hideLoading();
@@ -933,6 +1962,118 @@ export async function checkResourceAccess(resourceId) {
     }
 }
 
+/**
+ * Acrescenta uma entrada ao registo de atividade da área de trabalho.
+ * A alteração já foi gravada: uma falha no registo é só avisada na consola.
+ * @param {string} workspaceId - ID da área de trabalho
+ * @param {string} ownerId - ID do dono da área de trabalho (opcional)
+ * @param {Object} entry - { action, targetType, targetId, targetName, summary, before, after } (ver AUDIT_ACTIONS)
+ * @returns {Promise<void>}
+ */
+export async function logWorkspaceActivity(workspaceId = 'default', ownerId = null, entry = {}) {
+    try {
+        await db.collection(getAuditLogPath(workspaceId, ownerId)).add({
+            action: entry.action,
+            targetType: entry.targetType || null,
+            targetId: entry.targetId || null,
+            targetName: entry.targetName || '',
+            summary: entry.summary || '',
+            before: entry.before || {},
+            after: entry.after || {},
+            actorId: getUsuarioId(),
+            actorName: getUsuarioNome() || getUsuarioEmail() || 'Usuário',
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (error) {
+        console.warn(`Não foi possível registar a atividade (${entry.action}):`, error);
+    }
+}
+
+/**
+ * Carrega as entradas mais recentes do registo de atividade (só donos e administradores têm acesso)
+ * @param {string} workspaceId - ID da área de trabalho
+ * @param {string} ownerId - ID do dono da área de trabalho (opcional)
+ * @param {number} limit - Número máximo de entradas
+ * @returns {Promise<Array>} - Entradas, das mais recentes para as mais antigas
+ */
+export async function loadWorkspaceActivity(workspaceId = 'default', ownerId = null, limit = 200) {
+    try {
+        const snapshot = await db.collection(getAuditLogPath(workspaceId, ownerId))
+            .orderBy('createdAt', 'desc')
+            .limit(limit)
+            .get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }));
+    } catch (error) {
+        console.error("Erro ao carregar o registo de atividade:", error);
+        showError('Erro ao Carregar', 'Não foi possível carregar o registo de atividade.');
+        throw error;
+    }
+}
+
+/**
+ * Carrega as pessoas com acesso a uma área de trabalho: o dono, os convites aceites e o
+ * papel do usuário atual em accessControl, com o nome e a foto guardados em users/{uid}
+ * @param {string} workspaceId - ID da área de trabalho
+ * @param {string} ownerId - ID do dono da área de trabalho (opcional)
+ * @returns {Promise<Array>} - Lista de { id, name, email, photoURL, role, isOwner }
+ */
+export async function loadWorkspaceMembers(workspaceId = 'default', ownerId = null) {
+    try {
+        const currentUserId = getUsuarioId();
+        if (!currentUserId) {
+            throw new Error('Usuário não autenticado');
+        }
+        const targetUserId = ownerId || currentUserId;
+        
+        const members = new Map();
+        members.set(targetUserId, { id: targetUserId, role: 'owner', isOwner: true, email: '' });
+        
+        // Um acesso revogado muda o estado do convite, por isso só ficam os acessos em vigor
+        const invitations = await db.collection('invitations')
+            .where('fromUserId', '==', targetUserId)
+            .where('resourceId', '==', workspaceId)
+            .where('status', '==', 'accepted')
+            .get();
+        invitations.forEach(doc => {
+            const invitation = doc.data();
+            if (invitation.toUserId && !members.has(invitation.toUserId)) {
+                members.set(invitation.toUserId, { id: invitation.toUserId, role: invitation.role, isOwner: false, email: invitation.toEmail || '' });
+            }
+        });
+        
+        // O usuário atual entra pelo seu accessControl, mesmo sem o convite estar entre os lidos
+        if (targetUserId !== currentUserId) {
+            const accessSnap = await db.collection('accessControl').doc(currentUserId).get();
+            const role = accessSnap.exists ? accessSnap.data()[workspaceId] : null;
+            if (role) {
+                members.set(currentUserId, { id: currentUserId, role, isOwner: false, email: getUsuarioEmail() || '' });
+            }
+        }
+        
+        // Só o perfil público (nome e foto) pode ser lido; o email vem do convite.
+        // Um perfil que não se consiga ler fica só com o email do convite
+        const profiles = await Promise.all(Array.from(members.keys()).map(uid =>
+            db.doc(`publicProfiles/${uid}`).get()
+                .then(snap => (snap.exists ? snap.data() : {}))
+                .catch(() => ({}))));
+        
+        return Array.from(members.values()).map((member, index) => {
+            const profile = profiles[index];
+            const email = member.email || (member.id === currentUserId ? getUsuarioEmail() || '' : '');
+            return {
+                ...member,
+                email,
+                name: profile.displayName || (member.id === currentUserId ? getUsuarioNome() : '') || email || 'Usuário',
+                photoURL: profile.photoURL || (member.id === currentUserId ? getUsuarioFoto() : null) || null
+            };
+        });
+    } catch (error) {
+        // Quem usa a lista continua a funcionar sem ela, por isso o erro não é mostrado aqui
+        console.error("Erro ao carregar as pessoas da área de trabalho:", error);
+        throw error;
+    }
+}
+
 /**
  * Carrega módulos compartilhados de outro usuário
  * @param {string} ownerId - ID do usuário dono dos recursos
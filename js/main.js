@@ -8,15 +8,31 @@ import { initAutenticacao, isUsuarioLogado, getUsuarioId } from './autenticacao.
 import { initDatabase, loadAllEntities, loadAndRenderModules, createEntity, createModule, 
          saveEntityToModule, deleteEntityFromModule, deleteEntity, deleteModule, 
          saveEntityStructure, saveSubEntityStructure, saveModulesOrder,
-         copyEntityToModule, moveEntityToModule, getEntities } from './database.js';
+         copyEntityToModule, moveEntityToModule, getEntities, updateEntityData, loadEntityData,
+         migrateEntityRecords, countEntityRecords, RECORD_COUNT_LIMIT, getEntityDeletionImpact,
+         syncInverseRelationshipFields, subscribeToModules, subscribeToEntities } from './database.js';
 import { initUI, closeMobileSidebar, createIcons, checkEmptyStates, showLoading, hideLoading, showSuccess, showError, showConfirmDialog, showInputDialog } from './ui.js';
 import { initUserProfile } from './user/userProfile.js';
-import { initInvitations, checkPendingInvitations } from './user/invitations.js';
-import { initWorkspaces, getCurrentWorkspace } from './workspaces.js';
+import { initInvitations, checkPendingInvitations, openManageInvites } from './user/invitations.js';
+import { initNotifications, notifyUsers } from './user/notifications.js';
+import { initWorkspaces, getCurrentWorkspace, openWorkspace } from './workspaces.js';
+import { initActivityLog } from './activityLog.js';
+import { can, applyRoleToDocument } from './permissions.js';
+import { initRecordForm, openRecordForm } from './records/recordForm.js';
+import { initRecordGrid, openRecordGrid } from './records/recordGrid.js';
+import { diffAttributes, hasDataImpact, describeChanges } from './records/schemaMigration.js';
+import { escapeHtml, getRecordLabel } from './records/fieldFormat.js';
+import { summarizeStructureChanges, mergeAttributes } from './records/structureMerge.js';
+import { validateFormula, renameFormulaReference, FORMULA_FUNCTIONS } from './records/formula.js';
+import { ROLLUP_AGGREGATIONS, getLookupTargetAttributes, getRollupTargetAttributes, getIncomingRelationships } from './records/linkedFields.js';
+import { RELATIONSHIP_CARDINALITIES, DEFAULT_CARDINALITY, getCardinality, describeCardinality, toLinkIds } from './records/relationships.js';
 
 // Variáveis globais
 let db;
 let modalNavigationStack = [];
+let boardListeners = []; // Funções que cancelam a observação em tempo real do quadro
+let builderBase = null; // Versão da entidade aberta no construtor ({ entityId, revision, attributes })
+let workspaceLoading = null; // Carregamento em curso da área de trabalho escolhida
 
 // Função helper para buscar entidade por ID
 function getEntityById(entityId) {
@@ -54,9 +70,19 @@ async function initApp() {
         // Inicializa o sistema de convites
         initInvitations(db);
         
+        // Inicializa as notificações (cada uma abre o registo ou os convites de onde veio)
+        initNotifications(db, { openRecord: openNotificationRecord, openInvitations: openManageInvites });
+        
         // Inicializa o sistema de áreas de trabalho
         initWorkspaces(db);
         
+        // Inicializa o painel de atividade (só visível para donos e administradores)
+        initActivityLog();
+        
+        // Inicializa o formulário e a grelha de registos
+        initRecordForm();
+        initRecordGrid();
+        
         // Verifica se há convites pendentes
         try {
             const pendingInvites = await checkPendingInvitations();
@@ -86,7 +112,9 @@ async function initApp() {
         // Configura listener para mudança de área de trabalho
         window.addEventListener('workspaceChanged', async (event) => {
             console.log("[workspaceChanged] Evento recebido. Carregando novo workspace.", event.detail.workspace);
-            await loadWorkspaceData(event.detail.workspace);
+            detachBoardListeners();
+            workspaceLoading = loadWorkspaceData(event.detail.workspace);
+            await workspaceLoading;
         });
         
         // Carrega dados da área de trabalho atual
@@ -102,6 +130,10 @@ async function initApp() {
         // Configura o painel de propriedades dos campos
         setupFieldPropertiesPanelEvents();
         
+        // Aplica as permissões do papel atual aos controlos criados acima
+        applyPermissionsToBoard();
+        window.addEventListener('workspaceRoleChanged', applyPermissionsToBoard);
+        
         // Verifica os estados vazios
         checkEmptyStates();
         
@@ -119,13 +151,16 @@ async function initApp() {
 }
 
 /**
- * Carrega dados de uma área de trabalho específica
+ * Carrega dados de uma área de trabalho específica e passa a observá-la em tempo real
  * @param {Object} workspace - Área de trabalho a ser carregada
  */
 async function loadWorkspaceData(workspace) {
     showLoading('Carregando área de trabalho...');
     console.log('[loadWorkspaceData] Iniciando carregamento para:', workspace);
 
+    // Cancela a observação da área de trabalho anterior
+    detachBoardListeners();
+
     try {
         const entityList = document.getElementById('entity-list');
         const moduleContainer = document.getElementById('module-container');
@@ -138,31 +173,32 @@ async function loadWorkspaceData(workspace) {
 
         console.log(`[loadWorkspaceData] Detalhes: workspaceId=${workspaceId}, ownerId=${ownerId}, isShared=${workspace.isShared}`);
         
-        const entities = await loadAllEntities(workspaceId, ownerId);
-        
-        if (entityList) {
-            entities.forEach(entity => renderEntityInLibrary(entity));
-        }
-        
         populateFieldsToolbox();
         
-        await loadAndRenderModules(renderModule, workspaceId, ownerId);
-        
-        // NOVA LÓGICA: Renderizar entidades nos módulos baseado no moduleId
-        const allEntities = await loadAllEntities(workspaceId, ownerId);
-        allEntities.forEach(entity => {
-            if (entity.moduleId) {
-                renderDroppedEntity(entity.moduleId, entity.id, { entityName: entity.name, attributes: entity.attributes || [] }, entity);
-            }
+        // Os módulos vêm primeiro: os cards das entidades são colocados dentro deles
+        await new Promise((resolve, reject) => {
+            let firstSnapshot = true;
+            boardListeners.push(subscribeToModules((changes, orderedModules) => {
+                applyModuleChanges(changes, orderedModules);
+                if (firstSnapshot) {
+                    firstSnapshot = false;
+                    resolve();
+                }
+            }, workspaceId, ownerId, reject));
         });
         
-        // Força a reconfiguração do drag-and-drop para todos os módulos existentes
-        const allModules = document.querySelectorAll('.module-quadro');
-        allModules.forEach(moduleEl => {
-            setupDragAndDropForModule(moduleEl);
+        await new Promise((resolve, reject) => {
+            let firstSnapshot = true;
+            boardListeners.push(subscribeToEntities(changes => {
+                applyEntityChanges(changes);
+                if (firstSnapshot) {
+                    firstSnapshot = false;
+                    resolve();
+                }
+            }, workspaceId, ownerId, reject));
         });
         
-        checkEmptyStates();
+        applyPermissionsToBoard();
         
         if (window.lucide) {
             setTimeout(() => lucide.createIcons(), 200);
@@ -176,6 +212,108 @@ async function loadWorkspaceData(workspace) {
     }
 }
 
+/**
+ * Aplica o papel do usuário na área de trabalho atual: esconde os controlos que alteram dados
+ * (via data-requires-permission) e ativa ou desativa o arrastar e soltar
+ */
+function applyPermissionsToBoard() {
+    applyRoleToDocument();
+    
+    const readOnly = !can('edit');
+    const sortableContainers = [
+        document.getElementById('entity-list'),
+        document.getElementById('module-container'),
+        document.getElementById('fields-toolbox'),
+        document.getElementById('form-builder-dropzone'),
+        ...document.querySelectorAll('.entities-dropzone')
+    ];
+    sortableContainers.forEach(container => {
+        if (container && container._sortable) {
+            container._sortable.option('disabled', readOnly);
+        }
+    });
+}
+
+/**
+ * Cancela as observações em tempo real do quadro
+ */
+function detachBoardListeners() {
+    boardListeners.forEach(unsubscribe => unsubscribe());
+    boardListeners = [];
+}
+
+/**
+ * Aplica ao quadro as alterações de módulos recebidas em tempo real
+ * @param {Array} changes - Alterações ({ type, module })
+ * @param {Array} orderedModules - Todos os módulos pela ordem guardada
+ */
+function applyModuleChanges(changes, orderedModules) {
+    changes.forEach(({ type, module }) => {
+        const moduleEl = document.querySelector(`.module-quadro[data-module-id="${module.id}"]`);
+        
+        if (type === 'removed') {
+            if (moduleEl) moduleEl.remove();
+            return;
+        }
+        
+        if (moduleEl) {
+            moduleEl.querySelector('.module-title').textContent = module.name;
+            return;
+        }
+        
+        renderModule(module);
+        
+        // Entidades que chegaram antes do módulo
+        getEntities().filter(entity => entity.moduleId === module.id).forEach(entity => {
+            renderDroppedEntity(module.id, entity.id, { entityName: entity.name, attributes: entity.attributes || [] }, entity);
+        });
+    });
+    
+    // Reordena apenas se a ordem no ecrã for diferente da guardada
+    const container = document.getElementById('module-container');
+    const currentOrder = Array.from(container.querySelectorAll('.module-quadro')).map(el => el.dataset.moduleId);
+    const savedOrder = orderedModules.map(m => m.id).filter(id => currentOrder.includes(id));
+    if (currentOrder.join() !== savedOrder.join()) {
+        savedOrder.forEach(id => {
+            container.appendChild(container.querySelector(`.module-quadro[data-module-id="${id}"]`));
+        });
+    }
+    
+    checkEmptyStates();
+}
+
+/**
+ * Aplica à biblioteca e aos módulos as alterações de entidades recebidas em tempo real
+ * @param {Array} changes - Alterações ({ type, entity, previous })
+ */
+function applyEntityChanges(changes) {
+    changes.forEach(({ type, entity }) => {
+        if (type === 'removed') {
+            document.querySelectorAll(`.entity-card[data-entity-id="${entity.id}"], .dropped-entity-card[data-entity-id="${entity.id}"]`)
+                .forEach(el => el.remove());
+            return;
+        }
+        
+        renderEntityInLibrary(entity);
+        
+        // Atualiza o nome mostrado nos cards já existentes
+        document.querySelectorAll(`.entity-card[data-entity-id="${entity.id}"], .dropped-entity-card[data-entity-id="${entity.id}"]`).forEach(card => {
+            card.dataset.entityName = entity.name;
+            card.querySelector('.entity-name').textContent = entity.name;
+        });
+        
+        // Uma entidade pertence no máximo a um módulo
+        document.querySelectorAll(`.dropped-entity-card[data-entity-id="${entity.id}"]`).forEach(card => {
+            if (card.dataset.moduleId !== entity.moduleId) card.remove();
+        });
+        if (entity.moduleId) {
+            renderDroppedEntity(entity.moduleId, entity.id, { entityName: entity.name, attributes: entity.attributes || [] }, entity);
+        }
+    });
+    
+    checkEmptyStates();
+}
+
 document.addEventListener('DOMContentLoaded', initApp);
 
 // ---- Funções de Renderização ----
@@ -227,6 +365,7 @@ function renderEntityInLibrary(entity) {
         console.log('Configurando Sortable para biblioteca de entidades');
         list._sortable = new Sortable(list, {
             group: { name: 'shared-entities', pull: 'clone', put: false },
+            disabled: !can('edit'),
             sort: false,
             animation: 150,
             ghostClass: 'sortable-ghost',
@@ -249,6 +388,10 @@ function renderEntityInLibrary(entity) {
 }
 
 function renderModule(moduleData) {
+    // A observação em tempo real pode já ter desenhado o módulo
+    const existingModule = document.querySelector(`.module-quadro[data-module-id="${moduleData.id}"]`);
+    if (existingModule) return existingModule;
+    
     const container = document.getElementById('module-container');
     const template = document.getElementById('module-template');
     const clone = template.content.cloneNode(true);
@@ -272,6 +415,9 @@ function renderDroppedEntity(moduleId, entityId, entityData, entityInfo) {
     const moduleEl = document.querySelector(`.module-quadro[data-module-id="${moduleId}"]`);
     if (!moduleEl) return;
     
+    // A observação em tempo real pode já ter desenhado o card
+    if (moduleEl.querySelector(`.dropped-entity-card[data-entity-id="${entityId}"]`)) return;
+    
     const dropzone = moduleEl.querySelector('.entities-dropzone');
     const template = document.getElementById('dropped-entity-card-template');
     const clone = template.content.cloneNode(true);
@@ -361,9 +507,10 @@ function renderFormField(fieldData) {
     clone.querySelector('.field-label').textContent = fieldData.label;
     
     if (fieldData.type === 'sub-entity') {
+        const cardinality = RELATIONSHIP_CARDINALITIES.find(item => item.value === getCardinality(fieldData));
         clone.querySelector('.field-type').textContent = fieldData.subType === 'independent' ? 
             `Sub-Entidade` : 
-            `Relação → ${fieldData.targetEntityName}`;
+            `Relação ${cardinality.short} → ${fieldData.targetEntityName}${fieldData.inverseFieldId ? ' (com campo inverso)' : ''}`;
         clone.querySelector('.edit-sub-entity-btn').classList.remove('hidden');
         clone.querySelector('.edit-field-btn').style.display = 'none';
     } else {
@@ -388,6 +535,13 @@ function renderFormField(fieldData) {
                 const actionsCount = fieldData.config?.actions?.length || 0;
                 typeText = `Botão (${actionsCount} ação${actionsCount !== 1 ? 'ões' : ''})`;
                 break;
+            case 'formula':
+                typeText = fieldData.config?.expression ? `Fórmula: ${fieldData.config.expression}` : 'Fórmula (sem expressão)';
+                break;
+            case 'lookup':
+            case 'rollup':
+                typeText = getLinkedFieldTypeText(fieldData);
+                break;
         }
         
         clone.querySelector('.field-type').textContent = typeText;
@@ -495,6 +649,7 @@ function setupDragAndDropForModule(moduleElement) {
     console.log('Configurando Sortable para módulo:', moduleElement.dataset.moduleId);
     dropzone._sortable = new Sortable(dropzone, { 
         group: 'shared-entities', 
+        disabled: !can('edit'),
         animation: 150, 
         onAdd: handleEntityDrop,
         ghostClass: 'sortable-ghost',
@@ -536,6 +691,24 @@ function setupEventListeners() {
             return;
         }
         
+        const viewRecordsBtn = e.target.closest('.view-records-btn');
+        if (viewRecordsBtn) {
+            const card = viewRecordsBtn.closest('.dropped-entity-card');
+            const context = { moduleId: card.dataset.moduleId, entityId: card.dataset.entityId, entityName: card.dataset.entityName };
+            openRecordGrid(context, {
+                openForm: (record, formOptions) => openEntityRecordForm(context, record, formOptions),
+                onExecuteButton: (attribute, record) => executeButtonRecipe(attribute.config || {}, record, context)
+            });
+            return;
+        }
+        
+        const newRecordBtn = e.target.closest('.new-record-btn');
+        if (newRecordBtn) {
+            const card = newRecordBtn.closest('.dropped-entity-card');
+            openEntityRecordForm({ moduleId: card.dataset.moduleId, entityId: card.dataset.entityId, entityName: card.dataset.entityName });
+            return;
+        }
+        
         const deleteEntityBtn = e.target.closest('.delete-entity-btn');
         if (deleteEntityBtn) { 
             confirmAndRemoveEntityFromModule(deleteEntityBtn.closest('.dropped-entity-card')); 
@@ -815,6 +988,9 @@ async function showCopyOrMoveDialog(entityName) {
 async function handleFieldDrop(event) {
     const { item } = event;
     const fieldType = item.dataset.fieldType;
+    
+    // O toque direto no mobile não passa pelo Sortable, que já está desativado para leitores
+    if (!can('edit')) return;
     item.remove();
 
     // Modificação para mobile: se for um toque direto (sem arrastar) em dispositivo móvel
@@ -871,7 +1047,9 @@ async function handleFieldDrop(event) {
                 await refreshCurrentEntityData();
             }
         } else if (choice === false) {
-            const currentEntityId = JSON.parse(document.getElementById('entity-builder-modal').dataset.context).entityId;
+            const builderContext = JSON.parse(document.getElementById('entity-builder-modal').dataset.context);
+            const currentEntityId = builderContext.entityId;
+            const currentEntityName = builderContext.isSubEntity ? builderContext.label : builderContext.entityName;
             const currentWorkspace = getCurrentWorkspace();
             const workspaceId = currentWorkspace ? currentWorkspace.id : 'default';
             const ownerId = currentWorkspace && currentWorkspace.isShared ? currentWorkspace.ownerId : null;
@@ -885,6 +1063,18 @@ async function handleFieldDrop(event) {
             
             const entityOptions = availableEntities.map(e => `<option value="${e.id}|${e.name}">${e.name}</option>`).join('');
             
+            // As linhas de uma sub-entidade não são registos, por isso não podem ter campo inverso
+            const inverseHtml = builderContext.isSubEntity ? '' : `
+                <div class="mt-4 text-left">
+                    <label class="flex items-center gap-2 text-sm text-slate-700">
+                        <input id="swal-input-create-inverse" type="checkbox" class="h-4 w-4 text-indigo-600 rounded border-slate-300" checked>
+                        Criar campo inverso na entidade ligada
+                    </label>
+                    <input id="swal-input-inverse-label" class="mt-2 w-full px-3 py-2 border border-slate-300 rounded-lg shadow-sm focus:outline-none focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500" value="${escapeHtml(currentEntityName || '')}" placeholder="Nome do campo inverso">
+                    <p class="text-xs text-slate-500 mt-1">Ex.: ao ligar Pedido a Cliente, Cliente ganha o campo "Pedidos".</p>
+                </div>
+            `;
+            
             const htmlContent = `
                 <div class="mb-4">
                     <label for="swal-input-label" class="block text-sm font-medium text-slate-700 mb-1 text-left">Nome do Campo</label>
@@ -894,8 +1084,23 @@ async function handleFieldDrop(event) {
                     <label for="swal-input-target-entity" class="block text-sm font-medium text-slate-700 mb-1 text-left">Ligar a qual entidade?</label>
                     <select id="swal-input-target-entity" class="w-full px-3 py-2 border border-slate-300 rounded-lg shadow-sm focus:outline-none focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500">${entityOptions}</select>
                 </div>
+                <div class="mt-4">
+                    <label for="swal-input-cardinality" class="block text-sm font-medium text-slate-700 mb-1 text-left">Cardinalidade</label>
+                    <select id="swal-input-cardinality" class="w-full px-3 py-2 border border-slate-300 rounded-lg shadow-sm focus:outline-none focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500"></select>
+                </div>
+                ${inverseHtml}
             `;
             
+            // As frases da cardinalidade usam os nomes das duas entidades
+            const updateCardinalityOptions = () => {
+                const select = document.getElementById('swal-input-cardinality');
+                const targetName = document.getElementById('swal-input-target-entity').value.split('|')[1];
+                const selected = select.value || DEFAULT_CARDINALITY;
+                select.innerHTML = RELATIONSHIP_CARDINALITIES.map(item =>
+                    `<option value="${item.value}">${item.short} · ${escapeHtml(describeCardinality(item.value, currentEntityName, targetName))}</option>`).join('');
+                select.value = selected;
+            };
+            
             if (typeof Swal !== 'undefined') {
                 const { value: formValues, isConfirmed } = await Swal.fire({
                     title: 'Ligar a uma Entidade Existente',
@@ -905,25 +1110,50 @@ async function handleFieldDrop(event) {
                     customClass: {
                         popup: 'shadow-xl rounded-xl'
                     },
+                    didOpen: () => {
+                        updateCardinalityOptions();
+                        document.getElementById('swal-input-target-entity').addEventListener('change', updateCardinalityOptions);
+                        const inverseCheckbox = document.getElementById('swal-input-create-inverse');
+                        if (inverseCheckbox) {
+                            inverseCheckbox.addEventListener('change', () => {
+                                document.getElementById('swal-input-inverse-label').classList.toggle('hidden', !inverseCheckbox.checked);
+                            });
+                        }
+                    },
                     preConfirm: () => {
                         const label = document.getElementById('swal-input-label').value;
                         const selectElement = document.getElementById('swal-input-target-entity');
                         const [targetEntityId, targetEntityName] = selectElement.value.split('|');
+                        const cardinality = document.getElementById('swal-input-cardinality').value;
                         if (!label) { 
                             Swal.showValidationMessage('O nome do campo é obrigatório.'); 
                             return false; 
                         }
-                        return { label, targetEntityId, targetEntityName };
+                        const inverseCheckbox = document.getElementById('swal-input-create-inverse');
+                        if (!inverseCheckbox || !inverseCheckbox.checked) {
+                            return { label, targetEntityId, targetEntityName, cardinality };
+                        }
+                        const inverseLabel = document.getElementById('swal-input-inverse-label').value.trim();
+                        if (!inverseLabel) {
+                            Swal.showValidationMessage('O nome do campo inverso é obrigatório.');
+                            return false;
+                        }
+                        return { label, targetEntityId, targetEntityName, cardinality, inverseLabel };
                     }
                 });
                 
                 if(isConfirmed && formValues) {
+                    const fieldId = `field_${Date.now()}`;
                     const fieldData = { 
-                        id: `field_${Date.now()}`, 
+                        id: fieldId, 
                         type: 'sub-entity', 
                         ...formValues, 
                         subType: 'relationship' 
                     };
+                    // O campo inverso é criado na entidade ligada quando a estrutura for guardada
+                    if (formValues.inverseLabel) {
+                        fieldData.inverseFieldId = `${fieldId}_inverse`;
+                    }
                     renderFormField(fieldData);
                     
                     // Atualiza os dados da entidade para o construtor de ações
@@ -996,6 +1226,14 @@ function openModal(context) {
         // NOVA LÓGICA: A entidade já contém os attributes
         const entity = getEntityById(context.entityId);
         console.log("Entidade carregada:", context.entityId, entity);
+        
+        // Guarda a revisão em que a edição começou para detetar gravações concorrentes
+        builderBase = {
+            entityId: context.entityId,
+            revision: entity ? (entity.revision || 0) : 0,
+            attributes: JSON.parse(JSON.stringify(entity?.attributes || []))
+        };
+        
         if (entity && entity.attributes && entity.attributes.length > 0) {
             entity.attributes.forEach(renderFormField);
         } else {
@@ -1244,22 +1482,33 @@ async function confirmAndRemoveEntityFromModule(card) {
 async function confirmAndRemoveCustomEntity(card) {
     const { entityId, entityName } = card.dataset;
     
-    const confirmed = await showConfirmDialog(
-        'Eliminar Entidade?',
-        `Isto irá remover <strong>${entityName}</strong> da biblioteca e de <strong>todos os módulos</strong>.<br><br><span class="font-bold text-red-600">Esta ação é PERMANENTE.</span>`,
-        'Sim, eliminar!',
-        'Cancelar',
-        'danger'
-    );
+    const currentWorkspace = getCurrentWorkspace();
+    const workspaceId = currentWorkspace ? currentWorkspace.id : 'default';
+    const ownerId = currentWorkspace && !currentWorkspace.isOwner ? currentWorkspace.ownerId : null;
     
-    if (confirmed) {
+    showLoading('Calculando impacto...');
+    let impact;
+    try {
+        impact = await getEntityDeletionImpact([entityId], workspaceId, ownerId);
+        hideLoading();
+    } catch (error) {
+        hideLoading();
+        console.error('Erro ao calcular o impacto da eliminação:', error);
+        showError('Erro', 'Não foi possível verificar os registos da entidade. Tente novamente.');
+        return;
+    }
+    
+    const choice = await confirmDeletionImpact({
+        title: 'Eliminar Entidade?',
+        message: `Isto irá remover <strong>${escapeHtml(entityName)}</strong> da biblioteca e de <strong>todos os módulos</strong>.`,
+        impact
+    });
+    
+    if (choice) {
         showLoading('Eliminando entidade...');
         
         try {
-            const currentWorkspace = getCurrentWorkspace();
-            const workspaceId = currentWorkspace ? currentWorkspace.id : 'default';
-            const ownerId = currentWorkspace && !currentWorkspace.isOwner ? currentWorkspace.ownerId : null;
-            await deleteEntity(entityId, workspaceId, ownerId);
+            const deletedRecords = await deleteEntity(entityId, workspaceId, ownerId, { referenceMode: choice.referenceMode });
             
             // This part removes elements from the UI. If entities from different workspaces are shown
             // (e.g. an owner's entities and a shared workspace's entities), this querySelectorAll
@@ -1269,7 +1518,8 @@ async function confirmAndRemoveCustomEntity(card) {
             card.remove();
             
             hideLoading();
-            showSuccess('Eliminado!', `A entidade "${entityName}" foi eliminada permanentemente.`);
+            const recordsText = deletedRecords > 0 ? ` ${deletedRecords} registo(s) foram eliminados.` : '';
+            showSuccess('Eliminado!', `A entidade "${entityName}" foi eliminada permanentemente.${recordsText}`);
         } catch (error) {
             hideLoading();
             showError('Erro', 'Ocorreu um erro ao eliminar a entidade. Tente novamente.');
@@ -1281,27 +1531,48 @@ async function confirmAndRemoveModule(moduleEl) {
     const moduleId = moduleEl.dataset.moduleId;
     const moduleName = moduleEl.querySelector('.module-title').textContent;
     
-    const confirmed = await showConfirmDialog(
-        'Eliminar Módulo?',
-        `Isto irá remover <strong>${moduleName}</strong> e <strong>TODAS as entidades</strong> dentro dele.<br><br><span class="font-bold text-red-600">Esta ação é PERMANENTE.</span>`,
-        'Sim, eliminar!',
-        'Cancelar',
-        'danger'
-    );
+    const currentWorkspace = getCurrentWorkspace();
+    const workspaceId = currentWorkspace ? currentWorkspace.id : 'default';
+    const ownerId = currentWorkspace && !currentWorkspace.isOwner ? currentWorkspace.ownerId : null;
+    const entityIds = getEntities().filter(e => e.moduleId === moduleId).map(e => e.id);
+    
+    showLoading('Calculando impacto...');
+    let impact;
+    try {
+        impact = await getEntityDeletionImpact(entityIds, workspaceId, ownerId);
+        hideLoading();
+    } catch (error) {
+        hideLoading();
+        console.error('Erro ao calcular o impacto da eliminação:', error);
+        showError('Erro', 'Não foi possível verificar as entidades do módulo. Tente novamente.');
+        return;
+    }
+    
+    const choice = await confirmDeletionImpact({
+        title: 'Eliminar Módulo?',
+        message: entityIds.length > 0 ?
+            `Isto irá remover <strong>${escapeHtml(moduleName)}</strong> e <strong>TODAS as entidades</strong> dentro dele (${entityIds.length}).` :
+            `Isto irá remover <strong>${escapeHtml(moduleName)}</strong>.`,
+        impact,
+        allowKeepEntities: entityIds.length > 0
+    });
     
-    if (confirmed) {
+    if (choice) {
         showLoading('Eliminando módulo...');
         
         try {
-            const currentWorkspace = getCurrentWorkspace();
-            const workspaceId = currentWorkspace ? currentWorkspace.id : 'default';
-            const ownerId = currentWorkspace && !currentWorkspace.isOwner ? currentWorkspace.ownerId : null;
-            await deleteModule(moduleId, workspaceId, ownerId);
+            const deletedRecords = await deleteModule(moduleId, workspaceId, ownerId, choice);
             moduleEl.remove();
+            if (choice.deleteEntities) {
+                entityIds.forEach(entityId => {
+                    document.querySelectorAll(`[data-entity-id="${entityId}"]`).forEach(el => el.remove());
+                });
+            }
             checkEmptyStates();
             
             hideLoading();
-            showSuccess('Eliminado!', `O módulo "${moduleName}" foi eliminado permanentemente.`);
+            const recordsText = deletedRecords > 0 ? ` ${deletedRecords} registo(s) foram eliminados.` : '';
+            showSuccess('Eliminado!', `O módulo "${moduleName}" foi eliminado permanentemente.${recordsText}`);
         } catch (error) {
             hideLoading();
             showError('Erro', 'Ocorreu um erro ao eliminar o módulo. Tente novamente.');
@@ -1309,6 +1580,73 @@ async function confirmAndRemoveModule(moduleEl) {
     }
 }
 
+/**
+ * Mostra o impacto de uma eliminação (registos e campos de relacionamento afetados) e pede confirmação.
+ * Se outras entidades apontarem para as que vão ser eliminadas, o usuário escolhe entre bloquear
+ * a eliminação ou converter esses campos.
+ * @param {Object} options - { title, message, impact (getEntityDeletionImpact), allowKeepEntities }
+ * @returns {Promise<Object|null>} - { deleteEntities, referenceMode } ou null se cancelado
+ */
+async function confirmDeletionImpact({ title, message, impact, allowKeepEntities = false }) {
+    const { records, totalRecords, totalIsMinimum, references } = impact;
+    
+    const recordItems = records
+        .filter(item => item.count > 0)
+        .map(item => `<li class="mb-1">${escapeHtml(item.entityName)}: <strong>${formatRecordCount(item.count)}</strong> registo(s)</li>`)
+        .join('');
+    const recordsHtml = totalRecords > 0 ? `
+        <p class="text-sm text-slate-600 mb-2">Serão eliminados <strong>${totalIsMinimum ? `mais de ${totalRecords}` : totalRecords}</strong> registo(s):</p>
+        <ul class="text-left text-sm text-slate-700 list-disc pl-5 mb-3">${recordItems}</ul>
+    ` : '<p class="text-sm text-slate-600 mb-3">Não existem registos a eliminar.</p>';
+    
+    const referenceItems = references
+        .map(ref => `<li class="mb-1">${escapeHtml(ref.entityName)} › <strong>${escapeHtml(ref.fieldLabel)}</strong> (aponta para ${escapeHtml(ref.targetEntityName || '')})</li>`)
+        .join('');
+    const referencesHtml = references.length > 0 ? `
+        <div class="text-left bg-amber-50 border border-amber-200 rounded-lg p-3 mb-3">
+            <p class="text-sm text-amber-800 font-semibold mb-2">Campos de relacionamento que deixarão de ter destino:</p>
+            <ul class="text-sm text-amber-900 list-disc pl-5 mb-3">${referenceItems}</ul>
+            <label for="delete-reference-mode" class="block text-sm text-slate-700 mb-1">O que fazer com estes campos?</label>
+            <select id="delete-reference-mode" class="w-full p-2 border border-slate-300 rounded-md text-sm">
+                <option value="text">Converter em texto (guarda o nome dos registos ligados)</option>
+                <option value="remove">Remover os campos e os seus valores</option>
+            </select>
+        </div>
+    ` : '';
+    
+    const result = await Swal.fire({
+        title,
+        html: `
+            <p class="text-sm text-slate-600 mb-3">${message}</p>
+            ${recordsHtml}
+            ${referencesHtml}
+            <p class="text-sm font-bold text-red-600">Esta ação é PERMANENTE.</p>
+        `,
+        icon: 'warning',
+        showCancelButton: true,
+        showDenyButton: allowKeepEntities,
+        confirmButtonColor: '#d33',
+        denyButtonColor: '#6366f1',
+        cancelButtonColor: '#64748b',
+        confirmButtonText: references.length > 0 ? 'Converter campos e eliminar' : 'Sim, eliminar!',
+        denyButtonText: 'Eliminar só o módulo',
+        cancelButtonText: references.length > 0 ? 'Bloquear eliminação' : 'Cancelar',
+        preConfirm: () => {
+            const select = Swal.getPopup().querySelector('#delete-reference-mode');
+            return { referenceMode: select ? select.value : null };
+        }
+    });
+    
+    if (result.isConfirmed) {
+        return { deleteEntities: true, referenceMode: result.value.referenceMode };
+    }
+    if (result.isDenied) {
+        // As entidades voltam à biblioteca, por isso as referências continuam válidas
+        return { deleteEntities: false, referenceMode: null };
+    }
+    return null;
+}
+
 async function saveCurrentStructure() {
     const modal = document.getElementById('entity-builder-modal');
     const context = JSON.parse(modal.dataset.context);
@@ -1344,26 +1682,8 @@ async function saveCurrentStructure() {
             hideLoading();
             showSuccess('Guardado!', 'A estrutura da sub-entidade foi guardada com sucesso.');
         } else {
-            console.log("Salvando entidade principal:", {
-                moduleId: context.moduleId,
-                entityId: context.entityId,
-                entityName: context.entityName,
-                attributesCount: attributes.length,
-                workspaceId,
-                ownerId
-            });
-            
-            await saveEntityStructure(
-                context.moduleId, 
-                context.entityId, 
-                context.entityName, 
-                attributes, 
-                workspaceId,
-                ownerId // Pass ownerId here
-            );
-            
-            hideLoading();
-            showSuccess('Guardado!', `A estrutura da entidade "${context.entityName}" foi guardada com sucesso.`);
+            const base = builderBase && builderBase.entityId === context.entityId ? builderBase : null;
+            await saveEntityStructureWithConflictCheck(context, attributes, base, workspaceId, ownerId);
         }
     } catch (error) {
         hideLoading();
@@ -1372,6 +1692,180 @@ async function saveCurrentStructure() {
     }
 }
 
+/**
+ * Guarda a estrutura de uma entidade, migrando os registos existentes se necessário.
+ * Se outra pessoa tiver guardado a entidade desde que o construtor foi aberto, mostra o diálogo
+ * de conflito e volta a tentar com a opção escolhida (juntar, substituir ou recarregar).
+ * @param {Object} context - Contexto do construtor ({ moduleId, entityId, entityName })
+ * @param {Array} attributes - Atributos a guardar
+ * @param {Object|null} base - Versão em que a edição começou ({ revision, attributes })
+ * @param {string} workspaceId - ID da área de trabalho
+ * @param {string} ownerId - ID do dono da área de trabalho (opcional)
+ */
+async function saveEntityStructureWithConflictCheck(context, attributes, base, workspaceId, ownerId) {
+    console.log("Salvando entidade principal:", {
+        moduleId: context.moduleId,
+        entityId: context.entityId,
+        entityName: context.entityName,
+        attributesCount: attributes.length,
+        expectedRevision: base ? base.revision : null,
+        workspaceId,
+        ownerId
+    });
+    
+    // Calcula o impacto da nova estrutura nos registos já existentes
+    const previousAttributes = getEntityById(context.entityId)?.attributes || [];
+    const changes = diffAttributes(previousAttributes, attributes);
+    let migrate = false;
+    
+    if (hasDataImpact(changes)) {
+        const recordCount = await countEntityRecords(context.entityId, workspaceId, ownerId);
+        if (recordCount > 0) {
+            hideLoading();
+            migrate = await confirmSchemaMigration(changes, recordCount);
+            if (!migrate) return;
+            showLoading('Guardando estrutura...');
+        }
+    }
+    
+    let revision;
+    try {
+        revision = await saveEntityStructure(
+            context.moduleId, 
+            context.entityId, 
+            context.entityName, 
+            attributes, 
+            workspaceId,
+            ownerId, // Pass ownerId here
+            { expectedRevision: base ? base.revision : null }
+        );
+    } catch (error) {
+        if (error.name !== 'RevisionConflictError') throw error;
+        
+        hideLoading();
+        const current = error.current;
+        const choice = await showStructureConflictDialog(base ? base.attributes : [], current);
+        
+        if (choice === 'merge') {
+            const merged = mergeAttributes(base ? base.attributes : [], attributes, current.attributes);
+            renderBuilderAttributes(context.entityId, merged.attributes, current);
+            showLoading('Guardando estrutura...');
+            await saveEntityStructureWithConflictCheck(context, merged.attributes, current, workspaceId, ownerId);
+            if (merged.conflicts.length > 0) {
+                showSuccess('Alterações juntas', `Nos campos ${merged.conflicts.map(label => `"${label}"`).join(', ')} prevaleceu a sua versão.`);
+            }
+        } else if (choice === 'overwrite') {
+            showLoading('Guardando estrutura...');
+            await saveEntityStructureWithConflictCheck(context, attributes, current, workspaceId, ownerId);
+        } else if (choice === 'reload') {
+            renderBuilderAttributes(context.entityId, current.attributes, current);
+            showSuccess('Recarregado', 'O construtor mostra agora a versão mais recente da entidade.');
+        }
+        return;
+    }
+    
+    let migratedCount = 0;
+    if (migrate) {
+        migratedCount = await migrateEntityRecords(context.entityId, changes, workspaceId, ownerId);
+    }
+    
+    // A próxima gravação parte da versão agora guardada
+    builderBase = { entityId: context.entityId, revision, attributes: JSON.parse(JSON.stringify(attributes)) };
+    
+    const inverseEntities = await syncInverseRelationshipFields(context.entityId, context.entityName, attributes, previousAttributes, workspaceId, ownerId);
+    
+    hideLoading();
+    showSuccess('Guardado!', `A estrutura da entidade "${context.entityName}" foi guardada com sucesso.` +
+        (migratedCount > 0 ? ` ${migratedCount} registo(s) foram atualizados.` : '') +
+        (inverseEntities.length > 0 ? ` Campos inversos atualizados em ${inverseEntities.map(name => `"${name}"`).join(', ')}.` : ''));
+}
+
+/**
+ * Mostra as alterações guardadas por outra pessoa e pergunta como resolver o conflito
+ * @param {Array} baseAttributes - Atributos quando o construtor foi aberto
+ * @param {Object} current - Versão guardada ({ revision, attributes, updatedBy, updatedAt })
+ * @returns {Promise<string|null>} - 'merge', 'overwrite', 'reload' ou null se fechado
+ */
+async function showStructureConflictDialog(baseAttributes, current) {
+    const author = current.updatedBy?.name || 'Outra pessoa';
+    const when = current.updatedAt ? ` em ${new Date(current.updatedAt).toLocaleString('pt-BR')}` : '';
+    const lines = summarizeStructureChanges(baseAttributes, current.attributes);
+    const items = lines.length > 0 ?
+        lines.map(line => `<li class="mb-1">${escapeHtml(line)}</li>`).join('') :
+        '<li class="mb-1">Sem alterações nos campos.</li>';
+    
+    const result = await Swal.fire({
+        title: 'A entidade foi alterada',
+        html: `
+            <p class="text-sm text-slate-600 mb-3"><strong>${escapeHtml(author)}</strong> guardou esta entidade${escapeHtml(when)} (revisão ${current.revision}) enquanto a estava a editar:</p>
+            <ul class="text-left text-sm text-slate-700 list-disc pl-5 mb-3">${items}</ul>
+            <p class="text-sm text-slate-600 text-left"><strong>Juntar</strong> mantém as alterações de ambos; <strong>Substituir</strong> guarda só a sua versão; <strong>Recarregar</strong> descarta as suas alterações.</p>
+        `,
+        icon: 'warning',
+        showDenyButton: true,
+        showCancelButton: true,
+        confirmButtonColor: '#6366f1',
+        denyButtonColor: '#d33',
+        cancelButtonColor: '#64748b',
+        confirmButtonText: 'Juntar',
+        denyButtonText: 'Substituir',
+        cancelButtonText: 'Recarregar'
+    });
+    
+    if (result.isConfirmed) return 'merge';
+    if (result.isDenied) return 'overwrite';
+    if (result.dismiss === Swal.DismissReason.cancel) return 'reload';
+    return null;
+}
+
+/**
+ * Volta a desenhar os campos do construtor e atualiza a versão de partida
+ * @param {string} entityId - ID da entidade aberta
+ * @param {Array} attributes - Atributos a mostrar
+ * @param {Object} version - Versão guardada a usar como ponto de partida ({ revision, attributes })
+ */
+function renderBuilderAttributes(entityId, attributes, version) {
+    const dropzone = document.getElementById('form-builder-dropzone');
+    if (dropzone) {
+        dropzone.innerHTML = '';
+    }
+    attributes.forEach(renderFormField);
+    builderBase = { entityId, revision: version.revision, attributes: JSON.parse(JSON.stringify(version.attributes)) };
+}
+
+// Número de registos devolvido por countEntityRecords, que deixa de contar acima de RECORD_COUNT_LIMIT
+function formatRecordCount(count) {
+    return count > RECORD_COUNT_LIMIT ? `mais de ${RECORD_COUNT_LIMIT}` : String(count);
+}
+
+/**
+ * Mostra ao usuário o que acontece aos dados existentes e pede confirmação
+ * @param {Array} changes - Alterações calculadas por diffAttributes
+ * @param {number} recordCount - Número de registos da entidade
+ * @returns {Promise<boolean>} - true se o usuário confirmou
+ */
+async function confirmSchemaMigration(changes, recordCount) {
+    const items = describeChanges(changes)
+        .map(line => `<li class="mb-1">${line.replace(/</g, '&lt;')}</li>`)
+        .join('');
+    
+    const result = await Swal.fire({
+        title: 'Atualizar registos existentes?',
+        html: `
+            <p class="text-sm text-slate-600 mb-3">Esta entidade tem <strong>${formatRecordCount(recordCount)}</strong> registo(s). As alterações na estrutura terão o seguinte efeito:</p>
+            <ul class="text-left text-sm text-slate-700 list-disc pl-5">${items}</ul>
+        `,
+        icon: 'warning',
+        showCancelButton: true,
+        confirmButtonColor: '#6366f1',
+        cancelButtonColor: '#64748b',
+        confirmButtonText: 'Guardar e atualizar',
+        cancelButtonText: 'Cancelar'
+    });
+    
+    return result.isConfirmed;
+}
+
 // Funções para o painel de propriedades de campos
 function openFieldPropertiesPanel(fieldData, fieldCard) {
     const panel = document.getElementById('field-properties-panel');
@@ -1429,6 +1923,15 @@ function openFieldPropertiesPanel(fieldData, fieldCard) {
             case 'button':
                 setupButtonFieldConfig(fieldData.config || defaultFieldConfigs.button);
                 break;
+            case 'formula':
+                setupFormulaFieldConfig({ ...defaultFieldConfigs.formula, ...(fieldData.config || {}) }, fieldData);
+                break;
+            case 'lookup':
+                setupLookupFieldConfig({ ...defaultFieldConfigs.lookup, ...(fieldData.config || {}) });
+                break;
+            case 'rollup':
+                setupRollupFieldConfig({ ...defaultFieldConfigs.rollup, ...(fieldData.config || {}) });
+                break;
         }
     }
     
@@ -1584,6 +2087,237 @@ function setupButtonFieldConfig(config) {
     });
 }
 
+/**
+ * FÓRMULA - Configura campo calculado
+ */
+function setupFormulaFieldConfig(config, fieldData) {
+    document.getElementById('formula-expression').value = config.expression || '';
+    document.querySelector(`input[name="formula-result-format"][value="${config.resultFormat || 'auto'}"]`).checked = true;
+    document.getElementById('formula-precision').value = config.precision ?? 2;
+    document.getElementById('formula-currency-symbol').value = config.symbol || 'R$';
+    toggleFormulaFormatOptions(config.resultFormat || 'auto');
+    
+    // Campos do construtor que podem ser referidos (exceto o próprio e os botões)
+    const chips = document.getElementById('formula-field-chips');
+    const candidates = getBuilderAttributes().filter(attr => attr.id !== fieldData.id && attr.type !== 'button');
+    chips.innerHTML = candidates.length > 0 ?
+        candidates.map(attr => `
+            <button type="button" class="formula-field-chip text-xs bg-slate-100 text-slate-700 px-2 py-1 rounded-md hover:bg-indigo-100 hover:text-indigo-700" data-label="${escapeHtml(attr.label)}">
+                ${escapeHtml(attr.label)}
+            </button>`).join('') :
+        '<p class="text-xs text-slate-500">Adicione outros campos à entidade para os usar na fórmula.</p>';
+    
+    document.getElementById('formula-functions-help').innerHTML = FORMULA_FUNCTIONS.map(fn => `
+        <li class="text-xs"><code class="text-indigo-700">${escapeHtml(fn.syntax)}</code> <span class="text-slate-500">${escapeHtml(fn.description)}</span></li>`).join('');
+    
+    updateFormulaStatus();
+}
+
+function toggleFormulaFormatOptions(format) {
+    document.getElementById('formula-precision-container').classList.toggle('hidden', ['date', 'text'].includes(format));
+    document.getElementById('formula-currency-symbol-container').classList.toggle('hidden', format !== 'currency');
+}
+
+/**
+ * Atributos atualmente no construtor (incluindo alterações ainda não guardadas)
+ */
+function getBuilderAttributes() {
+    const fieldCards = document.getElementById('form-builder-dropzone')?.querySelectorAll('.form-field-card') || [];
+    return Array.from(fieldCards).map(card => JSON.parse(card.dataset.fieldData));
+}
+
+/**
+ * Valida a fórmula que está no painel de propriedades
+ * @returns {string|null} - Mensagem de erro ou null se a fórmula for válida
+ */
+function getFormulaPanelError() {
+    const panel = document.getElementById('field-properties-panel');
+    const fieldData = JSON.parse(panel.dataset.fieldData);
+    const expression = document.getElementById('formula-expression').value;
+    
+    // O próprio campo entra com o nome e a expressão que estão a ser editados
+    const editedField = { ...fieldData, label: document.getElementById('field-label').value, config: { ...(fieldData.config || {}), expression } };
+    const attributes = getBuilderAttributes().map(attr => (attr.id === fieldData.id ? editedField : attr));
+    if (!attributes.some(attr => attr.id === fieldData.id)) attributes.push(editedField);
+    
+    return validateFormula(expression, attributes, fieldData.id);
+}
+
+function updateFormulaStatus() {
+    const status = document.getElementById('formula-expression-status');
+    if (!document.getElementById('formula-expression').value.trim()) {
+        status.classList.add('hidden');
+        return;
+    }
+    const error = getFormulaPanelError();
+    status.textContent = error || 'Fórmula válida.';
+    status.classList.toggle('text-red-600', !!error);
+    status.classList.toggle('text-emerald-600', !error);
+    status.classList.remove('hidden');
+}
+
+/**
+ * VALOR RELACIONADO - Configura o campo que mostra um valor do registo relacionado
+ */
+function setupLookupFieldConfig(config) {
+    const relationSelect = document.getElementById('lookup-relation-field');
+    const relationFields = getBuilderAttributes().filter(isRelationshipField);
+    
+    relationSelect.innerHTML = relationFields.length > 0 ?
+        '<option value="">Escolha o campo de relação...</option>' +
+        relationFields.map(attr => `<option value="${attr.id}">${escapeHtml(attr.label)} → ${escapeHtml(attr.targetEntityName || '')}</option>`).join('') :
+        '<option value="">Adicione primeiro um campo de relação à entidade</option>';
+    relationSelect.value = relationFields.some(attr => attr.id === config.relationFieldId) ? config.relationFieldId : '';
+    
+    updateLookupTargetOptions(config.targetFieldId);
+}
+
+function updateLookupTargetOptions(selectedId = '') {
+    const targetSelect = document.getElementById('lookup-target-field');
+    const relationField = getBuilderAttributes().find(attr => attr.id === document.getElementById('lookup-relation-field').value);
+    const targets = relationField ? getLookupTargetAttributes(getEntityById(relationField.targetEntityId)) : [];
+    
+    targetSelect.innerHTML = '<option value="">Escolha o campo...</option>' +
+        targets.map(attr => `<option value="${attr.id}">${escapeHtml(attr.label)}</option>`).join('');
+    targetSelect.value = targets.some(attr => attr.id === selectedId) ? selectedId : '';
+    targetSelect.disabled = !relationField;
+}
+
+/**
+ * AGREGAÇÃO - Configura o resumo dos registos ligados
+ */
+function setupRollupFieldConfig(config) {
+    const relationSelect = document.getElementById('rollup-relation');
+    const options = getRollupRelationOptions();
+    
+    relationSelect.innerHTML = options.length > 0 ?
+        '<option value="">Escolha os registos...</option>' +
+        options.map(option => `<option value="${option.value}">${escapeHtml(option.label)}</option>`).join('') :
+        '<option value="">Nenhuma relação disponível para esta entidade</option>';
+    
+    const currentValue = config.relationSource === 'target' ?
+        `target:${config.sourceEntityId}:${config.relationFieldId}` :
+        `current:${config.relationFieldId}`;
+    relationSelect.value = options.some(option => option.value === currentValue) ? currentValue : '';
+    
+    document.getElementById('rollup-aggregation').innerHTML = ROLLUP_AGGREGATIONS
+        .map(aggregation => `<option value="${aggregation.value}">${aggregation.label}</option>`).join('');
+    document.getElementById('rollup-aggregation').value = config.aggregation || 'sum';
+    
+    document.getElementById('rollup-number-format').value = config.format || 'plain';
+    document.getElementById('rollup-precision').value = config.precision ?? 2;
+    document.getElementById('rollup-currency-symbol').value = config.symbol || 'R$';
+    toggleRollupFormatOptions();
+    
+    updateRollupTargetOptions(config.targetFieldId);
+}
+
+/**
+ * Relações que podem ser agregadas: os campos de relação desta entidade e os campos
+ * de outras entidades que apontam para ela (ex.: os itens de uma encomenda)
+ * @returns {Array<{value: string, label: string, entity: Object}>}
+ */
+function getRollupRelationOptions() {
+    const options = getBuilderAttributes().filter(isRelationshipField).map(attr => ({
+        value: `current:${attr.id}`,
+        label: `${attr.label} → ${attr.targetEntityName || ''}`,
+        entity: getEntityById(attr.targetEntityId)
+    }));
+    
+    // As linhas de uma sub-entidade não são registos que outras entidades possam referir
+    const context = JSON.parse(document.getElementById('entity-builder-modal').dataset.context || '{}');
+    if (context.entityId && !context.isSubEntity) {
+        getIncomingRelationships(getEntities(), context.entityId).forEach(({ entity, field }) => {
+            options.push({
+                value: `target:${entity.id}:${field.id}`,
+                label: `${entity.name} (pelo campo "${field.label}")`,
+                entity
+            });
+        });
+    }
+    return options;
+}
+
+function updateRollupTargetOptions(selectedId = '') {
+    const targetSelect = document.getElementById('rollup-target-field');
+    const option = getRollupRelationOptions().find(item => item.value === document.getElementById('rollup-relation').value);
+    const targets = option ? getRollupTargetAttributes(option.entity) : [];
+    
+    targetSelect.innerHTML = targets.length > 0 || !option ?
+        '<option value="">Escolha o campo numérico...</option>' +
+        targets.map(attr => `<option value="${attr.id}">${escapeHtml(attr.label)}</option>`).join('') :
+        '<option value="">A entidade não tem campos numéricos</option>';
+    targetSelect.value = targets.some(attr => attr.id === selectedId) ? selectedId : '';
+    targetSelect.disabled = !option;
+    
+    document.getElementById('rollup-target-field-container').classList.toggle('hidden', document.getElementById('rollup-aggregation').value === 'count');
+}
+
+function toggleRollupFormatOptions() {
+    const format = document.getElementById('rollup-number-format').value;
+    document.getElementById('rollup-precision').parentElement.classList.toggle('hidden', !['decimal', 'currency', 'percentage'].includes(format));
+    document.getElementById('rollup-currency-symbol-container').classList.toggle('hidden', format !== 'currency');
+}
+
+/**
+ * Lê a configuração do valor relacionado ou da agregação no painel
+ * @returns {{config: Object|null, error: string|null}}
+ */
+function readLinkedFieldPanel(type) {
+    if (type === 'lookup') {
+        const relationFieldId = document.getElementById('lookup-relation-field').value;
+        const targetSelect = document.getElementById('lookup-target-field');
+        if (!relationFieldId) return { config: null, error: 'Escolha o campo de relação.' };
+        if (!targetSelect.value) return { config: null, error: 'Escolha o campo a mostrar.' };
+        return {
+            config: {
+                relationFieldId,
+                targetFieldId: targetSelect.value,
+                targetFieldLabel: targetSelect.selectedOptions[0].textContent,
+                readonly: true
+            },
+            error: null
+        };
+    }
+    
+    const relation = document.getElementById('rollup-relation').value;
+    const aggregation = document.getElementById('rollup-aggregation').value;
+    const targetSelect = document.getElementById('rollup-target-field');
+    if (!relation) return { config: null, error: 'Escolha os registos a agregar.' };
+    if (aggregation !== 'count' && !targetSelect.value) return { config: null, error: 'Escolha o campo numérico a agregar.' };
+    
+    const [relationSource, ...ids] = relation.split(':');
+    return {
+        config: {
+            relationSource,
+            relationFieldId: ids[ids.length - 1],
+            sourceEntityId: relationSource === 'target' ? ids[0] : null,
+            aggregation,
+            targetFieldId: aggregation === 'count' ? '' : targetSelect.value,
+            targetFieldLabel: aggregation === 'count' ? '' : targetSelect.selectedOptions[0].textContent,
+            format: document.getElementById('rollup-number-format').value,
+            precision: parseInt(document.getElementById('rollup-precision').value || 2),
+            symbol: document.getElementById('rollup-currency-symbol').value || 'R$',
+            readonly: true
+        },
+        error: null
+    };
+}
+
+function getLinkedFieldTypeText(fieldData) {
+    const config = fieldData.config || {};
+    if (fieldData.type === 'lookup') {
+        return config.targetFieldLabel ? `Valor de ${config.targetFieldLabel}` : 'Valor Relacionado (por configurar)';
+    }
+    const aggregation = ROLLUP_AGGREGATIONS.find(item => item.value === config.aggregation);
+    if (!config.relationFieldId || !aggregation) return 'Agregação (por configurar)';
+    return config.aggregation === 'count' ? aggregation.label : `${aggregation.label} de ${config.targetFieldLabel || 'campo'}`;
+}
+
+function isRelationshipField(attribute) {
+    return attribute.type === 'sub-entity' && attribute.subType === 'relationship' && attribute.targetEntityId;
+}
+
 /**
  * Configura as ações existentes do botão
  */
@@ -1921,6 +2655,14 @@ function setupActionBuilderEventListeners() {
     // Mudança na entidade selecionada
     document.getElementById('target-entity-select').addEventListener('change', handleEntityChange);
     
+    // Filtro dos registos alvo
+    document.getElementById('target-filter-mode').addEventListener('change', handleTargetFilterModeChange);
+    ['target-filter-field', 'target-filter-value', 'target-filter-relation'].forEach(id => {
+        const el = document.getElementById(id);
+        el.addEventListener('change', updateActionPreview);
+        el.addEventListener('input', updateActionPreview);
+    });
+    
     // Mudança na propriedade selecionada (O QUÊ)
     document.getElementById('action-property-select').addEventListener('change', handlePropertyChange);
     
@@ -2085,10 +2827,66 @@ async function handleEntityChange() {
     console.log('[handleEntityChange] Entidade selecionada:', selectedEntity);
     
     await populatePropertiesBasedOnTarget();
+    populateTargetFilterOptions();
     updateActionPreview();
     updateContextualHelp();
 }
 
+/**
+ * Manipula mudança no modo de filtro dos registos alvo
+ */
+function handleTargetFilterModeChange() {
+    const mode = document.getElementById('target-filter-mode').value;
+    
+    document.getElementById('target-filter-field-options').classList.toggle('hidden', mode !== 'field-equals');
+    document.getElementById('target-filter-relation-options').classList.toggle('hidden', mode !== 'linked');
+    
+    updateActionPreview();
+    updateContextualHelp();
+}
+
+/**
+ * Popula os campos e relacionamentos disponíveis para filtrar os registos da entidade alvo
+ */
+function populateTargetFilterOptions() {
+    const fieldSelect = document.getElementById('target-filter-field');
+    const relationSelect = document.getElementById('target-filter-relation');
+    const entityId = document.getElementById('target-entity-select').value;
+    const targetEntity = entityId ? getEntityById(entityId) : null;
+    
+    const fieldOptions = ['<option value="">Selecione um campo...</option>'];
+    const relationOptions = ['<option value="">Selecione o relacionamento...</option>'];
+    
+    if (targetEntity) {
+        const currentEntity = getCurrentEntityBeingEdited();
+        
+        (targetEntity.attributes || [])
+            .filter(attr => !['button', 'sub-entity', 'formula', 'lookup', 'rollup'].includes(attr.type))
+            .forEach(attr => {
+                fieldOptions.push(`<option value="${attr.id}">${attr.label}</option>`);
+            });
+        
+        // Campos da entidade alvo que apontam para a entidade atual
+        (targetEntity.attributes || [])
+            .filter(attr => attr.type === 'sub-entity' && attr.subType === 'relationship' && attr.targetEntityId === currentEntity.id)
+            .forEach(attr => {
+                relationOptions.push(`<option value="target:${attr.id}">${targetEntity.name}.${attr.label} aponta para este registo</option>`);
+            });
+        
+        // Campos da entidade atual que apontam para a entidade alvo
+        (currentEntity.attributes || [])
+            .filter(attr => attr.type === 'sub-entity' && attr.subType === 'relationship' && attr.targetEntityId === targetEntity.id)
+            .forEach(attr => {
+                relationOptions.push(`<option value="current:${attr.id}">Registos escolhidos em "${attr.label}" deste registo</option>`);
+            });
+    }
+    
+    fieldSelect.innerHTML = fieldOptions.join('');
+    relationSelect.innerHTML = relationOptions.length > 1 ?
+        relationOptions.join('') :
+        '<option value="">Nenhum relacionamento entre as entidades</option>';
+}
+
 /**
  * Popula propriedades baseado no alvo (entidade atual ou selecionada)
  */
@@ -2192,6 +2990,8 @@ async function populatePropertiesBasedOnTarget() {
     
     targetEntity.attributes.forEach((attr, index) => {
         console.log(`[populatePropertiesBasedOnTarget] Processando atributo ${index + 1}:`, attr);
+        // Campos calculados não podem receber valores
+        if (['formula', 'lookup', 'rollup'].includes(attr.type)) return;
         const fieldTypeInfo = fieldTypes.find(ft => ft.type === attr.type);
         const displayName = `${attr.label} (${fieldTypeInfo ? fieldTypeInfo.name : attr.type})`;
         const optionHtml = `<option value="${attr.id}" data-property-type="${attr.type}" data-property-config='${JSON.stringify(attr.config || {})}'>${displayName}</option>`;
@@ -2904,6 +3704,19 @@ function generateActionSummary(actionData) {
 
 
 
+/**
+ * Descreve em texto quais registos da entidade alvo serão afetados
+ */
+function describeTargetFilter(filter, entityName) {
+    if (filter?.mode === 'field-equals') {
+        return `Ação será aplicada aos registos de "${entityName}" onde "${filter.fieldLabel || 'campo'}" é igual a "${filter.value ?? ''}"`;
+    }
+    if (filter?.mode === 'linked') {
+        return `Ação será aplicada aos registos de "${entityName}" ligados a este registo (${filter.relationLabel || 'relacionamento'})`;
+    }
+    return `Ação será aplicada a TODOS os registos de "${entityName}"`;
+}
+
 /**
  * Coleta os dados atuais da ação do construtor
  */
@@ -2931,6 +3744,23 @@ function collectCurrentActionData() {
                 name: entitySelect.selectedOptions[0].textContent
             };
         }
+        
+        // Filtro dos registos alvo
+        const filterMode = document.getElementById('target-filter-mode')?.value || 'all';
+        data.targetFilter = { mode: filterMode };
+        
+        if (filterMode === 'field-equals') {
+            const fieldSelect = document.getElementById('target-filter-field');
+            data.targetFilter.fieldId = fieldSelect.value;
+            data.targetFilter.fieldLabel = fieldSelect.value ? fieldSelect.selectedOptions[0].textContent : '';
+            data.targetFilter.value = document.getElementById('target-filter-value').value;
+        } else if (filterMode === 'linked') {
+            const relationSelect = document.getElementById('target-filter-relation');
+            const [relationSide, relationFieldId] = relationSelect.value.split(':');
+            data.targetFilter.relationSide = relationSide || '';
+            data.targetFilter.relationFieldId = relationFieldId || '';
+            data.targetFilter.relationLabel = relationSelect.value ? relationSelect.selectedOptions[0].textContent : '';
+        }
     }
     
     // Coleta informações sobre a propriedade
@@ -3023,6 +3853,12 @@ function validateActionData(actionData) {
         if (!actionData.targetEntity || !actionData.targetEntity.id) {
             errors.push('Selecione a entidade de destino.');
         }
+        if (actionData.targetFilter?.mode === 'field-equals' && !actionData.targetFilter.fieldId) {
+            errors.push('Selecione o campo usado para filtrar os registos.');
+        }
+        if (actionData.targetFilter?.mode === 'linked' && !actionData.targetFilter.relationFieldId) {
+            errors.push('Selecione o relacionamento usado para filtrar os registos.');
+        }
     }
     
     // Validação do O QUÊ (propriedade)
@@ -3129,6 +3965,14 @@ function resetActionBuilder() {
         targetEntitySelect.innerHTML = '<option value="">Primeiro selecione os módulos...</option>';
     }
     
+    const targetFilterMode = document.getElementById('target-filter-mode');
+    if (targetFilterMode) {
+        targetFilterMode.value = 'all';
+        document.getElementById('target-filter-value').value = '';
+        document.getElementById('target-filter-field-options').classList.add('hidden');
+        document.getElementById('target-filter-relation-options').classList.add('hidden');
+    }
+    
     const actionPropertySelect = document.getElementById('action-property-select');
     if (actionPropertySelect) {
         actionPropertySelect.innerHTML = '<option value="">Selecione uma propriedade...</option>';
@@ -3196,6 +4040,16 @@ async function populateActionBuilderWithExistingData(actionData) {
         await handleEntityChange();
     }
     
+    if (actionData.targetFilter) {
+        document.getElementById('target-filter-mode').value = actionData.targetFilter.mode || 'all';
+        handleTargetFilterModeChange();
+        document.getElementById('target-filter-field').value = actionData.targetFilter.fieldId || '';
+        document.getElementById('target-filter-value').value = actionData.targetFilter.value || '';
+        if (actionData.targetFilter.relationFieldId) {
+            document.getElementById('target-filter-relation').value = `${actionData.targetFilter.relationSide}:${actionData.targetFilter.relationFieldId}`;
+        }
+    }
+    
     if (actionData.property) {
         document.getElementById('action-property-select').value = actionData.property;
     }
@@ -3323,7 +4177,7 @@ function generateAdvancedActionSummary(actionData) {
             const moduleNames = actionData.targetModules.map(m => m.name).join(', ');
             const entityName = actionData.targetEntity?.name || 'Entidade selecionada';
             where = `Em "${entityName}" dos módulos: ${moduleNames}`;
-            execution = `Ação será aplicada a TODOS os registos de "${entityName}"`;
+            execution = describeTargetFilter(actionData.targetFilter, entityName);
         } else {
             // Fallback para quando os dados não estão completos (durante a configuração)
             const selectedModules = Array.from(document.querySelectorAll('input[name="selected-modules"]:checked'))
@@ -3529,11 +4383,68 @@ function updateContextualHelp() {
     }
 }
 
+/**
+ * Abre o formulário de registos de uma entidade, ligando os botões à execução de receitas
+ * @param {Object} context - Contexto da entidade ({ moduleId, entityId, entityName })
+ * @param {Object} record - Registo a editar (null para criar)
+ * @param {Object} options - Opções adicionais repassadas ao formulário
+ */
+function openEntityRecordForm(context, record = null, options = {}) {
+    return openRecordForm(context, record, {
+        ...options,
+        onExecuteButton: (attribute, currentRecord) => executeButtonRecipe(attribute.config || {}, currentRecord, context)
+    });
+}
+
+/**
+ * Abre o registo de uma notificação, mudando antes para a área de trabalho onde ele está
+ * @param {Object} link - { workspaceId, ownerId, moduleId, entityId, recordId }
+ */
+async function openNotificationRecord(link) {
+    const currentWorkspace = getCurrentWorkspace();
+    const currentOwnerId = currentWorkspace && !currentWorkspace.isOwner ? currentWorkspace.ownerId : getUsuarioId();
+    
+    if (!currentWorkspace || currentWorkspace.id !== link.workspaceId || currentOwnerId !== link.ownerId) {
+        const opened = await openWorkspace(link.workspaceId, link.ownerId);
+        if (!opened) {
+            showError('Registo Indisponível', 'Já não tem acesso à área de trabalho deste registo.');
+            return;
+        }
+        if (workspaceLoading) await workspaceLoading;
+    }
+    
+    const entity = getEntityById(link.entityId);
+    if (!entity) {
+        showError('Registo Indisponível', 'A entidade deste registo foi eliminada.');
+        return;
+    }
+    
+    const workspace = getCurrentWorkspace();
+    const ownerId = workspace && !workspace.isOwner ? workspace.ownerId : null;
+    let record;
+    try {
+        const records = await loadEntityData(entity.moduleId || link.moduleId, entity.id, workspace.id, ownerId);
+        record = records.find(item => item.id === link.recordId);
+    } catch (error) {
+        // O erro já foi mostrado por loadEntityData
+        return;
+    }
+    if (!record) {
+        showError('Registo Indisponível', 'O registo foi eliminado.');
+        return;
+    }
+    
+    await openEntityRecordForm({ moduleId: entity.moduleId || link.moduleId, entityId: entity.id, entityName: entity.name }, record);
+}
+
 /**
  * Motor de Execução de Receitas - Fase 2 da especificação
  * Executa as ações do botão quando clicado pelo usuário
+ * @param {Object} buttonConfig - Configuração do campo botão (com actions)
+ * @param {Object} currentRecord - Registro onde o botão foi clicado (precisa de id)
+ * @param {Object} context - Contexto do registro atual ({ moduleId, entityId })
  */
-async function executeButtonRecipe(buttonConfig, currentRecord) {
+async function executeButtonRecipe(buttonConfig, currentRecord, context = {}) {
     console.log('[executeButtonRecipe] Iniciando execução da receita:', { buttonConfig, currentRecord });
     
     if (!buttonConfig.actions || !Array.isArray(buttonConfig.actions)) {
@@ -3544,6 +4455,8 @@ async function executeButtonRecipe(buttonConfig, currentRecord) {
     
     let executedActions = 0;
     let failedActions = 0;
+    // O nome do botão aparece nas notificações das pessoas atribuídas aos registos alterados
+    const actionContext = { ...context, buttonLabel: buttonConfig.label || 'Executar Ação' };
     
     try {
         // Executa cada ação sequencialmente
@@ -3552,7 +4465,7 @@ async function executeButtonRecipe(buttonConfig, currentRecord) {
             console.log(`[executeButtonRecipe] Executando ação ${i + 1}/${buttonConfig.actions.length}:`, action);
             
             try {
-                const success = await executeAction(action, currentRecord);
+                const success = await executeAction(action, currentRecord, actionContext);
                 if (success) {
                     executedActions++;
                 } else {
@@ -3583,12 +4496,12 @@ async function executeButtonRecipe(buttonConfig, currentRecord) {
 /**
  * Executa uma ação individual
  */
-async function executeAction(action, currentRecord) {
+async function executeAction(action, currentRecord, context = {}) {
     console.log('[executeAction] Executando ação individual:', action);
     
     try {
         // Determina o alvo da ação
-        const targets = await resolveActionTargets(action, currentRecord);
+        const targets = await resolveActionTargets(action, currentRecord, context);
         if (!targets || targets.length === 0) {
             console.warn('[executeAction] Nenhum alvo encontrado para a ação');
             return false;
@@ -3600,7 +4513,7 @@ async function executeAction(action, currentRecord) {
         // Aplica a ação a cada alvo
         let successCount = 0;
         for (const target of targets) {
-            const success = await applyActionToTarget(action, target, finalValue);
+            const success = await applyActionToTarget(action, target, finalValue, context);
             if (success) successCount++;
         }
         
@@ -3615,26 +4528,87 @@ async function executeAction(action, currentRecord) {
 
 /**
  * Resolve os alvos da ação (onde aplicar)
+ * Para outras entidades, carrega os registos da entidade alvo e aplica o filtro configurado
  */
-async function resolveActionTargets(action, currentRecord) {
+async function resolveActionTargets(action, currentRecord, context = {}) {
     if (action.target === 'current') {
         // Aplica ao registro atual
         return [currentRecord];
     } else if (action.target === 'other' && action.targetEntity) {
-        // Aplica a todos os registros da entidade alvo
-        // Por enquanto, simula a busca
         console.log('[resolveActionTargets] Buscando registros da entidade:', action.targetEntity);
         
-        // Em uma implementação real, aqui você faria:
-        // return await loadRecordsFromEntity(action.targetEntity.id);
+        const currentWorkspace = getCurrentWorkspace();
+        const workspaceId = currentWorkspace ? currentWorkspace.id : 'default';
+        const ownerId = currentWorkspace && !currentWorkspace.isOwner ? currentWorkspace.ownerId : null;
+        const moduleId = getEntityById(action.targetEntity.id)?.moduleId || action.targetModules?.[0]?.id || null;
+        
+        const records = await loadEntityData(moduleId, action.targetEntity.id, workspaceId, ownerId);
+        const targets = records.filter(record => matchesTargetFilter(record, action.targetFilter, currentRecord, action.targetEntity.id));
         
-        // Por enquanto, retorna um array vazio como placeholder
-        return [];
+        console.log(`[resolveActionTargets] ${targets.length}/${records.length} registros correspondem ao filtro`, action.targetFilter);
+        return targets;
     }
     
     return [];
 }
 
+/**
+ * Verifica se um registro da entidade alvo corresponde ao filtro da ação
+ * @param {Object} record - Registro da entidade alvo
+ * @param {Object} filter - Filtro configurado ({ mode, fieldId, value, relationSide, relationFieldId })
+ * @param {Object} currentRecord - Registro onde o botão foi clicado
+ * @param {string} targetEntityId - ID da entidade alvo
+ * @returns {boolean}
+ */
+function matchesTargetFilter(record, filter, currentRecord, targetEntityId) {
+    if (!filter || filter.mode === 'all') {
+        return true;
+    }
+    
+    if (filter.mode === 'field-equals') {
+        const attribute = getEntityById(targetEntityId)?.attributes?.find(attr => attr.id === filter.fieldId);
+        let expected = String(filter.value ?? '').trim();
+        
+        // Para campos de seleção aceita tanto o ID como o rótulo da opção
+        if (attribute?.type === 'select') {
+            const option = (attribute.config?.options || []).find(opt => opt.label === expected);
+            if (option) expected = option.id;
+        }
+        
+        const actual = record[filter.fieldId];
+        if (Array.isArray(actual)) {
+            return actual.some(item => String(item) === expected);
+        }
+        if (typeof actual === 'boolean') {
+            return String(actual) === expected.toLowerCase();
+        }
+        return String(actual ?? '').trim() === expected;
+    }
+    
+    if (filter.mode === 'linked') {
+        if (!currentRecord || !filter.relationFieldId) {
+            return false;
+        }
+        if (filter.relationSide === 'current') {
+            // O registo atual guarda os IDs dos registos alvo
+            return extractLinkedIds(currentRecord[filter.relationFieldId]).includes(record.id);
+        }
+        // O registo alvo guarda o ID do registo atual
+        return extractLinkedIds(record[filter.relationFieldId]).includes(currentRecord.id);
+    }
+    
+    return false;
+}
+
+/**
+ * Normaliza o valor de um campo de relacionamento para uma lista de IDs
+ */
+function extractLinkedIds(value) {
+    if (!value) return [];
+    const values = Array.isArray(value) ? value : [value];
+    return values.map(item => (typeof item === 'object' ? item.id : item)).filter(Boolean);
+}
+
 /**
  * Resolve o valor final da ação (considerando valores dinâmicos)
  */
@@ -3726,18 +4700,120 @@ async function resolveActionValue(action, currentRecord) {
 }
 
 /**
- * Aplica a ação a um alvo específico
+ * Aplica a ação a um alvo específico, persistindo o valor no registro
+ * @param {Object} action - Ação configurada no construtor de receitas
+ * @param {Object} target - Registro alvo (precisa de id)
+ * @param {*} value - Valor resolvido por resolveActionValue
+ * @param {Object} context - Contexto do registro atual ({ moduleId, entityId })
+ * @returns {Promise<boolean>} - true se o registro foi atualizado
  */
-async function applyActionToTarget(action, target, value) {
+async function applyActionToTarget(action, target, value, context = {}) {
     console.log('[applyActionToTarget] Aplicando ação ao alvo:', { action, target, value });
     
-    // Em uma implementação real, aqui você faria a atualização no banco de dados
-    // Por exemplo:
-    // await updateRecord(target.id, action.propertyInfo.id, finalValue);
+    const propertyId = action.property || action.propertyInfo?.id;
+    if (!propertyId || !target || !target.id) {
+        console.warn('[applyActionToTarget] Ação sem propriedade ou alvo sem ID:', { propertyId, target });
+        return false;
+    }
+    
+    // Determina a entidade e o módulo onde o registro alvo está guardado
+    let entityId;
+    let moduleId;
+    if (action.target === 'other') {
+        entityId = action.targetEntity?.id;
+        moduleId = getEntityById(entityId)?.moduleId || action.targetModules?.[0]?.id || null;
+    } else {
+        entityId = context.entityId;
+        moduleId = context.moduleId || getEntityById(entityId)?.moduleId || null;
+    }
+    
+    if (!entityId) {
+        console.warn('[applyActionToTarget] Não foi possível determinar a entidade do alvo');
+        return false;
+    }
+    
+    const previousValue = target[propertyId];
+    const newValue = computeTargetValue(previousValue, value);
+    
+    const currentWorkspace = getCurrentWorkspace();
+    const workspaceId = currentWorkspace ? currentWorkspace.id : 'default';
+    const ownerId = currentWorkspace && !currentWorkspace.isOwner ? currentWorkspace.ownerId : null;
+    
+    try {
+        await updateEntityData(moduleId, entityId, target.id, { [propertyId]: newValue }, workspaceId, ownerId);
+        
+        // Mantém o objeto local coerente com o que foi gravado
+        target[propertyId] = newValue;
+        
+        await notifyActionTargets(target, propertyId, previousValue, { entityId, moduleId, workspaceId, ownerId }, context);
+        
+        console.log('[applyActionToTarget] Ação aplicada com sucesso:', { recordId: target.id, propertyId, newValue });
+        return true;
+    } catch (error) {
+        console.error('[applyActionToTarget] Erro ao gravar ação no registro:', error);
+        return false;
+    }
+}
+
+/**
+ * Avisa as pessoas atribuídas (campos "Pessoa") ao registo alterado por uma ação de botão.
+ * Quem acabou de ser atribuído pela própria ação num campo com aviso já recebeu a notificação de atribuição.
+ * @param {Object} target - Registo alvo, já com o valor novo
+ * @param {string} propertyId - Campo alterado
+ * @param {*} previousValue - Valor do campo antes da ação
+ * @param {Object} location - { entityId, moduleId, workspaceId, ownerId } do registo alvo
+ * @param {Object} context - Contexto da execução ({ buttonLabel })
+ */
+async function notifyActionTargets(target, propertyId, previousValue, location, context = {}) {
+    const entity = getEntityById(location.entityId);
+    const personFields = (entity?.attributes || []).filter(attr => attr.type === 'person');
+    if (personFields.length === 0) return;
+    
+    const changedField = personFields.find(attr => attr.id === propertyId);
+    const alreadyNotified = changedField?.config?.defaultNotify ?
+        toLinkIds(target[propertyId]).filter(uid => !toLinkIds(previousValue).includes(uid)) :
+        [];
+    const recipients = personFields
+        .flatMap(attr => toLinkIds(target[attr.id]))
+        .filter(uid => !alreadyNotified.includes(uid));
+    
+    const buttonLabel = context.buttonLabel || 'Executar Ação';
+    await notifyUsers(recipients, {
+        type: 'action',
+        title: `Ação "${buttonLabel}"`,
+        message: `${getCurrentUserName()} executou "${buttonLabel}" em "${getRecordLabel(entity.attributes, target)}" (${entity.name}), atribuído a você.`,
+        link: {
+            workspaceId: location.workspaceId,
+            ownerId: location.ownerId || getUsuarioId(),
+            moduleId: location.moduleId,
+            entityId: location.entityId,
+            recordId: target.id
+        }
+    });
+}
+
+/**
+ * Calcula o valor final para um alvo a partir do valor atual do registro.
+ * Trata os valores especiais TOGGLE, INCREMENT:n e DECREMENT:n gerados por resolveActionValue.
+ * @param {*} currentValue - Valor atual da propriedade no registro
+ * @param {*} value - Valor resolvido da ação
+ * @returns {*} - Valor a ser gravado
+ */
+function computeTargetValue(currentValue, value) {
+    if (value === 'TOGGLE') {
+        return !currentValue;
+    }
+    
+    if (typeof value === 'string') {
+        const match = value.match(/^(INCREMENT|DECREMENT):(.+)$/);
+        if (match) {
+            const base = parseFloat(currentValue) || 0;
+            const step = parseFloat(match[2]) || 0;
+            return match[1] === 'INCREMENT' ? base + step : base - step;
+        }
+    }
     
-    // Por enquanto, apenas simula o sucesso
-    console.log('[applyActionToTarget] Ação aplicada com sucesso (simulação)');
-    return true;
+    return value === undefined ? null : value;
 }
 
 /**
@@ -4017,6 +5093,26 @@ function applyFieldProperties() {
     
     if (!fieldCard) return;
     
+    if (fieldData.type === 'formula') {
+        const formulaError = getFormulaPanelError();
+        if (formulaError) {
+            updateFormulaStatus();
+            showError('Fórmula inválida', formulaError);
+            return;
+        }
+    }
+    
+    let linkedConfig = null;
+    if (fieldData.type === 'lookup' || fieldData.type === 'rollup') {
+        const { config, error } = readLinkedFieldPanel(fieldData.type);
+        if (error) {
+            showError('Configuração incompleta', error);
+            return;
+        }
+        linkedConfig = config;
+    }
+    
+    const previousLabel = fieldData.label;
     fieldData.label = document.getElementById('field-label').value;
     fieldData.description = document.getElementById('field-description').value;
     
@@ -4114,16 +5210,53 @@ function applyFieldProperties() {
             fieldData.config.successMessage = 'Ação executada com sucesso!';
             fieldData.config.showProgressIndicator = true;
             break;
+            
+        case 'formula':
+            fieldData.config.expression = document.getElementById('formula-expression').value.trim();
+            fieldData.config.resultFormat = document.querySelector('input[name="formula-result-format"]:checked').value;
+            fieldData.config.precision = parseInt(document.getElementById('formula-precision').value || 2);
+            fieldData.config.symbol = document.getElementById('formula-currency-symbol').value || 'R$';
+            fieldData.config.readonly = true;
+            fieldCard.querySelector('.field-type').textContent = fieldData.config.expression ?
+                `Fórmula: ${fieldData.config.expression}` : 'Fórmula (sem expressão)';
+            break;
+            
+        case 'lookup':
+        case 'rollup':
+            Object.assign(fieldData.config, linkedConfig);
+            fieldCard.querySelector('.field-type').textContent = getLinkedFieldTypeText(fieldData);
+            break;
     }
     
     fieldCard.querySelector('.field-label').textContent = fieldData.label;
     fieldCard.dataset.fieldData = JSON.stringify(fieldData);
     
+    if (previousLabel && previousLabel !== fieldData.label) {
+        renameReferencesInFormulas(previousLabel, fieldData.label);
+    }
+    
     closeFieldPropertiesPanel();
     
     showSuccess('Propriedades atualizadas!', '');
 }
 
+/**
+ * Atualiza as fórmulas do construtor que referem um campo renomeado
+ */
+function renameReferencesInFormulas(oldLabel, newLabel) {
+    document.getElementById('form-builder-dropzone').querySelectorAll('.form-field-card').forEach(card => {
+        const fieldData = JSON.parse(card.dataset.fieldData);
+        if (fieldData.type !== 'formula' || !fieldData.config?.expression) return;
+        
+        const expression = renameFormulaReference(fieldData.config.expression, oldLabel, newLabel);
+        if (expression === fieldData.config.expression) return;
+        
+        fieldData.config.expression = expression;
+        card.dataset.fieldData = JSON.stringify(fieldData);
+        card.querySelector('.field-type').textContent = `Fórmula: ${expression}`;
+    });
+}
+
 function setupFieldPropertiesPanelEvents() {
     const closeBtn = document.getElementById('close-properties-panel');
     if (closeBtn) closeBtn.addEventListener('click', closeFieldPropertiesPanel);
@@ -4142,6 +5275,43 @@ function setupFieldPropertiesPanelEvents() {
         });
     });
     
+    const formulaInput = document.getElementById('formula-expression');
+    if (formulaInput) {
+        formulaInput.addEventListener('input', updateFormulaStatus);
+        
+        // Insere a referência ao campo na posição do cursor
+        document.getElementById('formula-field-chips').addEventListener('click', (e) => {
+            const chip = e.target.closest('.formula-field-chip');
+            if (!chip) return;
+            const reference = `{${chip.dataset.label}}`;
+            const start = formulaInput.selectionStart ?? formulaInput.value.length;
+            const end = formulaInput.selectionEnd ?? formulaInput.value.length;
+            formulaInput.value = formulaInput.value.slice(0, start) + reference + formulaInput.value.slice(end);
+            formulaInput.focus();
+            formulaInput.setSelectionRange(start + reference.length, start + reference.length);
+            updateFormulaStatus();
+        });
+        
+        document.querySelectorAll('input[name="formula-result-format"]').forEach(radio => {
+            radio.addEventListener('change', function() {
+                toggleFormulaFormatOptions(this.value);
+            });
+        });
+    }
+    
+    const lookupRelationSelect = document.getElementById('lookup-relation-field');
+    if (lookupRelationSelect) {
+        lookupRelationSelect.addEventListener('change', () => updateLookupTargetOptions());
+    }
+    
+    const rollupRelationSelect = document.getElementById('rollup-relation');
+    if (rollupRelationSelect) {
+        const keepTarget = () => updateRollupTargetOptions(document.getElementById('rollup-target-field').value);
+        rollupRelationSelect.addEventListener('change', keepTarget);
+        document.getElementById('rollup-aggregation').addEventListener('change', keepTarget);
+        document.getElementById('rollup-number-format').addEventListener('change', toggleRollupFormatOptions);
+    }
+    
     const addOptionBtn = document.getElementById('add-select-option');
     if (addOptionBtn) {
         addOptionBtn.addEventListener('click', function() {
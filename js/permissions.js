@@ -0,0 +1,77 @@
+/**
+ * Módulo de permissões
+ * Determina o papel do usuário na área de trabalho atual (dono, admin, editor ou leitor)
+ * e o que esse papel permite fazer no construtor
+ */
+
+import { getCurrentWorkspace } from './workspaces.js';
+
+// Ações permitidas por papel
+// edit: criar e alterar módulos, entidades, estruturas e registos
+// delete: eliminar módulos e entidades (com os seus registos)
+// audit: consultar o registo de atividade da área de trabalho
+const ROLE_ACTIONS = {
+    owner: ['edit', 'delete', 'audit'],
+    admin: ['edit', 'delete', 'audit'],
+    editor: ['edit'],
+    viewer: []
+};
+
+const ROLE_NAMES = {
+    owner: 'Dono',
+    admin: 'Administrador',
+    editor: 'Editor',
+    viewer: 'Leitor'
+};
+
+/**
+ * Obtém o papel do usuário numa área de trabalho
+ * @param {Object} workspace - Área de trabalho (por omissão a atual)
+ * @returns {string} - 'owner', 'admin', 'editor' ou 'viewer'
+ */
+export function getWorkspaceRole(workspace = getCurrentWorkspace()) {
+    if (!workspace || workspace.isOwner) return 'owner';
+    // Papéis desconhecidos são tratados como leitura
+    return ROLE_ACTIONS[workspace.role] ? workspace.role : 'viewer';
+}
+
+/**
+ * Verifica se o papel atual permite uma ação
+ * @param {string} action - 'edit', 'delete' ou 'audit'
+ * @param {Object} workspace - Área de trabalho (por omissão a atual)
+ * @returns {boolean}
+ */
+export function can(action, workspace = getCurrentWorkspace()) {
+    return ROLE_ACTIONS[getWorkspaceRole(workspace)].includes(action);
+}
+
+/**
+ * Lança um erro se o papel atual não permitir a ação
+ * @param {string} action - 'edit' ou 'delete'
+ * @throws {Error} - Erro com name 'PermissionError'
+ */
+export function assertPermission(action) {
+    if (can(action)) return;
+
+    const role = getWorkspaceRole();
+    const error = new Error(`O seu papel nesta área de trabalho (${ROLE_NAMES[role]}) não permite ${action === 'delete' ? 'eliminar' : 'alterar'} dados.`);
+    error.name = 'PermissionError';
+    error.role = role;
+    error.action = action;
+    throw error;
+}
+
+/**
+ * Reflete o papel atual no documento (atributos data-* do body), para que os controlos
+ * marcados com data-requires-permission sejam escondidos pelo CSS
+ * @param {Object} workspace - Área de trabalho (por omissão a atual)
+ */
+export function applyRoleToDocument(workspace = getCurrentWorkspace()) {
+    const body = document.body;
+    if (!body) return;
+
+    body.dataset.workspaceRole = getWorkspaceRole(workspace);
+    body.dataset.canEdit = String(can('edit', workspace));
+    body.dataset.canDelete = String(can('delete', workspace));
+    body.dataset.canAudit = String(can('audit', workspace));
+}
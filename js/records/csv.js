@@ -0,0 +1,95 @@
+/**
+ * Leitura e escrita de CSV
+ * Segue o RFC 4180 (aspas duplas para valores com separadores, aspas ou quebras de linha)
+ * e deteta o separador usado pelas folhas de cálculo em português (;) ou inglês (,).
+ * Não depende do Firebase nem do DOM.
+ */
+
+const CANDIDATE_DELIMITERS = [';', ',', '\t'];
+
+/**
+ * Deteta o separador mais provável a partir da primeira linha
+ * @param {string} text - Conteúdo do ficheiro
+ * @returns {string} - ';', ',' ou tabulação
+ */
+export function detectDelimiter(text) {
+    const firstLine = String(text).split(/\r?\n/, 1)[0] || '';
+    let best = ',';
+    let bestCount = 0;
+
+    CANDIDATE_DELIMITERS.forEach(delimiter => {
+        // Ignora separadores dentro de aspas
+        const count = firstLine.replace(/"[^"]*"/g, '').split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Converte texto CSV numa lista de linhas
+ * @param {string} text - Conteúdo do ficheiro
+ * @param {string} delimiter - Separador (por omissão é detetado)
+ * @returns {Array<Array<string>>} - Linhas com os valores de cada coluna (linhas vazias são ignoradas)
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                value += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && value === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Converte linhas em texto CSV
+ * @param {Array<Array<*>>} rows - Linhas com os valores de cada coluna
+ * @param {string} delimiter - Separador (por omissão ';', o que o Excel em português espera)
+ * @returns {string}
+ */
+export function formatCsv(rows, delimiter = ';') {
+    return rows.map(cells => cells.map(cell => {
+        const text = cell === null || cell === undefined ? '' : String(cell);
+        return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(delimiter)).join('\r\n');
+}
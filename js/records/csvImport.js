@@ -0,0 +1,169 @@
+/**
+ * Importação de registos a partir de CSV
+ * Relaciona as colunas do ficheiro com os atributos da entidade, converte cada valor
+ * segundo o tipo e a configuração do campo e valida as linhas antes da gravação.
+ * Não depende do Firebase nem do DOM.
+ */
+
+import { getFieldConfig, parseNumber, parseDate, getDatePlaceholder } from './fieldFormat.js';
+import { validateRecord } from './validation.js';
+
+// Tipos cujo valor pode ser lido de uma célula de texto
+export const IMPORTABLE_TYPES = ['text', 'textarea', 'email', 'number', 'date', 'checkbox', 'select'];
+
+const TRUTHY_TEXT = ['sim', 's', 'true', 'verdadeiro', '1', 'x', 'yes', 'y'];
+const FALSY_TEXT = ['não', 'nao', 'n', 'false', 'falso', '0', 'no', ''];
+
+/**
+ * Atributos da entidade que podem receber valores do CSV
+ * @param {Array} attributes - Atributos da entidade
+ * @returns {Array}
+ */
+export function getImportableAttributes(attributes = []) {
+    return attributes.filter(attr => IMPORTABLE_TYPES.includes(attr.type));
+}
+
+/**
+ * Sugere, para cada coluna, o atributo com o mesmo rótulo (sem diferenciar maiúsculas nem acentos)
+ * @param {Array<string>} headers - Cabeçalhos do CSV
+ * @param {Array} attributes - Atributos da entidade
+ * @returns {Array<string|null>} - ID do atributo por coluna, ou null para ignorar a coluna
+ */
+export function suggestColumnMapping(headers, attributes = []) {
+    const importable = getImportableAttributes(attributes);
+    const used = new Set();
+
+    return headers.map(header => {
+        const key = normalizeLabel(header);
+        const match = importable.find(attr => !used.has(attr.id) && (normalizeLabel(attr.label) === key || attr.id === header));
+        if (!match) return null;
+        used.add(match.id);
+        return match.id;
+    });
+}
+
+/**
+ * Converte o texto de uma célula no valor guardado para o atributo
+ * @param {Object} attribute - Atributo da entidade
+ * @param {string} text - Texto da célula
+ * @returns {{value: *, error: string|null}}
+ */
+export function convertCsvValue(attribute, text) {
+    const config = getFieldConfig(attribute);
+    const raw = String(text ?? '').trim();
+
+    if (raw === '' && attribute.type !== 'checkbox') {
+        return { value: null, error: null };
+    }
+
+    switch (attribute.type) {
+        case 'number': {
+            const number = parseNumber(raw, config);
+            return Number.isNaN(number) ? { value: null, error: `"${raw}" não é um número.` } : { value: number, error: null };
+        }
+
+        case 'date': {
+            if (config.behavior === 'dateRange') {
+                const [startText, endText = ''] = raw.split(/\s*→\s*|\s+-\s+/);
+                const start = parseCsvDate(startText, config);
+                const end = parseCsvDate(endText, config);
+                if (start === undefined || end === undefined) {
+                    return { value: null, error: `"${raw}" não é um intervalo de datas válido (${getDatePlaceholder(config)}).` };
+                }
+                return { value: { start, end }, error: null };
+            }
+            const date = parseCsvDate(raw, config);
+            return date === undefined ?
+                { value: null, error: `"${raw}" não é uma data válida (${getDatePlaceholder(config)}).` } :
+                { value: date, error: null };
+        }
+
+        case 'checkbox': {
+            const normalized = raw.toLowerCase();
+            if (TRUTHY_TEXT.includes(normalized)) return { value: true, error: null };
+            if (FALSY_TEXT.includes(normalized)) return { value: false, error: null };
+            return { value: null, error: `"${raw}" não é um valor de sim/não.` };
+        }
+
+        case 'select': {
+            const labels = config.allowMultiple ? raw.split(/[,;]/).map(label => label.trim()).filter(Boolean) : [raw];
+            const options = config.options || [];
+            const ids = [];
+            const unknown = [];
+            labels.forEach(label => {
+                const key = normalizeLabel(label);
+                const option = options.find(opt => normalizeLabel(opt.label) === key || opt.id === label);
+                if (option) ids.push(option.id);
+                else unknown.push(label);
+            });
+            if (unknown.length > 0) {
+                return { value: null, error: `Opção desconhecida: ${unknown.map(label => `"${label}"`).join(', ')}.` };
+            }
+            return { value: config.allowMultiple ? ids : ids[0], error: null };
+        }
+
+        default:
+            return { value: raw, error: null };
+    }
+}
+
+/**
+ * Converte e valida as linhas do CSV
+ * @param {Array<Array<string>>} rows - Linhas de dados (sem o cabeçalho)
+ * @param {Array<string|null>} mapping - ID do atributo por coluna (null = ignorar)
+ * @param {Array} attributes - Atributos da entidade
+ * @param {number} firstRowNumber - Número da primeira linha no ficheiro (para o relatório)
+ * @returns {{records: Array<{rowNumber: number, data: Object}>, rejected: Array<{rowNumber: number, row: Array<string>, errors: Array<string>}>}}
+ */
+export function buildRecordsFromRows(rows, mapping, attributes = [], firstRowNumber = 2) {
+    const records = [];
+    const rejected = [];
+    const mappedAttributes = mapping.map(fieldId => (fieldId ? attributes.find(attr => attr.id === fieldId) : null));
+
+    rows.forEach((row, index) => {
+        const rowNumber = firstRowNumber + index;
+        const data = {};
+        const errors = [];
+
+        mappedAttributes.forEach((attribute, column) => {
+            if (!attribute) return;
+            const { value, error } = convertCsvValue(attribute, row[column]);
+            if (error) {
+                errors.push(`${attribute.label}: ${error}`);
+            } else if (value !== null) {
+                data[attribute.id] = value;
+            }
+        });
+
+        // A validação corre sobre o registo completo, para apanhar também campos obrigatórios sem coluna
+        const { errors: validationErrors } = validateRecord(attributes, data);
+        Object.entries(validationErrors).forEach(([fieldId, message]) => {
+            const label = attributes.find(attr => attr.id === fieldId)?.label || fieldId;
+            if (!errors.some(error => error.startsWith(`${label}:`))) {
+                errors.push(`${label}: ${message}`);
+            }
+        });
+
+        if (errors.length > 0) {
+            rejected.push({ rowNumber, row, errors });
+        } else {
+            records.push({ rowNumber, data });
+        }
+    });
+
+    return { records, rejected };
+}
+
+// Aceita o formato configurado no campo e também AAAA-MM-DD, comum em exportações
+function parseCsvDate(text, config) {
+    const value = String(text || '').trim();
+    if (value === '') return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value) && config.dateFormat !== 'AAAA-MM-DD') {
+        return parseDate(value, { ...config, dateFormat: 'AAAA-MM-DD' });
+    }
+    return parseDate(value, config.dateFormat === 'complete' ? { ...config, dateFormat: 'DD/MM/AAAA' } : config);
+}
+
+function normalizeLabel(label) {
+    return String(label || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
@@ -0,0 +1,342 @@
+/**
+ * Formatação e interpretação de valores de campos
+ * Converte os valores guardados nos registos para texto (e vice-versa)
+ * respeitando as configurações de cada tipo de campo (defaultFieldConfigs)
+ */
+
+import { defaultFieldConfigs } from '../config.js';
+
+const LOCALE = 'pt-BR';
+
+const MONTH_NAMES = ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho',
+    'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'];
+
+/**
+ * Retorna a configuração efetiva de um atributo (padrões do tipo + configuração salva)
+ * @param {Object} attribute - Atributo da entidade
+ * @returns {Object} - Configuração completa
+ */
+export function getFieldConfig(attribute) {
+    return { ...(defaultFieldConfigs[attribute.type] || {}), ...(attribute.config || {}) };
+}
+
+/**
+ * Formata um número segundo a configuração do campo
+ * @param {number} value - Valor numérico
+ * @param {Object} config - Configuração do campo número
+ * @returns {string} - Texto formatado
+ */
+export function formatNumber(value, config = {}) {
+    if (value === null || value === undefined || value === '' || isNaN(value)) return '';
+
+    const precision = Number.isInteger(parseInt(config.precision)) ? parseInt(config.precision) : 2;
+    const number = Number(value);
+
+    switch (config.format) {
+        case 'thousands':
+            return number.toLocaleString(LOCALE, { maximumFractionDigits: precision });
+        case 'decimal':
+            return number.toLocaleString(LOCALE, { minimumFractionDigits: precision, maximumFractionDigits: precision });
+        case 'currency':
+            return `${config.symbol || 'R$'} ${number.toLocaleString(LOCALE, { minimumFractionDigits: precision, maximumFractionDigits: precision })}`;
+        case 'percentage':
+            return `${number.toLocaleString(LOCALE, { minimumFractionDigits: precision, maximumFractionDigits: precision })}%`;
+        case 'plain':
+        default:
+            return number.toLocaleString(LOCALE, { useGrouping: false, maximumFractionDigits: precision });
+    }
+}
+
+/**
+ * Interpreta um número digitado pelo usuário (aceita "1.234,56", "1234.56", "R$ 10", "15%")
+ * @param {string} text - Texto digitado
+ * @param {Object} config - Configuração do campo número
+ * @returns {number|null} - Número, null se vazio ou NaN se inválido
+ */
+export function parseNumber(text, config = {}) {
+    if (typeof text === 'number') return text;
+    if (text === null || text === undefined) return null;
+
+    let clean = String(text).trim();
+    if (config.symbol) {
+        clean = clean.split(config.symbol).join('');
+    }
+    clean = clean.replace(/%/g, '').replace(/\s/g, '');
+    if (clean === '') return null;
+
+    if (clean.includes(',')) {
+        // Formato brasileiro: ponto como separador de milhar, vírgula decimal
+        clean = clean.replace(/\./g, '').replace(',', '.');
+    } else if ((clean.match(/\./g) || []).length > 1 || (usesGrouping(config) && /^-?\d{1,3}(\.\d{3})+$/.test(clean))) {
+        // Nos formatos com separador de milhar, "1.234" é o que formatNumber mostra para 1234
+        clean = clean.replace(/\./g, '');
+    }
+
+    if (!/^-?\d*\.?\d+$/.test(clean)) return NaN;
+    return parseFloat(clean);
+}
+
+// Formatos em que formatNumber agrupa os milhares com ponto (pt-BR)
+function usesGrouping(config) {
+    return ['thousands', 'decimal', 'currency', 'percentage'].includes(config.format);
+}
+
+/**
+ * Retorna o texto de exemplo para o formato de data configurado
+ * @param {Object} config - Configuração do campo data
+ * @returns {string}
+ */
+export function getDatePlaceholder(config = {}) {
+    const datePart = config.dateFormat === 'complete' || !config.dateFormat ? 'DD/MM/AAAA' : config.dateFormat;
+    return config.includeTime && config.includeTime !== 'none' ? `${datePart} ${config.includeTime}` : datePart;
+}
+
+/**
+ * Formata uma data guardada (AAAA-MM-DD ou AAAA-MM-DDTHH:mm[:ss]) segundo a configuração
+ * @param {string} value - Data em formato ISO
+ * @param {Object} config - Configuração do campo data
+ * @param {boolean} forInput - Se true, usa sempre um formato que o usuário consegue redigitar
+ * @returns {string}
+ */
+export function formatDate(value, config = {}, forInput = false) {
+    if (!value) return '';
+
+    const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?/);
+    if (!match) return String(value);
+
+    const [, year, month, day, hours = '00', minutes = '00', seconds = '00'] = match;
+    let text;
+
+    switch (config.dateFormat) {
+        case 'MM/DD/AAAA':
+            text = `${month}/${day}/${year}`;
+            break;
+        case 'AAAA-MM-DD':
+            text = `${year}-${month}-${day}`;
+            break;
+        case 'complete':
+            text = forInput ?
+                `${day}/${month}/${year}` :
+                `${parseInt(day)} de ${MONTH_NAMES[parseInt(month) - 1]} de ${year}`;
+            break;
+        case 'DD/MM/AAAA':
+        default:
+            text = `${day}/${month}/${year}`;
+    }
+
+    if (config.includeTime === 'HH:mm') {
+        text += ` ${hours}:${minutes}`;
+    } else if (config.includeTime === 'HH:mm:ss') {
+        text += ` ${hours}:${minutes}:${seconds}`;
+    }
+
+    return text;
+}
+
+/**
+ * Interpreta uma data digitada segundo o formato configurado
+ * @param {string} text - Texto digitado
+ * @param {Object} config - Configuração do campo data
+ * @returns {string|null} - Data em formato ISO, null se vazia ou undefined se inválida
+ */
+export function parseDate(text, config = {}) {
+    if (text === null || text === undefined || String(text).trim() === '') return null;
+
+    const [datePart, timePart] = String(text).trim().split(/\s+/);
+    let year, month, day;
+
+    if (config.dateFormat === 'AAAA-MM-DD') {
+        [year, month, day] = datePart.split('-');
+    } else if (config.dateFormat === 'MM/DD/AAAA') {
+        [month, day, year] = datePart.split('/');
+    } else {
+        [day, month, year] = datePart.split('/');
+    }
+
+    const y = parseInt(year), m = parseInt(month), d = parseInt(day);
+    const check = new Date(y, m - 1, d);
+    if (!y || !m || !d || String(year).length !== 4 ||
+        check.getFullYear() !== y || check.getMonth() !== m - 1 || check.getDate() !== d) {
+        return undefined;
+    }
+
+    let iso = `${year}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+
+    if (config.includeTime && config.includeTime !== 'none') {
+        const timeMatch = (timePart || '00:00').match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+        if (!timeMatch || parseInt(timeMatch[1]) > 23 || parseInt(timeMatch[2]) > 59) {
+            return undefined;
+        }
+        iso += `T${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}`;
+        if (config.includeTime === 'HH:mm:ss') {
+            iso += `:${timeMatch[3] || '00'}`;
+        }
+    }
+
+    return iso;
+}
+
+/**
+ * Retorna a data de hoje em formato ISO, incluindo a hora se o campo a usar
+ * @param {Object} config - Configuração do campo data
+ * @returns {string}
+ */
+export function todayIso(config = {}) {
+    const now = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    let iso = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    if (config.includeTime === 'HH:mm') {
+        iso += `T${pad(now.getHours())}:${pad(now.getMinutes())}`;
+    } else if (config.includeTime === 'HH:mm:ss') {
+        iso += `T${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
+    }
+    return iso;
+}
+
+/**
+ * Retorna os rótulos das opções selecionadas num campo de seleção
+ * @param {string|Array} value - ID (ou IDs) das opções
+ * @param {Object} config - Configuração do campo seleção
+ * @returns {Array<string>}
+ */
+export function getOptionLabels(value, config = {}) {
+    const ids = Array.isArray(value) ? value : (value ? [value] : []);
+    const options = config.options || [];
+    return ids.map(id => options.find(opt => opt.id === id)?.label || id);
+}
+
+/**
+ * Formata o valor de um registo para exibição
+ * @param {Object} attribute - Atributo da entidade
+ * @param {*} value - Valor guardado
+ * @returns {string} - Texto para exibição
+ */
+export function formatFieldValue(attribute, value) {
+    const config = getFieldConfig(attribute);
+
+    if (value === null || value === undefined || value === '') return '';
+
+    switch (attribute.type) {
+        case 'number':
+            return formatNumber(value, config);
+        case 'date':
+            if (typeof value === 'object' && !Array.isArray(value)) {
+                // Intervalo de datas
+                return [formatDate(value.start, config), formatDate(value.end, config)].filter(Boolean).join(' → ');
+            }
+            return formatDate(value, config);
+        case 'checkbox':
+            return value ? 'Sim' : 'Não';
+        case 'select':
+            return getOptionLabels(value, config).join(', ');
+        case 'file':
+            return value.name || '';
+        case 'sub-entity':
+            if (attribute.subType === 'independent' && Array.isArray(value)) {
+                return value.length > 0 ? `${value.length} linha${value.length !== 1 ? 's' : ''}` : '';
+            }
+            return Array.isArray(value) ? value.join(', ') : String(value);
+        case 'created-time': {
+            const date = new Date(value);
+            if (isNaN(date)) return String(value);
+            const options = { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' };
+            if (config.includeSeconds) options.second = '2-digit';
+            if (config.timezone === 'utc') options.timeZone = 'UTC';
+            return date.toLocaleString(LOCALE, options);
+        }
+        case 'created-by':
+        case 'last-edited-by': {
+            if (typeof value !== 'object') return String(value);
+            const display = value.display || value.name || value.email || value.id || '';
+            if (attribute.type === 'last-edited-by' && config.showTimestamp && value.editedAt) {
+                const editedAt = new Date(value.editedAt);
+                if (!isNaN(editedAt)) {
+                    return `${display} · ${editedAt.toLocaleString(LOCALE, { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' })}`;
+                }
+            }
+            return display;
+        }
+        case 'formula':
+            return formatFormulaValue(value, config);
+        case 'rollup':
+            return formatNumber(value, config);
+        default:
+            if (Array.isArray(value)) return value.map(item => (typeof item === 'object' ? item.name || item.id : item)).join(', ');
+            if (typeof value === 'object') return value.name || value.label || value.id || '';
+            return String(value);
+    }
+}
+
+/**
+ * Formata o resultado de uma fórmula segundo o formato escolhido no campo
+ * @param {*} value - Resultado calculado (número, texto, booleano ou data ISO)
+ * @param {Object} config - Configuração do campo fórmula
+ * @returns {string}
+ */
+function formatFormulaValue(value, config) {
+    if (typeof value === 'boolean') return value ? 'Sim' : 'Não';
+
+    const isIsoDate = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2})?$/.test(value);
+
+    switch (config.resultFormat) {
+        case 'decimal':
+        case 'currency':
+        case 'percentage':
+            return typeof value === 'number' ? formatNumber(value, { ...config, format: config.resultFormat }) : String(value);
+        case 'date':
+            return isIsoDate ? formatDate(value, { dateFormat: 'DD/MM/AAAA', includeTime: value.includes('T') ? 'HH:mm' : 'none' }) : String(value);
+        case 'text':
+            return String(value);
+        case 'auto':
+        default:
+            if (typeof value === 'number') return formatNumber(value, { ...config, format: 'thousands' });
+            if (isIsoDate) return formatDate(value, { dateFormat: 'DD/MM/AAAA', includeTime: value.includes('T') ? 'HH:mm' : 'none' });
+            return String(value);
+    }
+}
+
+/**
+ * Formata um tamanho de ficheiro em bytes, KB ou MB
+ * @param {number} bytes - Tamanho em bytes
+ * @returns {string}
+ */
+export function formatFileSize(bytes) {
+    const size = Number(bytes) || 0;
+    if (size >= 1024 * 1024) return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+    if (size >= 1024) return `${Math.round(size / 1024)} KB`;
+    return `${size} bytes`;
+}
+
+/**
+ * Campo principal de uma entidade, usado para identificar os registos (primeiro campo de texto ou email)
+ * @param {Array} attributes - Atributos da entidade
+ * @returns {Object|undefined}
+ */
+export function getDisplayAttribute(attributes = []) {
+    return attributes.find(attr => ['text', 'email'].includes(attr.type));
+}
+
+/**
+ * Retorna o texto que identifica um registo (valor do campo principal da entidade)
+ * @param {Array} attributes - Atributos da entidade
+ * @param {Object} record - Registo guardado
+ * @returns {string} - Texto de identificação ou o ID do registo
+ */
+export function getRecordLabel(attributes = [], record = {}) {
+    const displayAttribute = getDisplayAttribute(attributes);
+    return (displayAttribute && record[displayAttribute.id]) || record.id;
+}
+
+/**
+ * Escapa texto para inserção segura em HTML
+ * @param {*} text - Texto a escapar
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
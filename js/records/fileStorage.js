@@ -0,0 +1,208 @@
+/**
+ * Ficheiros dos registos no Firebase Storage
+ * Envia os ficheiros dos campos "Ficheiro" para um caminho da área de trabalho
+ * (users/{dono}/workspaces/{área}/entities/{entidade}/files/{campo}/...), mostra a
+ * pré-visualização de imagens e PDFs e apaga os ficheiros que deixam de ser usados
+ */
+
+import { getUsuarioId } from '../autenticacao.js';
+import { showError, showLoading, hideLoading } from '../ui.js';
+import { escapeHtml, formatFileSize } from './fieldFormat.js';
+
+/**
+ * Indica se o valor de um campo "Ficheiro" tem conteúdo guardado no Storage
+ * (registos antigos só guardam o nome, o tamanho e o tipo)
+ * @param {*} value - Valor do campo
+ * @returns {boolean}
+ */
+export function isStoredFile(value) {
+    return !!value && typeof value === 'object' && typeof value.path === 'string' && value.path !== '';
+}
+
+/**
+ * Envia os ficheiros escolhidos no formulário
+ * @param {string} entityId - ID da entidade do registo
+ * @param {Array<{attribute: Object, file: File}>} selectedFiles - Ficheiros por campo
+ * @param {string} workspaceId - ID da área de trabalho
+ * @param {string} ownerId - ID do dono da área de trabalho (opcional)
+ * @returns {Promise<Object>} - { fieldId: { name, size, contentType, path, uploadedAt } }
+ */
+export async function uploadRecordFiles(entityId, selectedFiles, workspaceId = 'default', ownerId = null) {
+    const uploaded = {};
+    if (selectedFiles.length === 0) return uploaded;
+
+    try {
+        for (const { attribute, file } of selectedFiles) {
+            showLoading(`A enviar "${file.name}"...`);
+            const path = `${getFilesBasePath(workspaceId, ownerId, entityId)}/${attribute.id}/${Date.now()}-${sanitizeFileName(file.name)}`;
+            await firebase.storage().ref(path).put(file, { contentType: file.type || 'application/octet-stream' });
+            uploaded[attribute.id] = {
+                name: file.name,
+                size: file.size,
+                contentType: file.type || 'application/octet-stream',
+                path,
+                uploadedAt: new Date().toISOString()
+            };
+        }
+        hideLoading();
+        return uploaded;
+    } catch (error) {
+        hideLoading();
+        // Os ficheiros já enviados não ficam órfãos
+        await deleteStoredFiles(Object.values(uploaded).map(value => value.path));
+        console.error('Erro ao enviar ficheiros:', error);
+        showError('Erro no Envio', 'Não foi possível enviar o ficheiro. Verifique a ligação e tente novamente.');
+        throw error;
+    }
+}
+
+/**
+ * Apaga ficheiros do Storage; os que já não existem são ignorados
+ * @param {Array<string>} paths - Caminhos no Storage
+ * @returns {Promise<void>}
+ */
+export async function deleteStoredFiles(paths = []) {
+    for (const path of paths.filter(Boolean)) {
+        try {
+            await firebase.storage().ref(path).delete();
+        } catch (error) {
+            if (error.code !== 'storage/object-not-found') {
+                console.warn(`Não foi possível apagar o ficheiro "${path}":`, error);
+            }
+        }
+    }
+}
+
+/**
+ * Caminhos dos ficheiros guardados num registo
+ * @param {Array} attributes - Atributos da entidade
+ * @param {Object} record - Registo
+ * @returns {Array<string>}
+ */
+export function getRecordFilePaths(attributes = [], record = {}) {
+    return attributes
+        .filter(attr => attr.type === 'file' && isStoredFile(record[attr.id]))
+        .map(attr => record[attr.id].path);
+}
+
+/**
+ * Caminhos dos ficheiros de um registo que foram substituídos ou removidos numa alteração
+ * @param {Array} attributes - Atributos da entidade
+ * @param {Object} record - Registo antes da alteração
+ * @param {Object} data - Valores alterados
+ * @returns {Array<string>}
+ */
+export function getReplacedFilePaths(attributes = [], record = {}, data = {}) {
+    return attributes
+        .filter(attr => attr.type === 'file' && Object.prototype.hasOwnProperty.call(data, attr.id))
+        .filter(attr => isStoredFile(record[attr.id]) && data[attr.id]?.path !== record[attr.id].path)
+        .map(attr => record[attr.id].path);
+}
+
+/**
+ * Mantém só os caminhos que pertencem à pasta de ficheiros da entidade nesta área de trabalho.
+ * Registos importados de outra área de trabalho podem apontar para ficheiros da origem,
+ * que as regras do Storage deixam o mesmo dono apagar
+ * @param {Array<string>} paths - Caminhos no Storage
+ * @param {string} entityId - ID da entidade do registo
+ * @param {string} workspaceId - ID da área de trabalho
+ * @param {string} ownerId - ID do dono da área de trabalho (opcional)
+ * @returns {Array<string>}
+ */
+export function filterWorkspaceFilePaths(paths = [], entityId, workspaceId = 'default', ownerId = null) {
+    const basePath = `${getFilesBasePath(workspaceId, ownerId, entityId)}/`;
+    return paths.filter(path => typeof path === 'string' && path.startsWith(basePath));
+}
+
+/**
+ * Apaga todos os ficheiros de uma entidade (ao eliminar a entidade com os seus registos)
+ * @param {string} basePath - Caminho da área de trabalho (users/{dono}/workspaces/{área})
+ * @param {string} entityId - ID da entidade
+ * @returns {Promise<void>}
+ */
+export async function deleteEntityFiles(basePath, entityId) {
+    const paths = await listFiles(firebase.storage().ref(`${basePath}/entities/${entityId}/files`));
+    await deleteStoredFiles(paths);
+}
+
+/**
+ * Obtém o endereço de download de um ficheiro guardado
+ * @param {Object} value - Valor do campo "Ficheiro"
+ * @returns {Promise<string|null>}
+ */
+export async function getFileUrl(value) {
+    if (!isStoredFile(value)) return null;
+    try {
+        return await firebase.storage().ref(value.path).getDownloadURL();
+    } catch (error) {
+        console.warn('Não foi possível obter o endereço do ficheiro:', error);
+        return null;
+    }
+}
+
+/**
+ * Indica se o ficheiro pode ser pré-visualizado (imagens e PDFs)
+ * @param {Object} value - Valor do campo "Ficheiro"
+ * @returns {boolean}
+ */
+export function canPreviewFile(value) {
+    const contentType = String(value?.contentType || '');
+    return isStoredFile(value) && (contentType.startsWith('image/') || contentType === 'application/pdf');
+}
+
+/**
+ * Mostra o ficheiro numa janela, com pré-visualização de imagens e PDFs e botão de download
+ * @param {Object} value - Valor do campo "Ficheiro"
+ * @returns {Promise<void>}
+ */
+export async function openFilePreview(value) {
+    if (!isStoredFile(value)) {
+        showError('Ficheiro Indisponível', 'Este ficheiro foi registado antes do envio para o servidor e não tem conteúdo guardado.');
+        return;
+    }
+
+    showLoading('Abrindo ficheiro...');
+    const url = await getFileUrl(value);
+    hideLoading();
+    if (!url) {
+        showError('Ficheiro Indisponível', 'Não foi possível abrir o ficheiro. Pode ter sido apagado.');
+        return;
+    }
+
+    let preview = '<p class="text-sm text-slate-500">Pré-visualização não disponível para este tipo de ficheiro.</p>';
+    if (String(value.contentType).startsWith('image/')) {
+        preview = `<img src="${escapeHtml(url)}" alt="${escapeHtml(value.name)}" class="max-h-[60vh] mx-auto rounded-lg">`;
+    } else if (value.contentType === 'application/pdf') {
+        preview = `<iframe src="${escapeHtml(url)}" title="${escapeHtml(value.name)}" class="w-full h-[60vh] rounded-lg border border-slate-200"></iframe>`;
+    }
+
+    await Swal.fire({
+        title: escapeHtml(value.name),
+        html: `
+            ${preview}
+            <p class="text-xs text-slate-500 mt-3">${escapeHtml(value.contentType || '')} · ${formatFileSize(value.size)}</p>
+            <a href="${escapeHtml(url)}" target="_blank" rel="noopener" download="${escapeHtml(value.name)}"
+               class="inline-flex items-center gap-1 mt-3 px-4 py-2 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700">Descarregar</a>
+        `,
+        width: value.contentType === 'application/pdf' ? '56rem' : '40rem',
+        showConfirmButton: false,
+        showCloseButton: true
+    });
+}
+
+// Mesmo prefixo dos documentos da área de trabalho, para que as regras do Storage sigam os papéis do Firestore
+function getFilesBasePath(workspaceId, ownerId, entityId) {
+    return `users/${ownerId || getUsuarioId()}/workspaces/${workspaceId}/entities/${entityId}/files`;
+}
+
+async function listFiles(ref) {
+    const result = await ref.listAll();
+    const nested = await Promise.all(result.prefixes.map(listFiles));
+    return [...result.items.map(item => item.fullPath), ...nested.flat()];
+}
+
+// Mantém o nome legível no caminho, sem caracteres que o Storage ou as regras tratem de forma especial
+function sanitizeFileName(name) {
+    return String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-zA-Z0-9._-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 120) || 'ficheiro';
+}
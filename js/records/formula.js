@@ -0,0 +1,903 @@
+/**
+ * Campos de fórmula
+ * Interpreta e calcula expressões como `{Quantidade} * {Preço}` ou
+ * `IF({Status} = "Pago", 0, {Total})` a partir dos outros campos do mesmo registo.
+ * A expressão é lida por um analisador próprio (sem eval nem Function), por isso
+ * só pode usar os operadores e as funções listados aqui.
+ * Não depende do Firebase nem do DOM.
+ */
+
+import { getFieldConfig, formatFieldValue, getOptionLabels, formatDate } from './fieldFormat.js';
+
+const LOCALE = 'pt-BR';
+
+// Limites que protegem o navegador de expressões abusivas
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_NESTING_DEPTH = 40;
+const MAX_CACHED_EXPRESSIONS = 200;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const COMPARISON_OPERATORS = ['=', '==', '!=', '<>', '<', '>', '<=', '>='];
+
+/**
+ * Funções disponíveis nas fórmulas (mostradas na ajuda do painel de propriedades)
+ */
+export const FORMULA_FUNCTIONS = [
+    { name: 'IF', syntax: 'IF(condição, se verdadeiro, se falso)', description: 'Escolhe um de dois valores.' },
+    { name: 'AND', syntax: 'AND(a, b, ...)', description: 'Verdadeiro se todas as condições forem verdadeiras.' },
+    { name: 'OR', syntax: 'OR(a, b, ...)', description: 'Verdadeiro se alguma condição for verdadeira.' },
+    { name: 'NOT', syntax: 'NOT(condição)', description: 'Inverte uma condição.' },
+    { name: 'ISBLANK', syntax: 'ISBLANK(valor)', description: 'Verdadeiro se o valor estiver vazio.' },
+    { name: 'ROUND', syntax: 'ROUND(número, casas)', description: 'Arredonda um número.' },
+    { name: 'FLOOR', syntax: 'FLOOR(número)', description: 'Arredonda para baixo.' },
+    { name: 'CEIL', syntax: 'CEIL(número)', description: 'Arredonda para cima.' },
+    { name: 'ABS', syntax: 'ABS(número)', description: 'Valor absoluto.' },
+    { name: 'MOD', syntax: 'MOD(número, divisor)', description: 'Resto da divisão.' },
+    { name: 'SQRT', syntax: 'SQRT(número)', description: 'Raiz quadrada.' },
+    { name: 'SUM', syntax: 'SUM(a, b, ...)', description: 'Soma dos valores.' },
+    { name: 'AVERAGE', syntax: 'AVERAGE(a, b, ...)', description: 'Média dos valores.' },
+    { name: 'MIN', syntax: 'MIN(a, b, ...)', description: 'Menor valor.' },
+    { name: 'MAX', syntax: 'MAX(a, b, ...)', description: 'Maior valor.' },
+    { name: 'CONCAT', syntax: 'CONCAT(a, b, ...)', description: 'Junta textos (o mesmo que a & b).' },
+    { name: 'UPPER', syntax: 'UPPER(texto)', description: 'Texto em maiúsculas.' },
+    { name: 'LOWER', syntax: 'LOWER(texto)', description: 'Texto em minúsculas.' },
+    { name: 'TRIM', syntax: 'TRIM(texto)', description: 'Remove os espaços nas pontas.' },
+    { name: 'LEN', syntax: 'LEN(texto)', description: 'Número de caracteres.' },
+    { name: 'LEFT', syntax: 'LEFT(texto, n)', description: 'Primeiros n caracteres.' },
+    { name: 'RIGHT', syntax: 'RIGHT(texto, n)', description: 'Últimos n caracteres.' },
+    { name: 'MID', syntax: 'MID(texto, início, n)', description: 'n caracteres a partir da posição início (1 = primeiro).' },
+    { name: 'CONTAINS', syntax: 'CONTAINS(texto, procura)', description: 'Verdadeiro se o texto contiver a procura (sem diferenciar maiúsculas).' },
+    { name: 'SUBSTITUTE', syntax: 'SUBSTITUTE(texto, procura, novo)', description: 'Substitui todas as ocorrências.' },
+    { name: 'TEXT', syntax: 'TEXT(valor)', description: 'Converte o valor em texto.' },
+    { name: 'TODAY', syntax: 'TODAY()', description: 'Data de hoje.' },
+    { name: 'NOW', syntax: 'NOW()', description: 'Data e hora atuais.' },
+    { name: 'DATE', syntax: 'DATE(ano, mês, dia)', description: 'Monta uma data.' },
+    { name: 'YEAR', syntax: 'YEAR(data)', description: 'Ano da data.' },
+    { name: 'MONTH', syntax: 'MONTH(data)', description: 'Mês da data (1 a 12).' },
+    { name: 'DAY', syntax: 'DAY(data)', description: 'Dia do mês.' },
+    { name: 'DATEADD', syntax: 'DATEADD(data, quantidade, "dias"|"meses"|"anos"|"horas")', description: 'Soma um intervalo a uma data.' },
+    { name: 'DATEDIF', syntax: 'DATEDIF(início, fim, "dias"|"meses"|"anos")', description: 'Intervalo completo entre duas datas.' }
+];
+
+// Implementação de cada função: { min, max, fn(args) } (max = Infinity para listas)
+const FUNCTION_IMPLEMENTATIONS = {
+    IF: { min: 2, max: 3, lazy: true },
+    AND: { min: 1, max: Infinity, fn: args => args.every(toBoolean) },
+    OR: { min: 1, max: Infinity, fn: args => args.some(toBoolean) },
+    NOT: { min: 1, max: 1, fn: ([value]) => !toBoolean(value) },
+    ISBLANK: { min: 1, max: 1, fn: ([value]) => isBlank(value) },
+    ROUND: { min: 1, max: 2, fn: ([value, places = 0]) => roundTo(toNumber(value), toInteger(places)) },
+    FLOOR: { min: 1, max: 1, fn: ([value]) => Math.floor(toNumber(value)) },
+    CEIL: { min: 1, max: 1, fn: ([value]) => Math.ceil(toNumber(value)) },
+    ABS: { min: 1, max: 1, fn: ([value]) => Math.abs(toNumber(value)) },
+    MOD: { min: 2, max: 2, fn: ([value, divisor]) => modulo(toNumber(value), toNumber(divisor)) },
+    SQRT: { min: 1, max: 1, fn: ([value]) => squareRoot(toNumber(value)) },
+    SUM: { min: 1, max: Infinity, fn: args => args.reduce((sum, value) => sum + toNumber(value), 0) },
+    AVERAGE: { min: 1, max: Infinity, fn: args => args.reduce((sum, value) => sum + toNumber(value), 0) / args.length },
+    MIN: { min: 1, max: Infinity, fn: args => Math.min(...args.map(toNumber)) },
+    MAX: { min: 1, max: Infinity, fn: args => Math.max(...args.map(toNumber)) },
+    CONCAT: { min: 1, max: Infinity, fn: args => args.map(toText).join('') },
+    UPPER: { min: 1, max: 1, fn: ([value]) => toText(value).toUpperCase() },
+    LOWER: { min: 1, max: 1, fn: ([value]) => toText(value).toLowerCase() },
+    TRIM: { min: 1, max: 1, fn: ([value]) => toText(value).trim() },
+    LEN: { min: 1, max: 1, fn: ([value]) => toText(value).length },
+    LEFT: { min: 2, max: 2, fn: ([value, count]) => toText(value).slice(0, Math.max(0, toInteger(count))) },
+    RIGHT: { min: 2, max: 2, fn: ([value, count]) => {
+        const n = Math.max(0, toInteger(count));
+        return n === 0 ? '' : toText(value).slice(-n);
+    } },
+    MID: { min: 3, max: 3, fn: ([value, start, count]) => {
+        const from = Math.max(1, toInteger(start)) - 1;
+        return toText(value).substr(from, Math.max(0, toInteger(count)));
+    } },
+    CONTAINS: { min: 2, max: 2, fn: ([value, search]) => toText(value).toLowerCase().includes(toText(search).toLowerCase()) },
+    SUBSTITUTE: { min: 3, max: 3, fn: ([value, search, replacement]) => {
+        const find = toText(search);
+        return find === '' ? toText(value) : toText(value).split(find).join(toText(replacement));
+    } },
+    TEXT: { min: 1, max: 1, fn: ([value]) => toText(value) },
+    TODAY: { min: 0, max: 0, fn: () => {
+        const now = new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    } },
+    NOW: { min: 0, max: 0, fn: () => new Date() },
+    DATE: { min: 3, max: 3, fn: ([year, month, day]) => new Date(toInteger(year), toInteger(month) - 1, toInteger(day)) },
+    YEAR: { min: 1, max: 1, fn: ([value]) => toDate(value).getFullYear() },
+    MONTH: { min: 1, max: 1, fn: ([value]) => toDate(value).getMonth() + 1 },
+    DAY: { min: 1, max: 1, fn: ([value]) => toDate(value).getDate() },
+    DATEADD: { min: 2, max: 3, fn: ([value, amount, unit = 'dias']) => addToDate(toDate(value), toNumber(amount), unit) },
+    DATEDIF: { min: 2, max: 3, fn: ([start, end, unit = 'dias']) => dateDifference(toDate(start), toDate(end), unit) }
+};
+
+// Sinónimos aceites nas unidades de DATEADD e DATEDIF
+const DATE_UNITS = {
+    dias: 'days', dia: 'days', days: 'days', day: 'days', d: 'days',
+    meses: 'months', mes: 'months', months: 'months', month: 'months', m: 'months',
+    anos: 'years', ano: 'years', years: 'years', year: 'years', y: 'years',
+    horas: 'hours', hora: 'hours', hours: 'hours', hour: 'hours', h: 'hours'
+};
+
+const parsedExpressions = new Map();
+
+/**
+ * Cria um erro de fórmula (mensagem pronta para o usuário)
+ * @param {string} message - Descrição do problema
+ * @param {number} position - Posição do problema na expressão (opcional)
+ * @returns {Error}
+ */
+function createFormulaError(message, position = null) {
+    const error = new Error(message);
+    error.name = 'FormulaError';
+    error.position = position;
+    return error;
+}
+
+/**
+ * Interpreta uma expressão e devolve a árvore sintática
+ * @param {string} expression - Expressão da fórmula
+ * @returns {Object} - Nó raiz ({ type, ... })
+ * @throws {Error} - FormulaError com a descrição do erro de sintaxe
+ */
+export function parseFormula(expression) {
+    const text = String(expression ?? '');
+
+    if (text.trim() === '') {
+        throw createFormulaError('A fórmula está vazia.');
+    }
+    if (text.length > MAX_EXPRESSION_LENGTH) {
+        throw createFormulaError(`A fórmula excede o limite de ${MAX_EXPRESSION_LENGTH} caracteres.`);
+    }
+
+    const cached = parsedExpressions.get(text);
+    if (cached) return cached;
+
+    const parser = createParser(tokenize(text));
+    const tree = parser.parseExpression(0);
+    parser.expectEnd();
+
+    if (parsedExpressions.size >= MAX_CACHED_EXPRESSIONS) {
+        parsedExpressions.clear();
+    }
+    parsedExpressions.set(text, tree);
+    return tree;
+}
+
+/**
+ * Nomes dos campos referidos na expressão (como foram escritos entre chavetas)
+ * @param {string} expression - Expressão da fórmula
+ * @returns {Array<string>}
+ */
+export function getFormulaReferences(expression) {
+    const references = [];
+    walkTree(parseFormula(expression), node => {
+        if (node.type === 'field' && !references.includes(node.name)) {
+            references.push(node.name);
+        }
+    });
+    return references;
+}
+
+/**
+ * Verifica uma fórmula antes de a guardar no campo
+ * @param {string} expression - Expressão da fórmula
+ * @param {Array} attributes - Atributos da entidade (incluindo o próprio campo de fórmula)
+ * @param {string} fieldId - ID do campo de fórmula que está a ser configurado
+ * @returns {string|null} - Mensagem de erro ou null se a fórmula for válida
+ */
+export function validateFormula(expression, attributes = [], fieldId = null) {
+    let tree;
+    try {
+        tree = parseFormula(expression);
+    } catch (error) {
+        return error.message;
+    }
+
+    const problems = [];
+    walkTree(tree, node => {
+        if (node.type === 'call') {
+            const implementation = FUNCTION_IMPLEMENTATIONS[node.name];
+            if (!implementation) {
+                problems.push(`Função desconhecida: ${node.name}.`);
+            } else if (node.args.length < implementation.min || node.args.length > implementation.max) {
+                problems.push(`${node.name} recebe ${describeArity(implementation)}.`);
+            }
+        }
+        if (node.type === 'field') {
+            const matches = findAttributes(attributes, node.name);
+            if (matches.length === 0) {
+                problems.push(`Campo inexistente: {${node.name}}.`);
+            } else if (matches.length > 1) {
+                problems.push(`Há mais de um campo chamado {${node.name}}. Renomeie um deles.`);
+            } else if (matches[0].id === fieldId) {
+                problems.push('A fórmula não pode referir o próprio campo.');
+            } else if (matches[0].type === 'button') {
+                problems.push(`O campo {${node.name}} é um botão e não tem valor.`);
+            }
+        }
+    });
+
+    if (problems.length > 0) {
+        return problems[0];
+    }
+
+    // Fórmulas que dependem umas das outras em círculo nunca terminariam
+    const formulaAttribute = attributes.find(attr => attr.id === fieldId);
+    if (formulaAttribute) {
+        const withExpression = attributes.map(attr => (attr.id === fieldId ?
+            { ...attr, config: { ...(attr.config || {}), expression } } : attr));
+        const cycle = findReferenceCycle(fieldId, withExpression);
+        if (cycle) {
+            return `Referência circular entre fórmulas: ${cycle.join(' → ')}.`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Calcula o valor de um campo de fórmula para um registo
+ * @param {Object} attribute - Atributo de fórmula
+ * @param {Array} attributes - Atributos da entidade
+ * @param {Object} record - Registo (valores por ID do campo)
+ * @returns {{value: *, error: string|null}} - Número, texto, booleano, data ISO ou null
+ */
+export function evaluateFormulaField(attribute, attributes = [], record = {}) {
+    try {
+        const value = evaluateAttribute(attribute, { attributes, record: record || {}, stack: [] });
+        return { value: toStoredValue(value), error: null };
+    } catch (error) {
+        if (error.name !== 'FormulaError') {
+            console.error('Erro inesperado ao calcular fórmula:', error);
+        }
+        return { value: null, error: error.name === 'FormulaError' ? error.message : 'Não foi possível calcular a fórmula.' };
+    }
+}
+
+/**
+ * Atualiza as referências a um campo renomeado
+ * @param {string} expression - Expressão da fórmula
+ * @param {string} oldLabel - Nome anterior do campo
+ * @param {string} newLabel - Novo nome do campo
+ * @returns {string} - Expressão com as referências atualizadas
+ */
+export function renameFormulaReference(expression, oldLabel, newLabel) {
+    const oldKey = normalizeName(oldLabel);
+    if (!expression || !oldKey || oldKey === normalizeName(newLabel)) return expression;
+
+    // As chavetas dentro de textos entre aspas não são referências
+    return String(expression).replace(/("(?:[^"\\]|\\.|"")*"|'(?:[^'\\]|\\.|'')*')|\{([^{}]*)\}/g, (match, quoted, name) => {
+        if (quoted) return quoted;
+        return normalizeName(name) === oldKey ? `{${newLabel}}` : match;
+    });
+}
+
+// ===== ANALISADOR =====
+
+function tokenize(text) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < text.length) {
+        const char = text[index];
+
+        if (/\s/.test(char)) {
+            index++;
+            continue;
+        }
+
+        if (/[0-9.]/.test(char)) {
+            const match = text.slice(index).match(/^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/);
+            if (!match) throw createFormulaError(`Número inválido na posição ${index + 1}.`, index);
+            tokens.push({ type: 'number', value: parseFloat(match[0]), position: index });
+            index += match[0].length;
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            const { value, end } = readString(text, index);
+            tokens.push({ type: 'string', value, position: index });
+            index = end;
+            continue;
+        }
+
+        if (char === '{') {
+            const end = text.indexOf('}', index + 1);
+            if (end === -1) throw createFormulaError(`Falta fechar a chaveta aberta na posição ${index + 1}.`, index);
+            const name = text.slice(index + 1, end).trim();
+            if (name === '') throw createFormulaError(`Referência vazia na posição ${index + 1}.`, index);
+            tokens.push({ type: 'field', value: name, position: index });
+            index = end + 1;
+            continue;
+        }
+
+        if (/[A-Za-z_]/.test(char)) {
+            const name = text.slice(index).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+            tokens.push({ type: 'identifier', value: name.toUpperCase(), position: index });
+            index += name.length;
+            continue;
+        }
+
+        const twoChars = text.slice(index, index + 2);
+        if (['<=', '>=', '<>', '!=', '=='].includes(twoChars)) {
+            tokens.push({ type: 'operator', value: twoChars, position: index });
+            index += 2;
+            continue;
+        }
+
+        if ('+-*/^&=<>'.includes(char)) {
+            tokens.push({ type: 'operator', value: char, position: index });
+            index++;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char, value: char, position: index });
+            index++;
+            continue;
+        }
+
+        // Aceita ; como separador, como nas folhas de cálculo em português
+        if (char === ',' || char === ';') {
+            tokens.push({ type: ',', value: char, position: index });
+            index++;
+            continue;
+        }
+
+        throw createFormulaError(`Carácter inesperado "${char}" na posição ${index + 1}.`, index);
+    }
+
+    tokens.push({ type: 'end', value: null, position: text.length });
+    return tokens;
+}
+
+function readString(text, start) {
+    const quote = text[start];
+    let value = '';
+    let index = start + 1;
+
+    while (index < text.length) {
+        const char = text[index];
+        if (char === '\\' && index + 1 < text.length) {
+            value += text[index + 1];
+            index += 2;
+            continue;
+        }
+        if (char === quote) {
+            // Aspas duplicadas representam uma aspa dentro do texto
+            if (text[index + 1] === quote) {
+                value += quote;
+                index += 2;
+                continue;
+            }
+            return { value, end: index + 1 };
+        }
+        value += char;
+        index++;
+    }
+
+    throw createFormulaError(`Falta fechar o texto aberto na posição ${start + 1}.`, start);
+}
+
+/**
+ * Analisador descendente recursivo. Precedência (da menor para a maior):
+ * comparação, &, + -, * /, sinal, ^
+ */
+function createParser(tokens) {
+    let current = 0;
+
+    const peek = () => tokens[current];
+    const next = () => tokens[current++];
+    const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+
+    function expect(type, message) {
+        const token = peek();
+        if (token.type !== type) throw createFormulaError(message, token.position);
+        return next();
+    }
+
+    function checkDepth(depth, token) {
+        if (depth > MAX_NESTING_DEPTH) {
+            throw createFormulaError('A fórmula tem demasiados níveis de parênteses.', token.position);
+        }
+    }
+
+    function parseExpression(depth) {
+        checkDepth(depth, peek());
+        let left = parseConcatenation(depth);
+        while (isOperator(...COMPARISON_OPERATORS)) {
+            const operator = next().value;
+            left = { type: 'binary', operator: normalizeOperator(operator), left, right: parseConcatenation(depth) };
+        }
+        return left;
+    }
+
+    function parseConcatenation(depth) {
+        let left = parseAdditive(depth);
+        while (isOperator('&')) {
+            next();
+            left = { type: 'binary', operator: '&', left, right: parseAdditive(depth) };
+        }
+        return left;
+    }
+
+    function parseAdditive(depth) {
+        let left = parseMultiplicative(depth);
+        while (isOperator('+', '-')) {
+            const operator = next().value;
+            left = { type: 'binary', operator, left, right: parseMultiplicative(depth) };
+        }
+        return left;
+    }
+
+    function parseMultiplicative(depth) {
+        let left = parseUnary(depth);
+        while (isOperator('*', '/')) {
+            const operator = next().value;
+            left = { type: 'binary', operator, left, right: parseUnary(depth) };
+        }
+        return left;
+    }
+
+    function parseUnary(depth) {
+        if (isOperator('-', '+')) {
+            const token = next();
+            checkDepth(depth + 1, token);
+            const operand = parseUnary(depth + 1);
+            return token.value === '-' ? { type: 'unary', operator: '-', operand } : operand;
+        }
+        return parsePower(depth);
+    }
+
+    function parsePower(depth) {
+        const base = parsePrimary(depth);
+        if (isOperator('^')) {
+            next();
+            // Associativo à direita: 2^3^2 = 2^(3^2)
+            return { type: 'binary', operator: '^', left: base, right: parseUnary(depth + 1) };
+        }
+        return base;
+    }
+
+    function parsePrimary(depth) {
+        const token = peek();
+
+        switch (token.type) {
+            case 'number':
+                next();
+                return { type: 'literal', value: token.value };
+
+            case 'string':
+                next();
+                return { type: 'literal', value: token.value };
+
+            case 'field':
+                next();
+                return { type: 'field', name: token.value, position: token.position };
+
+            case 'identifier': {
+                next();
+                if (['TRUE', 'VERDADEIRO'].includes(token.value)) return { type: 'literal', value: true };
+                if (['FALSE', 'FALSO'].includes(token.value)) return { type: 'literal', value: false };
+                expect('(', `Depois de ${token.value} deve vir "(". Para referir um campo use {${token.value}}.`);
+                const args = [];
+                if (peek().type !== ')') {
+                    args.push(parseExpression(depth + 1));
+                    while (peek().type === ',') {
+                        next();
+                        args.push(parseExpression(depth + 1));
+                    }
+                }
+                expect(')', `Falta fechar o parêntese de ${token.value}.`);
+                return { type: 'call', name: token.value, args, position: token.position };
+            }
+
+            case '(': {
+                next();
+                const inner = parseExpression(depth + 1);
+                expect(')', 'Falta fechar um parêntese.');
+                return inner;
+            }
+
+            case 'end':
+                throw createFormulaError('A fórmula termina de forma incompleta.', token.position);
+
+            default:
+                throw createFormulaError(`"${token.value}" inesperado na posição ${token.position + 1}.`, token.position);
+        }
+    }
+
+    return {
+        parseExpression,
+        expectEnd() {
+            const token = peek();
+            if (token.type !== 'end') {
+                throw createFormulaError(`"${token.value}" inesperado na posição ${token.position + 1}.`, token.position);
+            }
+        }
+    };
+}
+
+function normalizeOperator(operator) {
+    if (operator === '==') return '=';
+    if (operator === '!=') return '<>';
+    return operator;
+}
+
+function walkTree(node, visit) {
+    visit(node);
+    if (node.type === 'binary') {
+        walkTree(node.left, visit);
+        walkTree(node.right, visit);
+    } else if (node.type === 'unary') {
+        walkTree(node.operand, visit);
+    } else if (node.type === 'call') {
+        node.args.forEach(arg => walkTree(arg, visit));
+    }
+}
+
+function describeArity({ min, max }) {
+    if (max === Infinity) return `pelo menos ${min} argumento${min !== 1 ? 's' : ''}`;
+    if (min === max) return min === 0 ? 'nenhum argumento' : `${min} argumento${min !== 1 ? 's' : ''}`;
+    return `entre ${min} e ${max} argumentos`;
+}
+
+// ===== REFERÊNCIAS =====
+
+function normalizeName(name) {
+    return String(name ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+// Uma referência pode usar o ID do campo ou o rótulo (sem diferenciar maiúsculas nem acentos)
+function findAttributes(attributes, name) {
+    const byId = attributes.filter(attr => attr.id === name);
+    if (byId.length > 0) return byId;
+    const key = normalizeName(name);
+    return attributes.filter(attr => normalizeName(attr.label) === key);
+}
+
+function findReferenceCycle(startId, attributes) {
+    const visit = (fieldId, path) => {
+        const attribute = attributes.find(attr => attr.id === fieldId);
+        if (!attribute || attribute.type !== 'formula') return null;
+
+        let references;
+        try {
+            references = getFormulaReferences(getFieldConfig(attribute).expression);
+        } catch (error) {
+            return null;
+        }
+
+        for (const name of references) {
+            const [target] = findAttributes(attributes, name);
+            if (!target) continue;
+            if (target.id === startId) return [...path, attribute.label, target.label];
+            if (path.includes(attribute.label)) continue;
+            const cycle = visit(target.id, [...path, attribute.label]);
+            if (cycle) return cycle;
+        }
+        return null;
+    };
+
+    return visit(startId, []);
+}
+
+// ===== AVALIAÇÃO =====
+
+function evaluateAttribute(attribute, context) {
+    if (context.stack.includes(attribute.id)) {
+        throw createFormulaError('Referência circular entre fórmulas.');
+    }
+
+    const expression = getFieldConfig(attribute).expression;
+    if (!expression || String(expression).trim() === '') return null;
+
+    const tree = parseFormula(expression);
+    context.stack.push(attribute.id);
+    try {
+        return evaluateNode(tree, context);
+    } finally {
+        context.stack.pop();
+    }
+}
+
+function evaluateNode(node, context) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+
+        case 'field': {
+            const matches = findAttributes(context.attributes, node.name);
+            if (matches.length === 0) throw createFormulaError(`Campo inexistente: {${node.name}}.`, node.position);
+            return readFieldValue(matches[0], context);
+        }
+
+        case 'unary':
+            return -toNumber(evaluateNode(node.operand, context));
+
+        case 'binary':
+            return evaluateBinary(node.operator, evaluateNode(node.left, context), evaluateNode(node.right, context));
+
+        case 'call': {
+            const implementation = FUNCTION_IMPLEMENTATIONS[node.name];
+            if (!implementation) throw createFormulaError(`Função desconhecida: ${node.name}.`, node.position);
+            if (node.args.length < implementation.min || node.args.length > implementation.max) {
+                throw createFormulaError(`${node.name} recebe ${describeArity(implementation)}.`, node.position);
+            }
+            // IF só calcula o ramo escolhido, para que o outro possa conter, por ex., uma divisão por zero
+            if (implementation.lazy) {
+                const [condition, whenTrue, whenFalse] = node.args;
+                if (toBoolean(evaluateNode(condition, context))) return evaluateNode(whenTrue, context);
+                return whenFalse ? evaluateNode(whenFalse, context) : null;
+            }
+            return checkResult(implementation.fn(node.args.map(arg => evaluateNode(arg, context))));
+        }
+
+        default:
+            throw createFormulaError('Expressão inválida.');
+    }
+}
+
+/**
+ * Valor de um campo do registo no formato usado pelas fórmulas
+ * (número, texto, booleano, Date ou null)
+ */
+function readFieldValue(attribute, context) {
+    const { record } = context;
+    const value = record[attribute.id];
+    const config = getFieldConfig(attribute);
+
+    switch (attribute.type) {
+        case 'formula':
+            return evaluateAttribute(attribute, context);
+        case 'number':
+        case 'rollup':
+            return typeof value === 'number' && isFinite(value) ? value : null;
+        case 'lookup':
+            // Os valores relacionados são juntos ao registo antes do cálculo (ver linkedFields.js)
+            if (value === undefined || value === null || value === '') return null;
+            if (typeof value === 'number' || typeof value === 'boolean') return value;
+            return parseIsoDate(value) || String(value);
+        case 'checkbox':
+            return !!value;
+        case 'date':
+            return parseIsoDate(value && typeof value === 'object' ? value.start : value);
+        case 'created-time':
+            return parseIsoDate(value || record.created_at);
+        case 'select': {
+            const labels = getOptionLabels(value, config);
+            return labels.length > 0 ? labels.join(', ') : null;
+        }
+        case 'text':
+        case 'textarea':
+        case 'email':
+            return value === undefined || value === null ? null : String(value);
+        default: {
+            const text = formatFieldValue(attribute, value);
+            return text === '' ? null : text;
+        }
+    }
+}
+
+function evaluateBinary(operator, left, right) {
+    switch (operator) {
+        case '+':
+            if (left instanceof Date && !(right instanceof Date)) return addToDate(left, toNumber(right), 'days');
+            if (right instanceof Date && !(left instanceof Date)) return addToDate(right, toNumber(left), 'days');
+            return checkResult(toNumber(left, '+') + toNumber(right, '+'));
+        case '-':
+            if (left instanceof Date && right instanceof Date) return (dayNumber(left) - dayNumber(right));
+            if (left instanceof Date) return addToDate(left, -toNumber(right), 'days');
+            return checkResult(toNumber(left) - toNumber(right));
+        case '*':
+            return checkResult(toNumber(left) * toNumber(right));
+        case '/': {
+            const divisor = toNumber(right);
+            if (divisor === 0) throw createFormulaError('Divisão por zero.');
+            return checkResult(toNumber(left) / divisor);
+        }
+        case '^':
+            return checkResult(Math.pow(toNumber(left), toNumber(right)));
+        case '&':
+            return toText(left) + toText(right);
+        default:
+            return compareValues(operator, left, right);
+    }
+}
+
+function compareValues(operator, left, right) {
+    let comparison;
+
+    if (isBlank(left) && isBlank(right)) {
+        comparison = 0;
+    } else if (left instanceof Date || right instanceof Date) {
+        comparison = Math.sign(toDate(left).getTime() - toDate(right).getTime());
+    } else if (typeof left === 'number' || typeof right === 'number' || typeof left === 'boolean' || typeof right === 'boolean') {
+        const a = looseNumber(left);
+        const b = looseNumber(right);
+        comparison = Number.isNaN(a) || Number.isNaN(b) ?
+            compareText(left, right) :
+            Math.sign(a - b);
+    } else {
+        comparison = compareText(left, right);
+    }
+
+    switch (operator) {
+        case '=': return comparison === 0;
+        case '<>': return comparison !== 0;
+        case '<': return comparison < 0;
+        case '>': return comparison > 0;
+        case '<=': return comparison <= 0;
+        case '>=': return comparison >= 0;
+        default: throw createFormulaError(`Operador desconhecido: ${operator}.`);
+    }
+}
+
+// Textos são comparados sem diferenciar maiúsculas ("pago" = "Pago")
+function compareText(left, right) {
+    return Math.sign(toText(left).localeCompare(toText(right), LOCALE, { sensitivity: 'accent' }));
+}
+
+// ===== CONVERSÕES =====
+
+function isBlank(value) {
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function looseNumber(value) {
+    if (isBlank(value)) return 0;
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    const text = String(value).trim();
+    return /^-?\d+([.,]\d+)?$/.test(text) ? parseFloat(text.replace(',', '.')) : NaN;
+}
+
+function toNumber(value, operator = null) {
+    if (value instanceof Date) {
+        throw createFormulaError('Uma data não pode ser usada como número. Use DATEDIF ou subtraia duas datas.');
+    }
+    const number = looseNumber(value);
+    if (Number.isNaN(number)) {
+        const hint = operator === '+' ? ' Para juntar textos use &.' : '';
+        throw createFormulaError(`"${value}" não é um número.${hint}`);
+    }
+    return number;
+}
+
+function toInteger(value) {
+    return Math.trunc(toNumber(value));
+}
+
+function toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (isBlank(value)) return false;
+    if (typeof value === 'number') return value !== 0;
+    if (value instanceof Date) return true;
+    const text = normalizeName(value);
+    return !['false', 'falso', 'nao', '0'].includes(text);
+}
+
+function toText(value) {
+    if (isBlank(value)) return '';
+    if (typeof value === 'boolean') return value ? 'Sim' : 'Não';
+    if (typeof value === 'number') return value.toLocaleString(LOCALE, { useGrouping: false, maximumFractionDigits: 10 });
+    if (value instanceof Date) {
+        const iso = toIsoString(value);
+        return formatDate(iso, { dateFormat: 'DD/MM/AAAA', includeTime: iso.includes('T') ? 'HH:mm' : 'none' });
+    }
+    return String(value);
+}
+
+function toDate(value) {
+    if (value instanceof Date) return value;
+    const date = typeof value === 'string' ? parseIsoDate(value.trim()) : null;
+    if (!date) throw createFormulaError(`"${toText(value)}" não é uma data.`);
+    return date;
+}
+
+function parseIsoDate(value) {
+    const match = String(value ?? '').match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?/);
+    if (!match) return null;
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match;
+    // created_at é guardado em UTC (toISOString); as datas dos campos são locais
+    if (/Z$|[+-]\d{2}:\d{2}$/.test(value)) return new Date(value);
+    return new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+}
+
+function checkResult(value) {
+    if (typeof value === 'number' && !isFinite(value)) {
+        throw createFormulaError('O resultado não é um número finito.');
+    }
+    return value;
+}
+
+function roundTo(value, places) {
+    const factor = Math.pow(10, places);
+    return Math.round((value + Number.EPSILON) * factor) / factor;
+}
+
+function modulo(value, divisor) {
+    if (divisor === 0) throw createFormulaError('Divisão por zero.');
+    return value % divisor;
+}
+
+function squareRoot(value) {
+    if (value < 0) throw createFormulaError('Raiz quadrada de número negativo.');
+    return Math.sqrt(value);
+}
+
+// Dias desde a época contados pelo calendário local (imune à mudança de hora)
+function dayNumber(date) {
+    return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+        date.getHours(), date.getMinutes(), date.getSeconds()) / MS_PER_DAY;
+}
+
+function resolveDateUnit(unit) {
+    const resolved = DATE_UNITS[normalizeName(unit)];
+    if (!resolved) throw createFormulaError(`Unidade de data desconhecida: "${toText(unit)}". Use "dias", "meses", "anos" ou "horas".`);
+    return resolved;
+}
+
+function addToDate(date, amount, unit) {
+    const result = new Date(date.getTime());
+    switch (resolveDateUnit(unit)) {
+        case 'hours':
+            result.setTime(result.getTime() + amount * 60 * 60 * 1000);
+            return result;
+        case 'months':
+            return addMonths(result, Math.trunc(amount));
+        case 'years':
+            return addMonths(result, Math.trunc(amount) * 12);
+        case 'days':
+        default:
+            result.setDate(result.getDate() + Math.trunc(amount));
+            return result;
+    }
+}
+
+// 31/01 + 1 mês = 28/02 (ou 29/02), como nas folhas de cálculo
+function addMonths(date, months) {
+    const day = date.getDate();
+    const result = new Date(date.getTime());
+    result.setDate(1);
+    result.setMonth(result.getMonth() + months);
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(day, lastDay));
+    return result;
+}
+
+function dateDifference(start, end, unit) {
+    switch (resolveDateUnit(unit)) {
+        case 'hours':
+            return Math.trunc((dayNumber(end) - dayNumber(start)) * 24);
+        case 'months':
+        case 'years': {
+            const inYears = resolveDateUnit(unit) === 'years';
+            let months = (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth());
+            // Só conta meses completos
+            if (months > 0 && end.getDate() < start.getDate()) months--;
+            if (months < 0 && end.getDate() > start.getDate()) months++;
+            return inYears ? Math.trunc(months / 12) : months;
+        }
+        case 'days':
+        default:
+            return Math.trunc(Math.floor(dayNumber(end)) - Math.floor(dayNumber(start)));
+    }
+}
+
+function toIsoString(date) {
+    const pad = n => String(n).padStart(2, '0');
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    if (date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0) return day;
+    return `${day}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// As datas saem em formato ISO, como as dos campos de data
+function toStoredValue(value) {
+    if (value instanceof Date) {
+        if (isNaN(value)) throw createFormulaError('Data inválida.');
+        return toIsoString(value);
+    }
+    if (value === undefined) return null;
+    return value;
+}
@@ -0,0 +1,219 @@
+/**
+ * Campos ligados por relações
+ * Calcula os campos "Valor Relacionado" (lookup), que mostram um campo do registo escolhido
+ * num campo de relação, e "Agregação" (rollup), que resume os registos ligados com
+ * soma, contagem, média, mínimo ou máximo.
+ * Não depende do Firebase nem do DOM: os registos das entidades relacionadas são
+ * carregados antes e passados no contexto.
+ */
+
+import { getFieldConfig, formatFieldValue } from './fieldFormat.js';
+import { evaluateFormulaField } from './formula.js';
+import { isRelationshipField, toLinkIds } from './relationships.js';
+
+// Tipos calculados a partir de registos de outras entidades
+export const LINKED_FIELD_TYPES = ['lookup', 'rollup'];
+
+export const ROLLUP_AGGREGATIONS = [
+    { value: 'count', label: 'Contagem de registos' },
+    { value: 'sum', label: 'Soma' },
+    { value: 'avg', label: 'Média' },
+    { value: 'min', label: 'Mínimo' },
+    { value: 'max', label: 'Máximo' }
+];
+
+// Campos que não podem ser mostrados num lookup (não têm valor próprio ou dependem de outra relação)
+const LOOKUP_EXCLUDED_TYPES = ['button', 'sub-entity', 'lookup', 'rollup'];
+
+/**
+ * Campos da entidade relacionada que podem ser mostrados num lookup
+ * @param {Object} entity - Entidade relacionada
+ * @returns {Array}
+ */
+export function getLookupTargetAttributes(entity) {
+    return (entity?.attributes || []).filter(attr => !LOOKUP_EXCLUDED_TYPES.includes(attr.type));
+}
+
+/**
+ * Campos numéricos da entidade relacionada que podem ser agregados
+ * @param {Object} entity - Entidade relacionada
+ * @returns {Array}
+ */
+export function getRollupTargetAttributes(entity) {
+    return (entity?.attributes || []).filter(attr => ['number', 'formula'].includes(attr.type));
+}
+
+/**
+ * Campos de relação de outras entidades que apontam para a entidade indicada
+ * (ex.: os itens que apontam para a encomenda)
+ * @param {Array} entities - Todas as entidades da área de trabalho
+ * @param {string} entityId - ID da entidade apontada
+ * @returns {Array<{entity: Object, field: Object}>}
+ */
+export function getIncomingRelationships(entities = [], entityId) {
+    const incoming = [];
+    entities.forEach(entity => {
+        (entity.attributes || [])
+            .filter(attr => isRelationshipField(attr) && attr.targetEntityId === entityId)
+            .forEach(field => incoming.push({ entity, field }));
+    });
+    return incoming;
+}
+
+/**
+ * IDs das entidades cujos registos são necessários para calcular os campos ligados
+ * @param {Array} attributes - Atributos da entidade
+ * @returns {Array<string>}
+ */
+export function getLinkedEntityIds(attributes = []) {
+    const ids = new Set();
+    attributes.filter(attr => LINKED_FIELD_TYPES.includes(attr.type)).forEach(attribute => {
+        const config = getFieldConfig(attribute);
+        if (attribute.type === 'rollup' && config.relationSource === 'target') {
+            if (config.sourceEntityId) ids.add(config.sourceEntityId);
+            return;
+        }
+        const relationField = attributes.find(attr => attr.id === config.relationFieldId);
+        if (relationField?.targetEntityId) ids.add(relationField.targetEntityId);
+    });
+    return Array.from(ids);
+}
+
+/**
+ * Calcula os campos ligados de um registo
+ * @param {Array} attributes - Atributos da entidade
+ * @param {Object} record - Registo
+ * @param {Object} context - { entities, relatedRecords: { entityId: registos } }
+ * @returns {Object} - { fieldId: { value, text, error } } (value é o valor usado pelas fórmulas)
+ */
+export function computeLinkedFieldValues(attributes = [], record = {}, context = {}) {
+    const results = {};
+    attributes.filter(attr => LINKED_FIELD_TYPES.includes(attr.type)).forEach(attribute => {
+        try {
+            results[attribute.id] = attribute.type === 'lookup' ?
+                computeLookup(attribute, attributes, record, context) :
+                computeRollup(attribute, attributes, record, context);
+        } catch (error) {
+            results[attribute.id] = { value: null, text: '', error: error.message };
+        }
+    });
+    return results;
+}
+
+/**
+ * Junta ao registo os valores calculados, para que as fórmulas os possam referir
+ * @param {Object} record - Registo
+ * @param {Object} linkedValues - Resultado de computeLinkedFieldValues
+ * @returns {Object} - Cópia do registo com os valores
+ */
+export function withLinkedValues(record, linkedValues = {}) {
+    const values = Object.fromEntries(Object.entries(linkedValues).map(([fieldId, result]) => [fieldId, result.value]));
+    return { ...record, ...values };
+}
+
+function computeLookup(attribute, attributes, record, context) {
+    const config = getFieldConfig(attribute);
+    const { records, entity } = getForwardLinkedRecords(config.relationFieldId, attributes, record, context);
+
+    const targetAttribute = (entity.attributes || []).find(attr => attr.id === config.targetFieldId);
+    if (!targetAttribute) throw new Error('O campo a mostrar já não existe na entidade relacionada.');
+
+    const values = records
+        .map(linked => readLinkedValue(targetAttribute, entity, linked))
+        .filter(value => value !== null && value !== undefined && value !== '');
+    const text = values.map(value => formatFieldValue(targetAttribute, value)).join(', ');
+
+    // Um único valor simples segue para as fórmulas tal como está; o resto segue como texto
+    const single = values.length === 1 ? values[0] : null;
+    const value = ['number', 'boolean'].includes(typeof single) || isIsoDate(single) ? single : (text || null);
+
+    return { value, text, error: null };
+}
+
+function computeRollup(attribute, attributes, record, context) {
+    const config = getFieldConfig(attribute);
+    const { records, entity } = config.relationSource === 'target' ?
+        getIncomingLinkedRecords(config, record, context) :
+        getForwardLinkedRecords(config.relationFieldId, attributes, record, context);
+
+    let value;
+    if (config.aggregation === 'count') {
+        value = records.length;
+    } else {
+        const targetAttribute = (entity.attributes || []).find(attr => attr.id === config.targetFieldId);
+        if (!targetAttribute) throw new Error('O campo a agregar já não existe na entidade relacionada.');
+
+        const numbers = records
+            .map(linked => readLinkedValue(targetAttribute, entity, linked))
+            .filter(number => typeof number === 'number' && isFinite(number));
+        value = aggregate(config.aggregation, numbers);
+    }
+
+    return { value, text: formatFieldValue(attribute, value), error: null };
+}
+
+function aggregate(aggregation, numbers) {
+    switch (aggregation) {
+        case 'sum':
+            return numbers.reduce((sum, number) => sum + number, 0);
+        case 'avg':
+            return numbers.length > 0 ? numbers.reduce((sum, number) => sum + number, 0) / numbers.length : null;
+        case 'min':
+            return numbers.length > 0 ? Math.min(...numbers) : null;
+        case 'max':
+            return numbers.length > 0 ? Math.max(...numbers) : null;
+        default:
+            throw new Error(`Agregação desconhecida: ${aggregation}.`);
+    }
+}
+
+// Registos escolhidos num campo de relação deste registo
+function getForwardLinkedRecords(relationFieldId, attributes, record, context) {
+    const relationField = attributes.find(attr => attr.id === relationFieldId);
+    if (!relationField || !isRelationshipField(relationField)) {
+        throw new Error('O campo de relação já não existe.');
+    }
+
+    const entity = (context.entities || []).find(e => e.id === relationField.targetEntityId);
+    if (!entity) throw new Error('A entidade relacionada já não existe.');
+
+    const ids = toLinkIds(record[relationField.id]);
+    const related = getRelatedRecords(context, entity.id);
+    return { entity, records: ids.map(id => related.find(item => item.id === id)).filter(Boolean) };
+}
+
+// Registos de outra entidade cujo campo de relação aponta para este registo
+function getIncomingLinkedRecords(config, record, context) {
+    const entity = (context.entities || []).find(e => e.id === config.sourceEntityId);
+    if (!entity) throw new Error('A entidade relacionada já não existe.');
+
+    const relationField = (entity.attributes || []).find(attr => attr.id === config.relationFieldId);
+    if (!relationField || !isRelationshipField(relationField)) {
+        throw new Error('O campo de relação já não existe.');
+    }
+
+    const records = getRelatedRecords(context, entity.id)
+        .filter(item => toLinkIds(item[relationField.id]).includes(record.id));
+    return { entity, records };
+}
+
+function getRelatedRecords(context, entityId) {
+    const records = context.relatedRecords?.[entityId];
+    if (!records) throw new Error('Os registos da entidade relacionada não estão disponíveis.');
+    return records;
+}
+
+// Valor de um campo num registo relacionado (as fórmulas são calculadas com os campos desse registo)
+function readLinkedValue(attribute, entity, record) {
+    if (attribute.type === 'formula') {
+        return evaluateFormulaField(attribute, entity.attributes || [], record).value;
+    }
+    if (attribute.type === 'created-time') {
+        return record[attribute.id] || record.created_at;
+    }
+    return record[attribute.id];
+}
+
+function isIsoDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/.test(value);
+}
@@ -0,0 +1,176 @@
+/**
+ * Seletor de pessoas para campos "Pessoa"
+ * Lista as pessoas com acesso à área de trabalho atual, com foto e pesquisa. O registo
+ * guarda só os IDs dos usuários; o nome e a foto são resolvidos ao mostrar o valor
+ */
+
+import { loadWorkspaceMembers } from '../database.js';
+import { getCurrentWorkspace } from '../workspaces.js';
+import { getFieldConfig, escapeHtml } from './fieldFormat.js';
+
+// Pessoas da última área de trabalho pedida ({ key, promise })
+let membersCache = null;
+
+/**
+ * Pessoas com acesso à área de trabalho atual (guardadas até mudar de área de trabalho)
+ * @param {Object} options - { refresh: true } para voltar a ler do servidor
+ * @returns {Promise<Array>} - Lista de { id, name, email, photoURL, role, isOwner }; vazia se não for possível ler
+ */
+export async function getWorkspaceMembers(options = {}) {
+    const currentWorkspace = getCurrentWorkspace();
+    const workspaceId = currentWorkspace ? currentWorkspace.id : 'default';
+    const ownerId = currentWorkspace && !currentWorkspace.isOwner ? currentWorkspace.ownerId : null;
+    const key = `${ownerId || ''}/${workspaceId}`;
+
+    if (!membersCache || membersCache.key !== key || options.refresh) {
+        const promise = loadWorkspaceMembers(workspaceId, ownerId).catch(error => {
+            // Sem a lista, os campos mostram os IDs guardados; tenta-se de novo no próximo pedido
+            console.warn('Não foi possível carregar as pessoas da área de trabalho:', error);
+            if (membersCache && membersCache.promise === promise) membersCache = null;
+            return [];
+        });
+        membersCache = { key, promise };
+    }
+    return membersCache.promise;
+}
+
+/**
+ * Endereço da foto de uma pessoa (com as iniciais quando não tem foto)
+ * @param {Object} member - Pessoa ({ name, photoURL })
+ * @returns {string}
+ */
+export function getMemberAvatar(member) {
+    return member?.photoURL || `https://ui-avatars.com/api/?name=${encodeURIComponent(member?.name || '?')}&background=random`;
+}
+
+/**
+ * Pessoas guardadas num campo "Pessoa", pela ordem guardada
+ * @param {*} value - ID ou lista de IDs
+ * @param {Array} members - Pessoas da área de trabalho
+ * @returns {Array} - Pessoas; quem já não tem acesso aparece como { id, name: 'Sem acesso', missing: true }
+ */
+export function resolvePeople(value, members = []) {
+    const ids = Array.isArray(value) ? value.filter(Boolean) : (value ? [value] : []);
+    return ids.map(id => members.find(member => member.id === id) || { id, name: 'Sem acesso', missing: true });
+}
+
+/**
+ * Nomes das pessoas guardadas num campo "Pessoa"
+ * @param {*} value - ID ou lista de IDs
+ * @param {Array} members - Pessoas da área de trabalho
+ * @returns {string}
+ */
+export function formatPeople(value, members = []) {
+    return resolvePeople(value, members).map(person => person.name).join(', ');
+}
+
+/**
+ * Cria o seletor de pessoas de um campo "Pessoa"
+ * @param {Object} attribute - Campo "Pessoa"
+ * @param {*} value - Valor atual (ID ou lista de IDs)
+ * @param {Array} members - Pessoas da área de trabalho
+ * @returns {HTMLElement} - Elemento com a classe person-picker; os IDs escolhidos ficam em dataset.selectedIds
+ */
+export function createPersonPicker(attribute, value, members = []) {
+    const multiple = !!getFieldConfig(attribute).allowMultiple;
+    let selectedIds = resolvePeople(value, members).map(person => person.id);
+    if (!multiple) selectedIds = selectedIds.slice(0, 1);
+
+    const picker = document.createElement('div');
+    picker.className = 'person-picker relative';
+    picker.innerHTML = `
+        <div class="person-picker-selected flex flex-wrap gap-1.5 mb-1.5"></div>
+        <input type="text" class="person-picker-search w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500"
+               placeholder="Pesquisar pessoas...">
+        <ul class="person-picker-results absolute left-0 right-0 mt-1 max-h-60 overflow-y-auto bg-white border border-slate-200 rounded-lg shadow-lg z-20 hidden"></ul>
+    `;
+
+    const search = picker.querySelector('.person-picker-search');
+    const results = picker.querySelector('.person-picker-results');
+
+    const renderSelected = () => {
+        picker.querySelector('.person-picker-selected').innerHTML = resolvePeople(selectedIds, members).map(person => `
+            <span class="inline-flex items-center gap-1.5 bg-indigo-50 text-indigo-700 text-sm pl-0.5 pr-2 py-0.5 rounded-full ${person.missing ? 'italic' : ''}">
+                <img src="${escapeHtml(getMemberAvatar(person))}" alt="" class="h-5 w-5 rounded-full">
+                ${escapeHtml(person.name)}
+                <button type="button" class="person-picker-remove text-indigo-400 hover:text-indigo-700" data-user-id="${escapeHtml(person.id)}" title="Retirar">&times;</button>
+            </span>`).join('');
+    };
+
+    const setSelection = (ids) => {
+        selectedIds = ids;
+        picker.dataset.selectedIds = JSON.stringify(selectedIds);
+        renderSelected();
+        picker.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    const renderResults = () => {
+        const query = normalizeSearch(search.value);
+        const matches = members.filter(member => !selectedIds.includes(member.id) &&
+            (normalizeSearch(member.name).includes(query) || normalizeSearch(member.email).includes(query)));
+
+        results.innerHTML = matches.length > 0 ?
+            matches.map(member => `
+                <li><button type="button" class="person-picker-option w-full flex items-center gap-2 text-left px-3 py-2 hover:bg-indigo-50" data-user-id="${escapeHtml(member.id)}">
+                    <img src="${escapeHtml(getMemberAvatar(member))}" alt="" class="h-7 w-7 rounded-full">
+                    <span class="min-w-0">
+                        <span class="block text-sm text-slate-700 truncate">${escapeHtml(member.name)}</span>
+                        ${member.email ? `<span class="block text-xs text-slate-400 truncate">${escapeHtml(member.email)}</span>` : ''}
+                    </span>
+                </button></li>`).join('') :
+            `<li class="px-3 py-2 text-sm text-slate-400">${members.length === 0 ? 'Não foi possível carregar as pessoas da área de trabalho.' : 'Nenhuma pessoa encontrada.'}</li>`;
+        results.classList.remove('hidden');
+    };
+
+    search.addEventListener('focus', renderResults);
+    search.addEventListener('input', renderResults);
+    search.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            results.classList.add('hidden');
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const first = results.querySelector('.person-picker-option');
+            if (first) first.click();
+        }
+    });
+
+    // O clique numa opção não tira o foco da pesquisa antes de ser tratado
+    results.addEventListener('mousedown', (e) => e.preventDefault());
+    results.addEventListener('click', (e) => {
+        const option = e.target.closest('.person-picker-option');
+        if (!option) return;
+        setSelection(multiple ? [...selectedIds, option.dataset.userId] : [option.dataset.userId]);
+        search.value = '';
+        if (multiple) {
+            renderResults();
+        } else {
+            results.classList.add('hidden');
+        }
+    });
+
+    picker.addEventListener('focusout', (e) => {
+        if (!picker.contains(e.relatedTarget)) results.classList.add('hidden');
+    });
+
+    picker.querySelector('.person-picker-selected').addEventListener('click', (e) => {
+        const remove = e.target.closest('.person-picker-remove');
+        if (remove) setSelection(selectedIds.filter(id => id !== remove.dataset.userId));
+    });
+
+    picker.dataset.selectedIds = JSON.stringify(selectedIds);
+    renderSelected();
+    return picker;
+}
+
+/**
+ * IDs escolhidos num seletor de pessoas
+ * @param {HTMLElement} picker - Elemento criado por createPersonPicker
+ * @returns {Array<string>}
+ */
+export function getPersonSelection(picker) {
+    return picker?.dataset.selectedIds ? JSON.parse(picker.dataset.selectedIds) : [];
+}
+
+function normalizeSearch(text) {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
@@ -0,0 +1,136 @@
+/**
+ * Exportação de registos
+ * Gera no navegador um ficheiro CSV ou XLSX com os registos de uma entidade
+ */
+
+import { getEntities, loadEntityData } from '../database.js';
+import { showError, showLoading, hideLoading, downloadFile } from '../ui.js';
+import { getCurrentWorkspace } from '../workspaces.js';
+import { formatCsv } from './csv.js';
+import { buildExportTable, toCsvRows } from './tableExport.js';
+import { buildXlsxParts } from './xlsx.js';
+import { getRecordLabel } from './fieldFormat.js';
+import { loadRelatedRecords, prepareLinkedFields } from './relatedRecords.js';
+import { getWorkspaceMembers } from './personPicker.js';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Pergunta o formato e descarrega os registos da entidade
+ * @param {Object} context - Contexto da entidade ({ moduleId, entityId, entityName })
+ * @returns {Promise<void>}
+ */
+export async function openRecordExport(context) {
+    const result = await Swal.fire({
+        title: 'Exportar registos',
+        text: 'Escolha o formato do ficheiro.',
+        icon: 'question',
+        showDenyButton: true,
+        showCancelButton: true,
+        confirmButtonText: 'Excel (XLSX)',
+        denyButtonText: 'CSV',
+        cancelButtonText: 'Cancelar',
+        confirmButtonColor: '#6366f1',
+        denyButtonColor: '#64748b'
+    });
+
+    if (result.isConfirmed) {
+        await exportRecords(context, 'xlsx');
+    } else if (result.isDenied) {
+        await exportRecords(context, 'csv');
+    }
+}
+
+/**
+ * Carrega os registos da entidade e descarrega-os no formato pedido
+ * @param {Object} context - Contexto da entidade ({ moduleId, entityId, entityName })
+ * @param {string} format - 'csv' ou 'xlsx'
+ * @returns {Promise<void>}
+ */
+export async function exportRecords(context, format) {
+    if (format === 'xlsx' && typeof JSZip === 'undefined') {
+        showError('Exportação Indisponível', 'A biblioteca JSZip não foi carregada. Exporte em CSV ou recarregue a página.');
+        return;
+    }
+
+    const entity = getEntities().find(e => e.id === context.entityId);
+    const entityName = context.entityName || entity?.name || 'registos';
+    const attributes = entity?.attributes || [];
+
+    const currentWorkspace = getCurrentWorkspace();
+    const workspaceId = currentWorkspace ? currentWorkspace.id : 'default';
+    const ownerId = currentWorkspace && !currentWorkspace.isOwner ? currentWorkspace.ownerId : null;
+
+    let records;
+    let relatedLabels;
+    let computeLinked;
+    try {
+        records = await loadEntityData(context.moduleId, context.entityId, workspaceId, ownerId);
+        relatedLabels = await loadRelatedLabels(attributes);
+        computeLinked = await prepareLinkedFields(attributes);
+    } catch (error) {
+        // O erro já foi mostrado por loadEntityData
+        return;
+    }
+
+    showLoading('Gerando ficheiro...');
+    try {
+        // Mesma ordem da grelha: registos mais antigos primeiro
+        records.sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || '')));
+
+        const linkedValues = computeLinked ?
+            Object.fromEntries(records.map(record => [record.id, computeLinked(record)])) :
+            {};
+        const table = buildExportTable(attributes, records, relatedLabels, linkedValues);
+        const fileName = `${slugify(entityName)}-${new Date().toISOString().slice(0, 10)}`;
+
+        if (format === 'xlsx') {
+            const zip = new JSZip();
+            Object.entries(buildXlsxParts(entityName, table.headers, table.rows, table.numberFormats))
+                .forEach(([path, content]) => zip.file(path, content));
+            const blob = await zip.generateAsync({ type: 'blob', mimeType: XLSX_MIME_TYPE, compression: 'DEFLATE' });
+            downloadFile(`${fileName}.xlsx`, blob);
+        } else {
+            // O BOM permite ao Excel reconhecer os acentos
+            downloadFile(`${fileName}.csv`, `\uFEFF${formatCsv(toCsvRows(table))}`, 'text/csv;charset=utf-8');
+        }
+
+        hideLoading();
+    } catch (error) {
+        hideLoading();
+        console.error('Erro ao exportar registos:', error);
+        showError('Erro na Exportação', 'Não foi possível gerar o ficheiro.');
+    }
+}
+
+/**
+ * Carrega o texto de identificação dos registos ligados pelos campos de relação
+ * e os nomes das pessoas dos campos "Pessoa"
+ * @returns {Promise<Object>} - { fieldId: { recordId ou userId: rótulo } }
+ */
+async function loadRelatedLabels(attributes) {
+    const labels = {};
+    const relationshipFields = attributes.filter(attr => attr.type === 'sub-entity' && attr.subType === 'relationship' && attr.targetEntityId);
+    const relatedRecords = await loadRelatedRecords(relationshipFields.map(field => field.targetEntityId));
+
+    relationshipFields.forEach(field => {
+        const targetEntity = getEntities().find(e => e.id === field.targetEntityId);
+        // Sem acesso à entidade relacionada, exportam-se os IDs
+        if (!targetEntity || !relatedRecords[targetEntity.id]) return;
+        labels[field.id] = Object.fromEntries(relatedRecords[targetEntity.id].map(item => [item.id, getRecordLabel(targetEntity.attributes, item)]));
+    });
+
+    const personFields = attributes.filter(attr => attr.type === 'person');
+    if (personFields.length > 0) {
+        const members = await getWorkspaceMembers();
+        const names = Object.fromEntries(members.map(member => [member.id, member.name]));
+        personFields.forEach(field => { labels[field.id] = names; });
+    }
+
+    return labels;
+}
+
+function slugify(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'registos';
+}
@@ -0,0 +1,812 @@
+/**
+ * Módulo do formulário de registos
+ * Gera, a partir dos atributos da entidade, o formulário usado para criar e editar registos
+ */
+
+import { getUsuarioId, getUsuarioNome } from '../autenticacao.js';
+import { getEntities, saveEntityData, updateEntityData } from '../database.js';
+import { showSuccess, showError, showConfirmDialog, createIcons } from '../ui.js';
+import { getCurrentWorkspace } from '../workspaces.js';
+import { can } from '../permissions.js';
+import { validateRecord } from './validation.js';
+import { evaluateFormulaField } from './formula.js';
+import { withLinkedValues } from './linkedFields.js';
+import { prepareLinkedFields } from './relatedRecords.js';
+import { toLinkValue } from './relationships.js';
+import { createRecordPicker, getPickerSelection } from './recordPicker.js';
+import { createPersonPicker, getPersonSelection, getWorkspaceMembers } from './personPicker.js';
+import { uploadRecordFiles, deleteStoredFiles, getReplacedFilePaths, filterWorkspaceFilePaths, isStoredFile,
+         canPreviewFile, getFileUrl, openFilePreview } from './fileStorage.js';
+import { getFieldConfig, formatNumber, parseNumber, formatDate, parseDate, getDatePlaceholder,
+         todayIso, formatFieldValue, formatFileSize, escapeHtml } from './fieldFormat.js';
+
+// Variáveis do módulo
+let currentFormState = null; // { context, record, attributes, options, computeLinked }
+
+// Tipos preenchidos pelo sistema e que não são editáveis no formulário
+const SYSTEM_FIELD_TYPES = ['created-time', 'created-by', 'last-edited-by'];
+
+// Tipos calculados a partir dos outros campos do registo ou dos registos relacionados
+const COMPUTED_FIELD_TYPES = ['formula', 'lookup', 'rollup'];
+
+// Tipos que não podem ser preenchidos numa linha de sub-entidade
+const ROW_EXCLUDED_TYPES = ['button', 'sub-entity', 'file', ...SYSTEM_FIELD_TYPES, ...COMPUTED_FIELD_TYPES];
+
+// Sequência para os IDs das linhas novas criadas no mesmo milissegundo
+let rowSequence = 0;
+
+const INPUT_CLASSES = 'w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500';
+
+const BUTTON_STYLE_CLASSES = {
+    primary: 'bg-indigo-600 hover:bg-indigo-700 text-white',
+    secondary: 'bg-slate-200 hover:bg-slate-300 text-slate-800',
+    success: 'bg-emerald-600 hover:bg-emerald-700 text-white',
+    warning: 'bg-amber-500 hover:bg-amber-600 text-white',
+    danger: 'bg-red-600 hover:bg-red-700 text-white'
+};
+
+const BUTTON_SIZE_CLASSES = {
+    small: 'px-2.5 py-1 text-xs',
+    medium: 'px-4 py-2 text-sm',
+    large: 'px-5 py-3 text-base'
+};
+
+/**
+ * Inicializa o formulário de registos
+ */
+export function initRecordForm() {
+    const modal = document.getElementById('record-form-modal');
+    if (!modal) return;
+
+    document.getElementById('close-record-form-modal').addEventListener('click', closeRecordForm);
+    document.getElementById('cancel-record-form').addEventListener('click', closeRecordForm);
+    document.getElementById('save-record-form').addEventListener('click', handleSaveRecord);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeRecordForm();
+    });
+
+    // Os campos calculados acompanham o que vai sendo digitado nos outros campos
+    const container = document.getElementById('record-form-fields');
+    container.addEventListener('input', refreshCurrentComputedFields);
+    container.addEventListener('change', refreshCurrentComputedFields);
+    container.addEventListener('click', (e) => {
+        if (e.target.closest('.record-option-btn')) refreshCurrentComputedFields();
+    });
+}
+
+/**
+ * Abre o formulário para criar ou editar um registo
+ * @param {Object} context - Contexto da entidade ({ moduleId, entityId, entityName })
+ * @param {Object} record - Registo existente (null para criar um novo)
+ * @param {Object} options - Opções ({ onSaved(recordId, data), onExecuteButton(attribute, record) })
+ * @returns {Promise<void>}
+ */
+export async function openRecordForm(context, record = null, options = {}) {
+    const modal = document.getElementById('record-form-modal');
+    if (!modal) return;
+
+    const entity = getEntities().find(e => e.id === context.entityId);
+    const attributes = entity?.attributes || [];
+
+    currentFormState = { context, record, attributes, options, computeLinked: null };
+
+    document.getElementById('record-form-title').textContent = record ?
+        `Editar registo de ${context.entityName || entity?.name || ''}` :
+        `Novo registo de ${context.entityName || entity?.name || ''}`;
+
+    const container = document.getElementById('record-form-fields');
+    await renderRecordFields(container, attributes, record, {
+        onExecuteButton: options.onExecuteButton ? (attribute) => options.onExecuteButton(attribute, currentFormState.record) : null
+    });
+
+    if (attributes.some(attr => COMPUTED_FIELD_TYPES.includes(attr.type))) {
+        currentFormState.computeLinked = await prepareLinkedFields(attributes);
+        refreshCurrentComputedFields();
+    }
+
+    // Leitores veem o registo apenas em modo de consulta
+    if (!can('edit')) {
+        container.querySelectorAll('input, select, textarea, button').forEach(control => {
+            control.disabled = true;
+        });
+    }
+
+    modal.classList.remove('hidden');
+    setTimeout(() => modal.querySelector('.bg-white').classList.remove('scale-95', 'opacity-0'), 10);
+}
+
+/**
+ * Fecha o formulário de registos
+ */
+export function closeRecordForm() {
+    const modal = document.getElementById('record-form-modal');
+    if (!modal) return;
+
+    modal.querySelector('.bg-white').classList.add('scale-95', 'opacity-0');
+    setTimeout(() => {
+        modal.classList.add('hidden');
+        document.getElementById('record-form-fields').innerHTML = '';
+        currentFormState = null;
+    }, 300);
+}
+
+/**
+ * Renderiza os campos de entrada para os atributos informados
+ * @param {HTMLElement} container - Elemento onde os campos serão inseridos
+ * @param {Array} attributes - Atributos da entidade
+ * @param {Object} record - Registo com os valores atuais (opcional)
+ * @param {Object} options - Opções ({ onExecuteButton(attribute) })
+ * @returns {Promise<void>}
+ */
+export async function renderRecordFields(container, attributes, record = null, options = {}) {
+    container.innerHTML = '';
+
+    if (attributes.length === 0) {
+        container.innerHTML = `
+            <div class="text-center text-slate-400 py-8 text-sm">
+                Esta entidade ainda não possui campos. Configure a estrutura antes de criar registos.
+            </div>
+        `;
+        return;
+    }
+
+    for (const attribute of attributes) {
+        const config = getFieldConfig(attribute);
+        const value = record ? record[attribute.id] : undefined;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'record-field space-y-1';
+        wrapper.dataset.fieldId = attribute.id;
+        wrapper.dataset.fieldType = attribute.type;
+
+        if (attribute.type !== 'button') {
+            wrapper.innerHTML = `
+                <label class="block text-sm font-medium text-slate-700">
+                    ${escapeHtml(attribute.label)}${config.required ? ' <span class="text-red-500">*</span>' : ''}
+                </label>
+            `;
+        }
+
+        const control = await createFieldControl(attribute, config, value, record, options);
+        wrapper.appendChild(control);
+
+        if (attribute.description) {
+            const description = document.createElement('p');
+            description.className = 'text-xs text-slate-500';
+            description.textContent = attribute.description;
+            wrapper.appendChild(description);
+        }
+
+        const error = document.createElement('p');
+        error.className = 'record-field-error hidden text-xs text-red-600';
+        wrapper.appendChild(error);
+
+        container.appendChild(wrapper);
+    }
+
+    createIcons();
+}
+
+// Recalcula os campos calculados do formulário aberto (ouvinte único, ligado em initRecordForm)
+function refreshCurrentComputedFields() {
+    if (!currentFormState) return;
+    const { attributes, record, computeLinked } = currentFormState;
+    if (!attributes.some(attr => COMPUTED_FIELD_TYPES.includes(attr.type))) return;
+    refreshComputedFields(document.getElementById('record-form-fields'), attributes, record, computeLinked);
+}
+
+/**
+ * Recalcula os campos calculados com os valores atuais do formulário
+ * @param {HTMLElement} container - Elemento com os campos renderizados
+ * @param {Array} attributes - Atributos da entidade
+ * @param {Object} record - Registo em edição (opcional)
+ * @param {Function} computeLinked - Cálculo dos campos ligados (de prepareLinkedFields), se existirem
+ */
+export function refreshComputedFields(container, attributes, record = null, computeLinked = null) {
+    const { data } = collectRecordValues(container, attributes);
+    const values = { ...(record || {}), ...data };
+    const linkedValues = computeLinked ? computeLinked(values) : {};
+    const valuesWithLinked = withLinkedValues(values, linkedValues);
+
+    attributes.filter(attr => COMPUTED_FIELD_TYPES.includes(attr.type)).forEach(attribute => {
+        const wrapper = container.querySelector(`.record-field[data-field-id="${attribute.id}"]`);
+        const output = wrapper?.querySelector('.record-computed-value');
+        if (!output) return;
+
+        const result = attribute.type === 'formula' ?
+            evaluateFormulaField(attribute, attributes, valuesWithLinked) :
+            linkedValues[attribute.id] || { value: null, text: '', error: 'Valor relacionado indisponível.' };
+        const text = attribute.type === 'formula' ? formatFieldValue(attribute, result.value) : result.text;
+        output.textContent = result.error ? `Erro: ${result.error}` : (text || '—');
+        output.classList.toggle('text-red-600', !!result.error);
+        output.classList.toggle('text-slate-600', !result.error);
+    });
+}
+
+/**
+ * Cria o elemento de entrada de um atributo conforme o tipo
+ */
+async function createFieldControl(attribute, config, value, record, options) {
+    const control = document.createElement('div');
+    control.className = 'record-field-control';
+
+    switch (attribute.type) {
+        case 'text':
+        case 'email': {
+            const inputType = attribute.type === 'email' || config.contentType === 'email' ? 'email' :
+                (config.contentType === 'url' ? 'url' : 'text');
+            if (config.appearance === 'multiLine') {
+                control.innerHTML = `<textarea rows="3" class="${INPUT_CLASSES}"></textarea>`;
+            } else {
+                control.innerHTML = `<input type="${inputType}" class="${INPUT_CLASSES}">`;
+            }
+            const input = control.firstElementChild;
+            input.value = value ?? '';
+            if (config.maxLength) input.maxLength = parseInt(config.maxLength);
+            break;
+        }
+
+        case 'textarea': {
+            control.innerHTML = `<textarea rows="4" class="${INPUT_CLASSES}"></textarea>`;
+            const input = control.firstElementChild;
+            input.value = value ?? '';
+            if (config.maxLength) input.maxLength = parseInt(config.maxLength);
+            break;
+        }
+
+        case 'number': {
+            const prefix = config.format === 'currency' ? `<span class="text-sm text-slate-500">${escapeHtml(config.symbol || 'R$')}</span>` : '';
+            const suffix = config.format === 'percentage' ? '<span class="text-sm text-slate-500">%</span>' : '';
+            control.className += ' flex items-center gap-2';
+            control.innerHTML = `${prefix}<input type="text" inputmode="decimal" class="${INPUT_CLASSES}">${suffix}`;
+            const input = control.querySelector('input');
+            // No campo o símbolo fica fora do input, por isso formata apenas o número
+            const inputConfig = { ...config, format: ['currency', 'percentage'].includes(config.format) ? 'decimal' : config.format };
+            input.value = formatNumber(value, inputConfig);
+            input.addEventListener('blur', () => {
+                const parsed = parseNumber(input.value, config);
+                if (parsed !== null && !isNaN(parsed)) {
+                    input.value = formatNumber(parsed, inputConfig);
+                }
+            });
+            break;
+        }
+
+        case 'date': {
+            const initial = value === undefined && !record && config.defaultValue === 'today' ? todayIso(config) : value;
+            const placeholder = getDatePlaceholder(config);
+            if (config.behavior === 'dateRange') {
+                control.className += ' grid grid-cols-2 gap-2';
+                control.innerHTML = `
+                    <input type="text" data-part="start" placeholder="${placeholder}" class="${INPUT_CLASSES}">
+                    <input type="text" data-part="end" placeholder="${placeholder}" class="${INPUT_CLASSES}">
+                `;
+                control.querySelector('[data-part="start"]').value = formatDate(initial?.start ?? initial, config, true);
+                control.querySelector('[data-part="end"]').value = formatDate(initial?.end, config, true);
+            } else {
+                control.innerHTML = `<input type="text" placeholder="${placeholder}" class="${INPUT_CLASSES}">`;
+                control.firstElementChild.value = formatDate(initial, config, true);
+            }
+            break;
+        }
+
+        case 'checkbox': {
+            const checked = value === undefined ? !!config.defaultValue : !!value;
+            control.innerHTML = `
+                <label class="inline-flex items-center gap-2 cursor-pointer">
+                    <input type="checkbox" class="h-4 w-4 text-indigo-600 rounded border-slate-300 focus:ring-indigo-500" ${checked ? 'checked' : ''}>
+                    <span class="text-sm text-slate-600">Sim</span>
+                </label>
+            `;
+            break;
+        }
+
+        case 'select': {
+            const selected = Array.isArray(value) ? value : (value ? [value] : []);
+            const selectOptions = config.options || [];
+            if (config.appearance === 'buttons') {
+                control.className += ' flex flex-wrap gap-2';
+                control.innerHTML = selectOptions.map(opt => `
+                    <button type="button" data-option-id="${escapeHtml(opt.id)}" class="record-option-btn px-3 py-1.5 rounded-full border text-sm transition-colors ${selected.includes(opt.id) ? 'bg-indigo-600 border-indigo-600 text-white' : 'bg-white border-slate-300 text-slate-700 hover:bg-slate-50'}">
+                        ${escapeHtml(opt.label)}
+                    </button>
+                `).join('');
+                control.querySelectorAll('.record-option-btn').forEach(btn => {
+                    btn.addEventListener('click', () => {
+                        if (!config.allowMultiple) {
+                            control.querySelectorAll('.record-option-btn').forEach(other => {
+                                if (other !== btn) setOptionButtonState(other, false);
+                            });
+                        }
+                        setOptionButtonState(btn, btn.dataset.selected !== 'true');
+                    });
+                    btn.dataset.selected = selected.includes(btn.dataset.optionId) ? 'true' : 'false';
+                });
+            } else {
+                control.innerHTML = `
+                    <select class="${INPUT_CLASSES}" ${config.allowMultiple ? 'multiple' : ''}>
+                        ${config.allowMultiple ? '' : '<option value="">Selecione...</option>'}
+                        ${selectOptions.map(opt => `<option value="${escapeHtml(opt.id)}" ${selected.includes(opt.id) ? 'selected' : ''}>${escapeHtml(opt.label)}</option>`).join('')}
+                    </select>
+                `;
+            }
+            break;
+        }
+
+        case 'file': {
+            renderFileControl(control, config, value);
+            break;
+        }
+
+        case 'sub-entity': {
+            if (attribute.subType === 'relationship') {
+                control.appendChild(await createRecordPicker(attribute, value));
+            } else {
+                await renderSubEntityTable(control, attribute, Array.isArray(value) ? value : []);
+            }
+            break;
+        }
+
+        case 'person': {
+            control.appendChild(createPersonPicker(attribute, value, await getWorkspaceMembers()));
+            break;
+        }
+
+        case 'created-time':
+        case 'created-by':
+        case 'last-edited-by': {
+            const systemValue = getSystemFieldValue(attribute, record);
+            control.innerHTML = `<p class="text-sm text-slate-600 bg-slate-50 border border-slate-200 rounded-lg px-3 py-2">${escapeHtml(systemValue || 'Preenchido automaticamente ao guardar')}</p>`;
+            break;
+        }
+
+        case 'lookup':
+        case 'rollup':
+            control.innerHTML = '<p class="record-computed-value text-sm text-slate-600 bg-slate-50 border border-slate-200 rounded-lg px-3 py-2"></p>';
+            break;
+
+        case 'formula': {
+            control.innerHTML = `
+                <p class="record-computed-value text-sm text-slate-600 bg-slate-50 border border-slate-200 rounded-lg px-3 py-2"></p>
+                <p class="text-xs text-slate-400 mt-1 font-mono truncate" title="${escapeHtml(config.expression)}">= ${escapeHtml(config.expression)}</p>
+            `;
+            break;
+        }
+
+        case 'button': {
+            const styleClasses = BUTTON_STYLE_CLASSES[config.style] || BUTTON_STYLE_CLASSES.primary;
+            const sizeClasses = BUTTON_SIZE_CLASSES[config.size] || BUTTON_SIZE_CLASSES.medium;
+            control.innerHTML = `
+                <button type="button" class="record-action-btn inline-flex items-center gap-2 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${styleClasses} ${sizeClasses}" ${record ? '' : 'disabled'}>
+                    <i data-lucide="${escapeHtml(config.icon || 'play')}" class="h-4 w-4"></i>
+                    <span>${escapeHtml(config.label || attribute.label)}</span>
+                </button>
+                ${record ? '' : '<p class="text-xs text-slate-500 mt-1">Guarde o registo para usar este botão.</p>'}
+            `;
+            const button = control.querySelector('button');
+            button.addEventListener('click', async () => {
+                if (!options.onExecuteButton) return;
+                if (config.confirmBeforeExecute) {
+                    const confirmed = await showConfirmDialog(config.label || attribute.label, config.confirmMessage);
+                    if (!confirmed) return;
+                }
+                button.disabled = true;
+                try {
+                    await options.onExecuteButton(attribute);
+                } finally {
+                    button.disabled = false;
+                }
+            });
+            break;
+        }
+
+        default: {
+            control.innerHTML = `<input type="text" class="${INPUT_CLASSES}">`;
+            control.firstElementChild.value = value ?? '';
+        }
+    }
+
+    return control;
+}
+
+/**
+ * Campo "Ficheiro": ficheiro atual (ver, descarregar, remover) e escolha de um ficheiro novo
+ * @param {HTMLElement} control - Elemento do campo
+ * @param {Object} config - Configuração do campo
+ * @param {Object} value - Ficheiro guardado ({ name, size, contentType, path })
+ */
+function renderFileControl(control, config, value) {
+    const hasFile = !!value?.name;
+    const limits = [
+        config.allowedTypes && config.allowedTypes !== '*' ? `Tipos: ${config.allowedTypes}` : '',
+        Number(config.maxSize) > 0 ? `Máximo: ${formatFileSize(config.maxSize)}` : ''
+    ].filter(Boolean).join(' · ');
+
+    control.innerHTML = `
+        ${hasFile ? `
+            <div class="record-file-current flex items-center gap-3 bg-slate-50 border border-slate-200 rounded-lg px-3 py-2 mb-2">
+                <img class="record-file-thumb hidden h-10 w-10 object-cover rounded" alt="">
+                <div class="flex-1 min-w-0">
+                    <p class="text-sm text-slate-700 truncate">${escapeHtml(value.name)}</p>
+                    <p class="text-xs text-slate-500">${value.size ? formatFileSize(value.size) : ''}</p>
+                </div>
+                ${isStoredFile(value) ? `<button type="button" class="record-file-open text-xs text-indigo-600 hover:text-indigo-800">${canPreviewFile(value) ? 'Ver' : 'Descarregar'}</button>` : ''}
+                <button type="button" data-requires-permission="edit" class="record-file-remove text-xs text-red-600 hover:text-red-800">Remover</button>
+            </div>
+            <p class="record-file-removed hidden text-xs text-amber-700 mb-2">
+                O ficheiro será removido ao guardar. <button type="button" class="record-file-undo underline">Desfazer</button>
+            </p>
+            <p class="text-xs text-slate-500 mb-1">Substituir por outro ficheiro:</p>
+        ` : ''}
+        <input type="file" class="block w-full text-sm text-slate-600 file:mr-3 file:py-1.5 file:px-3 file:rounded-lg file:border-0 file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100" ${config.allowedTypes && config.allowedTypes !== '*' ? `accept="${escapeHtml(config.allowedTypes)}"` : ''}>
+        ${limits ? `<p class="text-xs text-slate-500 mt-1">${escapeHtml(limits)}</p>` : ''}
+    `;
+
+    if (!hasFile) return;
+
+    const setRemoved = (removed) => {
+        control.dataset.removed = removed ? 'true' : 'false';
+        control.querySelector('.record-file-current').classList.toggle('hidden', removed);
+        control.querySelector('.record-file-removed').classList.toggle('hidden', !removed);
+    };
+    control.querySelector('.record-file-remove').addEventListener('click', () => setRemoved(true));
+    control.querySelector('.record-file-undo').addEventListener('click', () => setRemoved(false));
+
+    const openBtn = control.querySelector('.record-file-open');
+    if (openBtn) openBtn.addEventListener('click', () => openFilePreview(value));
+
+    if (isStoredFile(value) && String(value.contentType).startsWith('image/')) {
+        getFileUrl(value).then(url => {
+            if (!url) return;
+            const thumb = control.querySelector('.record-file-thumb');
+            thumb.src = url;
+            thumb.classList.remove('hidden');
+        });
+    }
+}
+
+/**
+ * Tabela editável com as linhas de uma sub-entidade independente
+ * @param {HTMLElement} control - Elemento do campo
+ * @param {Object} attribute - Campo de sub-entidade
+ * @param {Array} rows - Linhas guardadas no registo
+ */
+async function renderSubEntityTable(control, attribute, rows) {
+    const rowAttributes = getRowAttributes(attribute);
+    if (rowAttributes.length === 0) {
+        control.innerHTML = '<p class="text-sm text-slate-500 bg-slate-50 border border-slate-200 rounded-lg px-3 py-2">Configure os campos da sub-entidade no construtor para adicionar linhas.</p>';
+        return;
+    }
+
+    control.innerHTML = `
+        <div class="overflow-x-auto border border-slate-200 rounded-lg">
+            <table class="record-subentity-table min-w-full text-sm">
+                <thead class="bg-slate-50">
+                    <tr>
+                        ${rowAttributes.map(attr => `<th class="px-2 py-1.5 text-left text-xs font-medium text-slate-600">${escapeHtml(attr.label)}${getFieldConfig(attr).required ? ' <span class="text-red-500">*</span>' : ''}</th>`).join('')}
+                        <th class="w-10"></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        </div>
+        <button type="button" data-requires-permission="edit" class="record-subentity-add mt-2 text-sm text-indigo-600 hover:text-indigo-800 flex items-center gap-1">
+            <i data-lucide="plus" class="h-4 w-4"></i> Adicionar linha
+        </button>
+    `;
+
+    const tbody = control.querySelector('tbody');
+    for (const row of rows) {
+        tbody.appendChild(await createSubEntityRow(rowAttributes, row));
+    }
+
+    control.querySelector('.record-subentity-add').addEventListener('click', async () => {
+        tbody.appendChild(await createSubEntityRow(rowAttributes, null));
+        createIcons();
+    });
+
+    tbody.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.record-subentity-remove');
+        if (!removeBtn) return;
+        removeBtn.closest('.record-subentity-row').remove();
+        control.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+}
+
+/**
+ * Linha da tabela de sub-entidade, com um controlo por campo
+ */
+async function createSubEntityRow(rowAttributes, row) {
+    const tr = document.createElement('tr');
+    tr.className = 'record-subentity-row border-t border-slate-100 align-top';
+    tr.dataset.rowId = row?.id || `row_${Date.now()}_${++rowSequence}`;
+    // Guarda a linha original para manter os valores dos campos que não aparecem na tabela
+    tr.dataset.row = JSON.stringify(row || {});
+
+    for (const attribute of rowAttributes) {
+        const cell = document.createElement('td');
+        cell.className = 'record-field px-2 py-1.5 min-w-[10rem]';
+        cell.dataset.fieldId = attribute.id;
+        cell.dataset.fieldType = attribute.type;
+        cell.appendChild(await createFieldControl(attribute, getFieldConfig(attribute), row ? row[attribute.id] : undefined, row, {}));
+
+        const error = document.createElement('p');
+        error.className = 'record-field-error hidden text-xs text-red-600';
+        cell.appendChild(error);
+        tr.appendChild(cell);
+    }
+
+    const actions = document.createElement('td');
+    actions.className = 'px-2 py-1.5 text-right';
+    actions.innerHTML = `
+        <button type="button" data-requires-permission="edit" class="record-subentity-remove text-slate-400 hover:text-red-600 p-1" title="Remover linha">
+            <i data-lucide="trash-2" class="h-4 w-4"></i>
+        </button>
+    `;
+    tr.appendChild(actions);
+    return tr;
+}
+
+/**
+ * Lê as linhas da tabela de sub-entidade (as linhas vazias são ignoradas)
+ * @returns {{rows: Array, invalidRow: number|null}} - Linhas e número da primeira linha com valores que não foi possível interpretar
+ */
+function collectSubEntityRows(wrapper, attribute) {
+    const rowAttributes = getRowAttributes(attribute);
+    const rows = [];
+    let invalidRow = null;
+
+    wrapper.querySelectorAll('.record-subentity-row').forEach((rowEl, index) => {
+        const { data, errors } = collectRecordValues(rowEl, rowAttributes);
+        if (Object.keys(errors).length > 0 && invalidRow === null) invalidRow = index + 1;
+        if (isEmptyRow(data) && Object.keys(errors).length === 0) return;
+        rows.push({ ...JSON.parse(rowEl.dataset.row), ...data, id: rowEl.dataset.rowId });
+    });
+
+    return { rows, invalidRow };
+}
+
+/**
+ * Mostra em cada célula os erros das linhas de sub-entidade
+ */
+function showSubEntityRowErrors(container, attributes) {
+    attributes.filter(attr => attr.type === 'sub-entity' && attr.subType !== 'relationship').forEach(attribute => {
+        const rowAttributes = getRowAttributes(attribute);
+        container.querySelectorAll(`.record-field[data-field-id="${attribute.id}"] .record-subentity-row`).forEach(rowEl => {
+            const { data, errors } = collectRecordValues(rowEl, rowAttributes);
+            const validation = isEmptyRow(data) ? { errors: {} } : validateRecord(attribute.subSchema?.attributes || [], data);
+            showFieldErrors(rowEl, { ...validation.errors, ...errors });
+        });
+    });
+}
+
+function getRowAttributes(attribute) {
+    return (attribute.subSchema?.attributes || []).filter(attr => !ROW_EXCLUDED_TYPES.includes(attr.type));
+}
+
+function isEmptyRow(data) {
+    return Object.values(data).every(value => value === null || value === undefined || value === '' || value === false ||
+        (Array.isArray(value) && value.length === 0));
+}
+
+/**
+ * Atualiza o estado visual de um botão de opção
+ */
+function setOptionButtonState(button, selected) {
+    button.dataset.selected = selected ? 'true' : 'false';
+    button.classList.toggle('bg-indigo-600', selected);
+    button.classList.toggle('border-indigo-600', selected);
+    button.classList.toggle('text-white', selected);
+    button.classList.toggle('bg-white', !selected);
+    button.classList.toggle('border-slate-300', !selected);
+    button.classList.toggle('text-slate-700', !selected);
+}
+
+/**
+ * Obtém o texto exibido para campos preenchidos pelo sistema
+ */
+function getSystemFieldValue(attribute, record) {
+    if (!record) return '';
+
+    if (attribute.type === 'created-time') {
+        return formatFieldValue(attribute, record[attribute.id] || record.created_at);
+    }
+
+    // Registos antigos só têm o ID em created_by / updated_by
+    const value = record[attribute.id] || (attribute.type === 'created-by' ? record.created_by : record.updated_by);
+    if (!value) return '';
+    if (value === getUsuarioId()) return getUsuarioNome() || value;
+    return formatFieldValue(attribute, value);
+}
+
+/**
+ * Lê os valores digitados no formulário
+ * @param {HTMLElement} container - Elemento com os campos renderizados
+ * @param {Array} attributes - Atributos da entidade
+ * @returns {{data: Object, errors: Object}} - Valores por ID do campo e erros de interpretação
+ */
+export function collectRecordValues(container, attributes) {
+    const data = {};
+    const errors = {};
+
+    attributes.forEach(attribute => {
+        if (SYSTEM_FIELD_TYPES.includes(attribute.type) || COMPUTED_FIELD_TYPES.includes(attribute.type) || attribute.type === 'button') return;
+
+        const wrapper = container.querySelector(`.record-field[data-field-id="${attribute.id}"]`);
+        if (!wrapper) return;
+
+        const config = getFieldConfig(attribute);
+
+        switch (attribute.type) {
+            case 'number': {
+                const parsed = parseNumber(wrapper.querySelector('input').value, config);
+                if (Number.isNaN(parsed)) {
+                    errors[attribute.id] = 'Número inválido.';
+                } else {
+                    data[attribute.id] = parsed;
+                }
+                break;
+            }
+
+            case 'date': {
+                if (config.behavior === 'dateRange') {
+                    const start = parseDate(wrapper.querySelector('[data-part="start"]').value, config);
+                    const end = parseDate(wrapper.querySelector('[data-part="end"]').value, config);
+                    if (start === undefined || end === undefined) {
+                        errors[attribute.id] = `Data inválida. Use o formato ${getDatePlaceholder(config)}.`;
+                    } else {
+                        data[attribute.id] = start || end ? { start, end } : null;
+                    }
+                } else {
+                    const parsed = parseDate(wrapper.querySelector('input').value, config);
+                    if (parsed === undefined) {
+                        errors[attribute.id] = `Data inválida. Use o formato ${getDatePlaceholder(config)}.`;
+                    } else {
+                        data[attribute.id] = parsed;
+                    }
+                }
+                break;
+            }
+
+            case 'checkbox':
+                data[attribute.id] = wrapper.querySelector('input[type="checkbox"]').checked;
+                break;
+
+            case 'select': {
+                let selected;
+                if (config.appearance === 'buttons') {
+                    selected = Array.from(wrapper.querySelectorAll('.record-option-btn[data-selected="true"]')).map(btn => btn.dataset.optionId);
+                } else {
+                    selected = Array.from(wrapper.querySelector('select').selectedOptions).map(opt => opt.value).filter(Boolean);
+                }
+                data[attribute.id] = config.allowMultiple ? selected : (selected[0] || null);
+                break;
+            }
+
+            case 'person': {
+                const selected = getPersonSelection(wrapper.querySelector('.person-picker'));
+                data[attribute.id] = config.allowMultiple ? selected : (selected[0] || null);
+                break;
+            }
+
+            case 'file': {
+                // O ficheiro novo só é enviado ao guardar; aqui ficam os dados usados na validação
+                const file = wrapper.querySelector('input[type="file"]').files[0];
+                if (file) {
+                    data[attribute.id] = { name: file.name, size: file.size, contentType: file.type };
+                } else if (wrapper.querySelector(':scope > .record-field-control').dataset.removed === 'true') {
+                    data[attribute.id] = null;
+                }
+                break;
+            }
+
+            case 'sub-entity':
+                if (attribute.subType === 'relationship') {
+                    data[attribute.id] = toLinkValue(attribute, getPickerSelection(wrapper.querySelector('.record-picker')));
+                } else {
+                    const { rows, invalidRow } = collectSubEntityRows(wrapper, attribute);
+                    data[attribute.id] = rows;
+                    if (invalidRow) {
+                        errors[attribute.id] = `Linha ${invalidRow}: existem valores inválidos.`;
+                    }
+                }
+                break;
+
+            default: {
+                const input = wrapper.querySelector('input, textarea');
+                data[attribute.id] = input ? input.value.trim() : '';
+            }
+        }
+    });
+
+    return { data, errors };
+}
+
+/**
+ * Mostra (ou limpa) as mensagens de erro junto de cada campo
+ * @param {HTMLElement} container - Elemento com os campos renderizados
+ * @param {Object} errors - Mensagens de erro por ID do campo
+ */
+export function showFieldErrors(container, errors = {}) {
+    container.querySelectorAll('.record-field').forEach(wrapper => {
+        // As células das linhas de sub-entidade mostram os seus próprios erros
+        const row = wrapper.closest('.record-subentity-row');
+        if (row && row !== container) return;
+
+        const message = errors[wrapper.dataset.fieldId];
+        const errorEl = wrapper.querySelector(':scope > .record-field-error');
+        errorEl.textContent = message || '';
+        errorEl.classList.toggle('hidden', !message);
+        wrapper.querySelectorAll('input, select, textarea').forEach(input => {
+            input.classList.toggle('border-red-400', !!message);
+        });
+    });
+}
+
+/**
+ * Guarda o registo do formulário aberto
+ */
+async function handleSaveRecord() {
+    if (!currentFormState) return;
+
+    const { context, record, attributes, options } = currentFormState;
+    const container = document.getElementById('record-form-fields');
+    const { data, errors } = collectRecordValues(container, attributes);
+
+    // Erros de interpretação (ex.: data mal digitada) têm prioridade sobre as regras do campo
+    const validation = validateRecord(attributes, data, { partial: !!record });
+    const allErrors = { ...validation.errors, ...errors };
+
+    showFieldErrors(container, allErrors);
+    showSubEntityRowErrors(container, attributes);
+    if (Object.keys(allErrors).length > 0) {
+        return;
+    }
+
+    const currentWorkspace = getCurrentWorkspace();
+    const workspaceId = currentWorkspace ? currentWorkspace.id : 'default';
+    const ownerId = currentWorkspace && !currentWorkspace.isOwner ? currentWorkspace.ownerId : null;
+
+    // Os ficheiros escolhidos são enviados antes de o registo ser gravado com os seus caminhos
+    const selectedFiles = attributes
+        .filter(attr => attr.type === 'file')
+        .map(attribute => ({ attribute, file: container.querySelector(`.record-field[data-field-id="${attribute.id}"] input[type="file"]`)?.files[0] }))
+        .filter(item => item.file);
+    let uploaded;
+    try {
+        uploaded = await uploadRecordFiles(context.entityId, selectedFiles, workspaceId, ownerId);
+    } catch (error) {
+        // O erro já foi mostrado pelo envio dos ficheiros
+        return;
+    }
+    Object.assign(data, uploaded);
+
+    try {
+        let recordId;
+        if (record) {
+            await updateEntityData(context.moduleId, context.entityId, record.id, data, workspaceId, ownerId);
+            recordId = record.id;
+            // Os ficheiros substituídos ou removidos deixam de ser usados pelo registo
+            const replacedPaths = getReplacedFilePaths(attributes, record, data);
+            await deleteStoredFiles(filterWorkspaceFilePaths(replacedPaths, context.entityId, workspaceId, ownerId));
+        } else {
+            recordId = await saveEntityData(context.moduleId, context.entityId, data, workspaceId, ownerId);
+        }
+
+        showSuccess('Registo guardado!', record ? 'As alterações foram guardadas.' : 'O novo registo foi criado.');
+
+        if (options.onSaved) {
+            options.onSaved(recordId, data);
+        }
+
+        closeRecordForm();
+    } catch (error) {
+        // O erro já foi mostrado pelo módulo de banco de dados
+        console.error('Erro ao guardar registo:', error);
+        await deleteStoredFiles(Object.values(uploaded).map(value => value.path));
+        if (error.fieldErrors) {
+            showFieldErrors(container, error.fieldErrors);
+        }
+    }
+}
@@ -0,0 +1,545 @@
+/**
+ * Módulo da grelha de registos
+ * Mostra todos os registos de uma entidade em forma de tabela, com edição direta nas células
+ */
+
+import { getEntities, loadEntityData, updateEntityData, deleteEntityRecord,
+         getUserPreference, saveUserPreference } from '../database.js';
+import { showError, showConfirmDialog, createIcons } from '../ui.js';
+import { getCurrentWorkspace } from '../workspaces.js';
+import { can } from '../permissions.js';
+import { openRecordImport } from './recordImport.js';
+import { openRecordExport } from './recordExport.js';
+import { evaluateFormulaField } from './formula.js';
+import { LINKED_FIELD_TYPES, withLinkedValues } from './linkedFields.js';
+import { prepareLinkedFields } from './relatedRecords.js';
+import { isStoredFile, openFilePreview } from './fileStorage.js';
+import { getWorkspaceMembers, resolvePeople, getMemberAvatar } from './personPicker.js';
+import { getFieldConfig, formatNumber, parseNumber, formatDate, parseDate, getDatePlaceholder,
+         formatFieldValue, escapeHtml } from './fieldFormat.js';
+
+// Variáveis do módulo
+let gridState = null; // { context, attributes, records, linkedValues, computeLinked, members, layout, options }
+
+// Tipos que podem ser editados diretamente na célula
+const INLINE_TEXT_TYPES = ['text', 'textarea', 'email', 'number', 'date'];
+
+const DEFAULT_COLUMN_WIDTH = 180;
+const MIN_COLUMN_WIDTH = 80;
+
+/**
+ * Inicializa a grelha de registos
+ */
+export function initRecordGrid() {
+    const modal = document.getElementById('record-grid-modal');
+    if (!modal) return;
+
+    document.getElementById('close-record-grid-modal').addEventListener('click', closeRecordGrid);
+    document.getElementById('record-grid-new-btn').addEventListener('click', () => {
+        if (!gridState) return;
+        gridState.options.openForm(null, { onSaved: () => reloadRecordGrid() });
+    });
+    document.getElementById('record-grid-export-btn').addEventListener('click', () => {
+        if (!gridState) return;
+        openRecordExport(gridState.context);
+    });
+    document.getElementById('record-grid-import-btn').addEventListener('click', () => {
+        if (!gridState) return;
+        openRecordImport(gridState.context, { onImported: () => reloadRecordGrid() });
+    });
+
+    const columnsBtn = document.getElementById('record-grid-columns-btn');
+    const columnsMenu = document.getElementById('record-grid-columns-menu');
+    columnsBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        columnsMenu.classList.toggle('hidden');
+    });
+    document.addEventListener('click', (e) => {
+        if (!columnsMenu.contains(e.target) && e.target !== columnsBtn) {
+            columnsMenu.classList.add('hidden');
+        }
+    });
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeRecordGrid();
+    });
+}
+
+/**
+ * Abre a grelha de registos de uma entidade
+ * @param {Object} context - Contexto da entidade ({ moduleId, entityId, entityName })
+ * @param {Object} options - Opções ({ openForm(record, formOptions), onExecuteButton(attribute, record) })
+ * @returns {Promise<void>}
+ */
+export async function openRecordGrid(context, options = {}) {
+    const modal = document.getElementById('record-grid-modal');
+    if (!modal) return;
+
+    const entity = getEntities().find(e => e.id === context.entityId);
+    const savedLayout = getUserPreference(getLayoutKey(context.entityId), null) || {};
+
+    gridState = {
+        context,
+        attributes: entity?.attributes || [],
+        records: [],
+        linkedValues: {},
+        computeLinked: null,
+        members: [],
+        layout: { widths: savedLayout.widths || {}, hidden: savedLayout.hidden || [] },
+        options
+    };
+
+    document.getElementById('record-grid-title').textContent = context.entityName || entity?.name || 'Registos';
+
+    modal.classList.remove('hidden');
+    setTimeout(() => modal.querySelector('.bg-white').classList.remove('scale-95', 'opacity-0'), 10);
+
+    await reloadRecordGrid();
+}
+
+/**
+ * Fecha a grelha de registos
+ */
+export function closeRecordGrid() {
+    const modal = document.getElementById('record-grid-modal');
+    if (!modal) return;
+
+    modal.querySelector('.bg-white').classList.add('scale-95', 'opacity-0');
+    setTimeout(() => {
+        modal.classList.add('hidden');
+        document.getElementById('record-grid-table').innerHTML = '';
+        gridState = null;
+    }, 300);
+}
+
+/**
+ * Recarrega os registos da entidade aberta e redesenha a tabela
+ * @returns {Promise<void>}
+ */
+export async function reloadRecordGrid() {
+    if (!gridState) return;
+
+    const { context } = gridState;
+    const { workspaceId, ownerId } = getWorkspaceIds();
+    const table = document.getElementById('record-grid-table');
+    table.innerHTML = '<tbody><tr><td class="text-center text-slate-400 py-10 text-sm">Carregando registos...</td></tr></tbody>';
+
+    try {
+        const records = await loadEntityData(context.moduleId, context.entityId, workspaceId, ownerId);
+        // Registos mais antigos primeiro, como numa folha de cálculo
+        records.sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || '')));
+        // Valores relacionados e agregações dependem dos registos de outras entidades
+        const computeLinked = await prepareLinkedFields(gridState.attributes);
+        // Os campos "Pessoa" guardam IDs; os nomes e as fotos vêm das pessoas da área de trabalho
+        const members = gridState.attributes.some(attr => attr.type === 'person') ? await getWorkspaceMembers() : [];
+        gridState.records = records;
+        gridState.members = members;
+        gridState.computeLinked = computeLinked;
+        gridState.linkedValues = computeLinked ?
+            Object.fromEntries(records.map(record => [record.id, computeLinked(record)])) :
+            {};
+        renderGrid();
+    } catch (error) {
+        table.innerHTML = '<tbody><tr><td class="text-center text-red-500 py-10 text-sm">Não foi possível carregar os registos.</td></tr></tbody>';
+    }
+}
+
+/**
+ * Chave da preferência onde o layout da grelha de uma entidade é guardado
+ */
+function getLayoutKey(entityId) {
+    return `recordGrid_${entityId}`;
+}
+
+function getWorkspaceIds() {
+    const currentWorkspace = getCurrentWorkspace();
+    return {
+        workspaceId: currentWorkspace ? currentWorkspace.id : 'default',
+        ownerId: currentWorkspace && !currentWorkspace.isOwner ? currentWorkspace.ownerId : null
+    };
+}
+
+/**
+ * Atributos visíveis na grelha (respeitando as colunas ocultas)
+ */
+function getVisibleAttributes() {
+    return gridState.attributes.filter(attr => !gridState.layout.hidden.includes(attr.id));
+}
+
+/**
+ * Desenha a tabela e o menu de colunas
+ */
+function renderGrid() {
+    const table = document.getElementById('record-grid-table');
+    const { records, layout } = gridState;
+    const visibleAttributes = getVisibleAttributes();
+
+    document.getElementById('record-grid-count').textContent = `${records.length} registo${records.length !== 1 ? 's' : ''}`;
+    renderColumnsMenu();
+
+    if (gridState.attributes.length === 0) {
+        table.innerHTML = '<tbody><tr><td class="text-center text-slate-400 py-10 text-sm">Esta entidade ainda não possui campos.</td></tr></tbody>';
+        return;
+    }
+
+    const headerCells = visibleAttributes.map(attr => `
+        <th class="record-grid-th relative bg-slate-100 border-b border-r border-slate-200 px-3 py-2 text-left text-xs font-semibold text-slate-600 uppercase tracking-wide select-none"
+            data-field-id="${escapeHtml(attr.id)}" style="width: ${layout.widths[attr.id] || DEFAULT_COLUMN_WIDTH}px">
+            <div class="truncate pr-2">${escapeHtml(attr.label)}</div>
+            <span class="record-grid-resizer absolute top-0 right-0 h-full w-1.5 cursor-col-resize hover:bg-indigo-300"></span>
+        </th>
+    `).join('');
+
+    const rows = records.map(record => `
+        <tr class="record-grid-row hover:bg-indigo-50/40" data-record-id="${escapeHtml(record.id)}">
+            ${visibleAttributes.map(attr => `
+                <td class="record-grid-cell border-b border-r border-slate-200 px-3 py-2 text-sm text-slate-700 align-top ${isInlineEditable(attr) && can('edit') ? 'cursor-text' : ''}"
+                    data-field-id="${escapeHtml(attr.id)}">${renderCellContent(attr, record)}</td>
+            `).join('')}
+            <td class="border-b border-slate-200 px-2 py-2 text-right whitespace-nowrap">
+                <button class="record-grid-edit-btn text-slate-400 hover:text-indigo-600 p-1 rounded-md" title="Abrir registo">
+                    <i data-lucide="pencil" class="h-4 w-4"></i>
+                </button>
+                <button data-requires-permission="edit" class="record-grid-delete-btn text-slate-400 hover:text-red-600 p-1 rounded-md" title="Excluir registo">
+                    <i data-lucide="trash-2" class="h-4 w-4"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+
+    table.innerHTML = `
+        <thead class="sticky top-0 z-10">
+            <tr>${headerCells}<th class="bg-slate-100 border-b border-slate-200 w-20"></th></tr>
+        </thead>
+        <tbody>
+            ${rows || `<tr><td colspan="${visibleAttributes.length + 1}" class="text-center text-slate-400 py-10 text-sm">Nenhum registo ainda. Clique em "Novo Registo" para começar.</td></tr>`}
+        </tbody>
+    `;
+
+    setupGridEvents(table);
+    createIcons();
+}
+
+/**
+ * Conteúdo HTML de uma célula
+ */
+function renderCellContent(attribute, record) {
+    const value = record[attribute.id];
+
+    if (attribute.type === 'checkbox') {
+        return `<input type="checkbox" class="record-grid-checkbox h-4 w-4 text-indigo-600 rounded border-slate-300" ${value ? 'checked' : ''} ${can('edit') ? '' : 'disabled'}>`;
+    }
+
+    if (attribute.type === 'button') {
+        const config = getFieldConfig(attribute);
+        return `<button data-requires-permission="edit" class="record-grid-action-btn text-xs bg-indigo-50 text-indigo-700 px-2 py-1 rounded-md hover:bg-indigo-100">${escapeHtml(config.label || attribute.label)}</button>`;
+    }
+
+    if (attribute.type === 'formula' || LINKED_FIELD_TYPES.includes(attribute.type)) {
+        const linkedValues = gridState.linkedValues[record.id] || {};
+        const result = attribute.type === 'formula' ?
+            evaluateFormulaField(attribute, gridState.attributes, withLinkedValues(record, linkedValues)) :
+            linkedValues[attribute.id] || { value: null, text: '', error: 'Valor relacionado indisponível.' };
+        if (result.error) {
+            return `<div class="truncate text-red-500" title="${escapeHtml(result.error)}">#ERRO</div>`;
+        }
+        const text = attribute.type === 'formula' ? formatFieldValue(attribute, result.value) : result.text;
+        return `<div class="truncate">${escapeHtml(text)}</div>`;
+    }
+
+    if (attribute.type === 'created-time' && !value) {
+        return escapeHtml(formatFieldValue(attribute, record.created_at));
+    }
+
+    if (attribute.type === 'person') {
+        return `<div class="flex flex-wrap gap-1">${resolvePeople(value, gridState.members).map(person => `
+            <span class="inline-flex items-center gap-1 max-w-full ${person.missing ? 'italic text-slate-400' : ''}" title="${escapeHtml(person.email || person.name)}">
+                <img src="${escapeHtml(getMemberAvatar(person))}" alt="" class="h-5 w-5 rounded-full flex-shrink-0">
+                <span class="truncate">${escapeHtml(person.name)}</span>
+            </span>`).join('')}</div>`;
+    }
+
+    if (attribute.type === 'file' && isStoredFile(value)) {
+        return `<button type="button" class="record-grid-file-btn max-w-full truncate text-indigo-600 hover:underline" title="Ver ou descarregar">${escapeHtml(value.name)}</button>`;
+    }
+
+    return `<div class="truncate">${escapeHtml(formatFieldValue(attribute, value))}</div>`;
+}
+
+function isInlineEditable(attribute) {
+    if (INLINE_TEXT_TYPES.includes(attribute.type)) {
+        return getFieldConfig(attribute).behavior !== 'dateRange';
+    }
+    return attribute.type === 'select';
+}
+
+/**
+ * Configura os eventos da tabela (edição, exclusão, redimensionamento)
+ */
+function setupGridEvents(table) {
+    table.querySelectorAll('.record-grid-resizer').forEach(handle => {
+        handle.addEventListener('mousedown', startColumnResize);
+    });
+
+    table.querySelector('tbody').addEventListener('click', async (e) => {
+        const row = e.target.closest('.record-grid-row');
+        if (!row) return;
+        const record = gridState.records.find(r => r.id === row.dataset.recordId);
+        if (!record) return;
+
+        if (e.target.closest('.record-grid-delete-btn')) {
+            await confirmAndDeleteRecord(record);
+            return;
+        }
+
+        if (e.target.closest('.record-grid-edit-btn')) {
+            gridState.options.openForm(record, { onSaved: () => reloadRecordGrid() });
+            return;
+        }
+
+        const cell = e.target.closest('.record-grid-cell');
+        if (!cell) return;
+        const attribute = gridState.attributes.find(attr => attr.id === cell.dataset.fieldId);
+
+        // Os ficheiros podem ser vistos por quem só consulta
+        if (e.target.closest('.record-grid-file-btn')) {
+            await openFilePreview(record[attribute.id]);
+            return;
+        }
+
+        // Leitores só podem consultar os registos
+        if (!can('edit')) return;
+
+        if (e.target.closest('.record-grid-action-btn')) {
+            if (gridState.options.onExecuteButton) {
+                await gridState.options.onExecuteButton(attribute, record);
+                await reloadRecordGrid();
+            }
+            return;
+        }
+
+        if (e.target.classList.contains('record-grid-checkbox')) {
+            await saveCellValue(record, attribute, e.target.checked, cell);
+            return;
+        }
+
+        if (isInlineEditable(attribute) && !cell.querySelector('.record-grid-editor')) {
+            startCellEdit(cell, record, attribute);
+        }
+    });
+}
+
+/**
+ * Transforma a célula num campo de edição
+ */
+function startCellEdit(cell, record, attribute) {
+    const config = getFieldConfig(attribute);
+    const value = record[attribute.id];
+    const inputClasses = 'record-grid-editor w-full px-2 py-1 border border-indigo-400 rounded text-sm focus:outline-none focus:ring-1 focus:ring-indigo-500';
+    let editor;
+
+    if (attribute.type === 'select') {
+        editor = document.createElement('select');
+        editor.className = inputClasses;
+        editor.multiple = !!config.allowMultiple;
+        const selected = Array.isArray(value) ? value : (value ? [value] : []);
+        editor.innerHTML = (config.allowMultiple ? '' : '<option value="">—</option>') +
+            (config.options || []).map(opt => `<option value="${escapeHtml(opt.id)}" ${selected.includes(opt.id) ? 'selected' : ''}>${escapeHtml(opt.label)}</option>`).join('');
+    } else {
+        editor = document.createElement('input');
+        editor.type = 'text';
+        editor.className = inputClasses;
+        if (attribute.type === 'number') {
+            editor.value = formatNumber(value, { ...config, format: 'plain' });
+        } else if (attribute.type === 'date') {
+            editor.value = formatDate(value, config, true);
+            editor.placeholder = getDatePlaceholder(config);
+        } else {
+            editor.value = value ?? '';
+            if (config.maxLength) editor.maxLength = parseInt(config.maxLength);
+        }
+    }
+
+    cell.innerHTML = '';
+    cell.appendChild(editor);
+    editor.focus();
+
+    let finished = false;
+    const finish = async (commit) => {
+        if (finished) return;
+        finished = true;
+
+        if (!commit) {
+            cell.innerHTML = renderCellContent(attribute, record);
+            return;
+        }
+
+        const parsed = readEditorValue(editor, attribute, config);
+        if (parsed.error) {
+            showError('Valor inválido', parsed.error);
+            cell.innerHTML = renderCellContent(attribute, record);
+            return;
+        }
+
+        await saveCellValue(record, attribute, parsed.value, cell);
+    };
+
+    editor.addEventListener('blur', () => finish(true));
+    editor.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !editor.multiple) {
+            e.preventDefault();
+            editor.blur();
+        } else if (e.key === 'Escape') {
+            finish(false);
+        }
+    });
+}
+
+/**
+ * Lê e interpreta o valor digitado no editor da célula
+ */
+function readEditorValue(editor, attribute, config) {
+    if (attribute.type === 'select') {
+        const selected = Array.from(editor.selectedOptions).map(opt => opt.value).filter(Boolean);
+        return { value: config.allowMultiple ? selected : (selected[0] || null) };
+    }
+
+    if (attribute.type === 'number') {
+        const parsed = parseNumber(editor.value, config);
+        return Number.isNaN(parsed) ? { error: 'Número inválido.' } : { value: parsed };
+    }
+
+    if (attribute.type === 'date') {
+        const parsed = parseDate(editor.value, config);
+        return parsed === undefined ? { error: `Data inválida. Use o formato ${getDatePlaceholder(config)}.` } : { value: parsed };
+    }
+
+    return { value: editor.value.trim() };
+}
+
+/**
+ * Grava o novo valor de uma célula no registo
+ */
+async function saveCellValue(record, attribute, value, cell) {
+    const { context } = gridState;
+    const { workspaceId, ownerId } = getWorkspaceIds();
+    const previous = record[attribute.id];
+
+    if (JSON.stringify(previous ?? null) === JSON.stringify(value ?? null)) {
+        cell.innerHTML = renderCellContent(attribute, record);
+        return;
+    }
+
+    try {
+        await updateEntityData(context.moduleId, context.entityId, record.id, { [attribute.id]: value }, workspaceId, ownerId);
+        record[attribute.id] = value;
+    } catch (error) {
+        console.error('Erro ao guardar célula:', error);
+    }
+
+    cell.innerHTML = renderCellContent(attribute, record);
+    refreshFormulaCells(cell.closest('.record-grid-row'), record);
+}
+
+/**
+ * Recalcula os campos calculados de uma linha depois de alterar um dos seus valores
+ */
+function refreshFormulaCells(row, record) {
+    if (!row) return;
+    if (gridState.computeLinked) gridState.linkedValues[record.id] = gridState.computeLinked(record);
+    getVisibleAttributes().filter(attr => attr.type === 'formula' || LINKED_FIELD_TYPES.includes(attr.type)).forEach(attribute => {
+        const cell = row.querySelector(`.record-grid-cell[data-field-id="${attribute.id}"]`);
+        if (cell) cell.innerHTML = renderCellContent(attribute, record);
+    });
+}
+
+/**
+ * Pede confirmação e exclui um registo
+ */
+async function confirmAndDeleteRecord(record) {
+    const confirmed = await showConfirmDialog(
+        'Excluir registo?',
+        'Esta ação não pode ser desfeita.',
+        'Sim, excluir',
+        'Cancelar',
+        'warning'
+    );
+    if (!confirmed) return;
+
+    const { context } = gridState;
+    const { workspaceId, ownerId } = getWorkspaceIds();
+
+    try {
+        await deleteEntityRecord(context.moduleId, context.entityId, record.id, workspaceId, ownerId);
+        gridState.records = gridState.records.filter(r => r.id !== record.id);
+        renderGrid();
+    } catch (error) {
+        console.error('Erro ao excluir registo:', error);
+    }
+}
+
+/**
+ * Inicia o redimensionamento de uma coluna arrastando a borda do cabeçalho
+ */
+function startColumnResize(e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const th = e.target.closest('.record-grid-th');
+    const fieldId = th.dataset.fieldId;
+    const startX = e.clientX;
+    const startWidth = th.offsetWidth;
+
+    const onMove = (moveEvent) => {
+        const width = Math.max(MIN_COLUMN_WIDTH, startWidth + moveEvent.clientX - startX);
+        th.style.width = `${width}px`;
+    };
+
+    const onUp = () => {
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+        if (!gridState) return;
+        gridState.layout.widths[fieldId] = th.offsetWidth;
+        saveGridLayout();
+    };
+
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+}
+
+/**
+ * Desenha o menu para mostrar/ocultar colunas
+ */
+function renderColumnsMenu() {
+    const menu = document.getElementById('record-grid-columns-menu');
+    menu.innerHTML = gridState.attributes.map(attr => `
+        <label class="flex items-center gap-2 px-3 py-1.5 hover:bg-slate-50 rounded cursor-pointer text-sm text-slate-700">
+            <input type="checkbox" value="${escapeHtml(attr.id)}" class="h-4 w-4 text-indigo-600 rounded border-slate-300" ${gridState.layout.hidden.includes(attr.id) ? '' : 'checked'}>
+            <span class="truncate">${escapeHtml(attr.label)}</span>
+        </label>
+    `).join('') || '<p class="px-3 py-2 text-xs text-slate-400">Sem colunas</p>';
+
+    menu.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const hidden = new Set(gridState.layout.hidden);
+            if (checkbox.checked) {
+                hidden.delete(checkbox.value);
+            } else {
+                hidden.add(checkbox.value);
+            }
+            gridState.layout.hidden = Array.from(hidden);
+            saveGridLayout();
+            renderGrid();
+        });
+    });
+}
+
+/**
+ * Guarda larguras e colunas ocultas nas preferências do usuário
+ */
+function saveGridLayout() {
+    saveUserPreference(getLayoutKey(gridState.context.entityId), {
+        widths: { ...gridState.layout.widths },
+        hidden: [...gridState.layout.hidden]
+    });
+}
@@ -0,0 +1,249 @@
+/**
+ * Assistente de importação de CSV
+ * Lê um ficheiro CSV no navegador, deixa o usuário relacionar as colunas com os campos
+ * da entidade e grava os registos válidos em lotes, com um relatório das linhas rejeitadas
+ */
+
+import { getEntities, saveEntityRecordsInBatches } from '../database.js';
+import { showError, downloadFile } from '../ui.js';
+import { getCurrentWorkspace } from '../workspaces.js';
+import { fieldTypes } from '../config.js';
+import { parseCsv, formatCsv } from './csv.js';
+import { getImportableAttributes, suggestColumnMapping, buildRecordsFromRows } from './csvImport.js';
+import { getFieldConfig, escapeHtml } from './fieldFormat.js';
+
+// Número de linhas rejeitadas mostradas no resumo (o relatório descarregado tem todas)
+const REJECTED_PREVIEW_LIMIT = 10;
+
+/**
+ * Abre o assistente de importação para uma entidade
+ * @param {Object} context - Contexto da entidade ({ moduleId, entityId, entityName })
+ * @param {Object} options - { onImported(quantidade): chamado depois de gravar }
+ * @returns {Promise<void>}
+ */
+export async function openRecordImport(context, options = {}) {
+    const entity = getEntities().find(e => e.id === context.entityId);
+    const attributes = entity?.attributes || [];
+
+    if (getImportableAttributes(attributes).length === 0) {
+        showError('Importação Indisponível', 'Esta entidade não tem campos que possam receber valores de um CSV.');
+        return;
+    }
+
+    const file = await pickCsvFile(context.entityName || entity?.name);
+    if (!file) return;
+
+    let rows;
+    try {
+        rows = parseCsv(await file.text());
+    } catch (error) {
+        console.error('Erro ao ler o CSV:', error);
+        showError('Ficheiro Inválido', 'Não foi possível ler o ficheiro CSV.');
+        return;
+    }
+
+    if (rows.length < 2) {
+        showError('Ficheiro Vazio', 'O ficheiro precisa de uma linha de cabeçalho e pelo menos uma linha de dados.');
+        return;
+    }
+
+    const [headers, ...dataRows] = rows;
+    const mapping = await askColumnMapping(headers, dataRows, attributes);
+    if (!mapping) return;
+
+    const { records, rejected } = buildRecordsFromRows(dataRows, mapping, attributes);
+    const confirmed = await confirmImport(records, rejected);
+    if (!confirmed) return;
+
+    const currentWorkspace = getCurrentWorkspace();
+    const workspaceId = currentWorkspace ? currentWorkspace.id : 'default';
+    const ownerId = currentWorkspace && !currentWorkspace.isOwner ? currentWorkspace.ownerId : null;
+
+    let savedCount = 0;
+    if (records.length > 0) {
+        try {
+            savedCount = await saveEntityRecordsInBatches(context.moduleId, context.entityId,
+                records.map(record => record.data), workspaceId, ownerId,
+                (saved, total) => Swal.update({ title: `Importando registos... (${saved} de ${total})` }));
+        } catch (error) {
+            // O erro já foi mostrado por saveEntityRecordsInBatches
+            if (error.savedCount && options.onImported) options.onImported(error.savedCount);
+            return;
+        }
+    }
+
+    if (options.onImported) options.onImported(savedCount);
+    await showImportReport(savedCount, rejected, headers, context.entityName || entity?.name);
+}
+
+/**
+ * Pede o ficheiro CSV ao usuário
+ */
+async function pickCsvFile(entityName) {
+    const { value: file } = await Swal.fire({
+        title: `Importar CSV para "${escapeHtml(entityName || 'Entidade')}"`,
+        html: '<p class="text-sm text-slate-500">A primeira linha do ficheiro deve ter os nomes das colunas. São aceites ficheiros separados por ponto e vírgula, vírgula ou tabulação.</p>',
+        input: 'file',
+        inputAttributes: { accept: '.csv,text/csv,text/plain' },
+        showCancelButton: true,
+        confirmButtonText: 'Continuar',
+        cancelButtonText: 'Cancelar',
+        confirmButtonColor: '#6366f1',
+        inputValidator: value => (!value ? 'Escolha um ficheiro CSV.' : undefined)
+    });
+    return file || null;
+}
+
+/**
+ * Mostra as colunas do CSV e deixa escolher o campo de destino de cada uma
+ * @returns {Promise<Array<string|null>|null>} - Relação coluna → ID do campo, ou null se cancelado
+ */
+async function askColumnMapping(headers, dataRows, attributes) {
+    const importable = getImportableAttributes(attributes);
+    const suggested = suggestColumnMapping(headers, attributes);
+
+    const rowsHtml = headers.map((header, column) => {
+        const sample = dataRows.slice(0, 3).map(row => row[column]).filter(Boolean).join(' · ');
+        const optionsHtml = importable.map(attr => `
+            <option value="${escapeHtml(attr.id)}" ${suggested[column] === attr.id ? 'selected' : ''}>
+                ${escapeHtml(attr.label)} (${escapeHtml(getTypeName(attr.type))})
+            </option>`).join('');
+        return `
+            <tr class="border-b border-slate-100">
+                <td class="py-2 pr-3 align-top">
+                    <div class="font-medium text-slate-700">${escapeHtml(header || `Coluna ${column + 1}`)}</div>
+                    <div class="text-xs text-slate-400 truncate max-w-[14rem]">${escapeHtml(sample)}</div>
+                </td>
+                <td class="py-2 align-top">
+                    <select class="csv-column-mapping w-full p-1.5 border border-slate-300 rounded-lg text-sm" data-column="${column}">
+                        <option value="">Ignorar coluna</option>
+                        ${optionsHtml}
+                    </select>
+                </td>
+            </tr>`;
+    }).join('');
+
+    const requiredAttributes = attributes.filter(attr => getFieldConfig(attr).required);
+    const requiredHint = requiredAttributes.length > 0 ?
+        `<p class="text-xs text-amber-600 mt-3">Campos obrigatórios: ${requiredAttributes.map(attr => escapeHtml(attr.label)).join(', ')}. As linhas sem estes valores serão rejeitadas.</p>` :
+        '';
+
+    const { value: mapping } = await Swal.fire({
+        title: 'Relacionar colunas',
+        width: '42rem',
+        html: `
+            <div class="text-left">
+                <p class="text-sm text-slate-500 mb-3">${dataRows.length} linha(s) encontradas. Escolha o campo que recebe cada coluna.</p>
+                <div class="max-h-80 overflow-y-auto">
+                    <table class="w-full text-sm">
+                        <thead><tr class="text-xs text-slate-500 uppercase">
+                            <th class="text-left pb-2">Coluna do CSV</th><th class="text-left pb-2">Campo</th>
+                        </tr></thead>
+                        <tbody>${rowsHtml}</tbody>
+                    </table>
+                </div>
+                ${requiredHint}
+            </div>`,
+        showCancelButton: true,
+        confirmButtonText: 'Verificar dados',
+        cancelButtonText: 'Cancelar',
+        confirmButtonColor: '#6366f1',
+        preConfirm: () => {
+            const selected = Array.from(document.querySelectorAll('.csv-column-mapping')).map(select => select.value || null);
+            const chosen = selected.filter(Boolean);
+            if (chosen.length === 0) {
+                Swal.showValidationMessage('Relacione pelo menos uma coluna com um campo.');
+                return false;
+            }
+            const duplicated = chosen.find((fieldId, index) => chosen.indexOf(fieldId) !== index);
+            if (duplicated) {
+                const label = attributes.find(attr => attr.id === duplicated)?.label || duplicated;
+                Swal.showValidationMessage(`O campo "${label}" foi escolhido para mais do que uma coluna.`);
+                return false;
+            }
+            return selected;
+        }
+    });
+
+    return mapping || null;
+}
+
+/**
+ * Mostra quantas linhas serão importadas e as primeiras linhas rejeitadas
+ */
+async function confirmImport(records, rejected) {
+    if (records.length === 0) {
+        await Swal.fire({
+            icon: 'error',
+            title: 'Nenhuma linha válida',
+            html: `<p class="text-sm mb-3">Todas as ${rejected.length} linha(s) foram rejeitadas.</p>${renderRejectedList(rejected)}`,
+            confirmButtonText: 'Fechar',
+            confirmButtonColor: '#6366f1'
+        });
+        return false;
+    }
+
+    const result = await Swal.fire({
+        icon: rejected.length > 0 ? 'warning' : 'question',
+        title: 'Importar registos?',
+        html: `
+            <p class="text-sm mb-3">
+                <strong>${records.length}</strong> linha(s) prontas a importar.
+                ${rejected.length > 0 ? `<strong>${rejected.length}</strong> linha(s) serão ignoradas e listadas no relatório.` : ''}
+            </p>
+            ${rejected.length > 0 ? renderRejectedList(rejected) : ''}`,
+        showCancelButton: true,
+        confirmButtonText: `Importar ${records.length} registo(s)`,
+        cancelButtonText: 'Cancelar',
+        confirmButtonColor: '#6366f1'
+    });
+    return result.isConfirmed;
+}
+
+/**
+ * Resultado final, com a opção de descarregar as linhas rejeitadas e os motivos
+ */
+async function showImportReport(savedCount, rejected, headers, entityName) {
+    if (rejected.length === 0) {
+        await Swal.fire({
+            icon: 'success',
+            title: 'Importação concluída',
+            text: `${savedCount} registo(s) importados.`,
+            timer: 2500,
+            showConfirmButton: false
+        });
+        return;
+    }
+
+    const result = await Swal.fire({
+        icon: 'warning',
+        title: 'Importação concluída com rejeições',
+        html: `<p class="text-sm mb-3">${savedCount} registo(s) importados; ${rejected.length} linha(s) rejeitadas.</p>${renderRejectedList(rejected)}`,
+        showCancelButton: true,
+        confirmButtonText: 'Descarregar relatório',
+        cancelButtonText: 'Fechar',
+        confirmButtonColor: '#6366f1'
+    });
+
+    if (result.isConfirmed) {
+        // O relatório mantém as colunas originais, para que as linhas possam ser corrigidas e importadas de novo
+        const reportRows = [
+            ['Linha', ...headers, 'Erros'],
+            ...rejected.map(item => [item.rowNumber, ...headers.map((header, column) => item.row[column] ?? ''), item.errors.join(' | ')])
+        ];
+        downloadFile(`rejeitados-${(entityName || 'registos').replace(/[^\p{L}\p{N}]+/gu, '-').toLowerCase()}.csv`,
+            `\uFEFF${formatCsv(reportRows)}`, 'text/csv;charset=utf-8');
+    }
+}
+
+function renderRejectedList(rejected) {
+    const items = rejected.slice(0, REJECTED_PREVIEW_LIMIT).map(item => `
+        <li class="mb-1"><strong>Linha ${item.rowNumber}:</strong> ${item.errors.map(escapeHtml).join('; ')}</li>`).join('');
+    const more = rejected.length > REJECTED_PREVIEW_LIMIT ?
+        `<li class="text-slate-400">... e mais ${rejected.length - REJECTED_PREVIEW_LIMIT} linha(s).</li>` : '';
+    return `<ul class="text-left text-xs text-red-700 bg-red-50 rounded-lg p-3 max-h-48 overflow-y-auto list-none">${items}${more}</ul>`;
+}
+
+function getTypeName(type) {
+    return fieldTypes.find(ft => ft.type === type)?.name || type;
+}
@@ -0,0 +1,213 @@
+/**
+ * Seletor de registos para campos de relação
+ * Pesquisa os registos da entidade ligada pelo campo principal, permite escolher um ou
+ * vários conforme a cardinalidade e criar um registo novo sem sair do formulário
+ */
+
+import { getEntities, loadEntityData, saveEntityData } from '../database.js';
+import { getCurrentWorkspace } from '../workspaces.js';
+import { can } from '../permissions.js';
+import { validateRecord } from './validation.js';
+import { getRecordLabel, getDisplayAttribute, escapeHtml } from './fieldFormat.js';
+import { allowsMultipleLinks, toLinkIds } from './relationships.js';
+
+// Resultados mostrados de cada vez; o resto encontra-se refinando a pesquisa
+const MAX_RESULTS = 50;
+
+/**
+ * Cria o seletor de registos de um campo de relação
+ * @param {Object} attribute - Campo de relação
+ * @param {*} value - Valor atual (ID ou lista de IDs)
+ * @returns {Promise<HTMLElement>} - Elemento com a classe record-picker; os IDs escolhidos ficam em dataset.selectedIds
+ */
+export async function createRecordPicker(attribute, value) {
+    const targetEntity = getEntities().find(e => e.id === attribute.targetEntityId);
+    const multiple = allowsMultipleLinks(attribute);
+    const options = targetEntity ? await loadPickerOptions(targetEntity) : [];
+    let selectedIds = multiple ? toLinkIds(value) : toLinkIds(value).slice(0, 1);
+
+    const picker = document.createElement('div');
+    picker.className = 'record-picker relative';
+    picker.innerHTML = `
+        <div class="record-picker-selected flex flex-wrap gap-1.5 mb-1.5"></div>
+        <input type="text" class="record-picker-search w-full px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500"
+               placeholder="${escapeHtml(targetEntity ? `Pesquisar em ${targetEntity.name}...` : 'A entidade relacionada já não existe')}" ${targetEntity ? '' : 'disabled'}>
+        <ul class="record-picker-results absolute left-0 right-0 mt-1 max-h-60 overflow-y-auto bg-white border border-slate-200 rounded-lg shadow-lg z-20 hidden"></ul>
+        <p class="record-picker-message hidden text-xs text-red-600 mt-1"></p>
+    `;
+
+    const search = picker.querySelector('.record-picker-search');
+    const results = picker.querySelector('.record-picker-results');
+    const message = picker.querySelector('.record-picker-message');
+
+    const setSelection = (ids) => {
+        selectedIds = ids;
+        picker.dataset.selectedIds = JSON.stringify(selectedIds);
+        renderSelected();
+        // Os campos calculados do formulário são atualizados com o evento change
+        picker.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    const renderSelected = () => {
+        picker.querySelector('.record-picker-selected').innerHTML = selectedIds.map(id => {
+            const option = options.find(item => item.id === id);
+            return `
+                <span class="inline-flex items-center gap-1 bg-indigo-50 text-indigo-700 text-sm px-2 py-0.5 rounded-full ${option ? '' : 'italic'}">
+                    ${escapeHtml(option ? option.label : 'Registo removido')}
+                    <button type="button" class="record-picker-remove text-indigo-400 hover:text-indigo-700" data-record-id="${escapeHtml(id)}" title="Retirar">&times;</button>
+                </span>`;
+        }).join('');
+    };
+
+    const renderResults = () => {
+        const query = normalizeSearch(search.value);
+        const matches = options.filter(item => !selectedIds.includes(item.id) && normalizeSearch(item.label).includes(query));
+        const items = matches.slice(0, MAX_RESULTS).map(item => `
+            <li><button type="button" class="record-picker-option w-full text-left px-3 py-2 text-sm text-slate-700 hover:bg-indigo-50" data-record-id="${escapeHtml(item.id)}">${escapeHtml(item.label)}</button></li>`);
+
+        if (matches.length > MAX_RESULTS) {
+            items.push(`<li class="px-3 py-2 text-xs text-slate-400">A mostrar ${MAX_RESULTS} de ${matches.length}. Refine a pesquisa.</li>`);
+        }
+        if (matches.length === 0) {
+            items.push(`<li class="px-3 py-2 text-sm text-slate-400">${options.length === 0 ? 'Ainda não há registos.' : 'Nenhum registo encontrado.'}</li>`);
+        }
+        const text = search.value.trim();
+        if (text && canQuickCreate(targetEntity) && !options.some(item => normalizeSearch(item.label) === query)) {
+            items.push(`
+                <li class="border-t border-slate-100"><button type="button" class="record-picker-create w-full text-left px-3 py-2 text-sm text-indigo-700 hover:bg-indigo-50">
+                    + Criar "${escapeHtml(text)}" em ${escapeHtml(targetEntity.name)}
+                </button></li>`);
+        }
+
+        results.innerHTML = items.join('');
+        results.classList.remove('hidden');
+    };
+
+    const choose = (id) => {
+        setSelection(multiple ? [...selectedIds, id] : [id]);
+        search.value = '';
+        message.classList.add('hidden');
+        if (multiple) {
+            renderResults();
+        } else {
+            results.classList.add('hidden');
+        }
+    };
+
+    const quickCreate = async () => {
+        const text = search.value.trim();
+        const result = await createTargetRecord(targetEntity, text);
+        if (result.error) {
+            message.textContent = result.error;
+            message.classList.remove('hidden');
+            return;
+        }
+        options.push({ id: result.id, label: text });
+        choose(result.id);
+    };
+
+    search.addEventListener('focus', renderResults);
+    search.addEventListener('input', renderResults);
+    search.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            results.classList.add('hidden');
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const first = results.querySelector('.record-picker-option, .record-picker-create');
+            if (first) first.click();
+        }
+    });
+
+    // O clique numa opção não tira o foco da pesquisa antes de ser tratado
+    results.addEventListener('mousedown', (e) => e.preventDefault());
+    results.addEventListener('click', (e) => {
+        const option = e.target.closest('.record-picker-option');
+        if (option) {
+            choose(option.dataset.recordId);
+        } else if (e.target.closest('.record-picker-create')) {
+            quickCreate();
+        }
+    });
+
+    picker.addEventListener('focusout', (e) => {
+        if (!picker.contains(e.relatedTarget)) results.classList.add('hidden');
+    });
+
+    picker.querySelector('.record-picker-selected').addEventListener('click', (e) => {
+        const remove = e.target.closest('.record-picker-remove');
+        if (remove) setSelection(selectedIds.filter(id => id !== remove.dataset.recordId));
+    });
+
+    picker.dataset.selectedIds = JSON.stringify(selectedIds);
+    renderSelected();
+    return picker;
+}
+
+/**
+ * IDs escolhidos num seletor de registos
+ * @param {HTMLElement} picker - Elemento criado por createRecordPicker
+ * @returns {Array<string>}
+ */
+export function getPickerSelection(picker) {
+    return picker?.dataset.selectedIds ? JSON.parse(picker.dataset.selectedIds) : [];
+}
+
+/**
+ * Carrega os registos da entidade relacionada para escolha no formulário
+ * @param {Object} targetEntity - Entidade relacionada
+ * @returns {Promise<Array>} - Lista de { id, label }
+ */
+async function loadPickerOptions(targetEntity) {
+    const currentWorkspace = getCurrentWorkspace();
+    const workspaceId = currentWorkspace ? currentWorkspace.id : 'default';
+    const ownerId = currentWorkspace && !currentWorkspace.isOwner ? currentWorkspace.ownerId : null;
+
+    try {
+        const records = await loadEntityData(targetEntity.moduleId, targetEntity.id, workspaceId, ownerId);
+        return records
+            .map(item => ({ id: item.id, label: String(getRecordLabel(targetEntity.attributes, item)) }))
+            .sort((a, b) => a.label.localeCompare(b.label, 'pt-BR'));
+    } catch (error) {
+        console.error('Erro ao carregar registos relacionados:', error);
+        return [];
+    }
+}
+
+// Só se cria um registo a partir do seletor quando a entidade tem um campo principal onde pôr o texto
+function canQuickCreate(targetEntity) {
+    return !!targetEntity && can('edit') && !!getDisplayAttribute(targetEntity.attributes);
+}
+
+/**
+ * Cria na entidade relacionada um registo com o texto pesquisado no campo principal
+ * @returns {Promise<{id?: string, error?: string}>}
+ */
+async function createTargetRecord(targetEntity, text) {
+    const displayAttribute = getDisplayAttribute(targetEntity.attributes);
+    const data = { [displayAttribute.id]: text };
+
+    // Outros campos obrigatórios só podem ser preenchidos no formulário da própria entidade
+    const { valid, errors } = validateRecord(targetEntity.attributes, data);
+    if (!valid) {
+        const [fieldId, error] = Object.entries(errors)[0];
+        const field = targetEntity.attributes.find(attr => attr.id === fieldId);
+        return { error: `Não é possível criar aqui: ${field ? `${field.label}: ` : ''}${error} Crie o registo em "${targetEntity.name}".` };
+    }
+
+    const currentWorkspace = getCurrentWorkspace();
+    const workspaceId = currentWorkspace ? currentWorkspace.id : 'default';
+    const ownerId = currentWorkspace && !currentWorkspace.isOwner ? currentWorkspace.ownerId : null;
+
+    try {
+        const id = await saveEntityData(targetEntity.moduleId, targetEntity.id, data, workspaceId, ownerId);
+        return { id };
+    } catch (error) {
+        // O erro já foi mostrado pelo módulo de banco de dados
+        console.error('Erro ao criar registo relacionado:', error);
+        return { error: `Não foi possível criar o registo em "${targetEntity.name}".` };
+    }
+}
+
+function normalizeSearch(text) {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
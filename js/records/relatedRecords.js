@@ -0,0 +1,48 @@
+/**
+ * Carregamento de registos relacionados
+ * Lê os registos das entidades ligadas por campos de relação, para os campos
+ * "Valor Relacionado" e "Agregação" e para os rótulos das relações
+ */
+
+import { getEntities, loadEntityData } from '../database.js';
+import { getCurrentWorkspace } from '../workspaces.js';
+import { LINKED_FIELD_TYPES, getLinkedEntityIds, computeLinkedFieldValues } from './linkedFields.js';
+
+/**
+ * Carrega os registos de várias entidades da área de trabalho atual
+ * @param {Array<string>} entityIds - IDs das entidades
+ * @returns {Promise<Object>} - { entityId: registos } (sem as entidades que não foi possível ler)
+ */
+export async function loadRelatedRecords(entityIds = []) {
+    const currentWorkspace = getCurrentWorkspace();
+    const workspaceId = currentWorkspace ? currentWorkspace.id : 'default';
+    const ownerId = currentWorkspace && !currentWorkspace.isOwner ? currentWorkspace.ownerId : null;
+
+    const relatedRecords = {};
+    for (const entityId of new Set(entityIds)) {
+        const entity = getEntities().find(e => e.id === entityId);
+        if (!entity) continue;
+        try {
+            relatedRecords[entityId] = await loadEntityData(entity.moduleId, entityId, workspaceId, ownerId);
+        } catch (error) {
+            // Sem acesso à entidade relacionada, os campos que dependem dela mostram o erro
+            console.warn(`Não foi possível carregar os registos de "${entity.name}":`, error);
+        }
+    }
+    return relatedRecords;
+}
+
+/**
+ * Prepara o cálculo dos campos ligados de uma entidade
+ * @param {Array} attributes - Atributos da entidade
+ * @returns {Promise<Function|null>} - Função (registo) => valores calculados, ou null se a entidade não tiver campos ligados
+ */
+export async function prepareLinkedFields(attributes = []) {
+    if (!attributes.some(attr => LINKED_FIELD_TYPES.includes(attr.type))) return null;
+
+    const context = {
+        entities: getEntities(),
+        relatedRecords: await loadRelatedRecords(getLinkedEntityIds(attributes))
+    };
+    return record => computeLinkedFieldValues(attributes, record, context);
+}
@@ -0,0 +1,177 @@
+/**
+ * Cardinalidade e campos inversos das relações
+ * Uma relação pode ter um campo inverso na entidade de destino (ex.: "Pedidos" em Cliente
+ * quando Pedido liga a Cliente). Os dois campos apontam um para o outro por inverseFieldId
+ * e os valores de ambos os lados são mantidos iguais ao ligar ou desligar registos.
+ * Não depende do Firebase nem do DOM.
+ */
+
+// A cardinalidade é lida do lado do campo: "<registos desta entidade>-to-<registos ligados>"
+export const RELATIONSHIP_CARDINALITIES = [
+    { value: 'many-to-one', short: 'N:1' },
+    { value: 'one-to-many', short: '1:N' },
+    { value: 'one-to-one', short: '1:1' },
+    { value: 'many-to-many', short: 'N:N' }
+];
+
+// Relações criadas antes da cardinalidade guardam um só registo
+export const DEFAULT_CARDINALITY = 'many-to-one';
+
+const INVERSE_CARDINALITY = {
+    'many-to-one': 'one-to-many',
+    'one-to-many': 'many-to-one',
+    'one-to-one': 'one-to-one',
+    'many-to-many': 'many-to-many'
+};
+
+/**
+ * Indica se o atributo é um campo de relação
+ * @param {Object} attribute - Atributo
+ * @returns {boolean}
+ */
+export function isRelationshipField(attribute) {
+    return !!attribute && attribute.type === 'sub-entity' && attribute.subType === 'relationship';
+}
+
+/**
+ * Cardinalidade de um campo de relação
+ * @param {Object} attribute - Campo de relação
+ * @returns {string}
+ */
+export function getCardinality(attribute) {
+    return INVERSE_CARDINALITY[attribute?.cardinality] ? attribute.cardinality : DEFAULT_CARDINALITY;
+}
+
+/**
+ * Cardinalidade vista do campo inverso
+ * @param {string} cardinality - Cardinalidade do campo
+ * @returns {string}
+ */
+export function getInverseCardinality(cardinality) {
+    return INVERSE_CARDINALITY[cardinality] || INVERSE_CARDINALITY[DEFAULT_CARDINALITY];
+}
+
+/**
+ * Indica se cada registo pode ligar a vários registos pelo campo
+ * @param {Object} attribute - Campo de relação
+ * @returns {boolean}
+ */
+export function allowsMultipleLinks(attribute) {
+    return getCardinality(attribute).endsWith('-many');
+}
+
+/**
+ * Descrição da cardinalidade com os nomes das entidades (ex.: "Vários Pedidos para um Cliente")
+ * @param {string} cardinality - Cardinalidade
+ * @param {string} sourceName - Nome da entidade do campo
+ * @param {string} targetName - Nome da entidade ligada
+ * @returns {string}
+ */
+export function describeCardinality(cardinality, sourceName, targetName) {
+    const [source, target] = (INVERSE_CARDINALITY[cardinality] ? cardinality : DEFAULT_CARDINALITY).split('-to-');
+    const side = (count, name) => (count === 'many' ? `vários registos de ${name}` : `um registo de ${name}`);
+    const text = `${side(source, sourceName)} para ${side(target, targetName)}`;
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Normaliza o valor de um campo de relação numa lista de IDs
+ * @param {*} value - ID, lista de IDs ou vazio
+ * @returns {Array<string>}
+ */
+export function toLinkIds(value) {
+    if (Array.isArray(value)) return value.filter(Boolean);
+    return value ? [value] : [];
+}
+
+/**
+ * Valor a guardar num campo de relação a partir de uma lista de IDs
+ * @param {Object} attribute - Campo de relação
+ * @param {Array<string>} ids - IDs ligados
+ * @returns {Array<string>|string|null}
+ */
+export function toLinkValue(attribute, ids) {
+    const unique = Array.from(new Set(ids.filter(Boolean)));
+    return allowsMultipleLinks(attribute) ? unique : (unique[0] || null);
+}
+
+/**
+ * Alterações nos campos inversos de outras entidades depois de guardar a estrutura de uma entidade.
+ * Cria o campo inverso pedido numa relação nova, acerta o nome e a cardinalidade dos que já existem
+ * e desliga o par quando um dos campos é removido.
+ * @param {Object} entity - Entidade guardada ({ id, name })
+ * @param {Array} attributes - Atributos guardados
+ * @param {Array} previousAttributes - Atributos antes da gravação
+ * @param {Array} entities - Todas as entidades da área de trabalho
+ * @returns {Object} - { entityId: novos atributos } só para as entidades que mudam
+ */
+export function planInverseFieldChanges(entity, attributes = [], previousAttributes = [], entities = []) {
+    const changes = {};
+    const getAttributes = entityId => {
+        if (!changes[entityId]) {
+            const target = entities.find(e => e.id === entityId);
+            if (!target) return null;
+            changes[entityId] = (target.attributes || []).map(attr => ({ ...attr }));
+        }
+        return changes[entityId];
+    };
+
+    attributes.filter(attr => isRelationshipField(attr) && attr.inverseFieldId && attr.targetEntityId !== entity.id).forEach(field => {
+        const targetAttributes = getAttributes(field.targetEntityId);
+        if (!targetAttributes) return;
+
+        const inverse = {
+            id: field.inverseFieldId,
+            type: 'sub-entity',
+            subType: 'relationship',
+            targetEntityId: entity.id,
+            targetEntityName: entity.name,
+            cardinality: getInverseCardinality(getCardinality(field)),
+            inverseFieldId: field.id
+        };
+        const index = targetAttributes.findIndex(attr => attr.id === field.inverseFieldId);
+        if (index === -1) {
+            targetAttributes.push({ ...inverse, label: field.inverseLabel || entity.name });
+        } else {
+            targetAttributes[index] = { ...targetAttributes[index], ...inverse };
+        }
+    });
+
+    // Um campo removido deixa o outro lado como relação simples
+    const keptIds = attributes.map(attr => attr.id);
+    previousAttributes
+        .filter(attr => isRelationshipField(attr) && attr.inverseFieldId && !keptIds.includes(attr.id))
+        .forEach(field => {
+            const targetAttributes = getAttributes(field.targetEntityId);
+            const partner = targetAttributes && targetAttributes.find(attr => attr.id === field.inverseFieldId);
+            if (partner) delete partner.inverseFieldId;
+        });
+
+    // Só ficam as entidades cujos atributos mudaram
+    Object.keys(changes).forEach(entityId => {
+        const original = entities.find(e => e.id === entityId).attributes || [];
+        if (JSON.stringify(original) === JSON.stringify(changes[entityId])) delete changes[entityId];
+    });
+    return changes;
+}
+
+/**
+ * Ligações a acrescentar ou retirar nos registos ligados depois de um registo mudar
+ * @param {Array} attributes - Atributos da entidade do registo
+ * @param {Object} before - Valores antes da alteração ({} para um registo novo)
+ * @param {Object} after - Valores depois da alteração ({} para um registo eliminado)
+ * @returns {Array<{field: Object, targetRecordId: string, action: 'add'|'remove'}>}
+ */
+export function planInverseLinkUpdates(attributes = [], before = {}, after = {}) {
+    const updates = [];
+    attributes.filter(attr => isRelationshipField(attr) && attr.inverseFieldId && attr.targetEntityId).forEach(field => {
+        // Uma alteração parcial que não traz o campo não mexe nas ligações
+        if (!Object.prototype.hasOwnProperty.call(after, field.id) && Object.keys(after).length > 0) return;
+
+        const previous = toLinkIds(before[field.id]);
+        const current = toLinkIds(after[field.id]);
+        current.filter(id => !previous.includes(id)).forEach(targetRecordId => updates.push({ field, targetRecordId, action: 'add' }));
+        previous.filter(id => !current.includes(id)).forEach(targetRecordId => updates.push({ field, targetRecordId, action: 'remove' }));
+    });
+    return updates;
+}
@@ -0,0 +1,268 @@
+/**
+ * Migração de esquema
+ * Compara a estrutura antiga e a nova de uma entidade e calcula o que acontece
+ * aos valores já guardados nos registos (conversão, limpeza ou remoção).
+ * Não depende do Firebase nem do DOM.
+ */
+
+import { fieldTypes } from '../config.js';
+import { parseNumber, parseDate, formatFieldValue, getFieldConfig } from './fieldFormat.js';
+
+// Marcador usado para indicar que o valor deve ser removido do registo
+export const DROP_VALUE = Symbol('drop');
+
+const TEXT_TYPES = ['text', 'textarea', 'email'];
+const TRUTHY_TEXT = ['sim', 's', 'true', 'verdadeiro', '1', 'x', 'yes', 'y'];
+
+/**
+ * Compara duas listas de atributos e retorna as alterações que afetam os dados
+ * @param {Array} oldAttributes - Atributos atualmente guardados
+ * @param {Array} newAttributes - Atributos que serão guardados
+ * @returns {Array} - Alterações ({ fieldId, label, kind, action, ... })
+ */
+export function diffAttributes(oldAttributes = [], newAttributes = []) {
+    const changes = [];
+
+    oldAttributes.forEach(oldAttr => {
+        const newAttr = newAttributes.find(attr => attr.id === oldAttr.id);
+
+        if (!newAttr) {
+            if (hasStoredValue(oldAttr)) {
+                changes.push({ fieldId: oldAttr.id, label: oldAttr.label, kind: 'removed', action: 'drop' });
+            }
+            return;
+        }
+
+        if (newAttr.type !== oldAttr.type) {
+            // Botões e campos calculados não guardam valores, por isso não há nada a converter
+            if (!hasStoredValue(oldAttr)) return;
+            const convertible = canConvert(oldAttr.type, newAttr.type);
+            changes.push({
+                fieldId: oldAttr.id,
+                label: newAttr.label,
+                kind: 'retyped',
+                action: convertible ? 'convert' : 'clear',
+                from: oldAttr,
+                to: newAttr
+            });
+            return;
+        }
+
+        if (newAttr.label !== oldAttr.label) {
+            // Os valores são guardados pelo ID do campo, por isso renomear não altera os dados
+            changes.push({ fieldId: oldAttr.id, label: newAttr.label, kind: 'renamed', action: 'none', previousLabel: oldAttr.label });
+        }
+
+        if (newAttr.type === 'select') {
+            const optionMap = mapSelectOptions(oldAttr.config?.options || [], newAttr.config?.options || []);
+            const changed = Object.entries(optionMap).filter(([oldId, newId]) => oldId !== newId);
+            if (changed.length > 0) {
+                changes.push({
+                    fieldId: oldAttr.id,
+                    label: newAttr.label,
+                    kind: 'options',
+                    action: changed.some(([, newId]) => newId === null) ? 'clear' : 'convert',
+                    optionMap,
+                    removedLabels: changed.filter(([, newId]) => newId === null)
+                        .map(([oldId]) => (oldAttr.config.options.find(opt => opt.id === oldId) || {}).label || oldId)
+                });
+            }
+        }
+
+        if (['select', 'person'].includes(newAttr.type) && !!oldAttr.config?.allowMultiple !== !!newAttr.config?.allowMultiple) {
+            changes.push({
+                fieldId: oldAttr.id,
+                label: newAttr.label,
+                kind: 'multiplicity',
+                action: newAttr.config?.allowMultiple ? 'convert' : 'clear',
+                allowMultiple: !!newAttr.config?.allowMultiple
+            });
+        }
+
+        if (newAttr.type === 'sub-entity' && (newAttr.subType !== oldAttr.subType || newAttr.targetEntityId !== oldAttr.targetEntityId)) {
+            changes.push({ fieldId: oldAttr.id, label: newAttr.label, kind: 'relationship', action: 'drop' });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Indica se alguma das alterações mexe nos dados guardados
+ * @param {Array} changes - Resultado de diffAttributes
+ * @returns {boolean}
+ */
+export function hasDataImpact(changes) {
+    return changes.some(change => change.action !== 'none');
+}
+
+/**
+ * Descreve as alterações em texto para o usuário
+ * @param {Array} changes - Resultado de diffAttributes
+ * @returns {Array<string>} - Uma linha por alteração
+ */
+export function describeChanges(changes) {
+    return changes.map(change => {
+        switch (change.kind) {
+            case 'removed':
+                return `"${change.label}" foi removido: os valores guardados serão apagados.`;
+            case 'retyped':
+                return change.action === 'convert' ?
+                    `"${change.label}" muda de ${getTypeName(change.from.type)} para ${getTypeName(change.to.type)}: os valores serão convertidos e os que não puderem ser convertidos serão limpos.` :
+                    `"${change.label}" muda de ${getTypeName(change.from.type)} para ${getTypeName(change.to.type)}: os valores guardados serão limpos.`;
+            case 'renamed':
+                return `"${change.previousLabel}" passa a chamar-se "${change.label}": os dados não são alterados.`;
+            case 'options':
+                return change.removedLabels.length > 0 ?
+                    `"${change.label}": as opções ${change.removedLabels.map(label => `"${label}"`).join(', ')} foram removidas e serão retiradas dos registos.` :
+                    `"${change.label}": as opções foram reordenadas e os registos serão atualizados.`;
+            case 'multiplicity':
+                return change.allowMultiple ?
+                    `"${change.label}" passa a aceitar vários valores: o valor atual será mantido.` :
+                    `"${change.label}" passa a aceitar apenas um valor: será mantido só o primeiro.`;
+            case 'relationship':
+                return `"${change.label}" passou a apontar para outra entidade: as ligações existentes serão apagadas.`;
+            default:
+                return `"${change.label}" foi alterado.`;
+        }
+    });
+}
+
+/**
+ * Calcula as alterações a aplicar a um registo
+ * @param {Object} record - Registo guardado
+ * @param {Array} changes - Resultado de diffAttributes
+ * @returns {Object|null} - { fieldId: novoValor | DROP_VALUE } ou null se nada muda
+ */
+export function migrateRecord(record, changes) {
+    const updates = {};
+
+    changes.forEach(change => {
+        if (change.action === 'none' || !Object.prototype.hasOwnProperty.call(record, change.fieldId)) return;
+
+        const current = Object.prototype.hasOwnProperty.call(updates, change.fieldId) ? updates[change.fieldId] : record[change.fieldId];
+        if (current === DROP_VALUE) return;
+
+        const next = migrateValue(change, current);
+        if (next === DROP_VALUE || JSON.stringify(next) !== JSON.stringify(record[change.fieldId])) {
+            updates[change.fieldId] = next;
+        }
+    });
+
+    return Object.keys(updates).length > 0 ? updates : null;
+}
+
+/**
+ * Aplica uma alteração a um valor
+ */
+function migrateValue(change, value) {
+    if (value === null || value === undefined) return value;
+
+    switch (change.kind) {
+        case 'removed':
+        case 'relationship':
+            return DROP_VALUE;
+
+        case 'retyped':
+            return change.action === 'convert' ? convertValue(change.from, change.to, value) : null;
+
+        case 'options': {
+            if (Array.isArray(value)) {
+                return value.map(id => (id in change.optionMap ? change.optionMap[id] : id)).filter(Boolean);
+            }
+            return value in change.optionMap ? change.optionMap[value] : value;
+        }
+
+        case 'multiplicity':
+            if (change.allowMultiple) {
+                return Array.isArray(value) ? value : [value];
+            }
+            return Array.isArray(value) ? (value[0] ?? null) : value;
+
+        default:
+            return value;
+    }
+}
+
+/**
+ * Indica se existe conversão automática entre dois tipos
+ */
+function canConvert(fromType, toType) {
+    if (TEXT_TYPES.includes(toType)) {
+        return ['text', 'textarea', 'email', 'number', 'date', 'checkbox', 'select'].includes(fromType);
+    }
+    if (toType === 'number') return TEXT_TYPES.includes(fromType) || fromType === 'checkbox';
+    if (toType === 'date') return TEXT_TYPES.includes(fromType);
+    if (toType === 'checkbox') return TEXT_TYPES.includes(fromType) || fromType === 'number';
+    if (toType === 'select') return TEXT_TYPES.includes(fromType);
+    return false;
+}
+
+/**
+ * Converte um valor entre tipos de campo (null quando não é possível converter)
+ */
+function convertValue(fromAttr, toAttr, value) {
+    const toType = toAttr.type;
+    const toConfig = getFieldConfig(toAttr);
+
+    if (TEXT_TYPES.includes(toType)) {
+        return TEXT_TYPES.includes(fromAttr.type) ? String(value) : formatFieldValue(fromAttr, value);
+    }
+
+    if (toType === 'number') {
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        const parsed = parseNumber(String(value), {});
+        return parsed === null || Number.isNaN(parsed) ? null : parsed;
+    }
+
+    if (toType === 'date') {
+        const text = String(value).trim();
+        if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+        return parseDate(text, { dateFormat: 'DD/MM/AAAA' }) || null;
+    }
+
+    if (toType === 'checkbox') {
+        if (typeof value === 'number') return value !== 0;
+        return TRUTHY_TEXT.includes(String(value).trim().toLowerCase());
+    }
+
+    if (toType === 'select') {
+        const labels = String(value).split(',').map(label => label.trim().toLowerCase()).filter(Boolean);
+        const ids = labels.map(label => (toConfig.options || []).find(opt => opt.label.toLowerCase() === label)?.id).filter(Boolean);
+        if (toConfig.allowMultiple) return ids;
+        return ids[0] || null;
+    }
+
+    return null;
+}
+
+/**
+ * Relaciona as opções antigas com as novas.
+ * O painel de propriedades regenera os IDs (opt1, opt2...) ao guardar, por isso o rótulo
+ * é a referência principal; se o rótulo mudou mas o ID continua livre, trata-se de uma renomeação.
+ * @returns {Object} - { idAntigo: idNovo | null }
+ */
+function mapSelectOptions(oldOptions, newOptions) {
+    const map = {};
+    const oldLabels = oldOptions.map(opt => opt.label);
+
+    oldOptions.forEach(oldOpt => {
+        const byLabel = newOptions.find(opt => opt.label === oldOpt.label);
+        if (byLabel) {
+            map[oldOpt.id] = byLabel.id;
+            return;
+        }
+        const byId = newOptions.find(opt => opt.id === oldOpt.id);
+        map[oldOpt.id] = byId && !oldLabels.includes(byId.label) ? byId.id : null;
+    });
+
+    return map;
+}
+
+function getTypeName(type) {
+    return fieldTypes.find(ft => ft.type === type)?.name || type;
+}
+
+function hasStoredValue(attribute) {
+    return !['button', 'formula', 'lookup', 'rollup'].includes(attribute.type);
+}
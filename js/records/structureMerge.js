@@ -0,0 +1,119 @@
+/**
+ * Junção de estruturas
+ * Compara e junta versões concorrentes da lista de atributos de uma entidade
+ * (a versão em que o editor começou, a sua versão e a versão guardada por outra pessoa).
+ * Não depende do Firebase nem do DOM.
+ */
+
+/**
+ * Resume as alterações feitas numa estrutura em relação à versão de partida
+ * @param {Array} baseAttributes - Atributos de partida
+ * @param {Array} otherAttributes - Atributos alterados
+ * @returns {Array<string>} - Uma linha por alteração
+ */
+export function summarizeStructureChanges(baseAttributes = [], otherAttributes = []) {
+    const lines = [];
+
+    otherAttributes.forEach(attr => {
+        const baseAttr = baseAttributes.find(item => item.id === attr.id);
+        if (!baseAttr) {
+            lines.push(`Campo "${attr.label}" adicionado.`);
+        } else if (baseAttr.label !== attr.label) {
+            lines.push(`Campo "${baseAttr.label}" renomeado para "${attr.label}".`);
+        } else if (!sameAttribute(baseAttr, attr)) {
+            lines.push(`Campo "${attr.label}" alterado.`);
+        }
+    });
+
+    baseAttributes.forEach(baseAttr => {
+        if (!otherAttributes.some(attr => attr.id === baseAttr.id)) {
+            lines.push(`Campo "${baseAttr.label}" removido.`);
+        }
+    });
+
+    const baseOrder = baseAttributes.map(attr => attr.id).filter(id => otherAttributes.some(attr => attr.id === id));
+    const otherOrder = otherAttributes.map(attr => attr.id).filter(id => baseOrder.includes(id));
+    if (lines.length === 0 && baseOrder.join() !== otherOrder.join()) {
+        lines.push('Campos reordenados.');
+    }
+
+    return lines;
+}
+
+/**
+ * Junta as alterações locais com as alterações guardadas entretanto por outra pessoa.
+ * Parte da versão guardada e aplica por cima o que foi alterado localmente; quando
+ * ambos alteraram o mesmo campo, prevalece a versão local e o campo é reportado.
+ * @param {Array} baseAttributes - Atributos quando o editor foi aberto
+ * @param {Array} localAttributes - Atributos editados localmente
+ * @param {Array} remoteAttributes - Atributos guardados por outra pessoa
+ * @returns {{attributes: Array, conflicts: Array<string>}} - Estrutura junta e rótulos dos campos em conflito
+ */
+export function mergeAttributes(baseAttributes = [], localAttributes = [], remoteAttributes = []) {
+    const conflicts = [];
+    const findIn = (list, id) => list.find(attr => attr.id === id);
+
+    const merged = [];
+    remoteAttributes.forEach(remoteAttr => {
+        const baseAttr = findIn(baseAttributes, remoteAttr.id);
+        const localAttr = findIn(localAttributes, remoteAttr.id);
+
+        if (!baseAttr) {
+            // Adicionado pela outra pessoa
+            merged.push(remoteAttr);
+            return;
+        }
+
+        const remoteChanged = !sameAttribute(baseAttr, remoteAttr);
+
+        if (!localAttr) {
+            // Removido localmente: mantém-se só se a outra pessoa o alterou entretanto
+            if (remoteChanged) {
+                conflicts.push(remoteAttr.label);
+                merged.push(remoteAttr);
+            }
+            return;
+        }
+
+        const localChanged = !sameAttribute(baseAttr, localAttr);
+        if (localChanged && remoteChanged && !sameAttribute(localAttr, remoteAttr)) {
+            conflicts.push(localAttr.label);
+        }
+        merged.push(localChanged ? localAttr : remoteAttr);
+    });
+
+    // Campos removidos pela outra pessoa mas alterados localmente são mantidos
+    baseAttributes.forEach(baseAttr => {
+        const localAttr = findIn(localAttributes, baseAttr.id);
+        if (!findIn(remoteAttributes, baseAttr.id) && localAttr && !sameAttribute(baseAttr, localAttr)) {
+            conflicts.push(localAttr.label);
+            insertAfterPrevious(merged, localAttributes, localAttr);
+        }
+    });
+
+    // Campos adicionados localmente, na posição relativa em que foram criados
+    localAttributes.forEach(localAttr => {
+        if (!findIn(baseAttributes, localAttr.id) && !findIn(merged, localAttr.id)) {
+            insertAfterPrevious(merged, localAttributes, localAttr);
+        }
+    });
+
+    return { attributes: merged, conflicts };
+}
+
+// Insere o atributo logo a seguir ao campo que o antecede na lista local
+function insertAfterPrevious(merged, localAttributes, attribute) {
+    const localIndex = localAttributes.findIndex(attr => attr.id === attribute.id);
+    for (let i = localIndex - 1; i >= 0; i--) {
+        const mergedIndex = merged.findIndex(attr => attr.id === localAttributes[i].id);
+        if (mergedIndex !== -1) {
+            merged.splice(mergedIndex + 1, 0, attribute);
+            return;
+        }
+    }
+    merged.unshift(attribute);
+}
+
+function sameAttribute(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,112 @@
+/**
+ * Tabela de exportação de registos
+ * Converte os registos de uma entidade numa tabela com os rótulos dos campos como cabeçalhos
+ * e os valores formatados segundo a configuração de cada campo, pronta para CSV ou XLSX.
+ * Não depende do Firebase nem do DOM.
+ */
+
+import { getFieldConfig, formatFieldValue } from './fieldFormat.js';
+import { getExcelNumberFormat } from './xlsx.js';
+import { evaluateFormulaField } from './formula.js';
+import { withLinkedValues } from './linkedFields.js';
+
+// Tipos que não guardam valor
+const NON_EXPORTABLE_TYPES = ['button'];
+
+/**
+ * Atributos que entram na exportação
+ * @param {Array} attributes - Atributos da entidade
+ * @returns {Array}
+ */
+export function getExportableAttributes(attributes = []) {
+    return attributes.filter(attr => !NON_EXPORTABLE_TYPES.includes(attr.type));
+}
+
+/**
+ * Monta a tabela de exportação
+ * @param {Array} attributes - Atributos da entidade
+ * @param {Array} records - Registos (como devolvidos por loadEntityData)
+ * @param {Object} relatedLabels - { fieldId: { recordId: rótulo } } para os campos de relação e { fieldId: { userId: nome } } para os campos "Pessoa"
+ * @param {Object} linkedValues - { recordId: valores de computeLinkedFieldValues } para valores relacionados e agregações
+ * @returns {{headers: Array<string>, rows: Array<Array<{text: string, number?: number}>>, numberFormats: Array<string|null>}}
+ */
+export function buildExportTable(attributes = [], records = [], relatedLabels = {}, linkedValues = {}) {
+    const columns = getExportableAttributes(attributes);
+
+    return {
+        headers: columns.map(attr => attr.label),
+        rows: records.map(record => {
+            const linked = linkedValues[record.id] || {};
+            const fullRecord = withLinkedValues(record, linked);
+            return columns.map(attr => (linked[attr.id] ?
+                buildLinkedCell(attr, linked[attr.id]) :
+                buildCell(attr, getStoredValue(attr, fullRecord, attributes), relatedLabels[attr.id] || {})));
+        }),
+        numberFormats: columns.map(getColumnNumberFormat)
+    };
+}
+
+/**
+ * Linhas de texto para CSV (cabeçalho incluído)
+ * @param {Object} table - Resultado de buildExportTable
+ * @returns {Array<Array<string>>}
+ */
+export function toCsvRows(table) {
+    return [table.headers, ...table.rows.map(row => row.map(cell => cell.text))];
+}
+
+// Registos antigos não têm o campo "Hora de Criação" preenchido; usa-se a data de criação do registo.
+// As fórmulas não são guardadas e são calculadas no momento (um erro exporta célula vazia)
+function getStoredValue(attribute, record, attributes) {
+    if (attribute.type === 'created-time') return record[attribute.id] || record.created_at;
+    if (attribute.type === 'formula') return evaluateFormulaField(attribute, attributes, record).value;
+    return record[attribute.id];
+}
+
+function getColumnNumberFormat(attribute) {
+    if (attribute.type === 'number') return getExcelNumberFormat(getFieldConfig(attribute));
+    if (attribute.type === 'formula') {
+        const config = getFieldConfig(attribute);
+        const format = ['decimal', 'currency', 'percentage'].includes(config.resultFormat) ? config.resultFormat : 'thousands';
+        return getExcelNumberFormat({ ...config, format });
+    }
+    if (attribute.type === 'rollup') return getExcelNumberFormat(getFieldConfig(attribute));
+    return null;
+}
+
+// Valores relacionados e agregações já vêm calculados e formatados; só as agregações são numéricas
+function buildLinkedCell(attribute, result) {
+    if (result.error) return { text: '' };
+    if (attribute.type === 'rollup' && typeof result.value === 'number' && isFinite(result.value)) {
+        return { text: result.text, number: result.value };
+    }
+    return { text: result.text };
+}
+
+function buildCell(attribute, value, labels) {
+    if (value === null || value === undefined || value === '') {
+        return { text: '' };
+    }
+
+    if (attribute.type === 'number' || (attribute.type === 'formula' && typeof value === 'number')) {
+        const number = Number(value);
+        return isFinite(number) ? { text: formatFieldValue(attribute, number), number } : { text: String(value) };
+    }
+
+    if (attribute.type === 'person') {
+        const ids = Array.isArray(value) ? value : [value];
+        return { text: ids.map(id => labels[id] || id).join(', ') };
+    }
+
+    if (attribute.type === 'sub-entity') {
+        if (attribute.subType === 'relationship') {
+            const ids = Array.isArray(value) ? value : [value];
+            return { text: ids.map(id => labels[id] || id).join(', ') };
+        }
+        // Sub-entidade independente: as linhas não cabem numa célula
+        const count = Array.isArray(value) ? value.length : 0;
+        return { text: count > 0 ? `${count} linha${count !== 1 ? 's' : ''}` : '' };
+    }
+
+    return { text: formatFieldValue(attribute, value) };
+}
@@ -0,0 +1,239 @@
+/**
+ * Validação de registos
+ * Verifica os dados de um registo contra as configurações dos atributos da entidade
+ * (required, maxLength, minValue/maxValue, allowedTypes, maxSize, options e linhas das sub-entidades).
+ * Não depende do Firebase nem do DOM.
+ */
+
+import { defaultFieldConfigs } from '../config.js';
+import { formatFileSize } from './fieldFormat.js';
+
+// Tipos cujo valor é gerado pelo sistema ou que não guardam valor
+const SKIPPED_TYPES = ['created-time', 'created-by', 'last-edited-by', 'button', 'formula', 'lookup', 'rollup'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/[^\s.]+\.[^\s]+$/i;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/;
+
+/**
+ * Valida os dados de um registo
+ * @param {Array} attributes - Atributos da entidade
+ * @param {Object} data - Dados do registo (chaves = IDs dos campos)
+ * @param {Object} options - { partial: true para validar apenas os campos presentes (atualizações) }
+ * @returns {{valid: boolean, errors: Object}} - Erros por ID do campo
+ */
+export function validateRecord(attributes = [], data = {}, options = {}) {
+    const errors = {};
+
+    attributes.forEach(attribute => {
+        if (SKIPPED_TYPES.includes(attribute.type)) return;
+        if (options.partial && !Object.prototype.hasOwnProperty.call(data, attribute.id)) return;
+
+        const message = validateFieldValue(attribute, data[attribute.id]);
+        if (message) {
+            errors[attribute.id] = message;
+        }
+    });
+
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Valida o valor de um único campo
+ * @param {Object} attribute - Atributo da entidade
+ * @param {*} value - Valor a validar
+ * @returns {string|null} - Mensagem de erro ou null se o valor for válido
+ */
+export function validateFieldValue(attribute, value) {
+    const config = { ...(defaultFieldConfigs[attribute.type] || {}), ...(attribute.config || {}) };
+
+    if (isEmpty(attribute, value)) {
+        return config.required ? 'Este campo é obrigatório.' : null;
+    }
+
+    switch (attribute.type) {
+        case 'text':
+        case 'textarea':
+        case 'email':
+            return validateText(attribute, config, value);
+        case 'number':
+            return validateNumber(config, value);
+        case 'date':
+            return validateDate(config, value);
+        case 'checkbox':
+            return typeof value === 'boolean' ? null : 'Valor inválido para caixa de seleção.';
+        case 'select':
+            return validateSelect(config, value);
+        case 'file':
+            return validateFile(config, value);
+        case 'person':
+            if (Array.isArray(value) && value.length > 1 && !config.allowMultiple) {
+                return 'Selecione apenas uma pessoa.';
+            }
+            return null;
+        case 'sub-entity':
+            return attribute.subType === 'independent' ? validateSubEntityRows(attribute, value) : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Monta um erro de validação para ser lançado pelas funções de gravação
+ * @param {Object} errors - Erros por ID do campo
+ * @param {Array} attributes - Atributos da entidade (para mostrar os rótulos)
+ * @returns {Error} - Erro com a propriedade fieldErrors
+ */
+export function createValidationError(errors, attributes = []) {
+    const details = Object.entries(errors).map(([fieldId, message]) => {
+        const label = attributes.find(attr => attr.id === fieldId)?.label || fieldId;
+        return `${label}: ${message}`;
+    });
+    const error = new Error(details.join('\n'));
+    error.name = 'ValidationError';
+    error.fieldErrors = errors;
+    return error;
+}
+
+function isEmpty(attribute, value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (Array.isArray(value)) return value.length === 0;
+    if (attribute.type === 'checkbox') return value === false;
+    if (attribute.type === 'date' && typeof value === 'object') return !value.start && !value.end;
+    return false;
+}
+
+function validateText(attribute, config, value) {
+    if (typeof value !== 'string') {
+        return 'O valor deve ser um texto.';
+    }
+
+    const maxLength = parseInt(config.maxLength);
+    if (maxLength > 0 && value.length > maxLength) {
+        return `Máximo de ${maxLength} caracteres (atual: ${value.length}).`;
+    }
+
+    if ((attribute.type === 'email' || config.contentType === 'email') && !EMAIL_PATTERN.test(value.trim())) {
+        return 'Email inválido.';
+    }
+
+    if (config.contentType === 'url' && !URL_PATTERN.test(value.trim())) {
+        return 'URL inválida. Use o formato https://...';
+    }
+
+    return null;
+}
+
+function validateNumber(config, value) {
+    if (typeof value !== 'number' || !isFinite(value)) {
+        return 'O valor deve ser um número.';
+    }
+
+    const hasMin = config.minValue !== null && config.minValue !== undefined && config.minValue !== '';
+    const hasMax = config.maxValue !== null && config.maxValue !== undefined && config.maxValue !== '';
+
+    if (hasMin && value < Number(config.minValue)) {
+        return `O valor mínimo é ${config.minValue}.`;
+    }
+    if (hasMax && value > Number(config.maxValue)) {
+        return `O valor máximo é ${config.maxValue}.`;
+    }
+
+    return null;
+}
+
+function validateDate(config, value) {
+    if (config.behavior === 'dateRange' && typeof value === 'object') {
+        if ((value.start && !isValidIsoDate(value.start)) || (value.end && !isValidIsoDate(value.end))) {
+            return 'Data inválida.';
+        }
+        if (value.start && value.end && value.start > value.end) {
+            return 'A data final deve ser posterior à data inicial.';
+        }
+        return null;
+    }
+
+    return isValidIsoDate(value) ? null : 'Data inválida.';
+}
+
+function isValidIsoDate(value) {
+    if (typeof value !== 'string' || !ISO_DATE_PATTERN.test(value)) return false;
+    const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+function validateSelect(config, value) {
+    const values = Array.isArray(value) ? value : [value];
+
+    if (values.length > 1 && !config.allowMultiple) {
+        return 'Selecione apenas uma opção.';
+    }
+
+    const optionIds = (config.options || []).map(opt => opt.id);
+    const invalid = values.filter(item => !optionIds.includes(item));
+    if (invalid.length > 0) {
+        return `Opção inexistente: ${invalid.join(', ')}.`;
+    }
+
+    return null;
+}
+
+// Cada linha de uma sub-entidade independente é validada contra o subSchema
+function validateSubEntityRows(attribute, rows) {
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object')) {
+        return 'As linhas da tabela são inválidas.';
+    }
+
+    const attributes = attribute.subSchema?.attributes || [];
+    for (let index = 0; index < rows.length; index++) {
+        const { valid, errors } = validateRecord(attributes, rows[index]);
+        if (!valid) {
+            const [fieldId, message] = Object.entries(errors)[0];
+            const label = attributes.find(attr => attr.id === fieldId)?.label || fieldId;
+            return `Linha ${index + 1}: ${label}: ${message}`;
+        }
+    }
+
+    return null;
+}
+
+function validateFile(config, value) {
+    if (typeof value !== 'object' || !value.name) {
+        return 'Ficheiro inválido.';
+    }
+
+    const maxSize = Number(config.maxSize);
+    if (maxSize > 0 && Number(value.size) > maxSize) {
+        return `O ficheiro excede o tamanho máximo de ${formatFileSize(maxSize)}.`;
+    }
+
+    if (!isAllowedFileType(config.allowedTypes, value)) {
+        return `Tipo de ficheiro não permitido. Permitidos: ${config.allowedTypes}.`;
+    }
+
+    return null;
+}
+
+/**
+ * Verifica se o ficheiro corresponde à lista de tipos permitidos
+ * (aceita MIME types, curingas como image/* e extensões como .pdf)
+ * @param {string} allowedTypes - Lista separada por vírgulas ou '*'
+ * @param {Object} file - { name, contentType }
+ * @returns {boolean}
+ */
+export function isAllowedFileType(allowedTypes, file) {
+    if (!allowedTypes || allowedTypes.trim() === '*') return true;
+
+    const name = String(file.name || '').toLowerCase();
+    const contentType = String(file.contentType || file.type || '').toLowerCase();
+
+    return allowedTypes.split(',').map(type => type.trim().toLowerCase()).filter(Boolean).some(type => {
+        if (type === '*') return true;
+        if (type.startsWith('.')) return name.endsWith(type);
+        if (type.endsWith('/*')) return contentType.startsWith(type.slice(0, -1));
+        if (!type.includes('/')) return name.endsWith(`.${type}`);
+        return contentType === type;
+    });
+}
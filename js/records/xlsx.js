@@ -0,0 +1,165 @@
+/**
+ * Geração de folhas de cálculo XLSX
+ * Monta as partes XML (SpreadsheetML) de um livro com uma única folha. O ficheiro final
+ * é um ZIP destas partes, criado no navegador com o JSZip.
+ * Não depende do Firebase nem do DOM.
+ */
+
+// Os formatos de número personalizados começam no ID 164 (os anteriores são reservados)
+const FIRST_CUSTOM_NUMBER_FORMAT = 164;
+const MAX_SHEET_NAME_LENGTH = 31;
+
+/**
+ * Monta as partes do livro
+ * @param {string} sheetName - Nome da folha
+ * @param {Array<string>} headers - Cabeçalhos (primeira linha, a negrito)
+ * @param {Array<Array<{text: string, number?: number}>>} rows - Células de cada linha
+ * @param {Array<string|null>} numberFormats - Código de formato Excel por coluna (células com number)
+ * @returns {Object} - { caminhoNoZip: conteúdoXml }
+ */
+export function buildXlsxParts(sheetName, headers, rows, numberFormats = []) {
+    const formatCodes = [...new Set(numberFormats.filter(Boolean))];
+    // Estilos: 0 = normal, 1 = cabeçalho a negrito, 2.. = um por formato de número
+    const styleByColumn = numberFormats.map(code => (code ? 2 + formatCodes.indexOf(code) : 0));
+
+    return {
+        '[Content_Types].xml': xmlDocument(`
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`),
+        '_rels/.rels': xmlDocument(`
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`),
+        'xl/workbook.xml': xmlDocument(`
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXml(sanitizeSheetName(sheetName))}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`),
+        'xl/_rels/workbook.xml.rels': xmlDocument(`
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`),
+        'xl/styles.xml': buildStyles(formatCodes),
+        'xl/worksheets/sheet1.xml': buildSheet(headers, rows, styleByColumn)
+    };
+}
+
+/**
+ * Código de formato Excel equivalente à configuração de um campo número
+ * @param {Object} config - Configuração do campo número (format, precision, symbol)
+ * @returns {string}
+ */
+export function getExcelNumberFormat(config = {}) {
+    const precision = Number.isInteger(parseInt(config.precision)) ? parseInt(config.precision) : 2;
+    const fixedDecimals = precision > 0 ? `.${'0'.repeat(precision)}` : '';
+    const optionalDecimals = precision > 0 ? `.${'#'.repeat(precision)}` : '';
+
+    switch (config.format) {
+        case 'thousands':
+            return `#,##0${optionalDecimals}`;
+        case 'decimal':
+            return `#,##0${fixedDecimals}`;
+        case 'currency':
+            return `"${String(config.symbol || 'R$').replace(/"/g, '')} "#,##0${fixedDecimals}`;
+        case 'percentage':
+            // O valor guardado já é a percentagem (15 = 15%), por isso o símbolo é literal
+            return `0${fixedDecimals}"%"`;
+        case 'plain':
+        default:
+            return `0${optionalDecimals}`;
+    }
+}
+
+function buildStyles(formatCodes) {
+    const numFmts = formatCodes.length > 0 ?
+        `<numFmts count="${formatCodes.length}">${formatCodes.map((code, index) =>
+            `<numFmt numFmtId="${FIRST_CUSTOM_NUMBER_FORMAT + index}" formatCode="${escapeXml(code)}"/>`).join('')}</numFmts>` :
+        '';
+    const numberXfs = formatCodes.map((code, index) =>
+        `<xf numFmtId="${FIRST_CUSTOM_NUMBER_FORMAT + index}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`).join('');
+
+    return xmlDocument(`
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+${numFmts}
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="${2 + formatCodes.length}">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+${numberXfs}
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`);
+}
+
+function buildSheet(headers, rows, styleByColumn) {
+    const widths = headers.map((header, column) => {
+        const longest = rows.reduce((max, row) => Math.max(max, String(row[column]?.text ?? '').length), String(header).length);
+        return Math.min(Math.max(longest + 2, 10), 60);
+    });
+    const cols = widths.length > 0 ?
+        `<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>` :
+        '';
+
+    const headerRow = `<row r="1">${headers.map((header, column) => stringCell(cellRef(column, 1), header, 1)).join('')}</row>`;
+    const dataRows = rows.map((row, index) => {
+        const rowNumber = index + 2;
+        const cells = row.map((cell, column) => {
+            if (typeof cell?.number === 'number' && isFinite(cell.number)) {
+                return `<c r="${cellRef(column, rowNumber)}" s="${styleByColumn[column] || 0}"><v>${cell.number}</v></c>`;
+            }
+            const text = cell?.text ?? '';
+            return text === '' ? '' : stringCell(cellRef(column, rowNumber), text, 0);
+        }).join('');
+        return `<row r="${rowNumber}">${cells}</row>`;
+    }).join('');
+
+    return xmlDocument(`
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+${cols}
+<sheetData>${headerRow}${dataRows}</sheetData>
+</worksheet>`);
+}
+
+function stringCell(ref, text, style) {
+    return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+// Referência de célula no formato A1 (coluna a partir de 0, linha a partir de 1)
+function cellRef(column, row) {
+    let letters = '';
+    let n = column + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letters = String.fromCharCode(65 + remainder) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return `${letters}${row}`;
+}
+
+function sanitizeSheetName(name) {
+    const clean = String(name || '').replace(/[\[\]:*?/\\]/g, ' ').trim().slice(0, MAX_SHEET_NAME_LENGTH);
+    return clean || 'Registos';
+}
+
+function escapeXml(text) {
+    return String(text ?? '')
+        // Caracteres de controlo não são permitidos em XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function xmlDocument(body) {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body.trim()}`;
+}
@@ -135,6 +135,10 @@ function initEditFunctions() {
     
     // Manipuladores de eventos delegados para botões de edição
     document.addEventListener('click', function(e) {
+        // Os botões ficam escondidos para leitores; ignora cliques que cheguem por outra via
+        // (data-can-edit é definido no body pelo módulo de permissões)
+        if (document.body.dataset.canEdit === 'false') return;
+        
         // Edição de módulos
         if (e.target.closest('.edit-module-btn')) {
             e.preventDefault();
@@ -29,7 +29,8 @@ export {
     showNotification, // Adicionada showNotification
     setupModal, // Adicionada setupModal
     openModal, // Adicionada openModal
-    closeModal // Adicionada closeModal
+    closeModal, // Adicionada closeModal
+    downloadFile
 };
 
 /**
@@ -532,4 +533,22 @@ function closeModal(modalId) {
             modal.classList.add('hidden');
         }
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Descarrega um conteúdo gerado no navegador como ficheiro
+ * @param {string} fileName - Nome do ficheiro
+ * @param {string|Blob} content - Conteúdo do ficheiro
+ * @param {string} mimeType - Tipo do conteúdo (ignorado se content já for um Blob)
+ */
+function downloadFile(fileName, content, mimeType = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
@@ -6,6 +6,8 @@
 import { getUsuarioAtual, getUsuarioId, getUsuarioNome, getUsuarioEmail } from '../autenticacao.js';
 import { showSuccess, showError, showLoading, hideLoading } from '../ui.js';
 import { getUserProfileData } from './userProfile.js';
+import { addOwnNotifications } from './notifications.js';
+import { logWorkspaceActivity } from '../database.js';
 
 // Variáveis do módulo
 let db;
@@ -72,29 +74,7 @@ function setupManageInvitesModal() {
     const tabInvitesAccess = document.getElementById('tab-invites-access');
     
     // Abrir o modal
-    manageInvitesButton.addEventListener('click', async () => {
-        document.getElementById('user-menu-dropdown').classList.add('hidden');
-        manageInvitesModal.classList.remove('hidden');
-        setTimeout(() => {
-            manageInvitesModal.querySelector('.bg-white').classList.remove('scale-95', 'opacity-0');
-        }, 10);
-        
-        // Verifica se há convites pendentes
-        const pendingCount = await checkPendingInvitations();
-        
-        // Se houver convites pendentes e a aba ativa não for "recebidos", muda para essa aba
-        if (pendingCount > 0 && activeTab !== 'received') {
-            activeTab = 'received';
-            updateInvitesTabUI();
-        }
-        
-        // Carrega os convites ou acessos compartilhados
-        if (activeTab === 'access') {
-            loadSharedAccess();
-        } else {
-            loadInvites(activeTab);
-        }
-    });
+    manageInvitesButton.addEventListener('click', () => openManageInvites());
     
     // Fechar o modal
     closeManageInvitesModal.addEventListener('click', () => {
@@ -157,6 +137,35 @@ function setupManageInvitesModal() {
     });
 }
 
+/**
+ * Abre o modal de gerenciamento de convites (na aba dos recebidos se houver convites pendentes)
+ * @returns {Promise<void>}
+ */
+export async function openManageInvites() {
+    const manageInvitesModal = document.getElementById('manage-invites-modal');
+    document.getElementById('settings-menu-dropdown')?.classList.add('hidden');
+    manageInvitesModal.classList.remove('hidden');
+    setTimeout(() => {
+        manageInvitesModal.querySelector('.bg-white').classList.remove('scale-95', 'opacity-0');
+    }, 10);
+    
+    // Verifica se há convites pendentes
+    const pendingCount = await checkPendingInvitations();
+    
+    // Se houver convites pendentes e a aba ativa não for "recebidos", muda para essa aba
+    if (pendingCount > 0 && activeTab !== 'received') {
+        activeTab = 'received';
+        updateInvitesTabUI();
+    }
+    
+    // Carrega os convites ou acessos compartilhados
+    if (activeTab === 'access') {
+        loadSharedAccess();
+    } else {
+        loadInvites(activeTab);
+    }
+}
+
 /**
  * Atualiza a UI das abas de convites
  */
@@ -205,6 +214,10 @@ async function sendInvite() {
         showError('Erro', 'Nenhuma área de trabalho selecionada para compartilhar.');
         return;
     }
+    if (!currentWorkspace.isOwner) {
+        showError('Erro', 'Você só pode compartilhar áreas de trabalho que criou.');
+        return;
+    }
 
     showLoading('Enviando convite...');
 
@@ -224,7 +237,22 @@ async function sendInvite() {
             createdAt: firebase.firestore.FieldValue.serverTimestamp()
         };
 
-        await db.collection('invitations').add(inviteData);
+        // A informação pública da área de trabalho é escrita pelo dono (as regras do Firestore
+        // não permitem que o convidado a crie ao aceitar)
+        const batch = db.batch();
+        batch.set(db.collection('invitations').doc(), inviteData);
+        batch.set(db.doc(`sharedWorkspaces/${currentWorkspace.id}`), {
+            name: currentWorkspace.name,
+            ownerId: inviteData.fromUserId,
+            ownerName: senderName
+        }, { merge: true });
+        await batch.commit();
+        await logWorkspaceActivity(currentWorkspace.id, null, {
+            action: 'invitation.send',
+            targetType: 'invitation',
+            targetName: email,
+            after: { Papel: formatPermission(permission) }
+        });
         document.getElementById('invite-modal').classList.add('hidden');
         hideLoading();
         showSuccess('Convite enviado', `Um convite foi enviado para ${email}.`);
@@ -261,22 +289,17 @@ async function manageInvite(inviteId, action) {
                 toUserId: acceptedByUserId
             });
             
+            // lastInvitationId indica às regras do Firestore o convite que autoriza a alteração
             batch.set(db.doc(`accessControl/${acceptedByUserId}`), {
-                [inviteData.resourceId]: inviteData.role
+                [inviteData.resourceId]: inviteData.role,
+                lastInvitationId: inviteId
             }, { merge: true });
-            
-            if (inviteData.resourceType === 'workspace') {
-                batch.set(db.doc(`sharedWorkspaces/${inviteData.resourceId}`), {
-                    name: inviteData.resourceName,
-                    ownerId: inviteData.fromUserId,
-                    ownerName: inviteData.fromUserName
-                });
-            }
         } else if (action === 'revoke') {
             const invitedUserId = inviteData.toUserId;
             if (invitedUserId) {
                 batch.update(db.doc(`accessControl/${invitedUserId}`), {
-                    [inviteData.resourceId]: firebase.firestore.FieldValue.delete()
+                    [inviteData.resourceId]: firebase.firestore.FieldValue.delete(),
+                    lastInvitationId: inviteId
                 });
             } else {
                 console.warn("Não foi possível revogar o acesso: toUserId não encontrado no convite.");
@@ -291,6 +314,18 @@ async function manageInvite(inviteId, action) {
         }
 
         await batch.commit();
+        
+        // Quem recusa um convite não tem acesso à área de trabalho, por isso não fica registado
+        if (action !== 'decline') {
+            await logWorkspaceActivity(inviteData.resourceId, inviteData.fromUserId, {
+                action: `invitation.${action}`,
+                targetType: 'invitation',
+                targetId: inviteId,
+                targetName: inviteData.toEmail,
+                before: action === 'accept' ? {} : { Papel: formatPermission(inviteData.role) },
+                after: action === 'accept' ? { Papel: formatPermission(inviteData.role) } : {}
+            });
+        }
         hideLoading();
         showSuccess('Sucesso!', 'O convite foi processado.');
 
@@ -328,10 +363,19 @@ async function updateUserPermission(inviteId, newRole) {
         const batch = db.batch();
         batch.update(db.doc(`invitations/${inviteId}`), { role: newRole });
         batch.update(db.doc(`accessControl/${invitedUserId}`), {
-            [inviteData.resourceId]: newRole
+            [inviteData.resourceId]: newRole,
+            lastInvitationId: inviteId
         });
 
         await batch.commit();
+        await logWorkspaceActivity(inviteData.resourceId, inviteData.fromUserId, {
+            action: 'invitation.role',
+            targetType: 'invitation',
+            targetId: inviteId,
+            targetName: inviteData.toEmail,
+            before: { Papel: formatPermission(inviteData.role) },
+            after: { Papel: formatPermission(newRole) }
+        });
         hideLoading();
         showSuccess('Permissão atualizada!');
         loadSharedAccess();
@@ -437,6 +481,20 @@ export async function checkPendingInvitations() {
         const snapshot = await query.get();
         const pendingCount = snapshot.size;
         updateReceivedInvitesBadge(pendingCount);
+        
+        // Cada convite recebido fica também nas notificações (uma só vez por convite)
+        await addOwnNotifications(snapshot.docs.map(doc => {
+            const invite = doc.data();
+            return {
+                id: `invite_${doc.id}`,
+                type: 'invitation',
+                title: 'Novo convite',
+                message: `${invite.fromUserName || 'Usuário'} convidou você para "${invite.resourceName || 'uma área de trabalho'}" como ${formatPermission(invite.role)}.`,
+                fromUserId: invite.fromUserId,
+                fromUserName: invite.fromUserName || null
+            };
+        }));
+        
         return pendingCount;
     } catch (error) {
         console.error('Erro ao verificar convites pendentes:', error);
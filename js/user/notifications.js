@@ -0,0 +1,266 @@
+/**
+ * Módulo de notificações
+ * Guarda em users/{uid}/notifications os avisos de convites, de atribuições em campos
+ * "Pessoa" e de ações de botões, e mostra-os no sino do cabeçalho
+ */
+
+import { getUsuarioId, getUsuarioNome, getUsuarioEmail } from '../autenticacao.js';
+import { showError } from '../ui.js';
+import { escapeHtml } from '../records/fieldFormat.js';
+import { BATCH_SIZE } from '../config.js';
+
+// Variáveis do módulo
+let db;
+let notifications = [];
+let unsubscribeNotifications = null;
+let linkHandlers = {};
+
+// Notificações lidas de cada vez (as mais recentes)
+const MAX_NOTIFICATIONS = 50;
+
+/**
+ * Inicializa o módulo de notificações
+ * @param {Object} database - Referência ao banco de dados Firestore
+ * @param {Object} handlers - { openRecord(link), openInvitations() } para abrir a origem de cada notificação
+ */
+export function initNotifications(database, handlers = {}) {
+    console.log('Inicializando módulo de notificações...');
+    db = database;
+    linkHandlers = handlers;
+
+    setupNotificationsMenu();
+    subscribeToNotifications();
+}
+
+/**
+ * Envia uma notificação a outros usuários (o próprio autor é ignorado).
+ * Uma falha não interrompe a operação que deu origem ao aviso.
+ * @param {Array<string>} userIds - IDs dos destinatários
+ * @param {Object} notification - { type: 'assignment' | 'action', title, message, link }
+ * @returns {Promise<void>}
+ */
+export async function notifyUsers(userIds, notification) {
+    const currentUserId = getUsuarioId();
+    const recipients = Array.from(new Set(userIds.filter(uid => uid && uid !== currentUserId)));
+    if (recipients.length === 0) return;
+
+    try {
+        const batch = db.batch();
+        recipients.forEach(uid => {
+            batch.set(db.collection(`users/${uid}/notifications`).doc(), {
+                ...notification,
+                link: notification.link || null,
+                fromUserId: currentUserId,
+                fromUserName: getUsuarioNome() || getUsuarioEmail() || 'Usuário',
+                read: false,
+                createdAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        });
+        await batch.commit();
+    } catch (error) {
+        console.warn('Não foi possível enviar as notificações:', error);
+    }
+}
+
+/**
+ * Cria notificações na caixa do usuário atual, cada uma só uma vez (pelo ID).
+ * Usado para os convites: o remetente só conhece o email, por isso é o destinatário que
+ * regista a notificação ao encontrar o convite pendente.
+ * @param {Array<Object>} items - { id, type, title, message, fromUserId, fromUserName, link }
+ * @returns {Promise<void>}
+ */
+export async function addOwnNotifications(items = []) {
+    const userId = getUsuarioId();
+    if (!userId || items.length === 0) return;
+
+    try {
+        for (const { id, ...notification } of items) {
+            const ref = db.doc(`users/${userId}/notifications/${id}`);
+            // Uma notificação já lida (ou apagada depois de lida) não volta a aparecer como nova
+            const snapshot = await ref.get();
+            if (snapshot.exists) continue;
+            await ref.set({
+                ...notification,
+                link: notification.link || null,
+                read: false,
+                createdAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        }
+    } catch (error) {
+        console.warn('Não foi possível registar as notificações:', error);
+    }
+}
+
+/**
+ * Marca uma notificação como lida
+ * @param {string} notificationId - ID da notificação
+ * @returns {Promise<void>}
+ */
+export async function markNotificationRead(notificationId) {
+    const userId = getUsuarioId();
+    if (!userId) return;
+
+    try {
+        await db.doc(`users/${userId}/notifications/${notificationId}`).update({
+            read: true,
+            readAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Erro ao marcar notificação como lida:', error);
+        showError('Erro', 'Não foi possível marcar a notificação como lida.');
+    }
+}
+
+/**
+ * Marca como lidas todas as notificações por ler
+ * @returns {Promise<void>}
+ */
+export async function markAllNotificationsRead() {
+    const userId = getUsuarioId();
+    if (!userId) return;
+
+    try {
+        const snapshot = await db.collection(`users/${userId}/notifications`).where('read', '==', false).get();
+        // Cada lote do Firestore aceita no máximo 500 escritas
+        for (let i = 0; i < snapshot.docs.length; i += BATCH_SIZE) {
+            const batch = db.batch();
+            snapshot.docs.slice(i, i + BATCH_SIZE).forEach(doc => batch.update(doc.ref, {
+                read: true,
+                readAt: firebase.firestore.FieldValue.serverTimestamp()
+            }));
+            await batch.commit();
+        }
+    } catch (error) {
+        console.error('Erro ao marcar notificações como lidas:', error);
+        showError('Erro', 'Não foi possível marcar as notificações como lidas.');
+    }
+}
+
+/**
+ * Acompanha as notificações do usuário atual em tempo real
+ */
+function subscribeToNotifications() {
+    const userId = getUsuarioId();
+    if (!userId) return;
+
+    if (unsubscribeNotifications) unsubscribeNotifications();
+    unsubscribeNotifications = db.collection(`users/${userId}/notifications`)
+        .orderBy('createdAt', 'desc')
+        .limit(MAX_NOTIFICATIONS)
+        .onSnapshot(snapshot => {
+            // As notificações acabadas de criar ainda não têm a hora do servidor
+            notifications = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }));
+            renderNotifications();
+        }, error => {
+            console.error('Erro ao acompanhar notificações:', error);
+        });
+}
+
+/**
+ * Configura o sino e a lista de notificações
+ */
+function setupNotificationsMenu() {
+    const button = document.getElementById('notifications-button');
+    const dropdown = document.getElementById('notifications-dropdown');
+    if (!button || !dropdown) return;
+
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        dropdown.classList.toggle('hidden');
+    });
+
+    document.addEventListener('click', (event) => {
+        if (!button.contains(event.target) && !dropdown.contains(event.target)) {
+            dropdown.classList.add('hidden');
+        }
+    });
+
+    document.getElementById('mark-all-notifications-read').addEventListener('click', markAllNotificationsRead);
+
+    document.getElementById('notifications-list').addEventListener('click', async (event) => {
+        const item = event.target.closest('.notification-item');
+        if (!item) return;
+        const notification = notifications.find(n => n.id === item.dataset.notificationId);
+        if (!notification) return;
+
+        if (event.target.closest('.mark-notification-read')) {
+            await markNotificationRead(notification.id);
+            return;
+        }
+
+        dropdown.classList.add('hidden');
+        if (!notification.read) await markNotificationRead(notification.id);
+        await openNotificationSource(notification);
+    });
+}
+
+/**
+ * Abre o registo ou os convites de onde veio a notificação
+ * @param {Object} notification - Notificação
+ */
+async function openNotificationSource(notification) {
+    if (notification.type === 'invitation') {
+        if (linkHandlers.openInvitations) await linkHandlers.openInvitations();
+    } else if (notification.link?.recordId && linkHandlers.openRecord) {
+        await linkHandlers.openRecord(notification.link);
+    }
+}
+
+/**
+ * Desenha a lista de notificações e o contador de não lidas
+ */
+function renderNotifications() {
+    const list = document.getElementById('notifications-list');
+    const badge = document.getElementById('notifications-badge');
+    if (!list || !badge) return;
+
+    const unreadCount = notifications.filter(n => !n.read).length;
+    badge.classList.toggle('hidden', unreadCount === 0);
+    badge.textContent = unreadCount > 9 ? '9+' : unreadCount.toString();
+    document.getElementById('mark-all-notifications-read').classList.toggle('hidden', unreadCount === 0);
+
+    if (notifications.length === 0) {
+        list.innerHTML = '<p class="px-4 py-8 text-center text-sm text-slate-400">Não tem notificações.</p>';
+        return;
+    }
+
+    list.innerHTML = notifications.map(notification => {
+        const hasSource = notification.type === 'invitation' || !!notification.link?.recordId;
+        return `
+            <div class="notification-item flex gap-3 px-4 py-3 border-b border-slate-100 dark:border-slate-700 ${hasSource ? 'cursor-pointer' : ''} ${notification.read ? '' : 'bg-indigo-50/60 dark:bg-slate-700/60'} hover:bg-slate-50 dark:hover:bg-slate-700"
+                 data-notification-id="${escapeHtml(notification.id)}">
+                <i data-lucide="${getNotificationIcon(notification.type)}" class="h-4 w-4 mt-0.5 flex-shrink-0 text-indigo-500"></i>
+                <div class="flex-1 min-w-0">
+                    <p class="text-sm font-medium text-slate-700 dark:text-slate-200">${escapeHtml(notification.title || 'Notificação')}</p>
+                    <p class="text-sm text-slate-600 dark:text-slate-300">${escapeHtml(notification.message || '')}</p>
+                    <p class="text-xs text-slate-400 mt-1">${escapeHtml(formatNotificationDate(notification.createdAt))}</p>
+                </div>
+                ${notification.read ? '' : `
+                    <button type="button" class="mark-notification-read self-start text-xs text-indigo-600 hover:text-indigo-800 whitespace-nowrap" title="Marcar como lida">
+                        <i data-lucide="check" class="h-4 w-4"></i>
+                    </button>`}
+            </div>`;
+    }).join('');
+
+    if (window.lucide) window.lucide.createIcons();
+}
+
+function getNotificationIcon(type) {
+    const icons = { invitation: 'mail', assignment: 'user-round-check', action: 'zap' };
+    return icons[type] || 'bell';
+}
+
+function formatNotificationDate(timestamp) {
+    if (!timestamp) return '';
+    const date = typeof timestamp.toDate === 'function' ? timestamp.toDate() : new Date(timestamp);
+    if (isNaN(date)) return '';
+
+    const today = new Date();
+    const yesterday = new Date(today);
+    yesterday.setDate(today.getDate() - 1);
+    const time = date.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+
+    if (date.toDateString() === today.toDateString()) return `Hoje, ${time}`;
+    if (date.toDateString() === yesterday.toDateString()) return `Ontem, ${time}`;
+    return `${date.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit', year: 'numeric' })}, ${time}`;
+}
@@ -11,6 +11,15 @@ let db;
 let storage;
 let auth;
 let userMenuActive = false;
+// Avatar já recortado e redimensionado, à espera de ser guardado
+let pendingAvatar = null;
+// Endereço local (blob:) da pré-visualização do avatar pendente
+let pendingAvatarUrl = null;
+
+// Lado do avatar guardado, em píxeis
+const AVATAR_SIZE = 256;
+// Tamanho máximo da imagem escolhida (a guardada é bem menor depois de redimensionada)
+const MAX_AVATAR_FILE_SIZE = 10 * 1024 * 1024;
 
 /**
  * Inicializa o módulo de perfil do usuário
@@ -108,8 +117,9 @@ function setupProfileModal() {
     const changeAvatarButton = document.getElementById('change-avatar-button');
     const avatarUploadInput = document.getElementById('avatar-upload-input');
     
-    // Fechar o modal
+    // Fechar o modal (um avatar escolhido e não guardado é descartado)
     const closeModal = () => {
+        discardPendingAvatar();
         profileModal.querySelector('.bg-white').classList.add('scale-95', 'opacity-0');
         setTimeout(() => {
             profileModal.classList.add('hidden');
@@ -167,6 +177,9 @@ async function loadUserProfileData() {
         const photoURL = userData.photoURL || getUsuarioFoto() || `https://ui-avatars.com/api/?name=${encodeURIComponent(displayName)}&background=random`;
         userAvatarPreview.src = photoURL;
         modalAvatarPreview.src = photoURL;
+        
+        // Perfis guardados antes de existir o perfil público passam a aparecer nas áreas de trabalho partilhadas
+        await syncPublicProfile(userId, displayName, userData.photoURL || getUsuarioFoto() || null);
     } catch (error) {
         console.error('Erro ao carregar dados do usuário:', error);
         
@@ -197,29 +210,103 @@ async function handleAvatarUpload(event) {
         return;
     }
     
-    // Verifica o tamanho da imagem (máximo 2MB)
-    if (file.size > 2 * 1024 * 1024) {
-        showError('Arquivo muito grande', 'O tamanho máximo permitido é 2MB.');
+    // Verifica o tamanho da imagem (máximo 10MB)
+    if (file.size > MAX_AVATAR_FILE_SIZE) {
+        showError('Arquivo muito grande', 'O tamanho máximo permitido é 10MB.');
         return;
     }
     
     try {
         showLoading('Processando imagem...');
         
-        // Exibe uma prévia da imagem
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            document.getElementById('modal-avatar-preview').src = e.target.result;
-        };
-        reader.readAsDataURL(file);
+        // Recorta ao centro num quadrado e reduz para o tamanho do avatar
+        pendingAvatar = await createAvatarThumbnail(file);
+        releaseAvatarPreview();
+        pendingAvatarUrl = URL.createObjectURL(pendingAvatar);
+        document.getElementById('modal-avatar-preview').src = pendingAvatarUrl;
         
         hideLoading();
     } catch (error) {
         hideLoading();
+        console.error('Erro ao processar o avatar:', error);
+        discardPendingAvatar();
         showError('Erro', 'Ocorreu um erro ao processar a imagem.');
     }
 }
 
+/**
+ * Recorta a imagem num quadrado centrado e redimensiona-a para AVATAR_SIZE
+ * @param {File} file - Imagem escolhida
+ * @returns {Promise<Blob>} - Imagem JPEG
+ */
+async function createAvatarThumbnail(file) {
+    const url = URL.createObjectURL(file);
+    try {
+        const image = await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Não foi possível ler a imagem.'));
+            img.src = url;
+        });
+        
+        const side = Math.min(image.naturalWidth, image.naturalHeight);
+        const size = Math.min(AVATAR_SIZE, side);
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const context = canvas.getContext('2d');
+        // Fundo branco para as imagens com transparência, que o JPEG não guarda
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, size, size);
+        context.drawImage(image, (image.naturalWidth - side) / 2, (image.naturalHeight - side) / 2, side, side, 0, 0, size, size);
+        
+        return await new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Não foi possível gerar o avatar.'))), 'image/jpeg', 0.9);
+        });
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Descarta o avatar escolhido e volta a mostrar o atual
+ */
+function discardPendingAvatar() {
+    pendingAvatar = null;
+    document.getElementById('avatar-upload-input').value = '';
+    document.getElementById('modal-avatar-preview').src = document.getElementById('user-avatar-preview').src;
+    releaseAvatarPreview();
+}
+
+/**
+ * Liberta o endereço local da pré-visualização do avatar pendente
+ */
+function releaseAvatarPreview() {
+    if (pendingAvatarUrl) {
+        URL.revokeObjectURL(pendingAvatarUrl);
+        pendingAvatarUrl = null;
+    }
+}
+
+/**
+ * Apaga o avatar anterior do Storage; os avatares externos (ex.: Google) são ignorados
+ * @param {Object} previous - Dados anteriores do perfil ({ photoPath, photoURL })
+ */
+async function deletePreviousAvatar(previous) {
+    try {
+        if (previous.photoPath) {
+            await storage.ref(previous.photoPath).delete();
+        } else if (String(previous.photoURL || '').startsWith('https://firebasestorage.googleapis.com/')) {
+            // Avatares guardados antes de photoPath
+            await storage.refFromURL(previous.photoURL).delete();
+        }
+    } catch (error) {
+        if (error.code !== 'storage/object-not-found') {
+            console.warn('Não foi possível apagar o avatar anterior:', error);
+        }
+    }
+}
+
 /**
  * Salva as alterações no perfil do usuário
  */
@@ -231,7 +318,7 @@ async function saveUserProfile() {
     }
     
     const newNickname = document.getElementById('nickname-input').value.trim();
-    const avatarFile = document.getElementById('avatar-upload-input').files[0];
+    const avatarFile = pendingAvatar;
     
     if (!newNickname) {
         showError('Erro', 'O apelido não pode estar vazio.');
@@ -247,19 +334,26 @@ async function saveUserProfile() {
             updatedAt: firebase.firestore.FieldValue.serverTimestamp()
         };
         
-        // Se houver um arquivo de avatar, faz o upload
+        // O avatar anterior só é apagado depois de o novo ficar guardado no perfil
+        let previousAvatar = null;
+        
+        // Se houver um avatar novo, faz o upload
         if (avatarFile) {
             try {
+                const snapshot = await db.doc(`users/${userId}`).get();
+                previousAvatar = snapshot.exists ? snapshot.data() : {};
+                
                 // Cria uma referência no storage para o avatar
-                const storageRef = storage.ref(`user-avatars/${userId}`);
-                const fileRef = storageRef.child(`avatar-${Date.now()}`);
+                const photoPath = `user-avatars/${userId}/avatar-${Date.now()}.jpg`;
+                const fileRef = storage.ref(photoPath);
                 
                 // Faz o upload do arquivo
-                await fileRef.put(avatarFile);
+                await fileRef.put(avatarFile, { contentType: 'image/jpeg' });
                 
                 // Obtém a URL do arquivo
                 const downloadURL = await fileRef.getDownloadURL();
                 updateData.photoURL = downloadURL;
+                updateData.photoPath = photoPath;
             } catch (uploadError) {
                 console.error('Erro no upload do avatar:', uploadError);
                 showError('Erro no upload', 'Não foi possível fazer o upload da imagem.');
@@ -268,14 +362,36 @@ async function saveUserProfile() {
             }
         }
         
-        // Atualiza os dados no banco
-        await db.doc(`users/${userId}`).update(updateData);
+        // Atualiza os dados no banco (o documento pode ainda não existir)
+        try {
+            await db.doc(`users/${userId}`).set(updateData, { merge: true });
+        } catch (error) {
+            // O avatar acabado de enviar não fica no Storage sem nenhum perfil que o use
+            if (updateData.photoPath) {
+                await deletePreviousAvatar({ photoPath: updateData.photoPath });
+            }
+            throw error;
+        }
+        await publishPublicProfile(userId, newNickname, updateData.photoURL || previousAvatar?.photoURL || getUsuarioFoto() || null);
+        
+        // O perfil do Firebase Auth também guarda o nome e a foto, usados antes de o documento ser lido
+        const authProfile = { displayName: newNickname };
+        if (updateData.photoURL) authProfile.photoURL = updateData.photoURL;
+        await auth.currentUser.updateProfile(authProfile);
+        
+        if (previousAvatar) {
+            await deletePreviousAvatar(previousAvatar);
+        }
+        pendingAvatar = null;
+        document.getElementById('avatar-upload-input').value = '';
         
         // Atualiza a interface
         document.getElementById('user-display-name').textContent = newNickname;
         if (updateData.photoURL) {
             document.getElementById('user-avatar-preview').src = updateData.photoURL;
+            document.getElementById('modal-avatar-preview').src = updateData.photoURL;
         }
+        releaseAvatarPreview();
         
         // Fecha o modal e exibe mensagem de sucesso
         document.getElementById('profile-modal').classList.add('hidden');
@@ -288,6 +404,48 @@ async function saveUserProfile() {
     }
 }
 
+/**
+ * Publica o nome e a foto em publicProfiles/{uid}, o único perfil que as outras pessoas
+ * das áreas de trabalho partilhadas podem ler (users/{uid} guarda também o email).
+ * Uma falha só é avisada: o perfil privado já foi guardado.
+ * @param {string} userId - ID do usuário
+ * @param {string} displayName - Nome a mostrar
+ * @param {string|null} photoURL - Endereço da foto
+ * @returns {Promise<void>}
+ */
+async function publishPublicProfile(userId, displayName, photoURL) {
+    try {
+        await db.doc(`publicProfiles/${userId}`).set({
+            displayName: displayName || '',
+            photoURL: photoURL || null,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (error) {
+        console.warn('Não foi possível publicar o perfil público:', error);
+    }
+}
+
+/**
+ * Publica o perfil público só se faltar ou tiver um nome ou uma foto diferentes dos guardados
+ * @param {string} userId - ID do usuário
+ * @param {string} displayName - Nome a mostrar
+ * @param {string|null} photoURL - Endereço da foto
+ * @returns {Promise<void>}
+ */
+async function syncPublicProfile(userId, displayName, photoURL) {
+    try {
+        const snapshot = await db.doc(`publicProfiles/${userId}`).get();
+        const published = snapshot.exists ? snapshot.data() : null;
+        if (published && published.displayName === (displayName || '') && published.photoURL === (photoURL || null)) {
+            return;
+        }
+    } catch (error) {
+        console.warn('Não foi possível ler o perfil público:', error);
+        return;
+    }
+    await publishPublicProfile(userId, displayName, photoURL);
+}
+
 /**
  * Retorna os dados do perfil do usuário atual
  * @returns {Promise<Object>} Dados do perfil do usuário
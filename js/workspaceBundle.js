@@ -0,0 +1,237 @@
+/**
+ * Pacote de área de trabalho
+ * Serializa uma área de trabalho completa (módulos, entidades e, opcionalmente, registos)
+ * num ficheiro JSON versionado, valida ficheiros importados e gera novos IDs para
+ * a área de trabalho que os recebe. Não depende do Firebase nem do DOM.
+ */
+
+export const BUNDLE_FORMAT = 'construktor-workspace';
+export const BUNDLE_VERSION = 1;
+
+// Metadados de edição que não fazem sentido noutra área de trabalho
+const VOLATILE_ENTITY_KEYS = ['revision', 'updatedBy', 'updatedAt'];
+
+/**
+ * Cria o pacote de exportação
+ * @param {Object} workspace - Área de trabalho ({ name, description })
+ * @param {Array} modules - Módulos ordenados ({ id, name, order, ... })
+ * @param {Array} entities - Entidades ({ id, name, icon, moduleId, attributes, ... })
+ * @param {Object|null} records - { entityId: [registos] } ou null para exportar só a estrutura
+ * @returns {Object} - Pacote pronto a serializar com JSON.stringify
+ */
+export function createWorkspaceBundle(workspace, modules, entities, records = null) {
+    const bundle = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        workspace: {
+            name: workspace.name || '',
+            description: workspace.description || ''
+        },
+        modules: modules.map((module, index) => ({
+            ...module,
+            order: Number.isInteger(module.order) ? module.order : index
+        })),
+        entities: entities.map(entity => omitKeys(entity, VOLATILE_ENTITY_KEYS)),
+        includesRecords: !!records
+    };
+
+    if (records) {
+        bundle.records = {};
+        entities.forEach(entity => {
+            bundle.records[entity.id] = records[entity.id] || [];
+        });
+    }
+
+    return bundle;
+}
+
+/**
+ * Lê e valida o conteúdo de um ficheiro de exportação
+ * @param {string} text - Conteúdo do ficheiro
+ * @returns {Object} - Pacote validado
+ * @throws {Error} - Com uma mensagem para o usuário se o ficheiro não for válido
+ */
+export function parseWorkspaceBundle(text) {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch (error) {
+        throw new Error('O ficheiro não contém JSON válido.');
+    }
+
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+        throw new Error('O ficheiro não é uma exportação de área de trabalho do Construktor.');
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+        throw new Error(`A versão do ficheiro (${bundle.version}) não é suportada. Atualize a aplicação e tente de novo.`);
+    }
+    if (!Array.isArray(bundle.modules) || !Array.isArray(bundle.entities)) {
+        throw new Error('O ficheiro não contém a lista de módulos e entidades.');
+    }
+
+    const ids = new Set();
+    [...bundle.modules, ...bundle.entities].forEach(item => {
+        if (!item || typeof item.id !== 'string' || !item.id) {
+            throw new Error('Há módulos ou entidades sem ID no ficheiro.');
+        }
+        if (ids.has(item.id)) {
+            throw new Error(`O ID "${item.id}" aparece mais do que uma vez no ficheiro.`);
+        }
+        ids.add(item.id);
+    });
+
+    if (bundle.records !== undefined && (typeof bundle.records !== 'object' || bundle.records === null || Array.isArray(bundle.records))) {
+        throw new Error('Os registos do ficheiro não estão no formato esperado.');
+    }
+
+    return {
+        ...bundle,
+        workspace: bundle.workspace || {},
+        records: bundle.records || null
+    };
+}
+
+/**
+ * Resume o conteúdo de um pacote para confirmação
+ * @param {Object} bundle - Pacote validado
+ * @returns {{modules: number, entities: number, records: number}}
+ */
+export function summarizeWorkspaceBundle(bundle) {
+    const records = bundle.records ?
+        Object.values(bundle.records).reduce((total, list) => total + (Array.isArray(list) ? list.length : 0), 0) :
+        0;
+    return { modules: bundle.modules.length, entities: bundle.entities.length, records };
+}
+
+/**
+ * Atribui novos IDs aos módulos e entidades de um pacote e atualiza as referências entre eles
+ * (moduleId das entidades, targetEntityId das relações, entidade de origem das agregações
+ * e alvos das ações de botões).
+ * Os IDs dos registos mantêm-se, porque ficam dentro da coleção da nova entidade e são
+ * os valores guardados nos campos de relação. Os campos "Ficheiro" ficam vazios, com um aviso.
+ * @param {Object} bundle - Pacote validado
+ * @param {Function} generateId - Gera um novo ID de documento
+ * @returns {{modules: Array, entities: Array, records: Object|null, idMap: Object, warnings: Array<string>}}
+ */
+export function remapWorkspaceBundle(bundle, generateId) {
+    const idMap = {};
+    const warnings = [];
+
+    const modules = [...bundle.modules]
+        .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+        .map((module, index) => {
+            idMap[module.id] = generateId();
+            return { ...module, id: idMap[module.id], order: index };
+        });
+
+    bundle.entities.forEach(entity => {
+        idMap[entity.id] = generateId();
+    });
+
+    const entities = bundle.entities.map(entity => {
+        const moduleId = entity.moduleId && idMap[entity.moduleId] ? idMap[entity.moduleId] : null;
+        if (entity.moduleId && !moduleId) {
+            warnings.push(`A entidade "${entity.name}" pertencia a um módulo que não está no ficheiro e ficará na biblioteca.`);
+        }
+        return {
+            ...omitKeys(entity, VOLATILE_ENTITY_KEYS),
+            id: idMap[entity.id],
+            moduleId,
+            attributes: remapAttributes(entity.attributes || [], idMap, entity.name, warnings)
+        };
+    });
+
+    let records = null;
+    if (bundle.records) {
+        records = {};
+        Object.entries(bundle.records).forEach(([entityId, list]) => {
+            if (!idMap[entityId] || !Array.isArray(list)) return;
+            const entity = bundle.entities.find(item => item.id === entityId);
+            records[idMap[entityId]] = clearFileValues(entity, list.filter(record => record && record.id), warnings);
+        });
+    }
+
+    return { modules, entities, records, idMap, warnings };
+}
+
+// Atualiza as referências a entidades e módulos dentro da lista de atributos (e das sub-entidades)
+function remapAttributes(attributes, idMap, entityName, warnings) {
+    return attributes.map(attribute => {
+        const remapped = { ...attribute };
+
+        if (attribute.targetEntityId) {
+            if (idMap[attribute.targetEntityId]) {
+                remapped.targetEntityId = idMap[attribute.targetEntityId];
+            } else {
+                warnings.push(`O campo "${attribute.label}" de "${entityName}" aponta para uma entidade que não está no ficheiro.`);
+            }
+        }
+
+        if (attribute.subSchema?.attributes) {
+            remapped.subSchema = {
+                ...attribute.subSchema,
+                attributes: remapAttributes(attribute.subSchema.attributes, idMap, entityName, warnings)
+            };
+        }
+
+        if (attribute.type === 'rollup' && attribute.config?.sourceEntityId) {
+            if (idMap[attribute.config.sourceEntityId]) {
+                remapped.config = { ...attribute.config, sourceEntityId: idMap[attribute.config.sourceEntityId] };
+            } else {
+                warnings.push(`O campo "${attribute.label}" de "${entityName}" agrega registos de uma entidade que não está no ficheiro.`);
+            }
+        }
+
+        if (Array.isArray(attribute.config?.actions)) {
+            remapped.config = {
+                ...attribute.config,
+                actions: attribute.config.actions.map(action => remapAction(action, idMap))
+            };
+        }
+
+        return remapped;
+    });
+}
+
+// Os campos "Ficheiro" guardam o caminho no Storage da área de trabalho de origem. Os ficheiros
+// não são copiados, e manter o caminho deixaria a cópia apagar os ficheiros da origem
+function clearFileValues(entity, records, warnings) {
+    const fileFieldIds = (entity.attributes || []).filter(attr => attr.type === 'file').map(attr => attr.id);
+    let cleared = 0;
+
+    const result = records.map(record => {
+        const stored = fileFieldIds.filter(fieldId => typeof record[fieldId]?.path === 'string');
+        if (stored.length === 0) return record;
+        cleared++;
+        const copy = { ...record };
+        stored.forEach(fieldId => {
+            copy[fieldId] = null;
+        });
+        return copy;
+    });
+
+    if (cleared > 0) {
+        warnings.push(`Os ficheiros de ${cleared} registo(s) de "${entity.name}" não foram copiados; os campos "Ficheiro" ficam vazios.`);
+    }
+    return result;
+}
+
+// Ações de botões guardam a entidade e os módulos alvo como { id, name }
+function remapAction(action, idMap) {
+    const remapped = { ...action };
+    if (action.targetEntity?.id && idMap[action.targetEntity.id]) {
+        remapped.targetEntity = { ...action.targetEntity, id: idMap[action.targetEntity.id] };
+    }
+    if (Array.isArray(action.targetModules)) {
+        remapped.targetModules = action.targetModules.map(module =>
+            (module?.id && idMap[module.id] ? { ...module, id: idMap[module.id] } : module));
+    }
+    return remapped;
+}
+
+function omitKeys(object, keys) {
+    const copy = { ...object };
+    keys.forEach(key => delete copy[key]);
+    return copy;
+}
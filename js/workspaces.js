@@ -16,8 +16,17 @@ import {
   hideLoading,
   showInputDialog,
   showConfirmDialog,
+  downloadFile,
 } from "./ui.js";
 import { getUserProfileData } from "./user/userProfile.js";
+import { applyRoleToDocument, getWorkspaceRole } from "./permissions.js";
+import { loadWorkspaceExportData, importWorkspaceBundle } from "./database.js";
+import {
+  createWorkspaceBundle,
+  parseWorkspaceBundle,
+  summarizeWorkspaceBundle,
+} from "./workspaceBundle.js";
+import { escapeHtml } from "./records/fieldFormat.js";
 
 // Variáveis do módulo
 let db;
@@ -42,9 +51,10 @@ export async function initWorkspaces(database) {
   // Configura listener para mudanças no controle de acesso (Firestore onSnapshot)
   const userId = getUsuarioId();
   if (userId) {
-    db.doc(`accessControl/${userId}`).onSnapshot((snapshot) => {
+    db.doc(`accessControl/${userId}`).onSnapshot(async (snapshot) => {
       console.log("Mudança detectada no controle de acesso:", snapshot.data());
-      _loadSharedWorkspaces(); // CORREÇÃO: Ação a ser tomada quando as permissões mudam
+      await _loadSharedWorkspaces(); // CORREÇÃO: Ação a ser tomada quando as permissões mudam
+      await syncCurrentWorkspaceRole();
     });
   }
 }
@@ -70,6 +80,26 @@ function setupWorkspaceSelector() {
     shareWorkspaceBtn.addEventListener("click", shareCurrentWorkspace);
   }
 
+  // Configurar exportação e importação
+  const exportWorkspaceBtn = document.getElementById("export-workspace-btn");
+  if (exportWorkspaceBtn) {
+    exportWorkspaceBtn.addEventListener("click", exportCurrentWorkspace);
+  }
+
+  const importWorkspaceBtn = document.getElementById("import-workspace-btn");
+  const importWorkspaceInput = document.getElementById("import-workspace-input");
+  if (importWorkspaceBtn && importWorkspaceInput) {
+    importWorkspaceBtn.addEventListener("click", () => importWorkspaceInput.click());
+    importWorkspaceInput.addEventListener("change", async () => {
+      const file = importWorkspaceInput.files[0];
+      // Limpa a seleção para que o mesmo ficheiro possa ser escolhido de novo
+      importWorkspaceInput.value = "";
+      if (file) {
+        await importWorkspaceFromFile(file);
+      }
+    });
+  }
+
   // Configurar botão de atualizar recursos compartilhados
   const refreshSharedBtn = document.getElementById("refresh-shared-resources");
   if (refreshSharedBtn) {
@@ -156,7 +186,7 @@ async function _loadSharedWorkspaces() {
 
     // 2. Para cada ID de recurso que o utilizador tem acesso...
     for (const resourceId in accessControl) {
-      if (resourceId === "updatedAt") continue;
+      if (resourceId === "updatedAt" || resourceId === "lastInvitationId") continue;
 
       const role = accessControl[resourceId];
 
@@ -325,6 +355,9 @@ async function switchToWorkspace(workspace) {
       }
     }
 
+    // Esconde de imediato os controlos que o papel nesta área de trabalho não permite
+    applyRoleToDocument(workspace);
+
     // Dispara evento para outros módulos atualizarem
     window.dispatchEvent(
       new CustomEvent("workspaceChanged", {
@@ -340,6 +373,39 @@ async function switchToWorkspace(workspace) {
   }
 }
 
+/**
+ * Atualiza o papel na área de trabalho compartilhada atual depois de uma mudança no controle de acesso.
+ * Se o acesso foi retirado, volta para a primeira área de trabalho própria.
+ */
+async function syncCurrentWorkspaceRole() {
+  if (!currentWorkspace || currentWorkspace.isOwner) return;
+
+  const updated = sharedWorkspaces.find((w) => w.id === currentWorkspace.id);
+  if (!updated) {
+    showError(
+      "Acesso removido",
+      `Já não tem acesso à área de trabalho "${currentWorkspace.name}".`
+    );
+    if (userWorkspaces.length > 0) {
+      await switchToWorkspace(userWorkspaces[0]);
+    }
+    return;
+  }
+
+  if (updated.role !== currentWorkspace.role) {
+    console.log(
+      `Papel em "${currentWorkspace.name}" alterado: ${currentWorkspace.role} → ${updated.role}`
+    );
+    currentWorkspace.role = updated.role;
+    applyRoleToDocument(currentWorkspace);
+    window.dispatchEvent(
+      new CustomEvent("workspaceRoleChanged", {
+        detail: { workspace: currentWorkspace, role: getWorkspaceRole(currentWorkspace) },
+      })
+    );
+  }
+}
+
 /**
  * Manipula a mudança no seletor de área de trabalho
  */
@@ -358,6 +424,134 @@ async function switchWorkspace(event) {
   }
 }
 
+/**
+ * Exporta a área de trabalho atual para um ficheiro JSON
+ */
+async function exportCurrentWorkspace() {
+  if (!currentWorkspace) {
+    showError("Erro", "Nenhuma área de trabalho selecionada para exportar.");
+    return;
+  }
+
+  let includeRecords = false;
+  if (typeof Swal !== "undefined") {
+    const result = await Swal.fire({
+      title: `Exportar "${currentWorkspace.name}"`,
+      text: "Os módulos e as entidades são sempre exportados.",
+      input: "checkbox",
+      inputValue: 1,
+      inputPlaceholder: "Incluir os registos",
+      showCancelButton: true,
+      confirmButtonText: "Exportar",
+      cancelButtonText: "Cancelar",
+      confirmButtonColor: "#6366f1",
+      cancelButtonColor: "#64748b",
+    });
+    if (!result.isConfirmed) return;
+    includeRecords = !!result.value;
+  }
+
+  try {
+    const ownerId = currentWorkspace.isOwner ? null : currentWorkspace.ownerId;
+    const { modules, entities, records } = await loadWorkspaceExportData(
+      currentWorkspace.id,
+      ownerId,
+      { includeRecords }
+    );
+    const bundle = createWorkspaceBundle(currentWorkspace, modules, entities, records);
+
+    const fileName = (currentWorkspace.name || "area-de-trabalho")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-zA-Z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .toLowerCase();
+    downloadFile(
+      `${fileName || "area-de-trabalho"}.construktor.json`,
+      JSON.stringify(bundle, null, 2),
+      "application/json"
+    );
+
+    showSuccess(
+      "Exportação concluída",
+      `${modules.length} módulo(s) e ${entities.length} entidade(s) exportados.`
+    );
+  } catch (error) {
+    // O erro já foi mostrado por loadWorkspaceExportData
+    console.error("Erro ao exportar área de trabalho:", error);
+  }
+}
+
+/**
+ * Cria uma nova área de trabalho a partir de um ficheiro exportado
+ * @param {File} file - Ficheiro JSON escolhido pelo usuário
+ */
+async function importWorkspaceFromFile(file) {
+  const userId = getUsuarioId();
+  if (!userId) return;
+
+  let bundle;
+  try {
+    bundle = parseWorkspaceBundle(await file.text());
+  } catch (error) {
+    console.error("Erro ao ler ficheiro de importação:", error);
+    showError("Ficheiro Inválido", error.message);
+    return;
+  }
+
+  const summary = summarizeWorkspaceBundle(bundle);
+  const name = `${bundle.workspace.name || "Área de Trabalho"} (importada)`;
+  const confirmed = await showConfirmDialog(
+    "Importar área de trabalho?",
+    `Será criada a área de trabalho "${name}" com ${summary.modules} módulo(s), ${summary.entities} entidade(s) e ${summary.records} registo(s).`,
+    "Importar",
+    "Cancelar",
+    "info"
+  );
+  if (!confirmed) return;
+
+  try {
+    // O conteúdo é gravado antes do documento da área de trabalho, para que uma importação
+    // interrompida não deixe uma área de trabalho incompleta no seletor
+    const workspaceRef = db.collection(`users/${userId}/workspaces`).doc();
+    const { warnings } = await importWorkspaceBundle(bundle, workspaceRef.id);
+
+    const newWorkspace = {
+      name,
+      description: bundle.workspace.description || "",
+      createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+    };
+    await workspaceRef.set(newWorkspace);
+
+    const workspace = { id: workspaceRef.id, ...newWorkspace, isOwner: true };
+    userWorkspaces.push(workspace);
+    updateWorkspaceSelector();
+    await switchToWorkspace(workspace);
+
+    if (warnings.length > 0 && typeof Swal !== "undefined") {
+      // Os avisos ficam visíveis até o usuário os fechar
+      await Swal.fire({
+        icon: "warning",
+        title: "Área de Trabalho Importada",
+        html: `<p class="mb-2">"${escapeHtml(name)}" foi criada, com avisos:</p>
+               <ul class="text-left text-sm list-disc pl-5">${warnings.map((warning) => `<li>${escapeHtml(warning)}</li>`).join("")}</ul>`,
+        confirmButtonText: "OK",
+        confirmButtonColor: "#6366f1",
+      });
+    } else {
+      showSuccess(
+        "Área de Trabalho Importada",
+        `"${name}" foi criada com sucesso.`
+      );
+    }
+  } catch (error) {
+    hideLoading();
+    console.error("Erro ao importar área de trabalho:", error);
+    showError("Erro", "Ocorreu um erro ao importar a área de trabalho.");
+  }
+}
+
 /**
  * Compartilha a área de trabalho atual
  */
@@ -465,7 +659,19 @@ async function sendWorkspaceInvitation(email, permission) {
       createdAt: firebase.firestore.FieldValue.serverTimestamp(),
     };
 
-    await db.collection("invitations").add(inviteData);
+    // A informação pública da área de trabalho é escrita pelo dono junto com o convite
+    const batch = db.batch();
+    batch.set(db.collection("invitations").doc(), inviteData);
+    batch.set(
+      db.doc(`sharedWorkspaces/${currentWorkspace.id}`),
+      {
+        name: currentWorkspace.name,
+        ownerId: userId,
+        ownerName: senderName,
+      },
+      { merge: true }
+    );
+    await batch.commit();
 
     hideLoading();
     showSuccess(
@@ -644,6 +850,24 @@ export function getSharedWorkspaces() {
   return sharedWorkspaces;
 }
 
+/**
+ * Alterna para uma área de trabalho própria ou compartilhada pelo ID e pelo dono
+ * @param {string} workspaceId - ID da área de trabalho
+ * @param {string} ownerId - ID do dono da área de trabalho
+ * @returns {Promise<boolean>} - false se a área de trabalho não estiver disponível para o usuário
+ */
+export async function openWorkspace(workspaceId, ownerId) {
+  const workspace = [...userWorkspaces, ...sharedWorkspaces].find(
+    (ws) => ws.id === workspaceId && (ws.isOwner ? getUsuarioId() : ws.ownerId) === ownerId
+  );
+  if (!workspace) return false;
+
+  if (workspace !== currentWorkspace) {
+    await switchToWorkspace(workspace);
+  }
+  return true;
+}
+
 /**
  * Carrega as áreas de trabalho compartilhadas com o usuário
  * Exposta para que possa ser chamada de outros módulos
@@ -0,0 +1,288 @@
+// Testes das regras do Firestore (firestore.rules) no emulador
+import { test, before, beforeEach, after } from 'node:test';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import firebase from 'firebase/compat/app';
+import 'firebase/compat/firestore';
+import {
+    createTestEnvironment, contextFor, seedWorkspace,
+    OWNER, VIEWER, EDITOR, ADMIN, REVOKED, OUTSIDER, INVITEE, WS, BASE, EMAILS
+} from './setup.js';
+
+const AUDIT = `auditLogs/${OWNER}/workspaces/${WS}/entries`;
+
+let testEnv;
+
+before(async () => {
+    testEnv = await createTestEnvironment();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedWorkspace(testEnv);
+});
+
+after(async () => {
+    await testEnv.cleanup();
+});
+
+function dbFor(uid) {
+    return contextFor(testEnv, uid).firestore();
+}
+
+function auditEntry(actorId, action = 'record.update', extra = {}) {
+    return {
+        actorId,
+        actorName: actorId,
+        action,
+        targetName: 'ACME',
+        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+        ...extra
+    };
+}
+
+// ===== Dono =====
+
+test('o dono lê, cria, altera e elimina tudo na sua área de trabalho', async () => {
+    const db = dbFor(OWNER);
+    await assertSucceeds(db.doc(`users/${OWNER}`).get());
+    await assertSucceeds(db.doc(`${BASE}/entities/e1/records/r1`).get());
+    await assertSucceeds(db.doc(`${BASE}/entities/e1/records/r2`).set({ nome: 'Beta' }));
+    await assertSucceeds(db.doc(`${BASE}/entities/e1`).update({ name: 'Clientes VIP' }));
+    await assertSucceeds(db.doc(`${BASE}/entities/e1`).delete());
+    await assertSucceeds(db.doc(`${BASE}/modules/m1`).delete());
+    await assertSucceeds(db.doc(BASE).update({ name: 'Vendas 2026' }));
+});
+
+// ===== Papéis partilhados =====
+
+test('o leitor lê a área de trabalho mas não escreve', async () => {
+    const db = dbFor(VIEWER);
+    await assertSucceeds(db.doc(BASE).get());
+    await assertSucceeds(db.doc(`${BASE}/modules/m1`).get());
+    await assertSucceeds(db.collection(`${BASE}/entities/e1/records`).get());
+    await assertFails(db.doc(`${BASE}/entities/e1/records/r2`).set({ nome: 'Beta' }));
+    await assertFails(db.doc(`${BASE}/entities/e1/records/r1`).update({ nome: 'Outro' }));
+    await assertFails(db.doc(`${BASE}/entities/e1/records/r1`).delete());
+    await assertFails(db.doc(`${BASE}/entities/e1`).update({ name: 'Clientes VIP' }));
+});
+
+test('o editor cria, altera e elimina registos, mas não elimina entidades nem módulos', async () => {
+    const db = dbFor(EDITOR);
+    await assertSucceeds(db.doc(`${BASE}/entities/e1/records/r2`).set({ nome: 'Beta' }));
+    await assertSucceeds(db.doc(`${BASE}/entities/e1/records/r1`).update({ nome: 'ACME Lda' }));
+    await assertSucceeds(db.doc(`${BASE}/entities/e1/records/r1`).delete());
+    await assertSucceeds(db.doc(`${BASE}/entities/e1`).update({ name: 'Clientes VIP' }));
+    await assertSucceeds(db.doc(`${BASE}/modules/m2`).set({ name: 'Compras', order: 1 }));
+    await assertFails(db.doc(`${BASE}/entities/e1`).delete());
+    await assertFails(db.doc(`${BASE}/modules/m1`).delete());
+    await assertFails(db.doc(BASE).update({ name: 'Vendas 2026' }));
+});
+
+test('o administrador também elimina entidades e módulos, mas não altera o documento da área de trabalho', async () => {
+    const db = dbFor(ADMIN);
+    await assertSucceeds(db.doc(`${BASE}/entities/e1`).delete());
+    await assertSucceeds(db.doc(`${BASE}/modules/m1`).delete());
+    await assertFails(db.doc(BASE).update({ name: 'Vendas 2026' }));
+});
+
+test('ninguém além do dono lê o documento users/{uid}', async () => {
+    for (const uid of [VIEWER, EDITOR, ADMIN, OUTSIDER]) {
+        await assertFails(dbFor(uid).doc(`users/${OWNER}`).get());
+    }
+});
+
+test('os papéis não se estendem a outra área de trabalho com o mesmo ID', async () => {
+    for (const uid of [VIEWER, EDITOR, ADMIN]) {
+        const db = dbFor(uid);
+        await assertFails(db.doc(`users/bob/workspaces/${WS}`).get());
+        await assertFails(db.doc(`users/bob/workspaces/${WS}/entities/e9`).get());
+    }
+});
+
+// ===== Acesso revogado e pessoas de fora =====
+
+test('quem teve o acesso revogado já não lê nem escreve', async () => {
+    const db = dbFor(REVOKED);
+    await assertFails(db.doc(BASE).get());
+    await assertFails(db.doc(`${BASE}/entities/e1/records/r1`).get());
+    await assertFails(db.doc(`${BASE}/entities/e1/records/r2`).set({ nome: 'Beta' }));
+    await assertFails(db.doc(`sharedWorkspaces/${WS}`).get());
+});
+
+test('quem nunca foi convidado e quem não tem sessão não acedem', async () => {
+    const outsider = dbFor(OUTSIDER);
+    await assertFails(outsider.doc(BASE).get());
+    await assertFails(outsider.doc(`${BASE}/entities/e1/records/r1`).get());
+    await assertFails(outsider.doc(`sharedWorkspaces/${WS}`).get());
+
+    const anonymous = testEnv.unauthenticatedContext().firestore();
+    await assertFails(anonymous.doc(BASE).get());
+    await assertFails(anonymous.doc(`publicProfiles/${OWNER}`).get());
+});
+
+// ===== Perfis públicos =====
+
+test('os perfis públicos são lidos por ID e só o próprio os escreve, com nome e foto', async () => {
+    const db = dbFor(OUTSIDER);
+    await assertSucceeds(db.doc(`publicProfiles/${OWNER}`).get());
+    await assertFails(db.collection('publicProfiles').get());
+    await assertFails(db.doc(`publicProfiles/${OWNER}`).set({ displayName: 'Outra', photoURL: null }));
+    await assertSucceeds(db.doc(`publicProfiles/${OUTSIDER}`).set({ displayName: 'Zé', photoURL: null }));
+    await assertFails(db.doc(`publicProfiles/${OUTSIDER}`).set({ displayName: 'Zé', email: EMAILS[OUTSIDER] }));
+});
+
+// ===== Controlo de acesso =====
+
+test('accessControl não aceita papéis sem o convite correspondente', async () => {
+    // Sem lastInvitationId
+    await assertFails(dbFor(OUTSIDER).doc(`accessControl/${OUTSIDER}`).set({ [WS]: 'admin' }));
+    // Convite de outra pessoa
+    await assertFails(dbFor(OUTSIDER).doc(`accessControl/${OUTSIDER}`).set({ [WS]: 'editor', lastInvitationId: 'inv-editor' }));
+    // Papel acima do convite
+    await assertFails(dbFor(VIEWER).doc(`accessControl/${VIEWER}`).update({ [WS]: 'admin' }));
+    // Convite revogado
+    await assertFails(dbFor(REVOKED).doc(`accessControl/${REVOKED}`).update({ [WS]: 'editor', lastInvitationId: 'inv-revoked' }));
+    // Convite ainda pendente
+    await assertFails(dbFor(INVITEE).doc(`accessControl/${INVITEE}`).set({ [WS]: 'editor', lastInvitationId: 'inv-pending' }));
+    // O dono não atribui papéis sem convite aceite
+    await assertFails(dbFor(OWNER).doc(`accessControl/${OUTSIDER}`).set({ [WS]: 'editor', lastInvitationId: 'inv-pending' }));
+});
+
+test('aceitar um convite grava o papel do convite no mesmo lote', async () => {
+    const db = dbFor(INVITEE);
+    const accept = () => {
+        const batch = db.batch();
+        batch.update(db.doc('invitations/inv-pending'), { status: 'accepted', toUserId: INVITEE });
+        return batch;
+    };
+
+    const wrongRole = accept();
+    wrongRole.set(db.doc(`accessControl/${INVITEE}`), { [WS]: 'admin', lastInvitationId: 'inv-pending' });
+    await assertFails(wrongRole.commit());
+
+    const batch = accept();
+    batch.set(db.doc(`accessControl/${INVITEE}`), { [WS]: 'editor', lastInvitationId: 'inv-pending' });
+    await assertSucceeds(batch.commit());
+    await assertSucceeds(db.doc(`${BASE}/entities/e1/records/r2`).set({ nome: 'Beta' }));
+});
+
+test('o remetente revoga o acesso retirando o papel junto com o convite', async () => {
+    const db = dbFor(OWNER);
+    const batch = db.batch();
+    batch.update(db.doc('invitations/inv-editor'), { status: 'revoked' });
+    batch.set(db.doc(`accessControl/${EDITOR}`), { lastInvitationId: 'inv-editor' });
+    await assertSucceeds(batch.commit());
+    await assertFails(dbFor(EDITOR).doc(`${BASE}/entities/e1/records/r1`).get());
+});
+
+// ===== Convites =====
+
+function invitationFrom(fromUserId, toUserId, role) {
+    return {
+        fromUserId, fromUserName: fromUserId, toEmail: EMAILS[toUserId], toUserId: null,
+        resourceType: 'workspace', resourceId: WS, resourceName: 'Vendas', role, status: 'pending'
+    };
+}
+
+test('o dono convida gravando sharedWorkspaces no mesmo lote', async () => {
+    const db = dbFor(OWNER);
+    const batch = db.batch();
+    batch.set(db.collection('invitations').doc(), invitationFrom(OWNER, OUTSIDER, 'viewer'));
+    batch.set(db.doc(`sharedWorkspaces/${WS}`), { name: 'Vendas', ownerId: OWNER, ownerName: 'Alice' }, { merge: true });
+    await assertSucceeds(batch.commit());
+});
+
+test('um convite de outra área de trabalho com o mesmo ID não dá acesso à do dono', async () => {
+    // O Rui (revogado) conhece o ID e cria uma área de trabalho sua com o mesmo ID
+    const attacker = dbFor(REVOKED);
+    await assertSucceeds(attacker.doc(`users/${REVOKED}/workspaces/${WS}`).set({ name: 'Falsa' }));
+
+    await assertFails(attacker.collection('invitations').add(invitationFrom(REVOKED, OUTSIDER, 'admin')));
+    const batch = attacker.batch();
+    batch.set(attacker.collection('invitations').doc(), invitationFrom(REVOKED, OUTSIDER, 'admin'));
+    batch.set(attacker.doc(`sharedWorkspaces/${WS}`), { name: 'Falsa', ownerId: REVOKED, ownerName: 'Rui' }, { merge: true });
+    await assertFails(batch.commit());
+
+    // Mesmo um convite já gravado por esse caminho não pode ser aceite como papel na área de trabalho da Alice
+    await testEnv.withSecurityRulesDisabled(async context => {
+        await context.firestore().doc('invitations/inv-forged').set(invitationFrom(REVOKED, OUTSIDER, 'admin'));
+    });
+    const db = dbFor(OUTSIDER);
+    const accept = db.batch();
+    accept.update(db.doc('invitations/inv-forged'), { status: 'accepted', toUserId: OUTSIDER });
+    accept.set(db.doc(`accessControl/${OUTSIDER}`), { [WS]: 'admin', lastInvitationId: 'inv-forged' });
+    await assertFails(accept.commit());
+    await assertFails(db.doc(BASE).get());
+});
+
+// ===== Registo de atividade =====
+
+test('quem edita acrescenta entradas em nome próprio, com a hora do servidor', async () => {
+    await assertSucceeds(dbFor(EDITOR).collection(AUDIT).add(auditEntry(EDITOR)));
+    await assertSucceeds(dbFor(OWNER).collection(AUDIT).add(auditEntry(OWNER, 'entity.delete')));
+});
+
+test('não se registam entradas em nome de outra pessoa, com hora do cliente ou sem poder editar', async () => {
+    await assertFails(dbFor(EDITOR).collection(AUDIT).add(auditEntry(OWNER)));
+    await assertFails(dbFor(EDITOR).collection(AUDIT).add(auditEntry(EDITOR, 'record.update', { createdAt: new Date() })));
+    await assertFails(dbFor(VIEWER).collection(AUDIT).add(auditEntry(VIEWER)));
+    await assertFails(dbFor(REVOKED).collection(AUDIT).add(auditEntry(REVOKED)));
+    await assertFails(dbFor(OUTSIDER).collection(AUDIT).add(auditEntry(OUTSIDER)));
+});
+
+test('o leitor regista apenas a aceitação do seu próprio convite', async () => {
+    const db = dbFor(VIEWER);
+    await assertSucceeds(db.collection(AUDIT).add(auditEntry(VIEWER, 'invitation.accept', { targetId: 'inv-viewer' })));
+    await assertFails(db.collection(AUDIT).add(auditEntry(VIEWER, 'invitation.accept', { targetId: 'inv-editor' })));
+});
+
+test('as entradas do registo não são alteradas nem eliminadas, nem pelo dono', async () => {
+    let entryId;
+    await testEnv.withSecurityRulesDisabled(async context => {
+        const ref = await context.firestore().collection(AUDIT).add(auditEntry(EDITOR));
+        entryId = ref.id;
+    });
+
+    for (const uid of [OWNER, ADMIN, EDITOR]) {
+        const entry = dbFor(uid).doc(`${AUDIT}/${entryId}`);
+        await assertFails(entry.update({ summary: 'Alterado' }));
+        await assertFails(entry.delete());
+    }
+});
+
+test('só o dono e os administradores consultam o registo de atividade', async () => {
+    await assertSucceeds(dbFor(OWNER).collection(AUDIT).get());
+    await assertSucceeds(dbFor(ADMIN).collection(AUDIT).get());
+    await assertFails(dbFor(EDITOR).collection(AUDIT).get());
+    await assertFails(dbFor(VIEWER).collection(AUDIT).get());
+});
+
+// ===== Notificações =====
+
+test('quem edita envia avisos de atribuição; o leitor não', async () => {
+    const notice = fromUserId => ({
+        type: 'assignment',
+        fromUserId,
+        read: false,
+        message: 'Foi atribuído a um registo',
+        link: { ownerId: OWNER, workspaceId: WS, entityId: 'e1', recordId: 'r1' }
+    });
+    await assertSucceeds(dbFor(EDITOR).collection(`users/${VIEWER}/notifications`).add(notice(EDITOR)));
+    await assertFails(dbFor(EDITOR).collection(`users/${VIEWER}/notifications`).add(notice(OWNER)));
+    await assertFails(dbFor(VIEWER).collection(`users/${EDITOR}/notifications`).add(notice(VIEWER)));
+    await assertFails(dbFor(EDITOR).collection(`users/${VIEWER}/notifications`).get());
+});
+
+test('os avisos só chegam a pessoas da área de trabalho indicada no link', async () => {
+    const notice = (fromUserId, link) => ({
+        type: 'assignment', fromUserId, read: false, message: 'Foi atribuído a um registo', link
+    });
+    const aliceLink = { ownerId: OWNER, workspaceId: WS, entityId: 'e1', recordId: 'r1' };
+    await assertSucceeds(dbFor(EDITOR).collection(`users/${OWNER}/notifications`).add(notice(EDITOR, aliceLink)));
+    await assertFails(dbFor(EDITOR).collection(`users/${OUTSIDER}/notifications`).add(notice(EDITOR, aliceLink)));
+    await assertFails(dbFor(EDITOR).collection(`users/${REVOKED}/notifications`).add(notice(EDITOR, aliceLink)));
+
+    // Um link para a própria área de trabalho de quem escreve não abre a caixa de qualquer pessoa
+    const ownLink = { ownerId: OUTSIDER, workspaceId: 'ws-ze', entityId: 'e1', recordId: 'r1' };
+    await assertFails(dbFor(OUTSIDER).collection(`users/${OWNER}/notifications`).add(notice(OUTSIDER, ownLink)));
+});
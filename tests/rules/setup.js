@@ -0,0 +1,91 @@
+// Ambiente comum dos testes das regras (Firestore e Storage) no emulador.
+// Corre com "npm run test:rules", que arranca os emuladores com firebase emulators:exec.
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+
+export const PROJECT_ID = 'demo-construktor';
+
+// Área de trabalho "ws1" da Alice, partilhada com um leitor, um editor e um administrador.
+// O Rui teve acesso de editor e foi revogado; o Zé nunca foi convidado.
+export const OWNER = 'alice';
+export const VIEWER = 'vera';
+export const EDITOR = 'edu';
+export const ADMIN = 'ana';
+export const REVOKED = 'rui';
+export const OUTSIDER = 'ze';
+export const INVITEE = 'pat';
+export const WS = 'ws1';
+export const BASE = `users/${OWNER}/workspaces/${WS}`;
+
+export const EMAILS = {
+    [OWNER]: 'alice@exemplo.pt',
+    [VIEWER]: 'vera@exemplo.pt',
+    [EDITOR]: 'edu@exemplo.pt',
+    [ADMIN]: 'ana@exemplo.pt',
+    [REVOKED]: 'rui@exemplo.pt',
+    [OUTSIDER]: 'ze@exemplo.pt',
+    [INVITEE]: 'pat@exemplo.pt'
+};
+
+/**
+ * Cria o ambiente de testes com as regras do repositório
+ * @returns {Promise<Object>} - RulesTestEnvironment
+ */
+export function createTestEnvironment() {
+    return initializeTestEnvironment({
+        projectId: PROJECT_ID,
+        firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+        storage: { rules: readFileSync(new URL('../../storage.rules', import.meta.url), 'utf8') }
+    });
+}
+
+/**
+ * Contexto autenticado de uma das pessoas dos testes (com o email usado nos convites)
+ * @param {Object} testEnv - RulesTestEnvironment
+ * @param {string} uid - ID do usuário
+ * @returns {Object} - RulesTestContext
+ */
+export function contextFor(testEnv, uid) {
+    return testEnv.authenticatedContext(uid, { email: EMAILS[uid] });
+}
+
+/**
+ * Grava os dados de partida sem passar pelas regras
+ * @param {Object} testEnv - RulesTestEnvironment
+ * @returns {Promise<void>}
+ */
+export async function seedWorkspace(testEnv) {
+    await testEnv.withSecurityRulesDisabled(async context => {
+        const db = context.firestore();
+        const batch = db.batch();
+
+        batch.set(db.doc(`users/${OWNER}`), { displayName: 'Alice', email: EMAILS[OWNER] });
+        batch.set(db.doc(`publicProfiles/${OWNER}`), { displayName: 'Alice', photoURL: null });
+        batch.set(db.doc(BASE), { name: 'Vendas' });
+        batch.set(db.doc(`${BASE}/modules/m1`), { name: 'Comercial', order: 0 });
+        batch.set(db.doc(`${BASE}/entities/e1`), { name: 'Clientes', moduleId: 'm1', attributes: [], revision: 1 });
+        batch.set(db.doc(`${BASE}/entities/e1/records/r1`), { nome: 'ACME' });
+        batch.set(db.doc(`sharedWorkspaces/${WS}`), { name: 'Vendas', ownerId: OWNER, ownerName: 'Alice' });
+
+        // Outra área de trabalho com o mesmo ID, de outro dono, que os convidados da Alice não podem ver
+        batch.set(db.doc(`users/bob/workspaces/${WS}`), { name: 'Privada do Bob' });
+        batch.set(db.doc(`users/bob/workspaces/${WS}/entities/e9`), { name: 'Segredos', attributes: [] });
+
+        const invitation = (toUserId, role, status) => ({
+            fromUserId: OWNER, fromUserName: 'Alice', toEmail: EMAILS[toUserId], toUserId,
+            resourceType: 'workspace', resourceId: WS, resourceName: 'Vendas', role, status
+        });
+        batch.set(db.doc('invitations/inv-viewer'), invitation(VIEWER, 'viewer', 'accepted'));
+        batch.set(db.doc('invitations/inv-editor'), invitation(EDITOR, 'editor', 'accepted'));
+        batch.set(db.doc('invitations/inv-admin'), invitation(ADMIN, 'admin', 'accepted'));
+        batch.set(db.doc('invitations/inv-revoked'), invitation(REVOKED, 'editor', 'revoked'));
+        batch.set(db.doc('invitations/inv-pending'), { ...invitation(null, 'editor', 'pending'), toEmail: EMAILS[INVITEE] });
+
+        batch.set(db.doc(`accessControl/${VIEWER}`), { [WS]: 'viewer', lastInvitationId: 'inv-viewer' });
+        batch.set(db.doc(`accessControl/${EDITOR}`), { [WS]: 'editor', lastInvitationId: 'inv-editor' });
+        batch.set(db.doc(`accessControl/${ADMIN}`), { [WS]: 'admin', lastInvitationId: 'inv-admin' });
+        batch.set(db.doc(`accessControl/${REVOKED}`), { lastInvitationId: 'inv-revoked' });
+
+        await batch.commit();
+    });
+}
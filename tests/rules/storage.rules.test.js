@@ -0,0 +1,66 @@
+// Testes das regras do Cloud Storage (storage.rules) no emulador
+import { test, before, beforeEach, after } from 'node:test';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import {
+    createTestEnvironment, contextFor, seedWorkspace,
+    OWNER, VIEWER, EDITOR, ADMIN, REVOKED, OUTSIDER, BASE
+} from './setup.js';
+
+const FILES = `${BASE}/entities/e1/files/contrato`;
+const CONTENT = new Uint8Array([37, 80, 68, 70]);
+const PDF = { contentType: 'application/pdf' };
+
+let testEnv;
+
+before(async () => {
+    testEnv = await createTestEnvironment();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await seedWorkspace(testEnv);
+    await testEnv.withSecurityRulesDisabled(async context => {
+        await context.storage().ref(`${FILES}/existente.pdf`).put(CONTENT, PDF);
+    });
+});
+
+after(async () => {
+    await testEnv.cleanup();
+});
+
+function storageFor(uid) {
+    return contextFor(testEnv, uid).storage();
+}
+
+test('o dono, o editor e o administrador enviam e apagam ficheiros dos registos', async () => {
+    for (const uid of [OWNER, EDITOR, ADMIN]) {
+        const ref = storageFor(uid).ref(`${FILES}/${uid}.pdf`);
+        await assertSucceeds(ref.put(CONTENT, PDF));
+        await assertSucceeds(ref.delete());
+    }
+});
+
+test('o leitor descarrega, mas não envia nem apaga', async () => {
+    const storage = storageFor(VIEWER);
+    await assertSucceeds(storage.ref(`${FILES}/existente.pdf`).getMetadata());
+    await assertFails(storage.ref(`${FILES}/novo.pdf`).put(CONTENT, PDF));
+    await assertFails(storage.ref(`${FILES}/existente.pdf`).delete());
+});
+
+test('quem teve o acesso revogado e quem nunca foi convidado não acedem aos ficheiros', async () => {
+    for (const uid of [REVOKED, OUTSIDER]) {
+        const storage = storageFor(uid);
+        await assertFails(storage.ref(`${FILES}/existente.pdf`).getMetadata());
+        await assertFails(storage.ref(`${FILES}/novo.pdf`).put(CONTENT, PDF));
+        await assertFails(storage.ref(`${FILES}/existente.pdf`).delete());
+    }
+});
+
+test('as fotografias de perfil só são escritas pelo próprio, e apenas imagens', async () => {
+    const image = { contentType: 'image/png' };
+    await assertSucceeds(storageFor(OWNER).ref(`user-avatars/${OWNER}/foto.png`).put(CONTENT, image));
+    await assertFails(storageFor(OWNER).ref(`user-avatars/${OWNER}/foto.pdf`).put(CONTENT, PDF));
+    await assertFails(storageFor(OUTSIDER).ref(`user-avatars/${OWNER}/foto.png`).put(CONTENT, image));
+    await assertSucceeds(storageFor(OUTSIDER).ref(`user-avatars/${OWNER}/foto.png`).getMetadata());
+});
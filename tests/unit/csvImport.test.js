@@ -0,0 +1,34 @@
+// Testes da importação de CSV (js/records/csvImport.js) com ficheiros exportados pela aplicação
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertCsvValue, buildRecordsFromRows, suggestColumnMapping } from '../../js/records/csvImport.js';
+import { buildExportTable, toCsvRows } from '../../js/records/tableExport.js';
+import { formatCsv, parseCsv } from '../../js/records/csv.js';
+
+const FORMATS = ['plain', 'thousands', 'decimal', 'currency', 'percentage'];
+const VALUES = [0, -3, 0.25, 1234, -1234, 1234.5, 1234567, 1234567.89];
+
+test('convertCsvValue lê "1.234" como 1234 num campo com separador de milhar', () => {
+    const attribute = { id: 'qtd', label: 'Quantidade', type: 'number', config: { format: 'thousands' } };
+    assert.deepEqual(convertCsvValue(attribute, '1.234'), { value: 1234, error: null });
+    assert.deepEqual(convertCsvValue(attribute, '1.234,5'), { value: 1234.5, error: null });
+});
+
+for (const format of FORMATS) {
+    test(`um CSV exportado volta a importar os mesmos números (${format})`, () => {
+        const attributes = [
+            { id: 'nome', label: 'Nome', type: 'text' },
+            { id: 'valor', label: 'Valor', type: 'number', config: { format, precision: 2, symbol: 'R$' } }
+        ];
+        const records = VALUES.map((valor, index) => ({ id: `r${index}`, nome: `Linha ${index}`, valor }));
+
+        const csv = formatCsv(toCsvRows(buildExportTable(attributes, records)));
+        const [headers, ...rows] = parseCsv(csv);
+        const mapping = suggestColumnMapping(headers, attributes);
+        assert.deepEqual(mapping, ['nome', 'valor']);
+
+        const { records: imported, rejected } = buildRecordsFromRows(rows, mapping, attributes);
+        assert.deepEqual(rejected, []);
+        assert.deepEqual(imported.map(item => item.data.valor), VALUES);
+    });
+}
@@ -0,0 +1,40 @@
+// Testes da formatação e interpretação de números (js/records/fieldFormat.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatNumber, parseNumber } from '../../js/records/fieldFormat.js';
+
+const FORMATS = ['plain', 'thousands', 'decimal', 'currency', 'percentage'];
+const VALUES = [0, 7, -3, 0.25, 12.5, 999, 1234, -1234, 1234.5, 1234567, 1234567.89, -9876.54];
+
+for (const format of FORMATS) {
+    test(`formatNumber → parseNumber devolve o mesmo número (${format})`, () => {
+        const config = { format, precision: 2, symbol: 'R$' };
+        for (const value of VALUES) {
+            const text = formatNumber(value, config);
+            assert.equal(parseNumber(text, config), value, `"${text}"`);
+        }
+    });
+}
+
+test('o formulário mostra moeda e percentagem como decimal e lê o valor de volta', () => {
+    // recordForm.js põe o símbolo fora do input e formata o número como 'decimal'
+    for (const format of ['currency', 'percentage']) {
+        const config = { format, precision: 2, symbol: 'R$' };
+        for (const value of VALUES) {
+            const text = formatNumber(value, { ...config, format: 'decimal' });
+            assert.equal(parseNumber(text, config), value, `"${text}"`);
+        }
+    }
+});
+
+test('parseNumber lê o ponto como milhar só nos formatos com agrupamento', () => {
+    assert.equal(parseNumber('1.234', { format: 'thousands' }), 1234);
+    assert.equal(parseNumber('1.234.567', { format: 'plain' }), 1234567);
+    assert.equal(parseNumber('1.234', { format: 'plain' }), 1.234);
+    assert.equal(parseNumber('1.5', { format: 'thousands' }), 1.5);
+    assert.equal(parseNumber('1.234,56', { format: 'decimal' }), 1234.56);
+    assert.equal(parseNumber('R$ 10', { format: 'currency', symbol: 'R$' }), 10);
+    assert.equal(parseNumber('15%', { format: 'percentage' }), 15);
+    assert.equal(parseNumber('', {}), null);
+    assert.ok(Number.isNaN(parseNumber('abc', {})));
+});
@@ -0,0 +1,113 @@
+// Testes das fórmulas (js/records/formula.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateFormulaField, validateFormula, parseFormula } from '../../js/records/formula.js';
+
+const ATTRIBUTES = [
+    { id: 'qtd', label: 'Quantidade', type: 'number' },
+    { id: 'preco', label: 'Preço', type: 'number' },
+    { id: 'cliente', label: 'Cliente', type: 'text' },
+    { id: 'status', label: 'Status', type: 'text' },
+    { id: 'inicio', label: 'Início', type: 'date' },
+    { id: 'fim', label: 'Fim', type: 'date' }
+];
+
+const RECORD = { qtd: 3, preco: 2.5, cliente: 'acme', status: 'Pago', inicio: '2024-01-31', fim: '2024-03-15' };
+
+// Calcula uma expressão como se fosse a configuração de um campo de fórmula da entidade
+function calc(expression, record = RECORD) {
+    const formula = { id: 'calc', label: 'Cálculo', type: 'formula', config: { expression } };
+    return evaluateFormulaField(formula, [...ATTRIBUTES, formula], record);
+}
+
+const valueOf = expression => calc(expression).value;
+
+test('precedência dos operadores e concatenação com &', () => {
+    assert.equal(valueOf('2 + 3 * 4'), 14);
+    assert.equal(valueOf('(2 + 3) * 4'), 20);
+    assert.equal(valueOf('10 - 4 - 3'), 3);
+    assert.equal(valueOf('2 ^ 3 ^ 2'), 512);
+    assert.equal(valueOf('-2 ^ 2'), -4);
+    assert.equal(valueOf('{Quantidade} * {Preço}'), 7.5);
+    // & junta depois das contas: 1 + 2 & "x" = "3x"
+    assert.equal(valueOf('1 + 2 & "x"'), '3x');
+    assert.equal(valueOf('{Cliente} & " - " & {Quantidade} * {Preço}'), 'acme - 7,5');
+});
+
+test('comparações, incluindo <> e os sinónimos == e !=', () => {
+    assert.equal(valueOf('{Quantidade} > 2'), true);
+    assert.equal(valueOf('{Quantidade} <= 2'), false);
+    assert.equal(valueOf('{Quantidade} >= 3'), true);
+    assert.equal(valueOf('{Quantidade} < 3'), false);
+    assert.equal(valueOf('{Status} = "pago"'), true);
+    assert.equal(valueOf('{Status} <> "Pago"'), false);
+    assert.equal(valueOf('{Status} != "Pendente"'), true);
+    assert.equal(valueOf('{Quantidade} == "3"'), true);
+    // A comparação fica abaixo da concatenação: "a" & "b" = "ab"
+    assert.equal(valueOf('"a" & "b" = "ab"'), true);
+});
+
+test('funções IF, AND, NOT, UPPER e CONCAT', () => {
+    assert.equal(valueOf('IF({Status} = "Pago", 0, {Quantidade} * {Preço})'), 0);
+    assert.equal(valueOf('IF({Status} = "Pendente"; 0; {Quantidade} * {Preço})'), 7.5);
+    assert.equal(valueOf('IF(FALSE, 1)'), null);
+    // O ramo não escolhido não é calculado
+    assert.equal(valueOf('IF(TRUE, 1, 1 / 0)'), 1);
+    assert.equal(valueOf('AND({Quantidade} > 1, {Status} = "Pago")'), true);
+    assert.equal(valueOf('AND({Quantidade} > 1, {Status} = "Pendente")'), false);
+    assert.equal(valueOf('NOT({Quantidade} > 5)'), true);
+    assert.equal(valueOf('UPPER({Cliente})'), 'ACME');
+    assert.equal(valueOf('CONCAT({Cliente}, "/", {Quantidade}, "/", TRUE)'), 'acme/3/Sim');
+});
+
+test('datas: DATEADD, DATEDIF e subtração de datas', () => {
+    assert.equal(valueOf('DATEADD({Início}, 10)'), '2024-02-10');
+    assert.equal(valueOf('DATEADD({Início}, 1, "meses")'), '2024-02-29');
+    assert.equal(valueOf('DATEADD({Início}, 1, "anos")'), '2025-01-31');
+    assert.equal(valueOf('DATEADD({Início}, 3, "horas")'), '2024-01-31T03:00');
+    assert.equal(valueOf('{Início} + 1'), '2024-02-01');
+    assert.equal(valueOf('DATEDIF({Início}, {Fim})'), 44);
+    assert.equal(valueOf('DATEDIF({Início}, {Fim}, "meses")'), 1);
+    assert.equal(valueOf('DATEDIF({Início}, {Fim}, "anos")'), 0);
+    assert.equal(valueOf('{Fim} - {Início}'), 44);
+    assert.match(calc('DATEADD({Início}, 1, "semanas")').error, /Unidade de data desconhecida/);
+    assert.match(calc('{Início} * 2').error, /Uma data não pode ser usada como número/);
+});
+
+test('erros de cálculo: divisão por zero, campo inexistente e texto como número', () => {
+    assert.deepEqual(calc('{Quantidade} / 0'), { value: null, error: 'Divisão por zero.' });
+    assert.deepEqual(calc('MOD(5, 0)'), { value: null, error: 'Divisão por zero.' });
+    assert.deepEqual(calc('{Desconto} * 2'), { value: null, error: 'Campo inexistente: {Desconto}.' });
+    assert.match(calc('{Cliente} + 1').error, /"acme" não é um número\. Para juntar textos use &\./);
+    assert.equal(calc('FOO(1)').error, 'Função desconhecida: FOO.');
+    assert.equal(calc('NOT(1, 2)').error, 'NOT recebe 1 argumento.');
+});
+
+test('erros de sintaxe', () => {
+    assert.throws(() => parseFormula(''), { name: 'FormulaError', message: 'A fórmula está vazia.' });
+    assert.throws(() => parseFormula('(1 + 2'), { message: 'Falta fechar um parêntese.' });
+    assert.throws(() => parseFormula('1 +'), { message: 'A fórmula termina de forma incompleta.' });
+    assert.throws(() => parseFormula('1 2'), { message: '"2" inesperado na posição 3.' });
+    assert.throws(() => parseFormula('{Quantidade'), { message: 'Falta fechar a chaveta aberta na posição 1.' });
+    assert.throws(() => parseFormula('"texto'), { message: 'Falta fechar o texto aberto na posição 1.' });
+    assert.throws(() => parseFormula('Quantidade * 2'), /Para referir um campo use \{QUANTIDADE\}/);
+    assert.equal(calc('IF(1,').error, 'A fórmula termina de forma incompleta.');
+});
+
+test('símbolos não suportados, como %, são recusados', () => {
+    assert.throws(() => parseFormula('{Preço} * 10%'), { message: 'Carácter inesperado "%" na posição 13.' });
+    assert.equal(calc('{Preço} * 10%').error, 'Carácter inesperado "%" na posição 13.');
+    assert.equal(validateFormula('{Preço} # 2', ATTRIBUTES), 'Carácter inesperado "#" na posição 9.');
+});
+
+test('validateFormula verifica campos, funções e referências circulares', () => {
+    const formula = { id: 'total', label: 'Total', type: 'formula', config: { expression: '' } };
+    const attributes = [...ATTRIBUTES, formula];
+    assert.equal(validateFormula('{Quantidade} * {Preço}', attributes, 'total'), null);
+    assert.equal(validateFormula('{Total} + 1', attributes, 'total'), 'A fórmula não pode referir o próprio campo.');
+    assert.equal(validateFormula('{Desconto}', attributes, 'total'), 'Campo inexistente: {Desconto}.');
+    assert.equal(validateFormula('FOO()', attributes, 'total'), 'Função desconhecida: FOO.');
+
+    const other = { id: 'outro', label: 'Outro', type: 'formula', config: { expression: '{Total} * 2' } };
+    assert.match(validateFormula('{Outro} + 1', [...attributes, other], 'total'), /^Referência circular entre fórmulas: /);
+});
@@ -0,0 +1,111 @@
+// Testes da validação de registos (js/records/validation.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRecord, validateFieldValue, createValidationError, isAllowedFileType } from '../../js/records/validation.js';
+
+const text = (config = {}) => ({ id: 'nome', label: 'Nome', type: 'text', config });
+
+test('campos obrigatórios vazios são recusados', () => {
+    const attribute = text({ required: true });
+    for (const empty of [undefined, null, '', '   ', []]) {
+        assert.equal(validateFieldValue(attribute, empty), 'Este campo é obrigatório.');
+    }
+    assert.equal(validateFieldValue({ id: 'ok', type: 'checkbox', config: { required: true } }, false), 'Este campo é obrigatório.');
+    assert.equal(validateFieldValue(text(), ''), null);
+    assert.equal(validateFieldValue(attribute, 'Ana'), null);
+});
+
+test('texto: tamanho máximo, email e URL', () => {
+    assert.match(validateFieldValue(text({ maxLength: 3 }), 'abcd'), /Máximo de 3 caracteres/);
+    assert.equal(validateFieldValue(text({ maxLength: 3 }), 'abc'), null);
+    assert.equal(validateFieldValue(text(), 42), 'O valor deve ser um texto.');
+    assert.equal(validateFieldValue({ id: 'e', type: 'email' }, 'ana@'), 'Email inválido.');
+    assert.equal(validateFieldValue({ id: 'e', type: 'email' }, 'ana@exemplo.pt'), null);
+    assert.match(validateFieldValue(text({ contentType: 'url' }), 'exemplo.pt'), /URL inválida/);
+    assert.equal(validateFieldValue(text({ contentType: 'url' }), 'https://exemplo.pt'), null);
+});
+
+test('número: tipo e intervalo', () => {
+    const attribute = { id: 'qtd', type: 'number', config: { minValue: 1, maxValue: 10 } };
+    assert.equal(validateFieldValue(attribute, '5'), 'O valor deve ser um número.');
+    assert.equal(validateFieldValue(attribute, NaN), 'O valor deve ser um número.');
+    assert.equal(validateFieldValue(attribute, 0), 'O valor mínimo é 1.');
+    assert.equal(validateFieldValue(attribute, 11), 'O valor máximo é 10.');
+    assert.equal(validateFieldValue(attribute, 1), null);
+    assert.equal(validateFieldValue(attribute, 10), null);
+    assert.equal(validateFieldValue({ id: 'livre', type: 'number' }, -1e9), null);
+});
+
+test('data: datas e intervalos', () => {
+    assert.equal(validateFieldValue({ id: 'd', type: 'date' }, '2024-02-30'), 'Data inválida.');
+    assert.equal(validateFieldValue({ id: 'd', type: 'date' }, '2024-02-29'), null);
+    const range = { id: 'd', type: 'date', config: { behavior: 'dateRange' } };
+    assert.equal(validateFieldValue(range, { start: '2024-05-02', end: '2024-05-01' }), 'A data final deve ser posterior à data inicial.');
+    assert.equal(validateFieldValue(range, { start: '2024-05-01', end: '2024-05-02' }), null);
+});
+
+test('seleção: opções existentes e escolha múltipla', () => {
+    const options = [{ id: 'a', label: 'A' }, { id: 'b', label: 'B' }];
+    const single = { id: 's', type: 'select', config: { options } };
+    const multiple = { id: 's', type: 'select', config: { options, allowMultiple: true } };
+    assert.equal(validateFieldValue(single, 'a'), null);
+    assert.equal(validateFieldValue(single, 'z'), 'Opção inexistente: z.');
+    assert.equal(validateFieldValue(single, ['a', 'b']), 'Selecione apenas uma opção.');
+    assert.equal(validateFieldValue(multiple, ['a', 'b']), null);
+    assert.equal(validateFieldValue(multiple, ['a', 'z']), 'Opção inexistente: z.');
+});
+
+test('ficheiro: tamanho máximo e tipos permitidos', () => {
+    const attribute = { id: 'f', type: 'file', config: { maxSize: 1024, allowedTypes: 'image/*, .pdf' } };
+    assert.equal(validateFieldValue(attribute, { name: 'foto.png', size: 100, contentType: 'image/png' }), null);
+    assert.equal(validateFieldValue(attribute, { name: 'doc.pdf', size: 100, contentType: 'application/pdf' }), null);
+    assert.match(validateFieldValue(attribute, { name: 'foto.png', size: 2048, contentType: 'image/png' }), /tamanho máximo de 1 KB/);
+    assert.match(validateFieldValue(attribute, { name: 'folha.xlsx', size: 100, contentType: 'application/vnd.ms-excel' }), /Tipo de ficheiro não permitido/);
+    assert.equal(validateFieldValue(attribute, 'foto.png'), 'Ficheiro inválido.');
+
+    assert.equal(isAllowedFileType('*', { name: 'x.exe' }), true);
+    assert.equal(isAllowedFileType('pdf', { name: 'RELATORIO.PDF' }), true);
+    assert.equal(isAllowedFileType('application/pdf', { name: 'x', contentType: 'text/plain' }), false);
+});
+
+test('pessoa: uma só pessoa quando não permite várias', () => {
+    assert.equal(validateFieldValue({ id: 'p', type: 'person' }, ['u1', 'u2']), 'Selecione apenas uma pessoa.');
+    assert.equal(validateFieldValue({ id: 'p', type: 'person', config: { allowMultiple: true } }, ['u1', 'u2']), null);
+});
+
+test('sub-entidade independente: cada linha é validada contra o subSchema', () => {
+    const attribute = {
+        id: 'itens', label: 'Itens', type: 'sub-entity', subType: 'independent',
+        subSchema: { attributes: [
+            { id: 'produto', label: 'Produto', type: 'text', config: { required: true } },
+            { id: 'qtd', label: 'Qtd', type: 'number', config: { minValue: 1 } }
+        ] }
+    };
+    assert.equal(validateFieldValue(attribute, [{ produto: 'Caneta', qtd: 2 }]), null);
+    assert.equal(validateFieldValue(attribute, [{ produto: 'Caneta', qtd: 2 }, { qtd: 1 }]), 'Linha 2: Produto: Este campo é obrigatório.');
+    assert.equal(validateFieldValue(attribute, [{ produto: 'Caneta', qtd: 0 }]), 'Linha 1: Qtd: O valor mínimo é 1.');
+    assert.equal(validateFieldValue(attribute, ['texto']), 'As linhas da tabela são inválidas.');
+    // As relações não guardam linhas, só IDs
+    assert.equal(validateFieldValue({ id: 'r', type: 'sub-entity', subType: 'relationship' }, ['r1']), null);
+});
+
+test('validateRecord: registo completo, atualização parcial e campos de sistema', () => {
+    const attributes = [
+        text({ required: true }),
+        { id: 'qtd', label: 'Quantidade', type: 'number', config: { minValue: 0 } },
+        { id: 'criado', label: 'Criado', type: 'created-time', config: { required: true } },
+        { id: 'total', label: 'Total', type: 'formula', config: { required: true } }
+    ];
+    assert.deepEqual(validateRecord(attributes, { nome: 'Ana', qtd: 1 }), { valid: true, errors: {} });
+    assert.deepEqual(validateRecord(attributes, { qtd: -1 }).errors, {
+        nome: 'Este campo é obrigatório.',
+        qtd: 'O valor mínimo é 0.'
+    });
+    // Numa atualização só os campos enviados são validados
+    assert.deepEqual(validateRecord(attributes, { qtd: 3 }, { partial: true }), { valid: true, errors: {} });
+
+    const error = createValidationError({ nome: 'Este campo é obrigatório.' }, attributes);
+    assert.equal(error.name, 'ValidationError');
+    assert.equal(error.message, 'Nome: Este campo é obrigatório.');
+    assert.deepEqual(error.fieldErrors, { nome: 'Este campo é obrigatório.' });
+});
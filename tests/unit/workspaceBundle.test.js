@@ -0,0 +1,38 @@
+// Testes do pacote de área de trabalho (js/workspaceBundle.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { remapWorkspaceBundle } from '../../js/workspaceBundle.js';
+
+function sequence() {
+    let next = 0;
+    return () => `novo-${++next}`;
+}
+
+test('os ficheiros da área de trabalho de origem não passam para a cópia', () => {
+    const path = 'users/alice/workspaces/ws1/entities/e1/files/contrato/1-contrato.pdf';
+    const bundle = {
+        modules: [],
+        entities: [{
+            id: 'e1',
+            name: 'Clientes',
+            attributes: [
+                { id: 'nome', label: 'Nome', type: 'text' },
+                { id: 'contrato', label: 'Contrato', type: 'file' }
+            ]
+        }],
+        records: {
+            e1: [
+                { id: 'r1', nome: 'ACME', contrato: { name: 'contrato.pdf', size: 10, contentType: 'application/pdf', path } },
+                { id: 'r2', nome: 'Beta', contrato: null }
+            ]
+        }
+    };
+
+    const { records, idMap, warnings } = remapWorkspaceBundle(bundle, sequence());
+    const copied = records[idMap.e1];
+
+    assert.deepEqual(copied.map(record => record.contrato), [null, null]);
+    assert.equal(copied[0].nome, 'ACME');
+    assert.equal(bundle.records.e1[0].contrato.path, path);
+    assert.deepEqual(warnings, ['Os ficheiros de 1 registo(s) de "Clientes" não foram copiados; os campos "Ficheiro" ficam vazios.']);
+});